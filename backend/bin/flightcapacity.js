@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+// Command-line capacity lookups - calls Amadeus directly, no API server needed
+// Usage: flightcapacity check LH400 [MH126 ...] 2025-12-01 [--format table|json|csv] [--threshold 85]
+//        flightcapacity route PER KUL 2025-12-15 [--sort departure|emptiest|cheapest]
+// Reads AMADEUS_API_KEY, AMADEUS_API_SECRET and AMADEUS_BASE_URL from the environment or .env
+
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import AmadeusClient from '../src/amadeus.js';
+import AircraftConfigRegistry from '../src/aircraftConfig.js';
+import BatchLookup from '../src/batch.js';
+import { buildRouteBoard, ROUTE_BOARD_SORTS } from '../src/routeBoard.js';
+import { capacityRow, toCsv } from '../src/export.js';
+
+dotenv.config();
+
+const FORMATS = ['table', 'json', 'csv'];
+
+// Exit codes, so cron jobs and shell scripts can act on the result
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;            // bad arguments, or a lookup failed
+const EXIT_ABOVE_THRESHOLD = 2;  // at least one flight is at or above --threshold
+
+const USAGE = `Usage:
+  flightcapacity check <flight> [<flight> ...] <date> [options]
+  flightcapacity route <origin> <destination> <date> [options]
+
+Options:
+  -f, --format <table|json|csv>   Output format (default: table)
+  -t, --threshold <percent>       Exit with code ${EXIT_ABOVE_THRESHOLD} when a flight is at least this full
+  -s, --sort <${ROUTE_BOARD_SORTS.join('|')}>   Route board order (default: departure)
+  -v, --verbose                   Print Amadeus request logs to stderr
+  -h, --help                      Show this help
+
+Exit codes: ${EXIT_OK} ok, ${EXIT_ERROR} error or failed lookup, ${EXIT_ABOVE_THRESHOLD} above threshold
+
+Examples:
+  flightcapacity check LH400 2025-12-01
+  flightcapacity check LH400 LH402 2025-12-01 --threshold 90 --format csv
+  flightcapacity route PER KUL 2025-12-15 --sort emptiest`;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const AIRPORT_REGEX = /^[A-Z]{3}$/i;
+
+class UsageError extends Error {}
+
+// Same rule as the fullness_above alert: a load factor inflated by the 9-seat booking cap
+// is only an upper bound, so it never counts as over the threshold
+const isAboveThreshold = (capacity, threshold) => {
+  if (!capacity || threshold === null) return false;
+  const value = capacity.seatmapLoadFactor ?? capacity.loadFactor;
+  const upperBound = capacity.seatmapLoadFactor == null && capacity.capped;
+  return value !== null && value >= threshold && !upperBound;
+};
+
+const formatFill = (capacity) => {
+  const value = capacity?.seatmapLoadFactor ?? capacity?.loadFactor;
+  if (value === null || value === undefined) return '—';
+  const upperBound = capacity.seatmapLoadFactor == null && capacity.capped;
+  return `${upperBound ? '≤ ' : ''}${value.toFixed(0)}%`;
+};
+
+const formatSeats = (cabin) => (cabin ? `${cabin.seatsAvailable}${cabin.capped ? '+' : ''}` : '—');
+
+const renderTable = (items, threshold) => {
+  const headers = ['Flight', 'Date', 'Route', 'Aircraft', 'F', 'J', 'W', 'Y', 'Seats', 'Fill', 'From', 'Note'];
+  const rows = items.map(({ flightCode, date, route, aircraftCode, capacity, error }) => {
+    if (!capacity) {
+      return [flightCode || '—', date || '—', route || '—', '—', '—', '—', '—', '—', '—', '—', '—', error || ''];
+    }
+
+    return [
+      flightCode,
+      date,
+      route,
+      capacity.aircraftConfig?.name || aircraftCode || '—',
+      ...['FIRST', 'BUSINESS', 'PREMIUM_ECONOMY', 'ECONOMY'].map(cabin => formatSeats(capacity.cabins[cabin])),
+      capacity.hasAvailability ? `${capacity.seatsAvailable}${capacity.capped ? '+' : ''}` : '—',
+      formatFill(capacity),
+      capacity.minPrice !== null ? `${capacity.currency} ${capacity.minPrice.toFixed(0)}` : '—',
+      isAboveThreshold(capacity, threshold) ? `above ${threshold}%` : ''
+    ];
+  });
+
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+  return [headers, ...rows]
+    .map(row => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd())
+    .join('\n') + '\n';
+};
+
+const checkFlights = async ({ amadeus, aircraftConfigs }, args) => {
+  const date = args[args.length - 1];
+  const flightCodes = args.slice(0, -1);
+  if (flightCodes.length === 0 || !DATE_REGEX.test(date || '')) {
+    throw new UsageError('check needs at least one flight code and a YYYY-MM-DD date');
+  }
+
+  const batch = new BatchLookup({ amadeus, aircraftConfigs });
+  const { results } = await batch.run(flightCodes.map(flightCode => ({ flightCode, date })));
+  return results;
+};
+
+const routeBoard = async ({ amadeus, aircraftConfigs }, args, sort) => {
+  const [origin, destination, date] = args;
+  if (args.length !== 3 || !AIRPORT_REGEX.test(origin) || !AIRPORT_REGEX.test(destination) || !DATE_REGEX.test(date)) {
+    throw new UsageError('route needs an origin, a destination (3-letter IATA codes) and a YYYY-MM-DD date');
+  }
+  if (!ROUTE_BOARD_SORTS.includes(sort)) {
+    throw new UsageError(`--sort must be one of ${ROUTE_BOARD_SORTS.join(', ')}`);
+  }
+
+  const availabilityData = await amadeus.getFlightAvailability({
+    origin: origin.toUpperCase(),
+    destination: destination.toUpperCase(),
+    departureDate: date
+  });
+
+  return buildRouteBoard({
+    offers: availabilityData?.data || [],
+    origin: origin.toUpperCase(),
+    destination: destination.toUpperCase(),
+    aircraftConfigs,
+    sort
+  }).map(flight => ({ ...flight, date, route: `${origin.toUpperCase()}-${destination.toUpperCase()}` }));
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', short: 'f', default: 'table' },
+      threshold: { type: 'string', short: 't' },
+      sort: { type: 'string', short: 's', default: 'departure' },
+      verbose: { type: 'boolean', short: 'v', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const [command, ...args] = positionals;
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_OK;
+  }
+  if (!command) {
+    throw new UsageError('Missing command');
+  }
+  if (!['check', 'route'].includes(command)) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+  }
+
+  const threshold = values.threshold === undefined ? null : Number(values.threshold);
+  if (threshold !== null && (!Number.isFinite(threshold) || threshold < 0 || threshold > 100)) {
+    throw new UsageError('--threshold must be a percentage between 0 and 100');
+  }
+
+  // The client and registry log as they work; keep stdout clean for the results
+  if (!values.verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  } else {
+    console.log = console.error;
+  }
+
+  const deps = { amadeus: new AmadeusClient(), aircraftConfigs: new AircraftConfigRegistry() };
+
+  const items = command === 'check'
+    ? await checkFlights(deps, args)
+    : await routeBoard(deps, args, values.sort);
+
+  if (values.format === 'json') {
+    process.stdout.write(`${JSON.stringify(items, null, 2)}\n`);
+  } else if (values.format === 'csv') {
+    process.stdout.write(toCsv(items.map(item => capacityRow(item))));
+  } else if (items.length === 0) {
+    process.stdout.write('No nonstop flights with availability found on this route\n');
+  } else {
+    process.stdout.write(renderTable(items, threshold));
+  }
+
+  if (items.some(item => isAboveThreshold(item.capacity, threshold))) return EXIT_ABOVE_THRESHOLD;
+  if (items.some(item => item.error)) return EXIT_ERROR;
+  return EXIT_OK;
+};
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    process.stderr.write(`flightcapacity: ${error.message}\n`);
+    if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+      process.stderr.write(`\n${USAGE}\n`);
+    }
+    process.exitCode = EXIT_ERROR;
+  });
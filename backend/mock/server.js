@@ -0,0 +1,260 @@
+// Mock Amadeus API for running the whole stack offline
+// Serves the recorded responses in mock/fixtures for every endpoint AmadeusClient calls
+// (token, flight offers, schedules, locations, airlines, aircraft, seat maps, delay prediction).
+// Fixtures were recorded for RECORDED_DATE and are shifted to whatever date is requested.
+//
+// Usage: npm run mock:amadeus, then start the backend with
+//   AMADEUS_BASE_URL=http://localhost:4010 AMADEUS_ALLOW_CUSTOM_BASE_URL=true NODE_ENV=test
+// Tests start it in-process: `const baseUrl = await new MockAmadeusServer().start(0)`
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const RECORDED_DATE = '2025-11-10';
+export const TOKEN_TTL_SECONDS = 1799;
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+// Moves a recorded fixture onto the requested date (and overnight arrivals onto the day after)
+const shiftDates = (text, date) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return text;
+  return text
+    .replaceAll(addDays(RECORDED_DATE, 1), addDays(date, 1))
+    .replaceAll(RECORDED_DATE, date);
+};
+
+// Amadeus error body format
+const errorBody = (status, title, detail) => ({
+  errors: [{ status, code: status * 100, title, ...(detail && { detail }) }]
+});
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+class MockAmadeusServer {
+  constructor({ fixturesDir = FIXTURES_DIR, clientId = null, clientSecret = null } = {}) {
+    this.fixturesDir = fixturesDir;
+    // Only checked when set, so any credentials work against the mock by default
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+
+    this.server = null;
+    this.tokens = new Set();
+    this.tokenCount = 0;
+    this.overrides = new Map();
+    // Every request received, for assertions in tests
+    this.calls = [];
+  }
+
+  // Listens on the given port (0 picks a free one) and resolves with the base URL
+  start(port = 4010) {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.send(res, 500, errorBody(500, 'INTERNAL ERROR', error.message));
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, () => resolve(this.baseUrl));
+    });
+  }
+
+  get baseUrl() {
+    return `http://localhost:${this.server.address().port}`;
+  }
+
+  stop() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  // Answer the next request for `pathname` with this status and body instead of a fixture
+  // (times defaults to 1; use Infinity to keep failing). Used to test error handling and retries.
+  respondWith(pathname, { status = 500, body, headers = {}, times = 1 } = {}) {
+    this.overrides.set(pathname, { status, body: body ?? errorBody(status, 'MOCK FAILURE'), headers, times });
+  }
+
+  // Forget issued tokens, as if they had expired upstream
+  revokeTokens() {
+    this.tokens.clear();
+  }
+
+  reset() {
+    this.overrides.clear();
+    this.revokeTokens();
+    this.calls = [];
+  }
+
+  send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/vnd.amadeus+json', ...headers });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  }
+
+  fixture(relativePath, date) {
+    const file = path.join(this.fixturesDir, relativePath);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(shiftDates(fs.readFileSync(file, 'utf8'), date));
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const query = Object.fromEntries(url.searchParams);
+    const body = req.method === 'POST' ? await readBody(req) : null;
+    this.calls.push({ method: req.method, path: url.pathname, query, body });
+
+    const override = this.overrides.get(url.pathname);
+    if (override) {
+      override.times -= 1;
+      if (override.times <= 0) this.overrides.delete(url.pathname);
+      return this.send(res, override.status, override.body, override.headers);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/v1/security/oauth2/token') {
+      return this.token(res, new URLSearchParams(body));
+    }
+
+    const token = req.headers.authorization?.replace(/^Bearer /, '');
+    if (!this.tokens.has(token)) {
+      return this.send(res, 401, errorBody(401, 'Invalid access token', 'The access token provided in the Authorization header is invalid'));
+    }
+
+    const route = `${req.method} ${url.pathname}`;
+    switch (route) {
+      case 'GET /v2/shopping/flight-offers':
+        return this.send(res, 200, this.flightOffers(query));
+      case 'GET /v2/schedule/flights':
+        return this.send(res, 200, this.schedule(query));
+      case 'GET /v1/reference-data/locations':
+        return this.send(res, 200, this.locations(query));
+      case 'GET /v1/reference-data/airlines':
+        return this.send(res, 200, this.reference('airlines.json', query.airlineCodes));
+      case 'GET /v1/reference-data/aircraft':
+        return this.send(res, 200, this.reference('aircraft.json', query.aircraftCodes));
+      case 'POST /v1/shopping/seatmaps':
+        return this.seatmaps(res, body);
+      case 'GET /v1/travel/predictions/flight-delay':
+        return this.send(res, 200, this.fixture('delay-prediction.json'));
+      default:
+        return this.send(res, 404, errorBody(404, 'NOT FOUND', `No mock for ${route}`));
+    }
+  }
+
+  token(res, params) {
+    const credentialsMatch = (!this.clientId || params.get('client_id') === this.clientId) &&
+      (!this.clientSecret || params.get('client_secret') === this.clientSecret);
+
+    if (params.get('grant_type') !== 'client_credentials' || !params.get('client_id') || !credentialsMatch) {
+      return this.send(res, 401, {
+        error: 'invalid_client',
+        error_description: 'Client credentials are invalid',
+        code: 38187,
+        title: 'Invalid parameters'
+      });
+    }
+
+    this.tokenCount += 1;
+    const accessToken = `mock-token-${this.tokenCount}`;
+    this.tokens.add(accessToken);
+
+    return this.send(res, 200, {
+      type: 'amadeusOAuth2Token',
+      username: 'mock@flightcapacity.local',
+      application_name: 'flightcapacity-mock',
+      client_id: params.get('client_id'),
+      token_type: 'Bearer',
+      access_token: accessToken,
+      expires_in: TOKEN_TTL_SECONDS,
+      state: 'approved',
+      scope: ''
+    });
+  }
+
+  flightOffers({ originLocationCode, destinationLocationCode, departureDate, max, nonStop }) {
+    const recorded = this.fixture(`flight-offers/${originLocationCode}-${destinationLocationCode}.json`, departureDate);
+    let offers = recorded?.data || [];
+
+    if (nonStop === 'true') {
+      offers = offers.filter(offer => offer.itineraries.every(itinerary => itinerary.segments.length === 1));
+    }
+    offers = offers.slice(0, Number(max) || 250);
+
+    return { meta: { count: offers.length }, data: offers, dictionaries: recorded?.dictionaries || {} };
+  }
+
+  schedule({ carrierCode, flightNumber, scheduledDepartureDate }) {
+    const schedules = this.fixture('schedules.json', scheduledDepartureDate);
+    const flight = schedules[`${carrierCode}${flightNumber}`.toUpperCase()];
+    return { meta: { count: flight ? 1 : 0 }, data: flight ? [flight] : [] };
+  }
+
+  // Airlines can be asked for by ICAO code too
+  reference(file, codes = '') {
+    const wanted = codes.toUpperCase().split(',').filter(Boolean);
+    const data = this.fixture(file).filter(entry => wanted.includes(entry.iataCode) || wanted.includes(entry.icaoCode));
+    return { meta: { count: data.length }, data };
+  }
+
+  // Like Amadeus, the keyword matches the start of the code or of a word in the name or city
+  locations({ keyword = '', subType = 'AIRPORT,CITY', 'page[limit]': limit }) {
+    const word = keyword.toUpperCase();
+    const subTypes = subType.toUpperCase().split(',');
+    const data = this.fixture('locations.json')
+      .filter(location => subTypes.includes(location.subType))
+      .filter(location => [location.iataCode, ...`${location.name} ${location.address.cityName}`.split(/[\s/-]+/)]
+        .some(text => word && text.startsWith(word)))
+      .slice(0, Number(limit) || 10);
+    return { meta: { count: data.length }, data };
+  }
+
+  // One seat map per segment of the posted offers, for flights that have a recording
+  seatmaps(res, body) {
+    let offers;
+    try {
+      offers = JSON.parse(body).data;
+    } catch {
+      return this.send(res, 400, errorBody(400, 'INVALID FORMAT', 'Request body is not valid JSON'));
+    }
+    if (!Array.isArray(offers) || offers.length === 0) {
+      return this.send(res, 400, errorBody(400, 'MANDATORY DATA MISSING', 'data must contain at least one flight offer'));
+    }
+
+    const recorded = offers.flatMap(offer => offer.itineraries.flatMap(itinerary => itinerary.segments)).map(segment => {
+      const date = segment.departure?.at?.slice(0, 10);
+      return this.fixture(`seatmaps/${segment.carrierCode}${segment.number}.json`, date);
+    }).filter(Boolean);
+
+    const data = recorded.flatMap(seatmap => seatmap.data || []);
+    // Amadeus sends one set of code names covering every segment
+    const dictionaries = {};
+    recorded.forEach(seatmap => Object.entries(seatmap.dictionaries || {}).forEach(([name, entries]) => {
+      dictionaries[name] = { ...dictionaries[name], ...entries };
+    }));
+
+    return this.send(res, 200, { meta: { count: data.length }, data, dictionaries });
+  }
+}
+
+export default MockAmadeusServer;
+
+// Run directly: node mock/server.js [port]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.argv[2] || process.env.MOCK_AMADEUS_PORT || 4010);
+  const mock = new MockAmadeusServer();
+
+  mock.start(port).then(baseUrl => {
+    console.log(`🧪 Mock Amadeus API on ${baseUrl}`);
+    console.log(`   Start the backend with AMADEUS_BASE_URL=${baseUrl} AMADEUS_ALLOW_CUSTOM_BASE_URL=true NODE_ENV=test`);
+  });
+}
@@ -0,0 +1,29 @@
+// Creates an API key in storage/api-keys.json and prints it once - only its hash is stored
+// Usage: npm run apikey:create -- <name> [requestsPerMinute] [dailyQuota]
+// Limits default to API_KEY_REQUESTS_PER_MINUTE / API_KEY_DAILY_QUOTA on the server
+
+import dotenv from 'dotenv';
+import ApiKeyRegistry, { API_KEY_HEADER } from '../src/apiKeys.js';
+
+dotenv.config();
+
+const [name, requestsPerMinute, dailyQuota] = process.argv.slice(2);
+
+if (!name) {
+  console.error('Usage: npm run apikey:create -- <name> [requestsPerMinute] [dailyQuota]');
+  process.exit(1);
+}
+
+const limits = [requestsPerMinute, dailyQuota].map(value => (value === undefined ? null : Number(value)));
+if (limits.some(value => value !== null && (!Number.isInteger(value) || value < 1))) {
+  console.error('❌ requestsPerMinute and dailyQuota must be whole numbers above 0');
+  process.exit(1);
+}
+
+// Env keys aren't needed here, and a malformed API_KEYS shouldn't stop us creating one
+const registry = new ApiKeyRegistry({ envKeys: '' });
+const { key, entry } = await registry.create({ name, requestsPerMinute: limits[0], dailyQuota: limits[1] });
+
+console.log(`🔑 Created API key "${entry.name}" (${entry.id})`);
+console.log(`   ${key}`);
+console.log(`   Send it as the ${API_KEY_HEADER} header. It is not stored in plain text and can't be shown again.`);
@@ -0,0 +1,18 @@
+// Loads the bundled airports, cities and airlines into storage/reference-data.json, so
+// autocomplete works offline (or against the mock) without asking Amadeus
+// Usage: npm run reference:seed [-- path/to/reference-data.json]
+// Re-running is safe - seeded entries are replaced and ones learned from Amadeus are kept
+
+import dotenv from 'dotenv';
+import ReferenceData from '../src/referenceData.js';
+
+dotenv.config();
+
+const [seedPath] = process.argv.slice(2);
+const referenceData = new ReferenceData(seedPath ? { seedPath } : {});
+
+const seeded = await referenceData.seed();
+const size = await referenceData.size();
+
+console.log(`🗺️ Seeded reference data v${seeded.version}: ${seeded.locations} airports and cities, ${seeded.airlines} airlines`);
+console.log(`   ${referenceData.store.filePath} now holds ${size.locations} locations and ${size.airlines} airlines`);
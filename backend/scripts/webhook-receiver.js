@@ -0,0 +1,58 @@
+// Local webhook receiver for testing capacity alerts
+// Usage: ALERT_WEBHOOK_SECRET=... npm run webhook:receiver
+// Then point ALERT_WEBHOOK_URL (or a rule's webhookUrl) at http://localhost:4000/webhook
+
+import http from 'http';
+import dotenv from 'dotenv';
+import { verifySignature, SIGNATURE_HEADER, TIMESTAMP_HEADER } from '../src/webhook.js';
+
+dotenv.config();
+
+const PORT = process.env.WEBHOOK_RECEIVER_PORT || 4000;
+const secret = process.env.ALERT_WEBHOOK_SECRET;
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Method not allowed' }));
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const timestamp = req.headers[TIMESTAMP_HEADER.toLowerCase()];
+    const signature = req.headers[SIGNATURE_HEADER.toLowerCase()];
+
+    let verified = 'unsigned (no ALERT_WEBHOOK_SECRET set)';
+    if (secret) {
+      if (!verifySignature(secret, timestamp, body, signature)) {
+        console.log(`❌ ${new Date().toISOString()} - rejected webhook with invalid signature`);
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalid signature' }));
+        return;
+      }
+      verified = 'signature verified';
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      console.log(`❌ ${new Date().toISOString()} - rejected webhook with a body that isn't JSON`);
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid JSON' }));
+      return;
+    }
+
+    console.log(`🔔 ${new Date().toISOString()} - webhook received (${verified})`);
+    console.log(JSON.stringify(payload, null, 2));
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: true }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`📬 Webhook receiver listening on http://localhost:${PORT}/webhook`);
+});
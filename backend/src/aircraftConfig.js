@@ -0,0 +1,55 @@
+// Aircraft configuration registry
+// Maps carrier + IATA aircraft code to per-cabin seat counts from data/aircraft-configs.json.
+// A carrier-specific entry wins; otherwise we fall back to the generic type default.
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_CONFIG_PATH = fileURLToPath(new URL('../data/aircraft-configs.json', import.meta.url));
+
+// Data file uses compact cabin codes, Amadeus uses cabin names
+export const CABIN_CODES = {
+  F: 'FIRST',
+  J: 'BUSINESS',
+  W: 'PREMIUM_ECONOMY',
+  Y: 'ECONOMY'
+};
+
+class AircraftConfigRegistry {
+  constructor(filePath = process.env.AIRCRAFT_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+    this.filePath = filePath;
+
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    this.version = raw.version;
+    this.defaults = raw.defaults || {};
+    this.carriers = raw.carriers || {};
+
+    console.log(`✈️ Loaded aircraft configurations v${this.version} (${Object.keys(this.defaults).length} types, ${Object.keys(this.carriers).length} carriers)`);
+  }
+
+  // Returns the seat configuration for a carrier/aircraft pair, or null if the type is unknown
+  lookup({ carrierCode, aircraftCode }) {
+    if (!aircraftCode) return null;
+
+    const generic = this.defaults[aircraftCode];
+    const carrierEntry = carrierCode ? this.carriers[carrierCode.toUpperCase()]?.[aircraftCode] : null;
+    const entry = carrierEntry || generic;
+    if (!entry) return null;
+
+    const cabins = {};
+    Object.entries(entry.cabins).forEach(([code, seats]) => {
+      cabins[CABIN_CODES[code]] = seats;
+    });
+
+    return {
+      aircraftCode,
+      name: entry.name || generic?.name || null,
+      match: carrierEntry ? 'carrier' : 'generic',
+      version: this.version,
+      cabins,
+      totalSeats: Object.values(cabins).reduce((sum, seats) => sum + seats, 0)
+    };
+  }
+}
+
+export default AircraftConfigRegistry;
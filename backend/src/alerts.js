@@ -0,0 +1,187 @@
+// Capacity-threshold alerts
+// Rules are scoped to a flight (optionally one date) or a whole route, and are evaluated
+// every time we observe a flight's availability. Matches are delivered via signed webhook.
+
+import crypto from 'crypto';
+import JsonStore from './store.js';
+
+export const ALERT_TYPES = ['fullness_above', 'cabin_seats_below', 'price_change'];
+export const CABINS = ['ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST'];
+
+const ruleMatchesFlight = (rule, flight) => {
+  if (rule.flightCode && rule.flightCode !== flight.flightCode) return false;
+  if (rule.date && rule.date !== flight.date) return false;
+  if (rule.route && rule.route !== flight.route) return false;
+  return true;
+};
+
+// Returns { matched, value, message } for a rule against one capacity observation
+const checkRule = (rule, flight, capacity, state) => {
+  const label = `${flight.flightCode} on ${flight.date}`;
+
+  switch (rule.type) {
+    case 'fullness_above': {
+      // Unknown aircraft configuration means no load factor, so nothing to compare.
+      // A seatmap count wins; a load factor inflated by the 9-seat booking cap is only an
+      // upper bound, so it can't prove the flight is that full.
+      const value = capacity.seatmapLoadFactor ?? capacity.loadFactor;
+      const upperBound = capacity.seatmapLoadFactor == null && capacity.capped;
+      return {
+        matched: value !== null && value >= rule.threshold && !upperBound,
+        value,
+        message: `${label} is ${value?.toFixed(0)}% full (threshold ${rule.threshold}%)`
+      };
+    }
+
+    case 'cabin_seats_below': {
+      // A cabin missing from the offers is treated as unknown rather than sold out,
+      // and a capped cabin has at least this many seats, so it can't be below the threshold
+      const value = capacity.cabins[rule.cabin]?.seatsAvailable;
+      const capped = capacity.cabins[rule.cabin]?.capped;
+      return {
+        matched: value !== undefined && !capped && value < rule.threshold,
+        value: value ?? null,
+        message: `${label} has ${value} ${rule.cabin.replace('_', ' ')} seats left (threshold ${rule.threshold})`
+      };
+    }
+
+    case 'price_change': {
+      const value = capacity.minPrice;
+      const baseline = state.baselinePrice;
+      if (value === null || baseline === undefined || baseline === null) {
+        return { matched: false, value, message: null };
+      }
+      const change = (value - baseline) / baseline * 100;
+      return {
+        matched: Math.abs(change) >= rule.threshold,
+        value,
+        change: Math.round(change * 10) / 10,
+        message: `${label} cheapest fare moved ${change > 0 ? '+' : ''}${change.toFixed(1)}% ($${baseline.toFixed(2)} → $${value.toFixed(2)})`
+      };
+    }
+
+    default:
+      return { matched: false, value: null, message: null };
+  }
+};
+
+class AlertManager {
+  constructor({ notifier, store = new JsonStore('alerts', { rules: [], state: {} }) }) {
+    this.notifier = notifier;
+    this.store = store;
+  }
+
+  async list() {
+    const data = await this.store.load();
+    return data.rules;
+  }
+
+  async add({ type, threshold, cabin, flightCode, date, route, webhookUrl }) {
+    const data = await this.store.load();
+
+    const rule = {
+      id: crypto.randomUUID(),
+      type,
+      threshold,
+      cabin: cabin || null,
+      flightCode: flightCode || null,
+      date: date || null,
+      route: route || null,
+      webhookUrl: webhookUrl || null,
+      createdAt: new Date().toISOString()
+    };
+
+    data.rules.push(rule);
+    await this.store.save();
+    return rule;
+  }
+
+  async remove(id) {
+    const data = await this.store.load();
+    const index = data.rules.findIndex(rule => rule.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    data.rules.splice(index, 1);
+    // Drop dedup state for the removed rule
+    Object.keys(data.state)
+      .filter(key => key.startsWith(`${id}:`))
+      .forEach(key => delete data.state[key]);
+
+    await this.store.save();
+    return true;
+  }
+
+  // Evaluate every matching rule against a fresh observation of a flight.
+  // Threshold rules fire once when the condition becomes true and re-arm when it clears;
+  // price rules fire when the fare moves beyond Y% from the price at the last alert.
+  async evaluate({ flight, capacity }) {
+    const data = await this.store.load();
+    const rules = data.rules.filter(rule => ruleMatchesFlight(rule, flight));
+    if (rules.length === 0) {
+      return [];
+    }
+
+    const fired = [];
+
+    for (const rule of rules) {
+      const stateKey = `${rule.id}:${flight.flightCode}:${flight.date}`;
+      const state = data.state[stateKey] || { active: false, baselinePrice: null, lastFiredAt: null };
+      const result = checkRule(rule, flight, capacity, state);
+
+      if (rule.type === 'price_change' && state.baselinePrice === null) {
+        // First observation just sets the baseline
+        state.baselinePrice = capacity.minPrice;
+      } else if (!result.matched) {
+        state.active = false;
+      } else if (rule.type === 'price_change' || !state.active) {
+        const payload = {
+          event: 'capacity.alert',
+          message: result.message,
+          rule: {
+            id: rule.id,
+            type: rule.type,
+            threshold: rule.threshold,
+            cabin: rule.cabin,
+            flightCode: rule.flightCode,
+            date: rule.date,
+            route: rule.route
+          },
+          flight,
+          value: result.value,
+          change: result.change,
+          observedAt: new Date().toISOString()
+        };
+
+        // Claim the alert before awaiting delivery, so an evaluation overlapping this one sees it
+        // as already fired instead of sending it a second time
+        const previous = { ...state };
+        state.active = true;
+        state.lastFiredAt = payload.observedAt;
+        if (rule.type === 'price_change') {
+          state.baselinePrice = capacity.minPrice;
+        }
+        data.state[stateKey] = state;
+        await this.store.save();
+
+        try {
+          await this.notifier.send(payload, rule.webhookUrl || undefined);
+          console.log(`🔔 Alert fired: ${result.message}`);
+          fired.push(payload);
+        } catch (error) {
+          // Put the state back so the next observation retries delivery
+          Object.assign(state, previous);
+          console.warn(`Alert delivery failed for rule ${rule.id}:`, error.message);
+        }
+      }
+
+      data.state[stateKey] = state;
+    }
+
+    await this.store.save();
+    return fired;
+  }
+}
+
+export default AlertManager;
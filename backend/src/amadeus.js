@@ -2,15 +2,47 @@
 // AMADEUS_API_KEY, AMADEUS_API_SECRET, AMADEUS_BASE_URL
 // Automatically switches between test and production on deploy
 
-import fetch from 'node-fetch';
+import ResponseCache from './cache.js';
+import RequestQueue from './requestQueue.js';
+import { summarizeAvailability } from './capacity.js';
+import { UpstreamError, describeError } from './errors.js';
+
+export const MAX_FARE_TREND_DAYS = 60;
+
+// Error bodies are usually Amadeus JSON, but a gateway 502 is HTML and a 429 can be plain text;
+// keep whatever came back for the logs rather than let a parse error hide the status
+const readErrorBody = async (response) => {
+  const text = await response.text().catch(() => '');
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
 
 class AmadeusClient {
-  constructor() {
+  // Options: cacheStore (defaults to in-memory), cacheTtls (seconds per endpoint, see cache.js),
+  // requestsPerSecond and maxRetries for the shared request queue (see requestQueue.js).
+  // clientId, clientSecret, baseUrl and env default to the environment variables; fetchImpl
+  // replaces node-fetch. allowCustomBaseUrl lets a test-mode client talk to a non-Amadeus host
+  // such as the bundled mock server (mock/server.js).
+  constructor({
+    cacheStore,
+    cacheTtls,
+    requestsPerSecond,
+    maxRetries,
+    clientId = process.env.AMADEUS_API_KEY,
+    clientSecret = process.env.AMADEUS_API_SECRET,
+    baseUrl = process.env.AMADEUS_BASE_URL,
+    env = process.env.NODE_ENV || 'test',
+    allowCustomBaseUrl = process.env.AMADEUS_ALLOW_CUSTOM_BASE_URL === 'true',
+    fetchImpl
+  } = {}) {
     // Read from Railway environment variables
-    this.clientId = process.env.AMADEUS_API_KEY;
-    this.clientSecret = process.env.AMADEUS_API_SECRET;
-    this.baseUrl = process.env.AMADEUS_BASE_URL;
-    this.env = process.env.NODE_ENV || 'test';
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.baseUrl = baseUrl;
+    this.env = env;
     
     // ⚠️ STRICT VALIDATION: Prevent deployment with missing or invalid credentials
     if (!this.clientId || !this.clientSecret) {
@@ -18,9 +50,12 @@ class AmadeusClient {
     }
     
     // ⚠️ STRICT VALIDATION: Ensure AMADEUS_BASE_URL is set and valid
-    if (!this.baseUrl || !this.baseUrl.includes('amadeus.com')) {
+    // A custom host is only ever accepted in test mode, so production can't be pointed at the mock
+    const customHostAllowed = allowCustomBaseUrl && this.env === 'test';
+    if (!this.baseUrl || (!this.baseUrl.includes('amadeus.com') && !customHostAllowed)) {
       throw new Error('❌ AMADEUS_BASE_URL is missing or invalid. Check Railway environment settings.');
     }
+    this.baseUrl = this.baseUrl.replace(/\/$/, '');
     
     // ✅ Startup confirmation
     console.log(`✅ Using Amadeus base: ${this.baseUrl}`);
@@ -34,6 +69,17 @@ class AmadeusClient {
     
     this.accessToken = null;
     this.tokenExpiry = null;
+    this.tokenRequest = null;
+    this.cache = new ResponseCache({ store: cacheStore, ttls: cacheTtls });
+
+    // Every upstream call goes through one queue so parallel callers share the rate limit
+    this.queue = new RequestQueue({ requestsPerSecond, maxRetries, ...(fetchImpl && { fetchImpl }) });
+  }
+
+  // Serve from cache when fresh; the result carries a `cache` field describing the hit
+  async cached(namespace, key, fetcher) {
+    const { data, meta } = await this.cache.wrap(namespace, key, fetcher);
+    return { ...data, cache: meta };
   }
 
   async getAccessToken() {
@@ -41,6 +87,12 @@ class AmadeusClient {
       return this.accessToken;
     }
 
+    // Calls that arrive while a token is being fetched wait for that one instead of asking again
+    this.tokenRequest ??= this.requestAccessToken().finally(() => { this.tokenRequest = null; });
+    return this.tokenRequest;
+  }
+
+  async requestAccessToken() {
     const url = `${this.baseUrl}/v1/security/oauth2/token`;
     const params = new URLSearchParams({
       grant_type: 'client_credentials',
@@ -49,7 +101,7 @@ class AmadeusClient {
     });
 
     try {
-      const response = await fetch(url, {
+      const response = await this.queue.fetch(url, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded'
@@ -59,7 +111,7 @@ class AmadeusClient {
 
       if (!response.ok) {
         const error = await response.text();
-        throw new Error(`Token request failed: ${response.status} - ${error}`);
+        throw new UpstreamError('Token request', response.status, error);
       }
 
       const data = await response.json();
@@ -68,51 +120,53 @@ class AmadeusClient {
       
       return this.accessToken;
     } catch (error) {
-      console.error('Error getting access token:', error.message);
+      console.error('Error getting access token:', describeError(error));
       throw error;
     }
   }
 
-  async searchFlightOffers({ origin, destination, departureDate, adults = 1 }) {
-    const token = await this.getAccessToken();
-    
+  // max 250 is the most Amadeus returns - enough to see every flight on a route
+  async searchFlightOffers({ origin, destination, departureDate, adults = 1, max = 10 }) {
     const params = new URLSearchParams({
       originLocationCode: origin,
       destinationLocationCode: destination,
       departureDate: departureDate,
       adults: adults.toString(),
-      max: '10',
+      max: max.toString(),
       currencyCode: 'USD'
     });
 
     const url = `${this.baseUrl}/v2/shopping/flight-offers?${params}`;
 
     try {
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Accept': 'application/json'
+      const data = await this.cached('flightOffers', url, async () => {
+        const token = await this.getAccessToken();
+
+        const response = await this.queue.fetch(url, {
+          method: 'GET',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Accept': 'application/json'
+          }
+        });
+
+        if (!response.ok) {
+          const error = await readErrorBody(response);
+          throw new UpstreamError('Flight search', response.status, error);
         }
-      });
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Flight search failed: ${response.status} - ${JSON.stringify(error)}`);
-      }
+        return response.json();
+      });
 
-      const data = await response.json();
       return data;
     } catch (error) {
-      console.error('Error searching flights:', error.message);
+      console.error('Error searching flights:', describeError(error));
       throw error;
     }
   }
 
   // Get flight availability with capacity info (seats available)
   async getFlightAvailability({ origin, destination, departureDate, carrierCode, flightNumber }) {
-    const token = await this.getAccessToken();
-    
     const params = new URLSearchParams({
       originLocationCode: origin,
       destinationLocationCode: destination,
@@ -126,20 +180,24 @@ class AmadeusClient {
     const url = `${this.baseUrl}/v2/shopping/flight-offers?${params}`;
 
     try {
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Accept': 'application/json'
-        }
-      });
+      const data = await this.cached('flightOffers', url, async () => {
+        const token = await this.getAccessToken();
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Flight availability request failed: ${response.status} - ${JSON.stringify(error)}`);
-      }
+        const response = await this.queue.fetch(url, {
+          method: 'GET',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Accept': 'application/json'
+          }
+        });
 
-      const data = await response.json();
+        if (!response.ok) {
+          const error = await readErrorBody(response);
+          throw new UpstreamError('Flight availability request', response.status, error);
+        }
+
+        return response.json();
+      });
       
       // Filter for specific flight if carrier and number provided
       if (carrierCode && flightNumber) {
@@ -158,15 +216,51 @@ class AmadeusClient {
       
       return data;
     } catch (error) {
-      console.error('Error getting flight availability:', error.message);
+      console.error('Error getting flight availability:', describeError(error));
+      throw error;
+    }
+  }
+
+  // Airports and cities whose code, name or city starts with keyword (autocomplete)
+  async searchLocations({ keyword, subType = 'AIRPORT,CITY', limit = 10 }) {
+    const params = new URLSearchParams({
+      subType,
+      keyword,
+      'page[limit]': limit.toString(),
+      view: 'LIGHT'
+    });
+
+    const url = `${this.baseUrl}/v1/reference-data/locations?${params}`;
+
+    try {
+      const data = await this.cached('locations', url, async () => {
+        const token = await this.getAccessToken();
+
+        const response = await this.queue.fetch(url, {
+          method: 'GET',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Accept': 'application/json'
+          }
+        });
+
+        if (!response.ok) {
+          const error = await readErrorBody(response);
+          throw new UpstreamError('Location search request', response.status, error);
+        }
+
+        return response.json();
+      });
+
+      return data;
+    } catch (error) {
+      console.error('Error searching locations:', describeError(error));
       throw error;
     }
   }
 
   // Get airline information
   async getAirlineInfo({ airlineCode }) {
-    const token = await this.getAccessToken();
-    
     const params = new URLSearchParams({
       airlineCodes: airlineCode
     });
@@ -174,31 +268,34 @@ class AmadeusClient {
     const url = `${this.baseUrl}/v1/reference-data/airlines?${params}`;
 
     try {
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Accept': 'application/json'
+      const data = await this.cached('airlines', url, async () => {
+        const token = await this.getAccessToken();
+
+        const response = await this.queue.fetch(url, {
+          method: 'GET',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Accept': 'application/json'
+          }
+        });
+
+        if (!response.ok) {
+          const error = await readErrorBody(response);
+          throw new UpstreamError('Airline info request', response.status, error);
         }
-      });
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Airline info request failed: ${response.status} - ${JSON.stringify(error)}`);
-      }
+        return response.json();
+      });
 
-      const data = await response.json();
       return data;
     } catch (error) {
-      console.error('Error getting airline info:', error.message);
+      console.error('Error getting airline info:', describeError(error));
       throw error;
     }
   }
 
   // Get aircraft model information
   async getAircraftModel({ aircraftCode }) {
-    const token = await this.getAccessToken();
-    
     const params = new URLSearchParams({
       aircraftCodes: aircraftCode
     });
@@ -206,61 +303,67 @@ class AmadeusClient {
     const url = `${this.baseUrl}/v1/reference-data/aircraft?${params}`;
 
     try {
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Accept': 'application/json'
+      const data = await this.cached('aircraft', url, async () => {
+        const token = await this.getAccessToken();
+
+        const response = await this.queue.fetch(url, {
+          method: 'GET',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Accept': 'application/json'
+          }
+        });
+
+        if (!response.ok) {
+          const error = await readErrorBody(response);
+          throw new UpstreamError('Aircraft model request', response.status, error);
         }
-      });
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Aircraft model request failed: ${response.status} - ${JSON.stringify(error)}`);
-      }
+        return response.json();
+      });
 
-      const data = await response.json();
       return data;
     } catch (error) {
-      console.error('Error getting aircraft model:', error.message);
+      console.error('Error getting aircraft model:', describeError(error));
       throw error;
     }
   }
 
   // Get seatmap for cabin breakdown
   async getSeatmap({ flightOffers }) {
-    const token = await this.getAccessToken();
-    
     const url = `${this.baseUrl}/v1/shopping/seatmaps`;
 
     try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ data: flightOffers })
-      });
+      const data = await this.cached('seatmap', flightOffers, async () => {
+        const token = await this.getAccessToken();
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Seatmap request failed: ${response.status} - ${JSON.stringify(error)}`);
-      }
+        const response = await this.queue.fetch(url, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Accept': 'application/json',
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ data: flightOffers })
+        });
+
+        if (!response.ok) {
+          const error = await readErrorBody(response);
+          throw new UpstreamError('Seatmap request', response.status, error);
+        }
+
+        return response.json();
+      });
 
-      const data = await response.json();
       return data;
     } catch (error) {
-      console.error('Error getting seatmap:', error.message);
+      console.error('Error getting seatmap:', describeError(error));
       throw error;
     }
   }
 
   // Get delay prediction
   async getDelayPrediction({ originLocationCode, destinationLocationCode, departureDate, departureTime, arrivalDate, arrivalTime, aircraftCode, carrierCode, flightNumber, duration }) {
-    const token = await this.getAccessToken();
-    
     const params = new URLSearchParams({
       originLocationCode,
       destinationLocationCode,
@@ -277,132 +380,122 @@ class AmadeusClient {
     const url = `${this.baseUrl}/v1/travel/predictions/flight-delay?${params}`;
 
     try {
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Accept': 'application/json'
+      const data = await this.cached('delayPrediction', url, async () => {
+        const token = await this.getAccessToken();
+
+        const response = await this.queue.fetch(url, {
+          method: 'GET',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Accept': 'application/json'
+          }
+        });
+
+        if (!response.ok) {
+          const error = await readErrorBody(response);
+          throw new UpstreamError('Delay prediction request', response.status, error);
         }
-      });
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Delay prediction request failed: ${response.status} - ${JSON.stringify(error)}`);
-      }
+        return response.json();
+      });
 
-      const data = await response.json();
       return data;
     } catch (error) {
-      console.error('Error getting delay prediction:', error.message);
+      console.error('Error getting delay prediction:', describeError(error));
       throw error;
     }
   }
 
-  // Get fare trend (7-day view)
-  async getFareTrend({ origin, destination, departureDate, carrierCode }) {
-    const token = await this.getAccessToken();
-    
-    // Calculate date range (3 days before, 3 days after)
-    const centerDate = new Date(departureDate);
+  // Get fare calendar - cheapest fare and seats per day for a window of up to MAX_FARE_TREND_DAYS,
+  // centred on the departure date but never starting in the past. Filters to the carrier
+  // (and flight number when given) and breaks prices down per cabin.
+  async getFareTrend({ origin, destination, departureDate, carrierCode, flightNumber, days = 7 }) {
+    const windowDays = Math.min(Math.max(1, days), MAX_FARE_TREND_DAYS);
+    const today = new Date(new Date().toISOString().split('T')[0]);
+    const start = new Date(departureDate);
+    start.setUTCDate(start.getUTCDate() - Math.floor((windowDays - 1) / 2));
+    if (start < today) start.setTime(today.getTime());
+
     const dates = [];
-    
-    for (let i = -3; i <= 3; i++) {
-      const date = new Date(centerDate);
-      date.setDate(centerDate.getDate() + i);
+    for (let i = 0; i < windowDays; i++) {
+      const date = new Date(start);
+      date.setUTCDate(start.getUTCDate() + i);
       dates.push(date.toISOString().split('T')[0]);
     }
-    
-    // Fetch prices for each date with timeout
-    const pricePromises = dates.map(async (date) => {
-      const params = new URLSearchParams({
-        originLocationCode: origin,
-        destinationLocationCode: destination,
-        departureDate: date,
-        adults: '1',
-        max: '1',
-        currencyCode: 'USD'
-      });
-
-      const url = `${this.baseUrl}/v2/shopping/flight-offers?${params}`;
 
+    // Same request as getFlightAvailability, so the departure date is usually a cache hit.
+    // The request queue spaces these out, so a long window takes a while but won't hit 429s.
+    const results = await Promise.all(dates.map(async (date) => {
       try {
-        // Add 5 second timeout per request
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 5000);
-        
-        const response = await fetch(url, {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Accept': 'application/json'
-          },
-          signal: controller.signal
-        });
-        
-        clearTimeout(timeoutId);
+        const data = await this.getFlightAvailability({ origin, destination, departureDate: date });
 
-        if (!response.ok) {
-          return { date, price: null };
-        }
-
-        const data = await response.json();
-        
-        // Filter for specific carrier if provided
         let offers = data.data || [];
         if (carrierCode) {
-          offers = offers.filter(offer => 
-            offer.itineraries?.[0]?.segments?.some(seg => seg.carrierCode === carrierCode)
+          offers = offers.filter(offer =>
+            offer.itineraries?.[0]?.segments?.some(seg =>
+              seg.carrierCode === carrierCode && (!flightNumber || seg.number === flightNumber)
+            )
           );
         }
-        
-        const cheapestPrice = offers.length > 0 ? parseFloat(offers[0].price?.total || 0) : null;
-        return { date, price: cheapestPrice };
+
+        const summary = summarizeAvailability(offers);
+        const cabins = {};
+        Object.entries(summary.cabins).forEach(([cabin, { seats, minPrice }]) => {
+          cabins[cabin] = { price: minPrice, seatsAvailable: seats };
+        });
+
+        return {
+          date,
+          price: summary.minPrice,
+          currency: summary.currency,
+          seatsAvailable: summary.numberOfBookableSeats,
+          cabins
+        };
       } catch (error) {
         console.warn(`Fare trend for ${date} failed:`, error.message);
-        return { date, price: null };
+        return { date, price: null, currency: null, seatsAvailable: null, cabins: {} };
       }
-    });
+    }));
 
-    try {
-      const results = await Promise.all(pricePromises);
-      console.log(`Fare trend retrieved: ${results.filter(r => r.price !== null).length}/7 dates`);
-      return results;
-    } catch (error) {
-      console.error('Fare trend failed:', error.message);
-      return dates.map(date => ({ date, price: null }));
-    }
+    console.log(`Fare trend retrieved: ${results.filter(r => r.price !== null).length}/${dates.length} dates`);
+    return results;
   }
 
   // Get flight status by carrier code, flight number, and date
-  async getFlightStatus({ carrierCode, flightNumber, scheduledDepartureDate }) {
-    const token = await this.getAccessToken();
-    
+  // operationalSuffix picks one of the flights an airline runs under the same number (BA123A)
+  async getFlightStatus({ carrierCode, flightNumber, scheduledDepartureDate, operationalSuffix = null }) {
     const params = new URLSearchParams({
       carrierCode: carrierCode,
       flightNumber: flightNumber,
-      scheduledDepartureDate: scheduledDepartureDate
+      scheduledDepartureDate: scheduledDepartureDate,
+      ...(operationalSuffix && { operationalSuffix })
     });
 
     const url = `${this.baseUrl}/v2/schedule/flights?${params}`;
 
     try {
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Accept': 'application/json'
+      const data = await this.cached('schedule', url, async () => {
+        const token = await this.getAccessToken();
+
+        const response = await this.queue.fetch(url, {
+          method: 'GET',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Accept': 'application/json'
+          }
+        });
+
+        if (!response.ok) {
+          const error = await readErrorBody(response);
+          throw new UpstreamError('Flight status request', response.status, error);
         }
-      });
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Flight status request failed: ${response.status} - ${JSON.stringify(error)}`);
-      }
+        return response.json();
+      });
 
-      const data = await response.json();
       return data;
     } catch (error) {
-      console.error('Error getting flight status:', error.message);
+      console.error('Error getting flight status:', describeError(error));
       throw error;
     }
   }
@@ -0,0 +1,170 @@
+// API keys with a per-minute rate limit and a daily quota for each key
+// Keys come from API_KEYS (name:key[:requestsPerMinute[:dailyQuota]], comma separated) and from
+// storage/api-keys.json, which only holds SHA-256 hashes (see scripts/create-api-key.js).
+// Usage counters are kept in memory, so they reset when the process restarts.
+
+import crypto from 'crypto';
+import JsonStore from './store.js';
+
+export const API_KEY_HEADER = 'X-API-Key';
+export const DEFAULT_REQUESTS_PER_MINUTE = 60;
+export const DEFAULT_DAILY_QUOTA = 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+export const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// Enough of a key to recognise it in a response or log without leaking it
+export const maskKey = (key) => (String(key).length > 8 ? `${String(key).slice(0, 4)}…${String(key).slice(-2)}` : '…');
+
+const positiveInt = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// "ops:abc123:120:5000,frontend:def456" -> [{ name, keyHash, requestsPerMinute, dailyQuota }]
+export const parseEnvKeys = (value = '', defaults = {}) => value
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [name, key, requestsPerMinute, dailyQuota] = entry.split(':');
+    if (!name || !key) {
+      throw new Error(`❌ Invalid API_KEYS entry "${name || entry}" - expected name:key[:requestsPerMinute[:dailyQuota]]`);
+    }
+    return {
+      name,
+      keyHash: hashKey(key),
+      requestsPerMinute: positiveInt(requestsPerMinute, defaults.requestsPerMinute),
+      dailyQuota: positiveInt(dailyQuota, defaults.dailyQuota),
+      source: 'env'
+    };
+  });
+
+class ApiKeyRegistry {
+  constructor({
+    // Keys created by `npm run apikey:create` are picked up without a restart
+    store = new JsonStore('api-keys', { keys: [] }, { reloadOnChange: true }),
+    envKeys = process.env.API_KEYS,
+    requestsPerMinute = DEFAULT_REQUESTS_PER_MINUTE,
+    dailyQuota = DEFAULT_DAILY_QUOTA
+  } = {}) {
+    this.store = store;
+    this.defaults = { requestsPerMinute, dailyQuota };
+    this.envKeys = parseEnvKeys(envKeys, this.defaults);
+    this.usage = new Map();
+  }
+
+  // Env keys win over stored keys with the same hash
+  async list() {
+    const data = await this.store.load();
+    const stored = data.keys
+      .filter(entry => !entry.disabled)
+      .map(entry => ({
+        ...entry,
+        requestsPerMinute: entry.requestsPerMinute || this.defaults.requestsPerMinute,
+        dailyQuota: entry.dailyQuota || this.defaults.dailyQuota,
+        source: 'store'
+      }));
+
+    const envHashes = new Set(this.envKeys.map(entry => entry.keyHash));
+    return [...this.envKeys, ...stored.filter(entry => !envHashes.has(entry.keyHash))];
+  }
+
+  async count() {
+    return (await this.list()).length;
+  }
+
+  async authenticate(key) {
+    if (!key) return null;
+    const keyHash = hashKey(key);
+    return (await this.list()).find(entry => entry.keyHash === keyHash) || null;
+  }
+
+  // Creates a stored key and returns the plain key - the only time it is available
+  async create({ name, requestsPerMinute, dailyQuota }) {
+    const data = await this.store.load();
+    const key = `fc_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const entry = {
+      id: crypto.randomUUID(),
+      name,
+      keyHash: hashKey(key),
+      requestsPerMinute: requestsPerMinute || null,
+      dailyQuota: dailyQuota || null,
+      disabled: false,
+      createdAt: new Date().toISOString()
+    };
+
+    data.keys.push(entry);
+    await this.store.save();
+    return { key, entry };
+  }
+
+  // Counts one request against the key. Fixed one-minute windows for the rate limit and
+  // UTC days for the quota; a rejected request still counts towards neither.
+  consume(entry, now = Date.now()) {
+    const day = new Date(now).toISOString().split('T')[0];
+    let usage = this.usage.get(entry.keyHash);
+    if (!usage || usage.day !== day) {
+      usage = { day, dayCount: 0, windowStart: now, windowCount: 0 };
+      this.usage.set(entry.keyHash, usage);
+    }
+    if (now - usage.windowStart >= MINUTE_MS) {
+      usage.windowStart = now;
+      usage.windowCount = 0;
+    }
+
+    const nextDay = Date.parse(`${day}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+    const windowReset = usage.windowStart + MINUTE_MS;
+
+    if (usage.dayCount >= entry.dailyQuota) {
+      return {
+        allowed: false,
+        reason: 'quota',
+        limit: entry.dailyQuota,
+        remaining: 0,
+        retryAfterSeconds: Math.ceil((nextDay - now) / 1000)
+      };
+    }
+
+    if (usage.windowCount >= entry.requestsPerMinute) {
+      return {
+        allowed: false,
+        reason: 'rate_limit',
+        limit: entry.requestsPerMinute,
+        remaining: 0,
+        retryAfterSeconds: Math.ceil((windowReset - now) / 1000)
+      };
+    }
+
+    usage.dayCount += 1;
+    usage.windowCount += 1;
+
+    return {
+      allowed: true,
+      limit: entry.requestsPerMinute,
+      remaining: entry.requestsPerMinute - usage.windowCount,
+      resetSeconds: Math.ceil((windowReset - now) / 1000),
+      quotaRemaining: entry.dailyQuota - usage.dayCount
+    };
+  }
+
+  usageFor(entry, now = Date.now()) {
+    const day = new Date(now).toISOString().split('T')[0];
+    const usage = this.usage.get(entry.keyHash);
+    const today = usage?.day === day ? usage.dayCount : 0;
+    const thisMinute = usage?.day === day && now - usage.windowStart < MINUTE_MS ? usage.windowCount : 0;
+
+    return {
+      name: entry.name,
+      requestsPerMinute: entry.requestsPerMinute,
+      dailyQuota: entry.dailyQuota,
+      requestsThisMinute: thisMinute,
+      requestsToday: today,
+      quotaRemaining: Math.max(0, entry.dailyQuota - today)
+    };
+  }
+}
+
+export default ApiKeyRegistry;
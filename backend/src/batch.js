@@ -0,0 +1,150 @@
+// Batch capacity lookups - many flights in one request
+// Items run a few at a time (the request queue still paces the Amadeus calls), schedule and
+// reference lookups are shared across the batch, and a failing item only fails itself.
+
+import { buildCapacity, splitOffers, summarizeConnections } from './capacity.js';
+import { scheduleLegs } from './itinerary.js';
+import { PublicError, publicMessage } from './errors.js';
+import { validateParams } from './validation.js';
+import { parseFlightDesignator } from '../../shared/flightDesignator.mjs';
+
+export const MAX_BATCH_SIZE = 50;
+export const DEFAULT_BATCH_CONCURRENCY = 4;
+
+// Runs fn over items with at most `limit` in flight, keeping results in input order
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+};
+
+// Items are checked against the same parameter definitions as the v1 routes (validation.js), so
+// a flight code is parsed like everywhere else (LH 400, QFA7, BA123A) and a date must be a real day.
+// Returns an error message or the parsed item.
+export const parseBatchItem = (item) => {
+  const { values, error } = validateParams(item, { required: ['flightCode', 'date'], optional: ['origin', 'destination'] });
+
+  if (error) {
+    if (error.required) return { error: 'Missing flightCode or date' };
+    return { error: `${error.error} - ${error.message ?? `expected ${error.expected}`}` };
+  }
+
+  const { carrier, number, suffix } = parseFlightDesignator(values.flightCode);
+  return { carrier, number, suffix, ...values };
+};
+
+class BatchLookup {
+  constructor({ amadeus, aircraftConfigs, snapshots = null, concurrency = DEFAULT_BATCH_CONCURRENCY }) {
+    this.amadeus = amadeus;
+    this.aircraftConfigs = aircraftConfigs;
+    this.snapshots = snapshots;
+    this.concurrency = concurrency;
+  }
+
+  // items: [{ flightCode, date, origin?, destination? }]
+  async run(items) {
+    // One promise per distinct lookup, so repeated flights, carriers and aircraft types
+    // in the batch make a single call (failures are shared too)
+    const lookups = new Map();
+    const once = (key, fetcher) => {
+      if (!lookups.has(key)) lookups.set(key, fetcher());
+      return lookups.get(key);
+    };
+
+    const results = await mapWithConcurrency(items, this.concurrency, async (item, index) => {
+      // Whatever goes wrong with one item, parsing included, fails that item only
+      let flightCode = item?.flightCode ?? null;
+      let date = item?.date ?? null;
+
+      try {
+        const parsed = parseBatchItem(item);
+        if (parsed.error) {
+          return { index, flightCode, date, success: false, error: parsed.error };
+        }
+
+        ({ flightCode, date } = parsed);
+        return { index, success: true, ...await this.lookup(parsed, once) };
+      } catch (error) {
+        console.warn(`Batch lookup for ${flightCode} on ${date} failed:`, error.message);
+        return { index, flightCode, date, success: false, error: publicMessage(error) };
+      }
+    });
+
+    const succeeded = results.filter(r => r.success).length;
+    return {
+      count: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    };
+  }
+
+  async lookup({ carrier, number, suffix, flightCode, date, origin, destination }, once) {
+    const scheduleData = await once(`schedule:${flightCode}:${date}`, () => this.amadeus.getFlightStatus({
+      carrierCode: carrier,
+      flightNumber: number,
+      scheduledDepartureDate: date,
+      operationalSuffix: suffix
+    }));
+
+    const legs = scheduleLegs(scheduleData, date);
+    origin = origin || legs[0]?.origin;
+    destination = destination || legs[legs.length - 1]?.destination;
+    if (!origin || !destination) {
+      throw new PublicError('Could not determine flight route');
+    }
+
+    const aircraftCode = legs[0]?.aircraftCode || null;
+
+    // Reference data is best effort, as on the single-flight endpoint
+    const [availabilityData, airlineInfo, aircraftModel] = await Promise.all([
+      this.amadeus.getFlightAvailability({ origin, destination, departureDate: date, carrierCode: carrier, flightNumber: number }),
+      once(`airline:${carrier}`, () => this.amadeus.getAirlineInfo({ airlineCode: carrier }).catch(err => {
+        console.warn('Airline info failed:', err.message);
+        return null;
+      })),
+      aircraftCode ? once(`aircraft:${aircraftCode}`, () => this.amadeus.getAircraftModel({ aircraftCode }).catch(err => {
+        console.warn('Aircraft model failed:', err.message);
+        return null;
+      })) : null
+    ]);
+
+    const { direct, connecting } = splitOffers(availabilityData?.data || [], { carrierCode: carrier, flightNumber: number });
+    const capacity = buildCapacity({
+      offers: direct,
+      aircraftConfig: this.aircraftConfigs.lookup({ carrierCode: carrier, aircraftCode })
+    });
+    const route = `${origin}-${destination}`;
+
+    if (this.snapshots) {
+      await this.snapshots.record({ carrier, number, suffix, date, route, aircraftCode, capacity }).catch(err => {
+        console.warn('Snapshot recording failed:', err.message);
+      });
+    }
+
+    return {
+      flightCode,
+      carrier,
+      number,
+      date,
+      route,
+      departureTime: legs[0]?.departureTime || null,
+      aircraftCode,
+      airline: airlineInfo?.data?.[0]?.businessName || airlineInfo?.data?.[0]?.commonName || null,
+      aircraft: aircraftModel?.data?.[0]?.name || null,
+      capacity,
+      connections: summarizeConnections(connecting)
+    };
+  }
+}
+
+export default BatchLookup;
@@ -0,0 +1,143 @@
+// Response cache for Amadeus calls
+// Entries expire per endpoint TTL, identical in-flight requests share one upstream call,
+// and the backing store is pluggable (in-memory by default, JSON file for persistence).
+// Every caller gets its own copy of the data, so mutating a response can't change the cache.
+
+import JsonStore from './store.js';
+
+export const DEFAULT_TTLS = {
+  airlines: 24 * 60 * 60,       // Reference data almost never changes
+  aircraft: 24 * 60 * 60,
+  locations: 24 * 60 * 60,
+  schedule: 15 * 60,
+  flightOffers: 2 * 60,         // Availability moves quickly
+  seatmap: 2 * 60,
+  delayPrediction: 60 * 60
+};
+
+const MAX_MEMORY_ENTRIES = 1000;
+
+export class MemoryCacheStore {
+  constructor(maxEntries = MAX_MEMORY_ENTRIES) {
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  async get(key) {
+    return this.entries.get(key);
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    // Map keeps insertion order, so the first key is the oldest
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+// Persists entries to storage/cache.json so reference data survives restarts
+export class FileCacheStore {
+  constructor(store = new JsonStore('cache', {})) {
+    this.store = store;
+  }
+
+  async get(key) {
+    const data = await this.store.load();
+    return data[key];
+  }
+
+  async set(key, entry) {
+    const data = await this.store.load();
+    data[key] = entry;
+
+    // Drop expired entries whenever we write
+    const now = Date.now();
+    Object.keys(data).forEach(k => {
+      if (data[k].expiresAt <= now) delete data[k];
+    });
+
+    await this.store.save();
+  }
+
+  async delete(key) {
+    const data = await this.store.load();
+    delete data[key];
+    await this.store.save();
+  }
+
+  async size() {
+    const data = await this.store.load();
+    return Object.keys(data).length;
+  }
+}
+
+class ResponseCache {
+  constructor({ store = new MemoryCacheStore(), ttls = {} } = {}) {
+    this.store = store;
+    this.ttls = { ...DEFAULT_TTLS, ...ttls };
+    this.inFlight = new Map();
+    this.stats = { hits: 0, misses: 0, shared: 0 };
+  }
+
+  // Returns { data, meta } where meta.status is 'hit', 'miss' or 'shared'
+  async wrap(namespace, params, fetcher) {
+    const key = `${namespace}:${JSON.stringify(params)}`;
+    const ttlSeconds = this.ttls[namespace] ?? 0;
+
+    const entry = ttlSeconds > 0 ? await this.store.get(key) : undefined;
+    if (entry && entry.expiresAt > Date.now()) {
+      this.stats.hits += 1;
+      return {
+        data: structuredClone(entry.data),
+        meta: { status: 'hit', ageSeconds: Math.round((Date.now() - entry.storedAt) / 1000), ttlSeconds }
+      };
+    }
+
+    if (this.inFlight.has(key)) {
+      this.stats.shared += 1;
+      const data = await this.inFlight.get(key);
+      return { data: structuredClone(data), meta: { status: 'shared', ageSeconds: 0, ttlSeconds } };
+    }
+
+    this.stats.misses += 1;
+    const request = (async () => {
+      const data = await fetcher();
+      if (ttlSeconds > 0) {
+        const now = Date.now();
+        await this.store.set(key, { data: structuredClone(data), storedAt: now, expiresAt: now + ttlSeconds * 1000 });
+      }
+      return data;
+    })();
+
+    // Errors are never cached - the next caller simply retries
+    this.inFlight.set(key, request);
+    try {
+      const data = await request;
+      return { data, meta: { status: 'miss', ageSeconds: 0, ttlSeconds } };
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  async status() {
+    return {
+      store: this.store.constructor.name,
+      entries: await this.store.size(),
+      inFlight: this.inFlight.size,
+      ...this.stats
+    };
+  }
+}
+
+export default ResponseCache;
@@ -0,0 +1,269 @@
+// Capacity engine
+// Turns raw Amadeus flight-offers plus an aircraft configuration into the normalized
+// `capacity` object returned by /api/flight-capacity. Shared by alerts, snapshots and the poller.
+
+// Amadeus never reports more than 9 bookable seats for an offer, and searches are limited to
+// 9 travellers, so probing with larger adults counts can't see past it either. A cabin showing
+// 9 has *at least* 9 free seats - its load factor is an upper bound, not an estimate.
+export const BOOKABLE_SEAT_CAP = 9;
+
+const percentFull = (capacity, seatsAvailable) =>
+  Math.round(Math.max(0, Math.min(100, (capacity - seatsAvailable) / capacity * 100)) * 10) / 10;
+
+// Reduce raw flight-offers to bookable seats and cheapest fares per cabin
+export const summarizeAvailability = (offers = []) => {
+  const cabins = {};
+  let numberOfBookableSeats = 0;
+  let minPrice = null;
+  let currency = null;
+
+  offers.forEach(offer => {
+    const seats = offer.numberOfBookableSeats || 0;
+    const price = parseFloat(offer.price?.total || 0);
+
+    numberOfBookableSeats = Math.max(numberOfBookableSeats, seats);
+    if (price > 0 && (minPrice === null || price < minPrice)) {
+      minPrice = price;
+      currency = offer.price?.currency || currency;
+    }
+
+    offer.travelerPricings?.forEach(pricing => {
+      pricing.fareDetailsBySegment?.forEach(segment => {
+        const cabin = segment.cabin || 'UNKNOWN';
+        if (!cabins[cabin]) {
+          cabins[cabin] = { seats: 0, minPrice: null, offers: 0 };
+        }
+        // Use the maximum seats available for this cabin (not sum)
+        // Multiple offers represent different fare classes for the same inventory
+        cabins[cabin].seats = Math.max(cabins[cabin].seats, seats);
+        cabins[cabin].offers += 1;
+        if (price > 0 && (cabins[cabin].minPrice === null || price < cabins[cabin].minPrice)) {
+          cabins[cabin].minPrice = price;
+        }
+      });
+    });
+  });
+
+  const totalSeatsAvailable = Object.values(cabins).reduce((sum, cabin) => sum + cabin.seats, 0);
+
+  return {
+    cabins,
+    numberOfBookableSeats,
+    totalSeatsAvailable,
+    minPrice,
+    currency
+  };
+};
+
+// How far to trust the load factor, based on how the free seats were counted and what we
+// know about the aircraft
+const scoreConfidence = ({ hasAvailability, aircraftConfig, cappedCabins, cabinCount, seatmap }) => {
+  if (!hasAvailability) {
+    return { confidence: 'low', reason: 'Carrier does not share seat availability' };
+  }
+  if (seatmap?.status === 'ok') {
+    return { confidence: 'high', reason: 'Seats counted one by one from the seatmap' };
+  }
+  if (!aircraftConfig) {
+    return { confidence: 'low', reason: 'No seat configuration on file for this aircraft' };
+  }
+  if (cappedCabins > 0 && cappedCabins === cabinCount) {
+    return { confidence: 'low', reason: `Every cabin shows the ${BOOKABLE_SEAT_CAP}-seat booking cap, so only a minimum number of free seats is known` };
+  }
+  if (cappedCabins > 0) {
+    return { confidence: 'medium', reason: `Some cabins show the ${BOOKABLE_SEAT_CAP}-seat booking cap, so fullness is an upper bound` };
+  }
+  if (aircraftConfig.match === 'generic') {
+    return { confidence: 'medium', reason: 'Seat counts are a typical configuration for this aircraft type' };
+  }
+  return { confidence: 'high', reason: 'Seat counts match this carrier\'s configuration' };
+};
+
+const SEAT_STATUSES = ['AVAILABLE', 'OCCUPIED', 'BLOCKED'];
+
+const countSeats = (seats) => {
+  const counts = { total: 0, available: 0, occupied: 0, blocked: 0 };
+  seats.forEach(seat => {
+    const status = seat.travelerPricing?.[0]?.seatAvailabilityStatus;
+    if (!SEAT_STATUSES.includes(status)) return;
+    counts.total += 1;
+    counts[status.toLowerCase()] += 1;
+  });
+  return { ...counts, loadFactor: counts.total > 0 ? percentFull(counts.total, counts.available) : null };
+};
+
+const countByCabin = (seats) => {
+  const byCabin = {};
+  seats.forEach(seat => {
+    const cabin = seat.cabin || 'UNKNOWN';
+    (byCabin[cabin] = byCabin[cabin] || []).push(seat);
+  });
+  return Object.fromEntries(Object.entries(byCabin).map(([cabin, cabinSeats]) => [cabin, countSeats(cabinSeats)]));
+};
+
+// Count AVAILABLE / OCCUPIED / BLOCKED seats in one segment's seatmap, per deck and per cabin.
+// Blocked seats can't be sold, so anything not AVAILABLE counts towards the load factor.
+export const summarizeSeatmap = (seatmap) => {
+  const decks = seatmap.decks || [];
+  const allSeats = decks.flatMap(deck => deck.seats || []);
+
+  return {
+    segmentId: seatmap.segmentId || null,
+    route: `${seatmap.departure?.iataCode}-${seatmap.arrival?.iataCode}`,
+    aircraftCode: seatmap.aircraft?.code || null,
+    ...countSeats(allSeats),
+    cabins: countByCabin(allSeats),
+    decks: decks.map(deck => ({
+      deckType: deck.deckType || 'MAIN',
+      ...countSeats(deck.seats || []),
+      cabins: countByCabin(deck.seats || [])
+    }))
+  };
+};
+
+// Seatmap occupancy for a flight from the /v1/shopping/seatmaps response (one seatmap per
+// segment). Multi-stop flights report the fullest segment as the headline load factor.
+export const buildSeatmapOccupancy = (seatmapData) => {
+  const segments = (seatmapData?.data || [])
+    .map(summarizeSeatmap)
+    .filter(segment => segment.total > 0);
+
+  if (segments.length === 0) {
+    return { status: 'unavailable', reason: 'No seatmap returned for this flight' };
+  }
+
+  const fullest = segments.reduce((a, b) => ((b.loadFactor ?? -1) > (a.loadFactor ?? -1) ? b : a));
+
+  return {
+    status: 'ok',
+    loadFactor: fullest.loadFactor,
+    seatsAvailable: fullest.available,
+    seatCount: fullest.total,
+    cabins: fullest.cabins,
+    segments
+  };
+};
+
+// Build the normalized capacity object from raw offers and an aircraft configuration
+// (as returned by AircraftConfigRegistry.lookup, or null when the aircraft is unknown).
+// seatmap is the optional buildSeatmapOccupancy result, reported next to the estimate.
+export const buildCapacity = ({ offers = [], aircraftConfig = null, seatmap = null }) => {
+  const summary = summarizeAvailability(offers);
+  const hasAvailability = offers.length > 0;
+
+  const cabins = {};
+  let knownCapacity = 0;
+  let knownAvailable = 0;
+
+  Object.entries(summary.cabins).forEach(([cabin, data]) => {
+    const capacity = aircraftConfig?.cabins[cabin] ?? null;
+    cabins[cabin] = {
+      seatsAvailable: data.seats,
+      // seatsAvailable is a lower bound and loadFactor an upper bound
+      capped: data.seats >= BOOKABLE_SEAT_CAP,
+      capacity,
+      loadFactor: capacity ? percentFull(capacity, data.seats) : null,
+      minPrice: data.minPrice,
+      offers: data.offers
+    };
+
+    if (capacity) {
+      knownCapacity += capacity;
+      knownAvailable += data.seats;
+    }
+  });
+
+  const seatCapacity = aircraftConfig?.totalSeats ?? null;
+  const cappedCabins = Object.values(cabins).filter(cabin => cabin.capped).length;
+  const { confidence, reason } = scoreConfidence({
+    hasAvailability,
+    aircraftConfig,
+    cappedCabins,
+    cabinCount: Object.keys(cabins).length,
+    seatmap
+  });
+
+  // What the headline numbers are: an exact seatmap count, a lower bound on free seats
+  // (upper bound on fullness) because of the booking cap, or plain bookable-seat counts
+  let basis = 'bookable_seats';
+  if (seatmap?.status === 'ok') basis = 'seatmap';
+  else if (cappedCabins > 0) basis = 'lower_bound';
+
+  return {
+    hasAvailability,
+    seatsAvailable: summary.totalSeatsAvailable,
+    numberOfBookableSeats: summary.numberOfBookableSeats,
+    seatCapacity,
+    loadFactor: seatCapacity && summary.totalSeatsAvailable > 0
+      ? percentFull(seatCapacity, summary.totalSeatsAvailable)
+      : null,
+    minPrice: summary.minPrice,
+    currency: summary.currency,
+    cabins,
+    // Totals across the cabins we have seat counts for
+    cabinTotals: knownCapacity > 0
+      ? { capacity: knownCapacity, seatsAvailable: knownAvailable, loadFactor: percentFull(knownCapacity, knownAvailable) }
+      : null,
+    aircraftConfig: aircraftConfig
+      ? {
+          aircraftCode: aircraftConfig.aircraftCode,
+          name: aircraftConfig.name,
+          match: aircraftConfig.match,
+          version: aircraftConfig.version,
+          cabins: aircraftConfig.cabins
+        }
+      : null,
+    capped: cappedCabins > 0,
+    basis,
+    confidence,
+    confidenceReason: reason,
+    seatmap,
+    seatmapLoadFactor: seatmap?.status === 'ok' ? seatmap.loadFactor : null
+  };
+};
+
+// Separate offers where the flight is the whole itinerary from ones that only use it as one
+// leg of a connection. Connection seat counts are capped by the other legs, so they don't
+// describe this flight's cabin and are kept out of its capacity.
+export const splitOffers = (offers = [], { carrierCode, flightNumber }) => {
+  const direct = [];
+  const connecting = [];
+
+  offers.forEach(offer => {
+    const segments = offer.itineraries?.[0]?.segments || [];
+    const ours = segments.filter(seg => seg.carrierCode === carrierCode && seg.number === flightNumber);
+    if (ours.length === 0) return;
+    (ours.length === segments.length ? direct : connecting).push(offer);
+  });
+
+  return { direct, connecting };
+};
+
+// Short summary of the connecting offers that include a flight
+export const summarizeConnections = (offers = []) => {
+  const summary = summarizeAvailability(offers);
+  return {
+    offers: offers.length,
+    numberOfBookableSeats: summary.numberOfBookableSeats,
+    minPrice: summary.minPrice,
+    currency: summary.currency
+  };
+};
+
+// The leg that limits an itinerary: highest load factor when every leg with availability has
+// one, otherwise the fewest seats available. Legs are objects with a `capacity` field.
+export const findBottleneck = (legs = []) => {
+  const candidates = legs
+    .map((leg, index) => ({ index, capacity: leg.capacity }))
+    .filter(({ capacity }) => capacity?.hasAvailability);
+
+  if (candidates.length === 0) return null;
+
+  if (candidates.every(({ capacity }) => capacity.loadFactor !== null)) {
+    const worst = candidates.reduce((a, b) => (b.capacity.loadFactor > a.capacity.loadFactor ? b : a));
+    return { index: worst.index, basis: 'loadFactor', loadFactor: worst.capacity.loadFactor, seatsAvailable: worst.capacity.seatsAvailable };
+  }
+
+  const worst = candidates.reduce((a, b) => (b.capacity.seatsAvailable < a.capacity.seatsAvailable ? b : a));
+  return { index: worst.index, basis: 'seatsAvailable', loadFactor: worst.capacity.loadFactor, seatsAvailable: worst.capacity.seatsAvailable };
+};
@@ -0,0 +1,34 @@
+// Errors whose messages are safe to send to API clients
+// Anything else (upstream bodies, stack traces, network errors naming internal hosts) stays in
+// our logs; clients get a generic message and the request ID to quote.
+
+// A failed Amadeus call - the message names the operation and status only, while the
+// response body is kept on `details` for logging
+export class UpstreamError extends Error {
+  constructor(operation, status, details = null) {
+    super(`${operation} failed: ${status}`);
+    this.name = 'UpstreamError';
+    this.operation = operation;
+    this.status = status;
+    this.details = details;
+    this.expose = true;
+  }
+}
+
+// One of our own errors with a message written for the client
+export class PublicError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PublicError';
+    this.expose = true;
+  }
+}
+
+export const publicMessage = (error) =>
+  (error?.expose ? error.message : 'Unexpected server error - quote the request ID when reporting it');
+
+// Full description for our own logs, including the upstream body
+export const describeError = (error) => {
+  if (!error?.details) return error?.message;
+  return `${error.message} - ${typeof error.details === 'string' ? error.details : JSON.stringify(error.details)}`;
+};
@@ -0,0 +1,204 @@
+// Spreadsheet export of capacity results - one row per flight, as CSV or XLSX
+// The XLSX writer is the smallest workbook Excel, Numbers and Sheets will open: one sheet
+// of inline strings and numbers, zipped by hand with zlib so we don't need a dependency.
+
+import zlib from 'zlib';
+
+export const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+export const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const CABIN_COLUMNS = [
+  ['FIRST', 'First seats'],
+  ['BUSINESS', 'Business seats'],
+  ['PREMIUM_ECONOMY', 'Premium economy seats'],
+  ['ECONOMY', 'Economy seats']
+];
+
+export const EXPORT_HEADERS = [
+  'Flight',
+  'Date',
+  'Route',
+  'Aircraft',
+  ...CABIN_COLUMNS.map(([, label]) => label),
+  'Seats available',
+  'At booking cap',
+  'Min fare',
+  'Currency',
+  'Estimated capacity',
+  'Fill %',
+  'Confidence',
+  'Error'
+];
+
+const round1 = (value) => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+
+// One spreadsheet row for a flight; capacity is the object from buildCapacity (null when the lookup failed)
+export const capacityRow = ({ flightCode, date, route = null, aircraftCode = null, capacity = null, error = null }) => {
+  const fill = capacity ? (capacity.seatmapLoadFactor ?? capacity.loadFactor) : null;
+
+  return [
+    flightCode,
+    date,
+    route,
+    capacity?.aircraftConfig?.name || aircraftCode,
+    ...CABIN_COLUMNS.map(([cabin]) => capacity?.cabins?.[cabin]?.seatsAvailable ?? null),
+    capacity?.hasAvailability ? capacity.seatsAvailable : null,
+    capacity ? (capacity.capped ? 'yes' : 'no') : null,
+    capacity?.minPrice ?? null,
+    capacity?.currency ?? null,
+    capacity?.seatCapacity ?? null,
+    round1(fill),
+    capacity?.confidence ?? null,
+    error
+  ];
+};
+
+// Quote per RFC 4180, and stop spreadsheets treating text such as "=HYPERLINK(...)" as a formula
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows, headers = EXPORT_HEADERS) =>
+  [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// A1-style column letters: 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const sheetXml = (rows) => {
+  const body = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (value === null || value === undefined) return '';
+      if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+      return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${body}</sheetData></worksheet>`;
+};
+
+const workbookFiles = (rows, sheetName) => ({
+  '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '</Types>',
+  '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>',
+  'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+  'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '</Relationships>',
+  'xl/worksheets/sheet1.xml': sheetXml(rows)
+});
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Deflated zip archive of { path: contents }
+const zip = (files) => {
+  const local = [];
+  const central = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([path, contents]) => {
+    const name = Buffer.from(path, 'utf8');
+    const data = Buffer.from(contents, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);                  // version needed
+    header.writeUInt16LE(0x0800, 6);              // UTF-8 names
+    header.writeUInt16LE(8, 8);                   // deflate
+    header.writeUInt16LE(0, 10);                  // time
+    header.writeUInt16LE(0x21, 12);               // date: 1980-01-01
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);                   // version made by
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt16LE(0, 12);
+    entry.writeUInt16LE(0x21, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(offset, 42);              // extra, comment, disk, attributes stay 0
+
+    local.push(header, name, compressed);
+    central.push(entry, name);
+    offset += header.length + name.length + compressed.length;
+  });
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(central.length / 2, 8);
+  end.writeUInt16LE(central.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...local, directory, end]);
+};
+
+export const toXlsx = (rows, { headers = EXPORT_HEADERS, sheetName = 'Capacity' } = {}) =>
+  zip(workbookFiles([headers, ...rows], sheetName));
+
+// Sends rows as a file download; filename has no extension
+export const sendExport = (res, format, rows, filename) => {
+  const body = format === 'xlsx' ? toXlsx(rows) : toCsv(rows);
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.send(body);
+};
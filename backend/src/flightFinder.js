@@ -0,0 +1,47 @@
+// Flight number search - candidate flights on a route when the flight code isn't known
+// ("the morning Qantas flight Perth to Sydney"). Candidates come from one flight-offers search,
+// grouped by flight number like the route board, then narrowed by carrier and local departure
+// time. Picking one runs the normal capacity lookup for its flight code.
+
+import { buildRouteBoard } from './routeBoard.js';
+import { parseFlightDesignator } from '../../shared/flightDesignator.mjs';
+
+// Local departure times, HH:MM - before is exclusive so the windows don't overlap
+export const TIME_WINDOWS = {
+  night: { after: '00:00', before: '05:00' },
+  morning: { after: '05:00', before: '12:00' },
+  afternoon: { after: '12:00', before: '17:00' },
+  evening: { after: '17:00', before: '24:00' }
+};
+
+// A window whose end is before its start runs past midnight (22:00-02:00)
+const inWindow = (time, { after = '00:00', before = '24:00' }) => (
+  after <= before
+    ? time >= after && time < before
+    : time >= after || time < before
+);
+
+// Codeshares are folded into the operating flight, so QF also finds an EK-operated QF flight
+const flownBy = (flight, carrier) => (
+  flight.carrier === carrier ||
+  flight.operatingCarrier === carrier ||
+  flight.codeshares.some(code => parseFlightDesignator(code).carrier === carrier)
+);
+
+// offers: a flight-offers search for origin-destination on one date
+// Departure times in offers are local to the origin, which is what the window is in
+export const findFlightCandidates = ({ offers = [], origin, destination, aircraftConfigs, carrier = null, after, before }) => {
+  const flights = buildRouteBoard({ offers, origin, destination, aircraftConfigs, sort: 'departure' });
+
+  return flights
+    .filter(flight => !carrier || flownBy(flight, carrier))
+    .filter(flight => inWindow(flight.departureTime.slice(11, 16), { after, before }))
+    .map(({ capacity, ...flight }) => ({
+      ...flight,
+      origin,
+      destination,
+      seatsAvailable: capacity.seatsAvailable,
+      minPrice: capacity.minPrice,
+      loadFactor: capacity.loadFactor
+    }));
+};
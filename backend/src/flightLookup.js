@@ -0,0 +1,221 @@
+// Single-flight lookups shared by the legacy /api routes and /v1
+// Both return the raw Amadeus responses alongside what we compute from them: /api still passes
+// the raw payloads through, while /v1 maps them to the types in types.js.
+
+import { buildCapacity, buildSeatmapOccupancy, splitOffers, summarizeConnections, findBottleneck } from './capacity.js';
+import { scheduleLegs, analyzeLeg } from './itinerary.js';
+import { formatFlightCode } from '../../shared/flightDesignator.mjs';
+
+// Capacity of one flight, with its schedule, reference data and (optionally) seatmap.
+// Records a snapshot and checks alert rules like every other lookup.
+// Returns null when neither the query nor the schedule gives the route.
+export const lookupFlightCapacity = async ({ amadeus, aircraftConfigs, snapshots, alerts }, { carrier, number, suffix = null, date, origin, destination, seatmap: includeSeatmap = false }) => {
+  const flightCode = formatFlightCode({ carrier, number, suffix });
+
+  // The schedule gives us the route (when not provided), aircraft and timings in one call
+  const scheduleData = await amadeus.getFlightStatus({
+    carrierCode: carrier,
+    flightNumber: number,
+    scheduledDepartureDate: date,
+    operationalSuffix: suffix
+  });
+
+  // If origin/destination not provided, extract them from the schedule
+  if (!origin || !destination) {
+    console.log(`Extracting route from schedule for ${flightCode} on ${date}`);
+
+    const flightPoints = scheduleData.data?.[0]?.flightPoints || [];
+    origin = flightPoints[0]?.iataCode;
+    destination = flightPoints[flightPoints.length - 1]?.iataCode;
+    if (flightPoints.length < 2 || !origin || !destination) {
+      return null;
+    }
+
+    console.log(`Route extracted: ${origin} → ${destination}`);
+  }
+
+  console.log(`Getting flight capacity: ${flightCode} from ${origin} to ${destination} on ${date}`);
+
+  const route = `${origin}-${destination}`;
+
+  // Extract aircraft code from schedule for additional queries
+  const aircraftCode = scheduleData.data?.[0]?.legs?.[0]?.aircraftEquipment?.aircraftType;
+
+  // Multi-stop flights get each leg analyzed separately (e.g. PER-SIN and SIN-LHR)
+  const legs = scheduleLegs(scheduleData, date);
+
+  // Fetch all enhanced data in parallel
+  // Fare trend and delay prediction are slow, so the UI loads them separately
+  // once this response renders
+  const [
+    availabilityData,
+    airlineInfo,
+    aircraftModel,
+    legCapacity
+  ] = await Promise.all([
+    amadeus.getFlightAvailability({
+      origin,
+      destination,
+      departureDate: date,
+      carrierCode: carrier,
+      flightNumber: number
+    }),
+    amadeus.getAirlineInfo({
+      airlineCode: carrier
+    }).catch(err => {
+      console.warn('Airline info failed:', err.message);
+      return null;
+    }),
+    aircraftCode ? amadeus.getAircraftModel({
+      aircraftCode: aircraftCode
+    }).catch(err => {
+      console.warn('Aircraft model failed:', err.message);
+      return null;
+    }) : Promise.resolve(null),
+    legs.length > 1 ? Promise.all(legs.map(leg => analyzeLeg({
+      amadeus,
+      aircraftConfigs,
+      carrierCode: carrier,
+      flightNumber: number,
+      origin: leg.origin,
+      destination: leg.destination,
+      date: leg.date,
+      aircraftCode: leg.aircraftCode,
+      departureTime: leg.departureTime
+    }))).catch(err => {
+      console.warn('Leg capacity failed:', err.message);
+      return null;
+    }) : Promise.resolve(null)
+  ]);
+
+  // Offers that only use this flight as part of a connection are reported separately
+  const { direct, connecting } = splitOffers(availabilityData?.data || [], {
+    carrierCode: carrier,
+    flightNumber: number
+  });
+
+  // Optional exact occupancy: the seatmap for the cheapest matching offer counts every seat,
+  // where numberOfBookableSeats stops at 9. Many carriers don't publish seatmaps.
+  let seatmap = null;
+  let seatmapData = null;
+  if (includeSeatmap) {
+    if (direct.length === 0) {
+      seatmap = { status: 'unavailable', reason: 'No offer for this flight to request a seatmap with' };
+    } else {
+      try {
+        seatmapData = await amadeus.getSeatmap({ flightOffers: [direct[0]] });
+        seatmap = buildSeatmapOccupancy(seatmapData);
+      } catch (err) {
+        console.warn('Seatmap failed:', err.message);
+        seatmap = { status: 'unavailable', reason: 'Seatmap not available from this carrier' };
+      }
+    }
+  }
+
+  // Normalized capacity against the real seat configuration for this carrier's aircraft
+  const capacity = buildCapacity({
+    offers: direct,
+    aircraftConfig: aircraftConfigs.lookup({
+      carrierCode: carrier,
+      aircraftCode
+    }),
+    seatmap
+  });
+
+  // Record a snapshot so we can chart how the flight fills up over time
+  await snapshots.record({
+    carrier,
+    number,
+    suffix,
+    date,
+    route,
+    aircraftCode,
+    capacity
+  }).catch(err => {
+    console.warn('Snapshot recording failed:', err.message);
+  });
+
+  // Check alert rules in the background - webhook delivery shouldn't slow the response
+  if (capacity.hasAvailability) {
+    alerts.evaluate({
+      flight: {
+        carrier,
+        number,
+        flightCode,
+        date,
+        route,
+        aircraftCode: aircraftCode || null
+      },
+      capacity
+    }).catch(err => {
+      console.warn('Alert evaluation failed:', err.message);
+    });
+  }
+
+  return {
+    flightCode,
+    route,
+    aircraftCode: aircraftCode || null,
+    scheduleData,
+    availabilityData,
+    airlineInfo,
+    aircraftModel,
+    // Only set when the seatmap could be counted
+    seatmapData: seatmap?.status === 'ok' ? seatmapData : null,
+    capacity,
+    connections: summarizeConnections(connecting),
+    legs: legCapacity,
+    bottleneck: legCapacity ? findBottleneck(legCapacity) : null,
+    cache: {
+      schedule: scheduleData.cache,
+      availability: availabilityData.cache,
+      airline: airlineInfo?.cache || null,
+      aircraft: aircraftModel?.cache || null
+    }
+  };
+};
+
+// Schedule timings are local ISO strings (2025-11-10T10:00+01:00); the API wants date and HH:MM:SS
+const localDate = (value) => value.slice(0, 10);
+const localTime = (value) => `${value.slice(11, 16)}:00`;
+
+// Delay prediction for a flight - timings and aircraft come from the (cached) schedule.
+// Returns null when the schedule doesn't have what the prediction needs.
+export const lookupDelayPrediction = async ({ amadeus }, { carrier, number, suffix = null, date }) => {
+  const scheduleData = await amadeus.getFlightStatus({
+    carrierCode: carrier,
+    flightNumber: number,
+    scheduledDepartureDate: date,
+    operationalSuffix: suffix
+  });
+
+  const flight = scheduleData.data?.[0];
+  const departure = flight?.flightPoints?.find(fp => fp.departure);
+  const arrival = flight?.flightPoints?.find(fp => fp.arrival);
+  const departureTime = departure?.departure?.timings?.[0]?.value;
+  const arrivalTime = arrival?.arrival?.timings?.[0]?.value;
+  const aircraftCode = flight?.legs?.[0]?.aircraftEquipment?.aircraftType;
+  const duration = flight?.legs?.[0]?.scheduledLegDuration;
+
+  if (!departureTime || !arrivalTime || !aircraftCode || !duration) {
+    return null;
+  }
+
+  const delayPrediction = await amadeus.getDelayPrediction({
+    originLocationCode: departure.iataCode,
+    destinationLocationCode: arrival.iataCode,
+    departureDate: localDate(departureTime),
+    departureTime: localTime(departureTime),
+    arrivalDate: localDate(arrivalTime),
+    arrivalTime: localTime(arrivalTime),
+    aircraftCode,
+    carrierCode: carrier,
+    flightNumber: number,
+    duration
+  });
+
+  return {
+    route: `${departure.iataCode}-${arrival.iataCode}`,
+    delayPrediction
+  };
+};
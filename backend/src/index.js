@@ -6,7 +6,26 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
 import AmadeusClient from './amadeus.js';
+import SnapshotStore from './snapshots.js';
+import Watchlist from './watchlist.js';
+import WatchlistPoller from './poller.js';
+import AlertManager from './alerts.js';
+import WebhookNotifier from './webhook.js';
+import AircraftConfigRegistry from './aircraftConfig.js';
+import ReferenceData from './referenceData.js';
+import { FileCacheStore } from './cache.js';
+import BatchLookup from './batch.js';
+import { capacityRow, sendExport } from './export.js';
+import ApiKeyRegistry, { API_KEY_HEADER, maskKey } from './apiKeys.js';
+import { parseAllowedOrigins, buildCorsOptions, securityHeaders, requestId } from './security.js';
+import { validateParams } from './validation.js';
+import { lookupFlightCapacity, lookupDelayPrediction } from './flightLookup.js';
+import { createV1Router, V1_ROUTES, ROUTE_NOT_FOUND, TIMINGS_NOT_FOUND } from './v1.js';
+import { buildOpenApiDocument } from './openapi.js';
+import { publicMessage } from './errors.js';
+import { formatFlightCode } from '../../shared/flightDesignator.mjs';
 
 dotenv.config();
 
@@ -14,307 +33,383 @@ const app = express();
 const PORT = process.env.PORT || 8080;
 const HOST = '0.0.0.0';
 
-// CORS configuration - allow all origins for external API access
-const corsOptions = {
-  origin: '*',  // Allow all origins
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  credentials: false,
-  optionsSuccessStatus: 200
-};
+// Request IDs and security headers on every response, including errors and preflights
+app.disable('x-powered-by');
+app.use(requestId);
+app.use(securityHeaders);
+
+// CORS - only browsers on the origins in CORS_ORIGINS (comma separated, * for any) may call the API
+const allowedOrigins = parseAllowedOrigins(process.env.CORS_ORIGINS);
+const corsOptions = buildCorsOptions(allowedOrigins);
 
 app.use(cors(corsOptions));
 
 // Handle OPTIONS preflight requests explicitly
 app.options('*', cors(corsOptions));
 
-app.use(express.json());
+// Bodies are small JSON objects (the largest is a 50-flight batch)
+const BODY_LIMIT = process.env.REQUEST_BODY_LIMIT || '64kb';
+app.use(express.json({ limit: BODY_LIMIT }));
 
 // Log all requests for debugging
 app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+  console.log(`${new Date().toISOString()} - ${req.id} ${req.method} ${req.path}`);
   next();
 });
 
-const amadeus = new AmadeusClient();
+// The API description is public, so integrators can read it before they have a key
+const openApiDocument = buildOpenApiDocument();
+app.get('/v1/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
 
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', service: 'FlightCapacity API' });
+// /api is the unversioned API from before /v1 - still served, but clients should move to /v1
+app.use('/api', (req, res, next) => {
+  res.set({ Deprecation: 'true', Link: '</v1/openapi.json>; rel="successor-version"' });
+  next();
 });
 
-app.get('/api/flights', async (req, res) => {
-  try {
-    const { origin, destination, date, adults } = req.query;
+// API keys - every /v1 and /api request needs an X-API-Key header unless API_AUTH=off (local development)
+// Keys are limited to API_KEY_REQUESTS_PER_MINUTE and API_KEY_DAILY_QUOTA unless they set their own
+const authEnabled = process.env.API_AUTH !== 'off';
+const apiKeys = new ApiKeyRegistry({
+  requestsPerMinute: parseInt(process.env.API_KEY_REQUESTS_PER_MINUTE) || undefined,
+  dailyQuota: parseInt(process.env.API_KEY_DAILY_QUOTA) || undefined
+});
+
+app.use(['/v1', '/api'], async (req, res, next) => {
+  if (!authEnabled) {
+    return next();
+  }
 
-    if (!origin || !destination || !date) {
-      return res.status(400).json({
-        error: 'Missing required parameters',
-        required: ['origin', 'destination', 'date'],
-        example: '/api/flights?origin=PER&destination=KUL&date=2025-12-15'
+  try {
+    const key = req.get(API_KEY_HEADER);
+    if (!key) {
+      return res.status(401).json({
+        error: 'Missing API key',
+        required: [API_KEY_HEADER],
+        example: `curl -H "${API_KEY_HEADER}: <your key>" "/v1/flight-capacity?carrier=LH&number=400&date=2025-11-10"`
       });
     }
 
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(date)) {
-      return res.status(400).json({
-        error: 'Invalid date format',
-        expected: 'YYYY-MM-DD',
-        received: date
+    const client = await apiKeys.authenticate(key);
+    if (!client) {
+      return res.status(401).json({
+        error: 'Invalid API key',
+        expected: 'A key listed in API_KEYS or created with npm run apikey:create',
+        received: maskKey(key)
       });
     }
 
-    const airportRegex = /^[A-Z]{3}$/i;
-    if (!airportRegex.test(origin) || !airportRegex.test(destination)) {
-      return res.status(400).json({
-        error: 'Invalid airport code',
-        expected: '3-letter IATA code (e.g., PER, KUL)',
-        received: { origin, destination }
-      });
+    const limit = apiKeys.consume(client);
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfterSeconds));
+      return res.status(429).json(limit.reason === 'quota'
+        ? {
+            error: 'Daily quota exceeded',
+            expected: `At most ${limit.limit} requests per day (resets at 00:00 UTC)`,
+            received: limit.limit + 1,
+            retryAfterSeconds: limit.retryAfterSeconds
+          }
+        : {
+            error: 'Rate limit exceeded',
+            expected: `At most ${limit.limit} requests per minute`,
+            received: limit.limit + 1,
+            retryAfterSeconds: limit.retryAfterSeconds
+          });
+    }
+
+    res.set({
+      'RateLimit-Limit': String(limit.limit),
+      'RateLimit-Remaining': String(limit.remaining),
+      'RateLimit-Reset': String(limit.resetSeconds)
+    });
+    req.apiClient = client;
+    next();
+  } catch (error) {
+    console.error(`API key check error [${req.id}]:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check API key',
+      message: publicMessage(error),
+      requestId: req.id
+    });
+  }
+});
+
+// Amadeus response cache - in-memory by default, CACHE_STORE=file persists to storage/cache.json
+// Upstream calls are rate limited to AMADEUS_REQUESTS_PER_SECOND and retried up to AMADEUS_MAX_RETRIES times
+const amadeus = new AmadeusClient({
+  requestsPerSecond: parseFloat(process.env.AMADEUS_REQUESTS_PER_SECOND) || undefined,
+  maxRetries: process.env.AMADEUS_MAX_RETRIES ? parseInt(process.env.AMADEUS_MAX_RETRIES) : undefined,
+  cacheStore: process.env.CACHE_STORE === 'file' ? new FileCacheStore() : undefined,
+  cacheTtls: {
+    ...(process.env.CACHE_TTL_REFERENCE && {
+      airlines: parseInt(process.env.CACHE_TTL_REFERENCE),
+      aircraft: parseInt(process.env.CACHE_TTL_REFERENCE),
+      locations: parseInt(process.env.CACHE_TTL_REFERENCE)
+    }),
+    ...(process.env.CACHE_TTL_SCHEDULE && { schedule: parseInt(process.env.CACHE_TTL_SCHEDULE) }),
+    ...(process.env.CACHE_TTL_AVAILABILITY && { flightOffers: parseInt(process.env.CACHE_TTL_AVAILABILITY) })
+  }
+});
+const aircraftConfigs = new AircraftConfigRegistry();
+const referenceData = new ReferenceData({ amadeus });
+const snapshots = new SnapshotStore();
+const watchlist = new Watchlist();
+const notifier = new WebhookNotifier();
+const alerts = new AlertManager({ notifier });
+const batch = new BatchLookup({
+  amadeus,
+  aircraftConfigs,
+  snapshots,
+  concurrency: parseInt(process.env.BATCH_CONCURRENCY) || undefined
+});
+const poller = new WatchlistPoller({
+  amadeus,
+  watchlist,
+  snapshots,
+  alerts,
+  aircraftConfigs,
+  tickSeconds: parseInt(process.env.WATCHLIST_TICK_SECONDS) || 60,
+  requestGapMs: parseInt(process.env.WATCHLIST_REQUEST_GAP_MS) || 1000,
+  maxPerTick: parseInt(process.env.WATCHLIST_MAX_PER_TICK) || 10
+});
+
+app.get('/health', async (req, res) => {
+  // A broken cache store (an unreadable cache.json) degrades the service rather than failing the check
+  const cache = await amadeus.cache.status().catch(error => {
+    console.error('Cache status failed:', error.message);
+    return { error: 'Cache store unavailable' };
+  });
+
+  res.json({
+    status: cache.error ? 'degraded' : 'ok',
+    service: 'FlightCapacity API',
+    poller: poller.status(),
+    cache,
+    requestQueue: amadeus.queue.status(),
+    auth: { enabled: authEnabled, keys: await apiKeys.count() }
+  });
+});
+
+// Legacy /api routes that pass raw Amadeus payloads through. They take the same parameters as
+// their /v1 versions; every other /api path is served by the /v1 router below.
+const v1Query = (operationId) => V1_ROUTES.find(route => route.operationId === operationId).query;
+
+app.get('/api/flights', async (req, res) => {
+  try {
+    const { values, error } = validateParams(req.query, v1Query('searchFlights'), '/api/flights?origin=PER&destination=KUL&date=2025-12-15');
+    if (error) {
+      return res.status(400).json(error);
     }
 
+    const { origin, destination, date, adults } = values;
     console.log(`Searching flights: ${origin} → ${destination} on ${date}`);
 
     const flightData = await amadeus.searchFlightOffers({
-      origin: origin.toUpperCase(),
-      destination: destination.toUpperCase(),
+      origin,
+      destination,
       departureDate: date,
-      adults: adults ? parseInt(adults) : 1
+      adults
     });
 
     res.json({
       success: true,
-      query: {
-        origin: origin.toUpperCase(),
-        destination: destination.toUpperCase(),
-        date,
-        adults: adults || 1
-      },
+      query: values,
       data: flightData
     });
 
   } catch (error) {
-    console.error('Flight search error:', error);
+    console.error(`Flight search error [${req.id}]:`, error);
     res.status(500).json({
       success: false,
       error: 'Failed to fetch flight data',
-      message: error.message
+      message: publicMessage(error),
+      requestId: req.id
     });
   }
 });
 
-// Flight capacity endpoint - shows availability and seats
 app.get('/api/flight-capacity', async (req, res) => {
   try {
-    let { carrier, number, date, origin, destination } = req.query;
-
-    // Validate required parameters
-    if (!carrier || !number || !date) {
-      return res.status(400).json({
-        error: 'Missing required parameters',
-        required: ['carrier', 'number', 'date'],
-        example: '/api/flight-capacity?carrier=LH&number=400&date=2025-11-10'
-      });
+    const { values, error } = validateParams(req.query, v1Query('getFlightCapacity'), '/api/flight-capacity?carrier=LH&number=400&date=2025-11-10&seatmap=true');
+    if (error) {
+      return res.status(400).json(error);
     }
 
-    // If origin/destination not provided, get schedule first to extract them
-    if (!origin || !destination) {
-      console.log(`Getting schedule to extract route for ${carrier}${number} on ${date}`);
-      
-      const scheduleData = await amadeus.getFlightStatus({
-        carrierCode: carrier.toUpperCase(),
-        flightNumber: number,
-        scheduledDepartureDate: date
-      });
-      
-      const flightPoints = scheduleData.data?.[0]?.flightPoints;
-      if (!flightPoints || flightPoints.length < 2) {
-        return res.status(404).json({
-          success: false,
-          error: 'Could not determine flight route',
-          message: 'Flight schedule does not contain route information'
-        });
-      }
-      
-      origin = flightPoints[0]?.iataCode;
-      destination = flightPoints[flightPoints.length - 1]?.iataCode;
-      
-      if (!origin || !destination) {
-        return res.status(404).json({
-          success: false,
-          error: 'Could not extract route from flight data'
-        });
-      }
-      
-      console.log(`Route extracted: ${origin} → ${destination}`);
+    const { carrier, number, date, format } = values;
+    const result = await lookupFlightCapacity({ amadeus, aircraftConfigs, snapshots, alerts }, values);
+    if (!result) {
+      return res.status(404).json(ROUTE_NOT_FOUND);
     }
 
-    console.log(`Getting flight capacity: ${carrier}${number} from ${origin} to ${destination} on ${date}`);
-
-    // Extract aircraft code from schedule for additional queries
-    const scheduleData = await amadeus.getFlightStatus({
-      carrierCode: carrier.toUpperCase(),
-      flightNumber: number,
-      scheduledDepartureDate: date
-    });
-    
-    const aircraftCode = scheduleData.data?.[0]?.legs?.[0]?.aircraftEquipment?.aircraftType;
-
-    // Extract flight times for delay prediction
-    const departure = scheduleData.data?.[0]?.flightPoints?.find(fp => fp.departure);
-    const arrival = scheduleData.data?.[0]?.flightPoints?.find(fp => fp.arrival);
-    const departureTime = departure?.departure?.timings?.[0]?.value;
-    const arrivalTime = arrival?.arrival?.timings?.[0]?.value;
-    const duration = scheduleData.data?.[0]?.legs?.[0]?.scheduledLegDuration;
-
-    // Fetch all enhanced data in parallel
-    // Note: Fare trend and delay prediction are disabled to optimize performance
-    // They can be re-enabled when using production API with better availability
-    const [
-      availabilityData,
-      airlineInfo,
-      aircraftModel
-    ] = await Promise.all([
-      amadeus.getFlightAvailability({
-        origin: origin.toUpperCase(),
-        destination: destination.toUpperCase(),
-        departureDate: date,
-        carrierCode: carrier.toUpperCase(),
-        flightNumber: number
-      }),
-      amadeus.getAirlineInfo({
-        airlineCode: carrier.toUpperCase()
-      }).catch(err => {
-        console.warn('Airline info failed:', err.message);
-        return null;
-      }),
-      aircraftCode ? amadeus.getAircraftModel({
-        aircraftCode: aircraftCode
-      }).catch(err => {
-        console.warn('Aircraft model failed:', err.message);
-        return null;
-      }) : Promise.resolve(null)
-    ]);
-    
-    // Set fare trend and delay prediction to null for now (disabled for performance)
-    const fareTrend = null;
-    const delayPrediction = null;
+    if (format !== 'json') {
+      const row = capacityRow({ flightCode: result.flightCode, date, route: result.route, aircraftCode: result.aircraftCode, capacity: result.capacity });
+      return sendExport(res, format, [row], `capacity-${result.flightCode}-${date}`);
+    }
 
     res.json({
       success: true,
-      query: {
-        carrier: carrier.toUpperCase(),
-        number: number,
-        flightCode: `${carrier.toUpperCase()}${number}`,
-        route: `${origin.toUpperCase()}-${destination.toUpperCase()}`,
-        date
-      },
-      schedule: scheduleData,
-      availability: availabilityData,
-      airline: airlineInfo,
-      aircraft: aircraftModel,
-      fareTrend: fareTrend,
-      delayPrediction: delayPrediction
+      query: { carrier, number, flightCode: result.flightCode, route: result.route, date },
+      schedule: result.scheduleData,
+      availability: result.availabilityData,
+      airline: result.airlineInfo,
+      aircraft: result.aircraftModel,
+      capacity: result.capacity,
+      connections: result.connections,
+      seatmaps: result.seatmapData
+        ? { data: result.seatmapData.data, dictionaries: result.seatmapData.dictionaries || {} }
+        : null,
+      legs: result.legs,
+      bottleneck: result.bottleneck,
+      cache: result.cache
     });
 
   } catch (error) {
-    console.error('Flight capacity error:', error);
+    console.error(`Flight capacity error [${req.id}]:`, error);
     res.status(500).json({
       success: false,
       error: 'Failed to fetch flight capacity',
-      message: error.message
+      message: publicMessage(error),
+      requestId: req.id
     });
   }
 });
 
-// Flight status endpoint
-app.get('/api/flight-status', async (req, res) => {
+app.get('/api/delay-prediction', async (req, res) => {
   try {
-    const { carrier, number, date } = req.query;
-
-    // Validate required parameters
-    if (!carrier || !number || !date) {
-      return res.status(400).json({
-        error: 'Missing required parameters',
-        required: ['carrier', 'number', 'date'],
-        example: '/api/flight-status?carrier=MH&number=124&date=2025-10-31'
-      });
+    const { values, error } = validateParams(req.query, v1Query('getDelayPrediction'), '/api/delay-prediction?carrier=LH&number=400&date=2025-11-10');
+    if (error) {
+      return res.status(400).json(error);
     }
 
-    // Validate date format (YYYY-MM-DD)
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(date)) {
-      return res.status(400).json({
-        error: 'Invalid date format',
-        expected: 'YYYY-MM-DD',
-        received: date
-      });
+    const { carrier, number, date } = values;
+    const result = await lookupDelayPrediction({ amadeus }, values);
+    if (!result) {
+      return res.status(404).json(TIMINGS_NOT_FOUND);
     }
 
-    // Validate carrier code (2 letters)
-    const carrierRegex = /^[A-Z]{2}$/i;
-    if (!carrierRegex.test(carrier)) {
-      return res.status(400).json({
-        error: 'Invalid carrier code',
-        expected: '2-letter airline code (e.g., MH, QF)',
-        received: carrier
-      });
-    }
+    res.json({
+      success: true,
+      query: { carrier, number, flightCode: formatFlightCode(values), route: result.route, date },
+      delayPrediction: result.delayPrediction
+    });
 
-    // Validate flight number (1-4 digits)
-    const numberRegex = /^\d{1,4}$/;
-    if (!numberRegex.test(number)) {
-      return res.status(400).json({
-        error: 'Invalid flight number',
-        expected: '1-4 digits (e.g., 124, 7)',
-        received: number
-      });
+  } catch (error) {
+    console.error(`Delay prediction error [${req.id}]:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch delay prediction',
+      message: publicMessage(error),
+      requestId: req.id
+    });
+  }
+});
+
+app.get('/api/flight-status', async (req, res) => {
+  try {
+    const { values, error } = validateParams(req.query, v1Query('getFlightStatus'), '/api/flight-status?carrier=MH&number=124&date=2025-10-31');
+    if (error) {
+      return res.status(400).json(error);
     }
 
-    console.log(`Getting flight status: ${carrier}${number} on ${date}`);
+    const { carrier, number, suffix, date } = values;
+    const flightCode = formatFlightCode(values);
+    console.log(`Getting flight status: ${flightCode} on ${date}`);
 
     const flightStatus = await amadeus.getFlightStatus({
-      carrierCode: carrier.toUpperCase(),
+      carrierCode: carrier,
       flightNumber: number,
-      scheduledDepartureDate: date
+      scheduledDepartureDate: date,
+      operationalSuffix: suffix
     });
 
     res.json({
       success: true,
-      query: {
-        carrier: carrier.toUpperCase(),
-        number: number,
-        flightCode: `${carrier.toUpperCase()}${number}`,
-        date
-      },
+      query: { carrier, number, flightCode, date },
       data: flightStatus
     });
 
   } catch (error) {
-    console.error('Flight status error:', error);
+    console.error(`Flight status error [${req.id}]:`, error);
     res.status(500).json({
       success: false,
       error: 'Failed to fetch flight status',
-      message: error.message
+      message: publicMessage(error),
+      requestId: req.id
     });
   }
 });
 
+// Every /v1 route - see V1_ROUTES in v1.js and GET /v1/openapi.json
+const v1 = createV1Router({ amadeus, aircraftConfigs, referenceData, snapshots, watchlist, alerts, notifier, batch, apiKeys, authEnabled });
+app.use('/v1', v1);
+app.use('/api', v1);
+
 app.use((req, res) => {
   res.status(404).json({
     error: 'Endpoint not found',
+    documentation: '/v1/openapi.json',
     availableEndpoints: [
       'GET /health',
-      'GET /api/flights?origin=XXX&destination=YYY&date=YYYY-MM-DD',
-      'GET /api/flight-status?carrier=XX&number=123&date=YYYY-MM-DD',
-      'GET /api/flight-capacity?carrier=XX&number=123&date=YYYY-MM-DD&origin=XXX&destination=YYY'
+      'GET /v1/openapi.json',
+      ...V1_ROUTES.map(route => `${route.method.toUpperCase()} /v1${route.path}`)
     ]
   });
 });
 
-app.listen(PORT, HOST, () => {
-  console.log(`🚀 FlightCapacity API running on ${HOST}:${PORT}`);
-  console.log(`📍 Environment: ${process.env.AMADEUS_ENV || 'test'}`);
-  console.log(`🌐 Server accessible externally on port ${PORT}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-  console.log(`✅ CORS enabled for all origins`);
+// Malformed or oversized JSON bodies, and anything a route didn't catch
+// (Express only treats a handler as an error handler when it takes all four arguments)
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Request body too large',
+      expected: `At most ${BODY_LIMIT}`,
+      received: `${error.length} bytes`
+    });
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Invalid JSON body',
+      expected: 'A JSON object with Content-Type: application/json',
+      received: 'Body that could not be parsed'
+    });
+  }
+
+  console.error(`Unhandled error [${req.id}]:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: publicMessage(error),
+    requestId: req.id
+  });
 });
+
+// Run directly (npm start) to serve; tests import the app and listen on their own port without the poller
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  app.listen(PORT, HOST, () => {
+    console.log(`🚀 FlightCapacity API running on ${HOST}:${PORT}`);
+    console.log(`📍 Environment: ${process.env.AMADEUS_ENV || 'test'}`);
+    console.log(`🌐 Server accessible externally on port ${PORT}`);
+    console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+    console.log(`✅ CORS allowed origins: ${allowedOrigins.join(', ')}`);
+
+    if (authEnabled) {
+      apiKeys.count().then(count => {
+        console.log(count > 0
+          ? `🔑 API key auth enabled (${count} key${count === 1 ? '' : 's'})`
+          : '⚠️ API key auth enabled but no keys configured - every /v1 and /api request will be rejected (set API_KEYS or API_AUTH=off)');
+      });
+    } else {
+      console.log('⚠️ API key auth disabled (API_AUTH=off) - anyone can call the API');
+    }
+
+    if (process.env.WATCHLIST_POLLER !== 'off') {
+      poller.start();
+    }
+  });
+}
+
+export default app;
@@ -0,0 +1,151 @@
+// Per-leg capacity for multi-stop flights and connecting itineraries
+// Each leg is searched on its own origin/destination so its seats aren't capped by the
+// other legs, then the leg with the least room is reported as the bottleneck.
+
+import { buildCapacity, splitOffers, summarizeAvailability, summarizeConnections, findBottleneck } from './capacity.js';
+import { publicMessage } from './errors.js';
+
+// Legs of a dated flight from the schedule, each with its own local departure date
+// (a later leg of a multi-stop flight can leave the day after the first)
+export const scheduleLegs = (scheduleData, date) => {
+  const flight = scheduleData?.data?.[0];
+  const flightPoints = flight?.flightPoints || [];
+
+  return (flight?.legs || []).map(leg => {
+    const board = flightPoints.find(fp => fp.iataCode === leg.boardPointIataCode && fp.departure);
+    const departureTime = board?.departure?.timings?.[0]?.value || null;
+
+    return {
+      origin: leg.boardPointIataCode,
+      destination: leg.offPointIataCode,
+      date: departureTime ? departureTime.slice(0, 10) : date,
+      departureTime,
+      aircraftCode: leg.aircraftEquipment?.aircraftType || null,
+      duration: leg.scheduledLegDuration || null
+    };
+  });
+};
+
+// Capacity of one flight between two of its points
+export const analyzeLeg = async ({ amadeus, aircraftConfigs, carrierCode, flightNumber, origin, destination, date, aircraftCode, departureTime = null }) => {
+  const availabilityData = await amadeus.getFlightAvailability({
+    origin,
+    destination,
+    departureDate: date,
+    carrierCode,
+    flightNumber
+  });
+
+  const { direct, connecting } = splitOffers(availabilityData?.data || [], { carrierCode, flightNumber });
+
+  return {
+    route: `${origin}-${destination}`,
+    flightCode: `${carrierCode}${flightNumber}`,
+    carrier: carrierCode,
+    number: flightNumber,
+    date,
+    departureTime,
+    aircraftCode: aircraftCode || null,
+    capacity: buildCapacity({
+      offers: direct,
+      aircraftConfig: aircraftConfigs.lookup({ carrierCode, aircraftCode })
+    }),
+    connections: summarizeConnections(connecting)
+  };
+};
+
+// Capacity of every leg of an itinerary such as PER-SIN-LHR.
+// flights holds one { carrier, number, suffix? } for a multi-stop flight, or one per leg;
+// dates optionally gives each leg's departure date (defaults to the first leg's date).
+export const analyzeItinerary = async ({ amadeus, aircraftConfigs, airports, flights, date, dates = [] }) => {
+  const legs = airports.slice(0, -1).map((origin, i) => ({
+    origin,
+    destination: airports[i + 1],
+    flight: flights.length === 1 ? flights[0] : flights[i],
+    date: dates[i] || date
+  }));
+
+  const analyzed = await Promise.all(legs.map(async (leg) => {
+    const { carrier, number, suffix = null } = leg.flight;
+
+    // The schedule gives the aircraft and local departure date for this leg, if it's listed
+    let scheduled = null;
+    try {
+      const scheduleData = await amadeus.getFlightStatus({
+        carrierCode: carrier,
+        flightNumber: number,
+        scheduledDepartureDate: leg.date,
+        operationalSuffix: suffix
+      });
+      const scheduledLegs = scheduleLegs(scheduleData, leg.date);
+      scheduled = scheduledLegs.find(s => s.origin === leg.origin && s.destination === leg.destination) || null;
+    } catch (error) {
+      console.warn(`Schedule for ${carrier}${number} on ${leg.date} failed:`, error.message);
+    }
+
+    try {
+      return await analyzeLeg({
+        amadeus,
+        aircraftConfigs,
+        carrierCode: carrier,
+        flightNumber: number,
+        origin: leg.origin,
+        destination: leg.destination,
+        date: scheduled?.date || leg.date,
+        aircraftCode: scheduled?.aircraftCode,
+        departureTime: scheduled?.departureTime
+      });
+    } catch (error) {
+      console.warn(`Leg ${leg.origin}-${leg.destination} failed:`, error.message);
+      return {
+        route: `${leg.origin}-${leg.destination}`,
+        flightCode: `${carrier}${number}`,
+        carrier,
+        number,
+        date: leg.date,
+        departureTime: null,
+        aircraftCode: scheduled?.aircraftCode || null,
+        capacity: null,
+        connections: null,
+        error: publicMessage(error)
+      };
+    }
+  }));
+
+  // Seats sold end to end on exactly these flights - never more than the tightest leg
+  let through = null;
+  if (legs.length > 1) {
+    const origin = airports[0];
+    const destination = airports[airports.length - 1];
+    const codes = new Set(flights.map(f => `${f.carrier}${f.number}`));
+
+    try {
+      const availabilityData = await amadeus.getFlightAvailability({ origin, destination, departureDate: legs[0].date });
+      const offers = (availabilityData?.data || []).filter(offer => {
+        const segments = offer.itineraries?.[0]?.segments || [];
+        return segments.length > 0 &&
+          segments.every(seg => codes.has(`${seg.carrierCode}${seg.number}`)) &&
+          segments[0].departure?.iataCode === origin &&
+          segments[segments.length - 1].arrival?.iataCode === destination;
+      });
+      const summary = summarizeAvailability(offers);
+
+      through = {
+        route: `${origin}-${destination}`,
+        offers: offers.length,
+        numberOfBookableSeats: summary.numberOfBookableSeats,
+        minPrice: summary.minPrice,
+        currency: summary.currency
+      };
+    } catch (error) {
+      console.warn(`Through fares ${origin}-${destination} failed:`, error.message);
+    }
+  }
+
+  return {
+    route: airports.join('-'),
+    legs: analyzed,
+    bottleneck: findBottleneck(analyzed),
+    through
+  };
+};
@@ -0,0 +1,114 @@
+// OpenAPI 3.1 document for /v1, generated from the route table in v1.js, the shared
+// parameters in validation.js and the response types in types.js. Served at /v1/openapi.json.
+
+import { V1_ROUTES } from './v1.js';
+import { PARAMS } from './validation.js';
+import { SCHEMAS } from './types.js';
+import { CONTENT_TYPES } from './export.js';
+import { API_KEY_HEADER } from './apiKeys.js';
+
+const errorContent = (name) => ({ 'application/json': { schema: { $ref: `#/components/schemas/${name}` } } });
+
+const RESPONSES = {
+  BadRequest: { description: 'Missing or invalid parameters', content: errorContent('Error') },
+  Unauthorized: { description: `Missing or unknown ${API_KEY_HEADER}`, content: errorContent('Error') },
+  RateLimited: { description: 'Rate limit or daily quota exceeded - see the Retry-After header', content: errorContent('Error') },
+  ServerError: { description: 'Unexpected failure, usually upstream - quote requestId when reporting it', content: errorContent('ServerError') }
+};
+
+const responseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const queryParameter = (name, required) => ({
+  name,
+  in: 'query',
+  required,
+  description: PARAMS[name].description,
+  schema: PARAMS[name].schema
+});
+
+// Bodies are either PARAMS names (validated like a query string) or a JSON schema
+const bodySchema = (body) => {
+  if (body.type) return body;
+  const required = body.required || [];
+  const names = [...required, ...(body.optional || [])];
+  return {
+    type: 'object',
+    properties: Object.fromEntries(names.map(name => [name, { ...PARAMS[name].schema, description: PARAMS[name].description }])),
+    required
+  };
+};
+
+const successResponses = (route) => Object.fromEntries([].concat(route.status || 200).map(status => [status, {
+  description: status === 201 ? 'Created' : 'OK',
+  content: {
+    'application/json': { schema: route.response },
+    // format=csv|xlsx downloads the same result as a sheet
+    ...(route.exports && Object.fromEntries(Object.values(CONTENT_TYPES).map(type => [type.split(';')[0], { schema: { type: 'string', format: 'binary' } }])))
+  }
+}]));
+
+const operation = (route) => {
+  const pathParameters = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+  }));
+  const { required = [], optional = [] } = route.query || {};
+
+  return {
+    operationId: route.operationId,
+    tags: [route.tag],
+    summary: route.summary,
+    ...(route.description && { description: route.description }),
+    parameters: [
+      ...pathParameters,
+      ...required.map(name => queryParameter(name, true)),
+      ...optional.map(name => queryParameter(name, false))
+    ],
+    ...(route.body && {
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: bodySchema(route.body), ...(typeof route.example === 'object' && { example: route.example }) } }
+      }
+    }),
+    responses: {
+      ...successResponses(route),
+      ...((route.query || route.body) && { 400: responseRef('BadRequest') }),
+      401: responseRef('Unauthorized'),
+      ...(route.notFound && { 404: { description: route.notFound, content: errorContent('Error') } }),
+      429: responseRef('RateLimited'),
+      ...(route.failureStatus
+        ? { [route.failureStatus]: { description: route.failure, content: errorContent('ServerError') } }
+        : { 500: responseRef('ServerError') })
+    }
+  };
+};
+
+export const buildOpenApiDocument = () => {
+  const paths = {};
+  V1_ROUTES.forEach(route => {
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[path] = { ...paths[path], [route.method]: operation(route) };
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'FlightCapacity API',
+      version: '1.0.0',
+      description: 'Seat availability, fullness and fares for flights. Responses use stable FlightCapacity types rather than Amadeus payloads. The unversioned /api paths are deprecated.'
+    },
+    servers: [{ url: '/v1' }],
+    security: [{ apiKey: [] }],
+    tags: [...new Set(V1_ROUTES.map(route => route.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: API_KEY_HEADER }
+      },
+      responses: RESPONSES,
+      schemas: SCHEMAS
+    }
+  };
+};
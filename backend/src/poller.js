@@ -0,0 +1,186 @@
+// Scheduler that re-checks watchlist flights from inside the Express process
+// Polls one flight at a time with a gap between Amadeus calls, and backs off on 429s
+
+import { hasDeparted } from './watchlist.js';
+import { buildCapacity, splitOffers } from './capacity.js';
+import { PublicError, publicMessage } from './errors.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class WatchlistPoller {
+  // now is the clock used for due flights, departures and the rate-limit pause (tests pass their own)
+  constructor({ amadeus, watchlist, snapshots, alerts, aircraftConfigs, tickSeconds = 60, requestGapMs = 1000, maxPerTick = 10, rateLimitBackoffSeconds = 300, now = Date.now }) {
+    this.amadeus = amadeus;
+    this.watchlist = watchlist;
+    this.snapshots = snapshots;
+    this.alerts = alerts;
+    this.aircraftConfigs = aircraftConfigs;
+    this.tickSeconds = tickSeconds;
+    this.requestGapMs = requestGapMs;
+    this.maxPerTick = maxPerTick;
+    this.rateLimitBackoffSeconds = rateLimitBackoffSeconds;
+    this.now = now;
+
+    this.timer = null;
+    this.running = false;
+    this.pausedUntil = 0;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.tickSeconds * 1000);
+    // Don't keep the process alive just for polling
+    this.timer.unref?.();
+
+    console.log(`⏱️ Watchlist poller started (every ${this.tickSeconds}s, ${this.maxPerTick} flights max per tick)`);
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    // Never overlap ticks - a slow Amadeus response just delays the next one
+    if (this.running || this.now() < this.pausedUntil) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      const due = await this.watchlist.due(this.now());
+      let polled = 0;
+
+      for (const flight of due) {
+        if (hasDeparted(flight, this.now())) {
+          console.log(`Watchlist: ${flight.flightCode} on ${flight.date} has departed, no longer polling`);
+          await this.watchlist.update(flight.id, { status: 'departed' });
+          continue;
+        }
+
+        if (polled >= this.maxPerTick || this.now() < this.pausedUntil) {
+          break;
+        }
+
+        if (polled > 0) {
+          await sleep(this.requestGapMs);
+        }
+        await this.poll(flight);
+        polled += 1;
+      }
+    } catch (error) {
+      console.error('Watchlist tick failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async poll(flight) {
+    const checkedAt = new Date(this.now()).toISOString();
+
+    try {
+      let { origin, destination, departureTime, aircraftCode } = flight;
+
+      // Resolve the route (and departure time) once from the schedule
+      if (!origin || !destination || !departureTime) {
+        const scheduleData = await this.amadeus.getFlightStatus({
+          carrierCode: flight.carrier,
+          flightNumber: flight.number,
+          scheduledDepartureDate: flight.date,
+          // Entries saved before suffixes were parsed don't have one
+          operationalSuffix: flight.suffix || null
+        });
+
+        const flightPoints = scheduleData.data?.[0]?.flightPoints || [];
+        origin = origin || flightPoints[0]?.iataCode;
+        destination = destination || flightPoints[flightPoints.length - 1]?.iataCode;
+        departureTime = flightPoints.find(fp => fp.departure)?.departure?.timings?.[0]?.value || null;
+        aircraftCode = scheduleData.data?.[0]?.legs?.[0]?.aircraftEquipment?.aircraftType || null;
+
+        if (!origin || !destination) {
+          throw new PublicError('Could not determine flight route');
+        }
+
+        await this.watchlist.update(flight.id, { origin, destination, departureTime, aircraftCode });
+      }
+
+      const availabilityData = await this.amadeus.getFlightAvailability({
+        origin,
+        destination,
+        departureDate: flight.date,
+        carrierCode: flight.carrier,
+        flightNumber: flight.number
+      });
+
+      // Connections are capped by their other legs, so only offers for this flight alone count
+      const { direct } = splitOffers(availabilityData?.data || [], {
+        carrierCode: flight.carrier,
+        flightNumber: flight.number
+      });
+      const capacity = buildCapacity({
+        offers: direct,
+        aircraftConfig: this.aircraftConfigs.lookup({ carrierCode: flight.carrier, aircraftCode })
+      });
+      const latest = {
+        checkedAt,
+        route: `${origin}-${destination}`,
+        capacity
+      };
+
+      await this.watchlist.update(flight.id, { lastCheckedAt: checkedAt, lastError: null, latest });
+
+      await this.snapshots.record({
+        carrier: flight.carrier,
+        number: flight.number,
+        suffix: flight.suffix || null,
+        date: flight.date,
+        route: latest.route,
+        aircraftCode,
+        capacity
+      }).catch(err => {
+        console.warn('Snapshot recording failed:', err.message);
+      });
+
+      if (this.alerts && capacity.hasAvailability) {
+        await this.alerts.evaluate({
+          flight: {
+            carrier: flight.carrier,
+            number: flight.number,
+            flightCode: flight.flightCode,
+            date: flight.date,
+            route: latest.route,
+            aircraftCode: aircraftCode || null
+          },
+          capacity
+        }).catch(err => {
+          console.warn('Alert evaluation failed:', err.message);
+        });
+      }
+
+      console.log(`Watchlist: ${flight.flightCode} on ${flight.date} - ${capacity.seatsAvailable} seats available`);
+    } catch (error) {
+      console.error(`Watchlist poll failed for ${flight.flightCode}:`, error.message);
+
+      // Amadeus rate limit - pause the whole poller rather than hammering the API
+      if (error.status === 429) {
+        this.pausedUntil = this.now() + this.rateLimitBackoffSeconds * 1000;
+        console.warn(`Watchlist poller rate limited, pausing for ${this.rateLimitBackoffSeconds}s`);
+      }
+
+      // lastError is returned by the watchlist API, so only client-safe messages are kept
+      await this.watchlist.update(flight.id, { lastCheckedAt: checkedAt, lastError: publicMessage(error) });
+    }
+  }
+
+  status() {
+    return {
+      running: Boolean(this.timer),
+      tickSeconds: this.tickSeconds,
+      pausedUntil: this.pausedUntil > this.now() ? new Date(this.pausedUntil).toISOString() : null
+    };
+  }
+}
+
+export default WatchlistPoller;
@@ -0,0 +1,159 @@
+// Airport, city and airline suggestions for autocomplete
+// Suggestions come from a local store (storage/reference-data.json) first. It can be seeded from
+// the bundled data/reference-data.json, and every airport and airline Amadeus returns is remembered
+// in it, so most keystrokes never go upstream. Amadeus is only asked when the store has too few
+// matches - its answers are cached like any other call (see cache.js).
+
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import JsonStore from './store.js';
+import { toLocation, toAirlineReference } from './types.js';
+import { parseAirlineCode } from '../../shared/flightDesignator.mjs';
+
+const DEFAULT_SEED_PATH = fileURLToPath(new URL('../data/reference-data.json', import.meta.url));
+
+export const DEFAULT_SUGGESTIONS = 8;
+export const MAX_SUGGESTIONS = 20;
+
+// A single letter matches too much to be worth an upstream call
+const MIN_UPSTREAM_KEYWORD = 2;
+
+// Case and accents are ignored, so "zur" finds Zürich
+const fold = (text) => String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Lower is better: exact code, code prefix, a word of a name starting with the query, then anywhere
+const score = (query, codes, names) => {
+  if (codes.some(code => fold(code) === query)) return 0;
+  if (codes.some(code => fold(code).startsWith(query))) return 1;
+  if (names.some(name => fold(name).split(/[\s/().,'-]+/).some(word => word.startsWith(query)))) return 2;
+  if (names.some(name => fold(name).includes(query))) return 3;
+  return null;
+};
+
+// A city goes before its airports, since it searches all of them
+const isCity = (entry) => Number(entry.type === 'CITY');
+
+const rank = (entries, keyword, fields) => {
+  const query = fold(keyword).trim();
+  if (!query) return [];
+
+  return entries
+    .map(entry => ({ entry, score: score(query, ...fields(entry)) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => a.score - b.score || isCity(b.entry) - isCity(a.entry) || a.entry.name.localeCompare(b.entry.name))
+    .map(({ entry }) => entry);
+};
+
+// Typing LON should offer London itself before its airports, so the city code counts as a name
+const locationFields = (location) => [[location.code], [location.name, location.cityName, location.cityCode]];
+const airlineFields = (airline) => [[airline.code, airline.icao], [airline.name]];
+
+// A city and its main airport often share a code (PER), so the type is part of the key
+const locationKey = (location) => `${location.type}:${location.code}`;
+
+class ReferenceData {
+  constructor({
+    amadeus = null,
+    store = new JsonStore('reference-data', { locations: {}, airlines: {} }),
+    seedPath = process.env.REFERENCE_DATA_PATH || DEFAULT_SEED_PATH
+  } = {}) {
+    this.amadeus = amadeus;
+    this.store = store;
+    this.seedPath = seedPath;
+  }
+
+  // Adds the bundled dataset to the store; entries learned from Amadeus for other codes are kept
+  async seed() {
+    const raw = JSON.parse(await fs.readFile(this.seedPath, 'utf8'));
+    const data = await this.store.load();
+
+    raw.locations.forEach(location => { data.locations[locationKey(location)] = location; });
+    raw.airlines.forEach(airline => { data.airlines[airline.code] = airline; });
+    await this.store.save();
+
+    return { version: raw.version, locations: raw.locations.length, airlines: raw.airlines.length };
+  }
+
+  async size() {
+    const data = await this.store.load();
+    return { locations: Object.keys(data.locations).length, airlines: Object.keys(data.airlines).length };
+  }
+
+  // Returns { suggestions, source, cache } - source is 'amadeus' when the store had to be filled in
+  // type (AIRPORT or CITY) leaves out the other kind, for forms that only take one of them
+  async suggestLocations(keyword, { limit = DEFAULT_SUGGESTIONS, type = null } = {}) {
+    const data = await this.store.load();
+    const ofType = (location) => !type || location.type === type;
+    const local = rank(Object.values(data.locations).filter(ofType), keyword, locationFields);
+
+    if (local.length >= limit || !this.amadeus || keyword.trim().length < MIN_UPSTREAM_KEYWORD) {
+      return { suggestions: local.slice(0, limit), source: 'local', cache: null };
+    }
+
+    const response = await this.amadeus.searchLocations({ keyword: keyword.trim(), subType: type || 'AIRPORT,CITY', limit }).catch(err => {
+      console.warn('Location search failed:', err.message);
+      return null;
+    });
+    if (!response) {
+      return { suggestions: local.slice(0, limit), source: 'local', cache: null };
+    }
+
+    const learned = (response.data || []).filter(location => location.iataCode).map(toLocation).filter(ofType);
+    await this.remember('locations', learned, locationKey);
+
+    return {
+      suggestions: this.merge(local, learned, keyword, locationFields, locationKey).slice(0, limit),
+      source: 'amadeus',
+      cache: response.cache
+    };
+  }
+
+  // Amadeus only looks airlines up by code, so names it hasn't told us about can't be suggested
+  async suggestAirlines(keyword, { limit = DEFAULT_SUGGESTIONS } = {}) {
+    const data = await this.store.load();
+    const local = rank(Object.values(data.airlines), keyword, airlineFields);
+
+    const code = parseAirlineCode(keyword);
+    if (code.error || data.airlines[code.carrier] || !this.amadeus) {
+      return { suggestions: local.slice(0, limit), source: 'local', cache: null };
+    }
+
+    const response = await this.amadeus.getAirlineInfo({ airlineCode: code.carrier }).catch(err => {
+      console.warn('Airline info failed:', err.message);
+      return null;
+    });
+    if (!response) {
+      return { suggestions: local.slice(0, limit), source: 'local', cache: null };
+    }
+
+    const learned = (response.data || []).filter(airline => airline.iataCode).map(toAirlineReference);
+    await this.remember('airlines', learned, airline => airline.code);
+
+    return {
+      suggestions: this.merge(local, learned, keyword, airlineFields, airline => airline.code).slice(0, limit),
+      source: 'amadeus',
+      cache: response.cache
+    };
+  }
+
+  // Only new codes are added, so seeded names aren't replaced by Amadeus's upper-case ones
+  async remember(kind, entries, keyOf) {
+    const data = await this.store.load();
+    const added = entries.filter(entry => !data[kind][keyOf(entry)]);
+    if (added.length === 0) return;
+
+    added.forEach(entry => { data[kind][keyOf(entry)] = entry; });
+    await this.store.save();
+  }
+
+  // Amadeus matches on names we don't keep (ICAO, detailed names), so its extra results go last
+  merge(local, learned, keyword, fields, keyOf) {
+    const seen = new Set(local.map(keyOf));
+    const added = learned.filter(entry => !seen.has(keyOf(entry)));
+    const ranked = rank([...local, ...added], keyword, fields);
+    const rankedKeys = new Set(ranked.map(keyOf));
+    return [...ranked, ...added.filter(entry => !rankedKeys.has(keyOf(entry)))];
+  }
+}
+
+export default ReferenceData;
@@ -0,0 +1,137 @@
+// Rate-limit aware request queue for Amadeus calls
+// Spaces requests to a configurable requests-per-second, pauses the whole queue when
+// Amadeus answers 429 with Retry-After (for at most maxDelayMs, so a bogus Retry-After can't
+// stall every caller for hours), and retries with jittered exponential backoff.
+// 429s are retried for any method (the request was rejected, not processed);
+// 5xx responses and network errors are only retried for idempotent GETs.
+
+import fetch from 'node-fetch';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either a number of seconds or an HTTP date; the delay is capped at maxMs
+const parseRetryAfter = (value, maxMs) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  const delay = Number.isNaN(seconds) ? Date.parse(value) - Date.now() : seconds * 1000;
+  return Number.isNaN(delay) ? null : Math.min(maxMs, Math.max(0, delay));
+};
+
+class RequestQueue {
+  constructor({ requestsPerSecond = 5, maxRetries = 3, baseDelayMs = 500, maxDelayMs = 10000, fetchImpl = fetch } = {}) {
+    this.intervalMs = 1000 / requestsPerSecond;
+    this.requestsPerSecond = requestsPerSecond;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.fetchImpl = fetchImpl;
+
+    this.waiting = [];
+    this.timer = null;
+    this.nextSlotAt = 0;
+    this.active = 0;
+    this.stats = { requests: 0, retries: 0, rateLimited: 0, failures: 0, lastRetryAt: null, lastRetryReason: null };
+  }
+
+  // Resolves when the next request slot is free
+  acquire() {
+    return new Promise(resolve => {
+      this.waiting.push(resolve);
+      this.pump();
+    });
+  }
+
+  pump() {
+    if (this.timer || this.waiting.length === 0) return;
+
+    const wait = Math.max(0, this.nextSlotAt - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      // A Retry-After that arrived while we waited pushes the slot back - wait again
+      if (Date.now() < this.nextSlotAt) {
+        this.pump();
+        return;
+      }
+      this.nextSlotAt = Date.now() + this.intervalMs;
+      this.waiting.shift()();
+      this.pump();
+    }, wait);
+  }
+
+  // Hold every queued request until the given time (used for Retry-After)
+  pauseUntil(time) {
+    this.nextSlotAt = Math.max(this.nextSlotAt, time);
+  }
+
+  backoff(attempt) {
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return delay / 2 + Math.random() * delay / 2;
+  }
+
+  async fetch(url, options = {}) {
+    const idempotent = (options.method || 'GET').toUpperCase() === 'GET';
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire();
+      this.active += 1;
+      this.stats.requests += 1;
+
+      let retryReason = null;
+      let retryDelay = null;
+
+      try {
+        const response = await this.fetchImpl(url, options);
+
+        if (response.status === 429) {
+          this.stats.rateLimited += 1;
+          const retryAfter = parseRetryAfter(response.headers.get('retry-after'), this.maxDelayMs);
+          if (retryAfter !== null) {
+            this.pauseUntil(Date.now() + retryAfter);
+          }
+          retryReason = 'HTTP 429';
+          retryDelay = retryAfter ?? this.backoff(attempt);
+        } else if (response.status >= 500 && idempotent) {
+          retryReason = `HTTP ${response.status}`;
+          retryDelay = this.backoff(attempt);
+        }
+
+        if (!retryReason || attempt >= this.maxRetries) {
+          if (retryReason) this.stats.failures += 1;
+          return response;
+        }
+
+        // Drain the body so the connection can be reused
+        await response.text().catch(() => {});
+      } catch (error) {
+        // Timeouts are chosen by the caller, so an abort is final
+        if (!idempotent || error.name === 'AbortError' || attempt >= this.maxRetries) {
+          this.stats.failures += 1;
+          throw error;
+        }
+        retryReason = error.message;
+        retryDelay = this.backoff(attempt);
+      } finally {
+        this.active -= 1;
+      }
+
+      this.stats.retries += 1;
+      this.stats.lastRetryAt = new Date().toISOString();
+      this.stats.lastRetryReason = retryReason;
+      console.warn(`Amadeus request retry ${attempt + 1}/${this.maxRetries} in ${Math.round(retryDelay)}ms (${retryReason})`);
+      await sleep(retryDelay);
+    }
+  }
+
+  status() {
+    return {
+      requestsPerSecond: this.requestsPerSecond,
+      maxRetries: this.maxRetries,
+      queued: this.waiting.length,
+      active: this.active,
+      pausedUntil: this.nextSlotAt > Date.now() + this.intervalMs ? new Date(this.nextSlotAt).toISOString() : null,
+      ...this.stats
+    };
+  }
+}
+
+export default RequestQueue;
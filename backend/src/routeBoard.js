@@ -0,0 +1,83 @@
+// Route board - every nonstop flight on an origin/destination/date with its capacity
+// Built from one flight-offers search: offers are grouped by flight number, codeshares are
+// folded into the operating flight, and each flight gets the normal capacity object.
+
+import { buildCapacity } from './capacity.js';
+
+export const ROUTE_BOARD_SORTS = ['departure', 'emptiest', 'cheapest'];
+
+// Nulls (unknown fullness or no fare) always sort last
+const compareNullable = (a, b) => {
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return a - b;
+};
+
+const SORTERS = {
+  departure: (a, b) => a.departureTime.localeCompare(b.departureTime),
+  emptiest: (a, b) =>
+    compareNullable(a.capacity.loadFactor, b.capacity.loadFactor) ||
+    b.capacity.seatsAvailable - a.capacity.seatsAvailable,
+  cheapest: (a, b) => compareNullable(a.capacity.minPrice, b.capacity.minPrice)
+};
+
+// Group offers where a single flight number covers the whole trip
+const groupByFlight = (offers, origin, destination) => {
+  const flights = new Map();
+
+  offers.forEach(offer => {
+    const segments = offer.itineraries?.[0]?.segments || [];
+    const first = segments[0];
+    const last = segments[segments.length - 1];
+    if (!first || first.departure?.iataCode !== origin || last.arrival?.iataCode !== destination) return;
+    if (!segments.every(seg => seg.carrierCode === first.carrierCode && seg.number === first.number)) return;
+
+    const flightCode = `${first.carrierCode}${first.number}`;
+    if (!flights.has(flightCode)) {
+      flights.set(flightCode, {
+        flightCode,
+        carrier: first.carrierCode,
+        number: first.number,
+        operatingCarrier: first.operating?.carrierCode || first.carrierCode,
+        departureTime: first.departure.at,
+        arrivalTime: last.arrival?.at || null,
+        stops: segments.length - 1 + segments.reduce((sum, seg) => sum + (seg.numberOfStops || 0), 0),
+        aircraftCode: first.aircraft?.code || null,
+        offers: []
+      });
+    }
+    flights.get(flightCode).offers.push(offer);
+  });
+
+  return [...flights.values()];
+};
+
+export const buildRouteBoard = ({ offers = [], origin, destination, aircraftConfigs, sort = 'departure' }) => {
+  const grouped = groupByFlight(offers, origin, destination);
+
+  // A codeshare leaving at the same time as its operating carrier's flight is the same aircraft
+  const operated = grouped.filter(f => f.operatingCarrier === f.carrier);
+  const rows = operated.map(f => ({ ...f, codeshares: [] }));
+  grouped
+    .filter(f => f.operatingCarrier !== f.carrier)
+    .forEach(codeshare => {
+      const host = rows.find(f => f.carrier === codeshare.operatingCarrier && f.departureTime === codeshare.departureTime);
+      if (host) {
+        host.codeshares.push(codeshare.flightCode);
+      } else {
+        rows.push({ ...codeshare, codeshares: [] });
+      }
+    });
+
+  const flights = rows.map(({ offers: flightOffers, ...flight }) => {
+    const capacity = buildCapacity({
+      offers: flightOffers,
+      aircraftConfig: aircraftConfigs.lookup({ carrierCode: flight.operatingCarrier, aircraftCode: flight.aircraftCode })
+    });
+
+    return { ...flight, capacity };
+  });
+
+  return flights.sort(SORTERS[sort] || SORTERS.departure);
+};
@@ -0,0 +1,59 @@
+// HTTP hardening for the Express app - CORS allowlist, security headers and request IDs
+// CORS_ORIGINS is set per deployment (Railway test vs production), so each backend only
+// answers browsers on its own frontend.
+
+import crypto from 'crypto';
+import { API_KEY_HEADER } from './apiKeys.js';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+export const DEFAULT_CORS_ORIGINS = ['http://localhost:3000'];
+
+// "https://flightcapacity.vercel.app, https://*.vercel.app" -> ['https://flightcapacity.vercel.app', 'https://*.vercel.app']
+export const parseAllowedOrigins = (value) => {
+  if (!value) return DEFAULT_CORS_ORIGINS;
+  return value.split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+};
+
+// '*' allows any origin; a '*' inside a pattern matches one subdomain label (preview deployments)
+export const isOriginAllowed = (origin, allowed) => allowed.some(pattern => {
+  if (pattern === '*' || pattern === origin) return true;
+  if (!pattern.includes('*')) return false;
+
+  const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[a-z0-9-]+')}$`, 'i');
+  return regex.test(origin);
+});
+
+// Options for the cors middleware. Requests without an Origin header (curl, cron, the CLI)
+// aren't subject to CORS and pass straight through.
+export const buildCorsOptions = (allowed) => ({
+  origin: (origin, callback) => callback(null, !origin || isOriginAllowed(origin, allowed)),
+  // Only the methods our routes use (PUT and DELETE are the watchlist and alert endpoints)
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', API_KEY_HEADER, REQUEST_ID_HEADER],
+  // Let the browser read rate limit headers, export filenames and the request ID
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'Content-Disposition', REQUEST_ID_HEADER],
+  credentials: false,
+  maxAge: 600,
+  optionsSuccessStatus: 200
+});
+
+// The API only serves JSON and files, so nothing it returns should be framed, sniffed or run
+export const securityHeaders = (req, res, next) => {
+  res.set({
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'no-referrer',
+    'Content-Security-Policy': "default-src 'none'; frame-ancestors 'none'",
+    'Cross-Origin-Opener-Policy': 'same-origin',
+    'Strict-Transport-Security': 'max-age=15552000; includeSubDomains'
+  });
+  next();
+};
+
+// Keeps the caller's request ID if it sent a sensible one, so logs line up across services
+export const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  next();
+};
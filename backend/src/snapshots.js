@@ -0,0 +1,61 @@
+// Historical capacity snapshots
+// Every /api/flight-capacity lookup is stored so we can see how a flight fills up over time
+
+import JsonStore from './store.js';
+
+// Keep the store bounded - oldest snapshots are dropped first
+export const MAX_SNAPSHOTS_PER_FLIGHT = 500;
+
+class SnapshotStore {
+  constructor(store = new JsonStore('snapshots', {})) {
+    this.store = store;
+  }
+
+  // A split flight's legs (BA123, BA123A) are tracked apart, so the suffix follows the number
+  static key({ carrier, number, suffix = null, date }) {
+    return `${carrier.toUpperCase()}-${number}${suffix ? suffix.toUpperCase() : ''}-${date}`;
+  }
+
+  // Store the headline numbers from a capacity object (see buildCapacity in capacity.js)
+  async record({ carrier, number, suffix = null, date, route, aircraftCode, capacity }) {
+    if (!capacity?.hasAvailability) {
+      // Nothing to track when the carrier doesn't share seat data
+      return null;
+    }
+
+    const data = await this.store.load();
+    const key = SnapshotStore.key({ carrier, number, suffix, date });
+
+    const cabins = {};
+    Object.entries(capacity.cabins).forEach(([cabin, data]) => {
+      cabins[cabin] = { seats: data.seatsAvailable, minPrice: data.minPrice };
+    });
+
+    const snapshot = {
+      takenAt: new Date().toISOString(),
+      route,
+      aircraftCode: aircraftCode || null,
+      loadFactor: capacity.loadFactor,
+      capped: Boolean(capacity.capped),
+      cabins,
+      numberOfBookableSeats: capacity.numberOfBookableSeats,
+      totalSeatsAvailable: capacity.seatsAvailable,
+      minPrice: capacity.minPrice,
+      currency: capacity.currency
+    };
+
+    const history = data[key] || [];
+    history.push(snapshot);
+    data[key] = history.slice(-MAX_SNAPSHOTS_PER_FLIGHT);
+
+    await this.store.save();
+    return snapshot;
+  }
+
+  async list({ carrier, number, suffix = null, date }) {
+    const data = await this.store.load();
+    return data[SnapshotStore.key({ carrier, number, suffix, date })] || [];
+  }
+}
+
+export default SnapshotStore;
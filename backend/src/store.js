@@ -0,0 +1,81 @@
+// Small JSON file store for local persistence (snapshots, watchlists, etc.)
+// Files live in STORAGE_DIR (defaults to backend/storage) - one file per store
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_STORAGE_DIR = fileURLToPath(new URL('../storage', import.meta.url));
+
+class JsonStore {
+  // reloadOnChange re-reads the file when something else has written it since our last
+  // read or save - for stores another process edits, like api-keys from `npm run apikey:create`
+  constructor(name, defaultData = {}, { reloadOnChange = false } = {}) {
+    const storageDir = process.env.STORAGE_DIR || DEFAULT_STORAGE_DIR;
+    this.filePath = path.join(storageDir, `${name}.json`);
+    this.defaultData = defaultData;
+    this.reloadOnChange = reloadOnChange;
+    this.data = null;
+    this.mtimeMs = null;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    if (this.data && !(this.reloadOnChange && await this.changedOnDisk())) {
+      return this.data;
+    }
+
+    // Concurrent first loads share one read, so they all get the same object to mutate
+    this.loading ??= this.read().finally(() => { this.loading = null; });
+    return this.loading;
+  }
+
+  async read() {
+    try {
+      // Taken before reading, so a write in between makes the next load read again
+      this.mtimeMs = await this.modifiedAt();
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      this.data = JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading store ${this.filePath}:`, error.message);
+        throw error;
+      }
+      this.data = structuredClone(this.defaultData);
+    }
+
+    return this.data;
+  }
+
+  async modifiedAt() {
+    const stat = await fs.stat(this.filePath).catch(() => null);
+    return stat?.mtimeMs ?? null;
+  }
+
+  async changedOnDisk() {
+    return (await this.modifiedAt()) !== this.mtimeMs;
+  }
+
+  // Writes are queued so concurrent saves never interleave on disk
+  async save() {
+    const snapshot = JSON.stringify(this.data, null, 2);
+
+    const write = this.writeQueue.then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, snapshot);
+      await fs.rename(tempPath, this.filePath);
+      this.mtimeMs = await this.modifiedAt();
+    });
+
+    // A failed write must not block the ones queued after it
+    this.writeQueue = write.catch(error => {
+      console.error(`Error writing store ${this.filePath}:`, error.message);
+    });
+
+    return write;
+  }
+}
+
+export default JsonStore;
@@ -0,0 +1,631 @@
+// Public response types for the /v1 API
+// Amadeus payloads are mapped to these before they leave the server, so clients (our frontend
+// included) never depend on Amadeus field names. SCHEMAS is the JSON Schema for every type -
+// openapi.js publishes it as components.schemas and tests check responses against it.
+
+import { scheduleLegs } from './itinerary.js';
+import { formatFlightCode } from '../../shared/flightDesignator.mjs';
+
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullableRef = (name) => ({ oneOf: [ref(name), { type: 'null' }] });
+
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const airportCode = { type: 'string', pattern: '^[A-Z]{3}$' };
+const flightCode = { type: 'string', pattern: '^[A-Z0-9]{2}\\d{1,4}[A-Z]?$' };
+// Operational suffix, for flights an airline splits under one number (BA123A)
+const suffix = { type: ['string', 'null'], pattern: '^[A-Z]$' };
+const date = { type: 'string', format: 'date' };
+// A city code covers all of the city's airports (LON for LHR, LGW, ...)
+export const LOCATION_TYPES = ['AIRPORT', 'CITY'];
+const dateTime = { type: 'string', format: 'date-time' };
+const cabin = { type: 'string', examples: ['ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST'] };
+// ISO 8601 durations as Amadeus sends them (PT8H50M)
+const duration = { type: 'string', pattern: '^P', examples: ['PT8H50M'] };
+
+const object = (properties, required = Object.keys(properties)) => ({
+  type: 'object',
+  properties,
+  required
+});
+
+const CABIN_CAPACITY = object({
+  seatsAvailable: integer,
+  capped: boolean,
+  capacity: nullable(integer),
+  loadFactor: nullable(number),
+  minPrice: nullable(number),
+  offers: integer
+});
+
+const SEAT_COUNTS = {
+  total: integer,
+  available: integer,
+  occupied: integer,
+  blocked: integer,
+  loadFactor: nullable(number)
+};
+
+export const SCHEMAS = {
+  Error: {
+    type: 'object',
+    description: 'Request could not be accepted (400/401/404/429)',
+    properties: {
+      success: { const: false },
+      error: string,
+      expected: {},
+      received: {},
+      required: { type: 'array', items: string },
+      example: {},
+      message: string
+    },
+    required: ['error']
+  },
+
+  ServerError: object({
+    success: { const: false },
+    error: string,
+    message: string,
+    requestId: string
+  }),
+
+  Flight: {
+    ...object({
+      flightCode,
+      carrier: string,
+      number: string,
+      suffix,
+      date,
+      origin: airportCode,
+      destination: airportCode,
+      departure: ref('FlightPoint'),
+      arrival: ref('FlightPoint'),
+      aircraftCode: nullable(string),
+      duration: nullable(duration),
+      legs: { type: 'array', items: ref('FlightLeg') }
+    }),
+    description: 'A dated flight from the schedule. Times are local with their UTC offset.'
+  },
+
+  FlightPoint: object({
+    airport: airportCode,
+    scheduledTime: nullable(string)
+  }),
+
+  FlightLeg: object({
+    origin: airportCode,
+    destination: airportCode,
+    date,
+    departureTime: nullable(string),
+    aircraftCode: nullable(string),
+    duration: nullable(duration)
+  }),
+
+  Airline: object({
+    code: string,
+    name: string
+  }),
+
+  Aircraft: object({
+    code: string,
+    name: string
+  }),
+
+  Location: {
+    ...object({
+      code: airportCode,
+      type: { type: 'string', enum: LOCATION_TYPES },
+      name: string,
+      cityName: nullable(string),
+      cityCode: nullable(airportCode),
+      countryCode: nullable({ type: 'string', pattern: '^[A-Z]{2}$' })
+    }),
+    description: 'An airport, or a city covering all of its airports'
+  },
+
+  AirlineReference: object({
+    code: { type: 'string', pattern: '^[A-Z0-9]{2}$' },
+    icao: nullable({ type: 'string', pattern: '^[A-Z]{3}$' }),
+    name: string
+  }),
+
+  Capacity: {
+    ...object({
+      hasAvailability: boolean,
+      seatsAvailable: integer,
+      numberOfBookableSeats: integer,
+      seatCapacity: nullable(integer),
+      loadFactor: nullable(number),
+      minPrice: nullable(number),
+      currency: nullable(string),
+      cabins: { type: 'object', additionalProperties: ref('CabinCapacity') },
+      cabinTotals: nullable(object({ capacity: integer, seatsAvailable: integer, loadFactor: number })),
+      aircraftConfig: nullable(object({
+        aircraftCode: string,
+        name: nullable(string),
+        match: { type: 'string', enum: ['carrier', 'generic'] },
+        version: {},
+        cabins: { type: 'object', additionalProperties: integer }
+      })),
+      capped: boolean,
+      basis: { type: 'string', enum: ['bookable_seats', 'lower_bound', 'seatmap'] },
+      confidence: { type: 'string', enum: ['low', 'medium', 'high'] },
+      confidenceReason: string,
+      seatmap: nullableRef('SeatmapOccupancy'),
+      seatmapLoadFactor: nullable(number)
+    }),
+    description: 'Seats, fullness and fares for one flight. Amadeus reports at most 9 bookable seats per fare, so capped cabins have at least that many free seats and loadFactor is then an upper bound.'
+  },
+
+  CabinCapacity: CABIN_CAPACITY,
+
+  SeatmapOccupancy: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['ok', 'unavailable'] },
+      reason: string,
+      loadFactor: nullable(number),
+      seatsAvailable: integer,
+      seatCount: integer,
+      cabins: { type: 'object', additionalProperties: object(SEAT_COUNTS) },
+      segments: { type: 'array', items: { type: 'object' } }
+    },
+    required: ['status']
+  },
+
+  Connections: object({
+    offers: integer,
+    numberOfBookableSeats: integer,
+    minPrice: nullable(number),
+    currency: nullable(string)
+  }),
+
+  LegCapacity: {
+    ...object({
+      route: string,
+      flightCode,
+      carrier: string,
+      number: string,
+      date,
+      departureTime: nullable(string),
+      aircraftCode: nullable(string),
+      capacity: nullableRef('Capacity'),
+      connections: nullableRef('Connections'),
+      error: string
+    }, ['route', 'flightCode', 'carrier', 'number', 'date', 'capacity']),
+    description: 'Capacity of one leg. Failed legs have a null capacity and an error.'
+  },
+
+  Bottleneck: object({
+    index: integer,
+    basis: { type: 'string', enum: ['loadFactor', 'seatsAvailable'] },
+    loadFactor: nullable(number),
+    seatsAvailable: integer
+  }),
+
+  SeatMap: object({
+    route: string,
+    flightCode: nullable(string),
+    aircraftCode: nullable(string),
+    decks: { type: 'array', items: ref('Deck') }
+  }),
+
+  Deck: object({
+    type: string,
+    width: integer,
+    length: integer,
+    exitRows: { type: 'array', items: integer },
+    wings: nullable(object({ start: integer, end: integer })),
+    seats: { type: 'array', items: ref('Seat') },
+    facilities: { type: 'array', items: ref('Facility') }
+  }),
+
+  Seat: {
+    ...object({
+      number: string,
+      cabin: nullable(string),
+      x: integer,
+      y: integer,
+      status: { type: ['string', 'null'], enum: ['AVAILABLE', 'OCCUPIED', 'BLOCKED', null] },
+      characteristics: { type: 'array', items: string },
+      price: nullable(object({ amount: number, currency: string }))
+    }),
+    description: 'x is the row position and y the column position on the deck grid'
+  },
+
+  Facility: object({
+    code: string,
+    name: string,
+    x: integer,
+    y: integer
+  }),
+
+  DelayPrediction: {
+    ...object({
+      outcomes: { type: 'array', items: object({ result: string, probability: number }) },
+      mostLikely: nullable(string),
+      delayProbability: nullable(number)
+    }),
+    description: 'delayProbability is the chance of a delay of 30 minutes or more'
+  },
+
+  FlightOffer: object({
+    id: string,
+    price: nullable(number),
+    currency: nullable(string),
+    seatsAvailable: integer,
+    segments: { type: 'array', items: ref('OfferSegment') }
+  }),
+
+  OfferSegment: object({
+    flightCode,
+    carrier: string,
+    number: string,
+    operatingCarrier: string,
+    origin: airportCode,
+    destination: airportCode,
+    departureTime: nullable(string),
+    arrivalTime: nullable(string),
+    aircraftCode: nullable(string),
+    duration: nullable(duration),
+    cabin: nullable(cabin)
+  }),
+
+  Snapshot: object({
+    takenAt: dateTime,
+    route: string,
+    aircraftCode: nullable(string),
+    loadFactor: nullable(number),
+    capped: boolean,
+    cabins: { type: 'object', additionalProperties: object({ seats: integer, minPrice: nullable(number) }) },
+    numberOfBookableSeats: integer,
+    totalSeatsAvailable: integer,
+    minPrice: nullable(number),
+    currency: nullable(string)
+  }),
+
+  RouteBoardFlight: object({
+    flightCode,
+    carrier: string,
+    number: string,
+    operatingCarrier: string,
+    departureTime: string,
+    arrivalTime: nullable(string),
+    stops: integer,
+    aircraftCode: nullable(string),
+    codeshares: { type: 'array', items: flightCode },
+    capacity: ref('Capacity')
+  }),
+
+  FlightCandidate: {
+    ...object({
+      flightCode,
+      carrier: string,
+      number: string,
+      operatingCarrier: string,
+      codeshares: { type: 'array', items: flightCode },
+      origin: airportCode,
+      destination: airportCode,
+      departureTime: string,
+      arrivalTime: nullable(string),
+      stops: integer,
+      aircraftCode: nullable(string),
+      seatsAvailable: integer,
+      minPrice: nullable(number),
+      loadFactor: nullable(number)
+    }),
+    description: 'A flight found by route and time. Times are local, without an offset, as flight offers give them.'
+  },
+
+  FareTrendDay: object({
+    date,
+    price: nullable(number),
+    currency: nullable(string),
+    seatsAvailable: nullable(integer),
+    cabins: { type: 'object', additionalProperties: object({ price: nullable(number), seatsAvailable: integer }) }
+  }),
+
+  Itinerary: object({
+    route: string,
+    legs: { type: 'array', items: ref('LegCapacity') },
+    bottleneck: nullableRef('Bottleneck'),
+    through: nullable(object({
+      route: string,
+      offers: integer,
+      numberOfBookableSeats: integer,
+      minPrice: nullable(number),
+      currency: nullable(string)
+    }))
+  }),
+
+  BatchResult: {
+    ...object({
+      index: integer,
+      success: boolean,
+      flightCode: nullable(string),
+      carrier: string,
+      number: string,
+      date: nullable(string),
+      route: string,
+      departureTime: nullable(string),
+      aircraftCode: nullable(string),
+      airline: nullable(string),
+      aircraft: nullable(string),
+      capacity: ref('Capacity'),
+      connections: ref('Connections'),
+      error: string
+    }, ['index', 'success', 'flightCode', 'date']),
+    description: 'One batch item: the capacity fields when success is true, error when it is false'
+  },
+
+  WatchlistFlight: {
+    ...object({
+      id: string,
+      carrier: string,
+      number: string,
+      suffix,
+      flightCode,
+      date,
+      origin: nullable(string),
+      destination: nullable(string),
+      departureTime: nullable(string),
+      aircraftCode: nullable(string),
+      intervalMinutes: integer,
+      status: { type: 'string', enum: ['active', 'departed'] },
+      createdAt: dateTime,
+      lastCheckedAt: nullable(dateTime),
+      lastError: nullable(string),
+      latest: nullable(object({ checkedAt: dateTime, route: string, capacity: ref('Capacity') }))
+    }),
+    // Flights watched before suffixes were parsed don't have one
+    required: ['id', 'carrier', 'number', 'flightCode', 'date', 'origin', 'destination', 'departureTime', 'aircraftCode', 'intervalMinutes', 'status', 'createdAt', 'lastCheckedAt', 'lastError', 'latest']
+  },
+
+  AlertRule: object({
+    id: string,
+    type: { type: 'string', enum: ['fullness_above', 'cabin_seats_below', 'price_change'] },
+    threshold: number,
+    cabin: nullable(cabin),
+    flightCode: nullable(flightCode),
+    date: nullable(date),
+    route: nullable(string),
+    webhookUrl: nullable(string),
+    createdAt: dateTime
+  }),
+
+  Usage: nullable(object({
+    name: string,
+    requestsPerMinute: integer,
+    dailyQuota: integer,
+    requestsThisMinute: integer,
+    requestsToday: integer,
+    quotaRemaining: integer
+  })),
+
+  // How fresh each upstream response was (see cache.js)
+  CacheStatus: nullable(object({
+    status: { type: 'string', enum: ['hit', 'miss', 'shared'] },
+    ageSeconds: integer,
+    ttlSeconds: integer
+  }))
+};
+
+// Mappers - each takes the Amadeus response (or null when the lookup failed) and returns our type
+
+// The dated flight from a /v2/schedule/flights response, or null when it isn't scheduled
+export const toFlight = (scheduleData, requestedDate) => {
+  const flight = scheduleData?.data?.[0];
+  const points = flight?.flightPoints || [];
+  const first = points.find(fp => fp.departure);
+  const last = [...points].reverse().find(fp => fp.arrival);
+  if (!flight || !first || !last) return null;
+
+  const carrier = flight.flightDesignator?.carrierCode;
+  const number = String(flight.flightDesignator?.flightNumber ?? '');
+  const suffix = flight.flightDesignator?.operationalSuffix || null;
+  const legs = scheduleLegs(scheduleData, requestedDate);
+  // Multi-stop flights list a segment covering the whole trip
+  const wholeTrip = (flight.segments || []).find(s => s.boardPointIataCode === first.iataCode && s.offPointIataCode === last.iataCode);
+
+  return {
+    flightCode: formatFlightCode({ carrier, number, suffix }),
+    carrier,
+    number,
+    suffix,
+    date: flight.scheduledDepartureDate || requestedDate,
+    origin: first.iataCode,
+    destination: last.iataCode,
+    departure: { airport: first.iataCode, scheduledTime: first.departure.timings?.[0]?.value || null },
+    arrival: { airport: last.iataCode, scheduledTime: last.arrival.timings?.[0]?.value || null },
+    aircraftCode: legs[0]?.aircraftCode || null,
+    duration: wholeTrip?.scheduledSegmentDuration || (legs.length === 1 ? legs[0].duration : null),
+    legs
+  };
+};
+
+export const toAirline = (airlineData) => {
+  const airline = airlineData?.data?.[0];
+  if (!airline) return null;
+  return { code: airline.iataCode, name: airline.businessName || airline.commonName || airline.iataCode };
+};
+
+export const toAircraft = (aircraftData) => {
+  const aircraft = aircraftData?.data?.[0];
+  if (!aircraft) return null;
+  return { code: aircraft.iataCode, name: aircraft.name || aircraft.iataCode };
+};
+
+// Amadeus reference data is upper case (KUALA LUMPUR INTL); mixed case is left alone
+const titleCase = (text) => (
+  text && text === text.toUpperCase()
+    ? text.toLowerCase().replace(/(^|[\s/(-])(\p{L})/gu, (match, gap, letter) => gap + letter.toUpperCase())
+    : text
+);
+
+export const toLocation = (location) => ({
+  code: location.iataCode,
+  type: location.subType,
+  name: titleCase(location.name),
+  cityName: titleCase(location.address?.cityName) || null,
+  cityCode: location.address?.cityCode || null,
+  countryCode: location.address?.countryCode || null
+});
+
+export const toAirlineReference = (airline) => ({
+  code: airline.iataCode,
+  icao: airline.icaoCode || null,
+  name: titleCase(airline.commonName || airline.businessName) || airline.iataCode
+});
+
+const toSeat = (seat, characteristicNames) => {
+  const pricing = seat.travelerPricing?.[0];
+  return {
+    number: String(seat.number),
+    cabin: seat.cabin || null,
+    x: seat.coordinates.x,
+    y: seat.coordinates.y,
+    status: pricing?.seatAvailabilityStatus || null,
+    characteristics: (seat.characteristicsCodes || []).map(code => characteristicNames[code] || code),
+    price: pricing?.price?.total
+      ? { amount: parseFloat(pricing.price.total), currency: pricing.price.currency }
+      : null
+  };
+};
+
+const toDeck = (deck, dictionaries) => {
+  const config = deck.deckConfiguration || {};
+  // Seats without coordinates can't be placed on the grid
+  const seats = (deck.seats || []).filter(seat => seat.coordinates);
+  const facilities = (deck.facilities || []).filter(facility => facility.coordinates);
+
+  return {
+    type: deck.deckType || 'MAIN',
+    width: config.width || Math.max(0, ...seats.map(seat => seat.coordinates.y)) + 1,
+    length: config.length || Math.max(0, ...seats.map(seat => seat.coordinates.x)) + 1,
+    exitRows: config.exitRowsX || [],
+    wings: config.startWingsX !== undefined && config.endWingsX !== undefined
+      ? { start: config.startWingsX, end: config.endWingsX }
+      : null,
+    seats: seats.map(seat => toSeat(seat, dictionaries.seatCharacteristic || {})),
+    facilities: facilities.map(facility => ({
+      code: facility.code,
+      name: dictionaries.facility?.[facility.code] || facility.code,
+      x: facility.coordinates.x,
+      y: facility.coordinates.y
+    }))
+  };
+};
+
+// One seat map per segment from a /v1/shopping/seatmaps response, with code names resolved
+export const toSeatMaps = (seatmapData) => (seatmapData?.data || []).map(segment => ({
+  route: `${segment.departure?.iataCode}-${segment.arrival?.iataCode}`,
+  flightCode: segment.carrierCode && segment.number ? `${segment.carrierCode}${segment.number}` : null,
+  aircraftCode: segment.aircraft?.code || null,
+  decks: (segment.decks || []).map(deck => toDeck(deck, seatmapData.dictionaries || {}))
+}));
+
+// Amadeus returns one probability per delay bucket as a string; the headline number is the
+// chance of anything other than LESS_THAN_30_MINUTES
+export const toDelayPrediction = (predictionData) => {
+  const outcomes = (predictionData?.data || []).map(outcome => ({
+    result: outcome.result,
+    probability: parseFloat(outcome.probability)
+  }));
+  const onTime = outcomes.find(outcome => outcome.result === 'LESS_THAN_30_MINUTES');
+  const mostLikely = outcomes.reduce((a, b) => (b.probability > a.probability ? b : a), outcomes[0]);
+
+  return {
+    outcomes,
+    mostLikely: mostLikely?.result || null,
+    delayProbability: onTime ? Math.round((1 - onTime.probability) * 10000) / 10000 : null
+  };
+};
+
+export const toFlightOffer = (offer) => {
+  const segments = offer.itineraries?.[0]?.segments || [];
+  const fareDetails = offer.travelerPricings?.[0]?.fareDetailsBySegment || [];
+
+  return {
+    id: String(offer.id),
+    price: offer.price?.total ? parseFloat(offer.price.total) : null,
+    currency: offer.price?.currency || null,
+    seatsAvailable: offer.numberOfBookableSeats || 0,
+    segments: segments.map(segment => ({
+      flightCode: `${segment.carrierCode}${segment.number}`,
+      carrier: segment.carrierCode,
+      number: segment.number,
+      operatingCarrier: segment.operating?.carrierCode || segment.carrierCode,
+      origin: segment.departure?.iataCode,
+      destination: segment.arrival?.iataCode,
+      departureTime: segment.departure?.at || null,
+      arrivalTime: segment.arrival?.at || null,
+      aircraftCode: segment.aircraft?.code || null,
+      duration: segment.duration || null,
+      cabin: fareDetails.find(detail => detail.segmentId === segment.id)?.cabin || null
+    }))
+  };
+};
+
+// Minimal JSON Schema check for the keywords used in SCHEMAS and validation.js.
+// Returns a list of problems (empty when the value matches), each naming the path.
+export const validateSchema = (schema, value, path = '$', schemas = SCHEMAS) => {
+  if (schema.$ref) {
+    return validateSchema(schemas[schema.$ref.split('/').pop()], value, path, schemas);
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => validateSchema(option, value, path, schemas).length === 0);
+    return matches.length === 1 ? [] : [`${path}: matches ${matches.length} of the allowed shapes`];
+  }
+  if ('const' in schema && value !== schema.const) {
+    return [`${path}: expected ${JSON.stringify(schema.const)}`];
+  }
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(type, value))) {
+    return [`${path}: expected ${types.join(' or ')}, got ${value === null ? 'null' : typeof value}`];
+  }
+  if (value === null) return [];
+
+  const problems = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${path}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    problems.push(`${path}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${path}: below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${path}: above ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => problems.push(...validateSchema(schema.items, item, `${path}[${i}]`, schemas)));
+  }
+
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) problems.push(`${path}.${key}: missing`);
+    });
+    Object.entries(value).forEach(([key, item]) => {
+      const property = schema.properties?.[key] ??
+        (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if (property) problems.push(...validateSchema(property, item, `${path}.${key}`, schemas));
+    });
+  }
+
+  return problems;
+};
+
+const matchesType = (type, value) => {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+};
@@ -0,0 +1,863 @@
+// Versioned public API (/v1)
+// Every route is described once in V1_ROUTES - its parameters, body and response schema. The
+// router validates requests from that description and openapi.js publishes it, so the docs
+// can't drift from what the server accepts. Responses use our own types (types.js) instead of
+// Amadeus payloads. The legacy /api paths are served by this router too (see index.js).
+
+import express from 'express';
+import { validateParams } from './validation.js';
+import { SCHEMAS, toFlight, toAirline, toAircraft, toSeatMaps, toDelayPrediction, toFlightOffer } from './types.js';
+import { lookupFlightCapacity, lookupDelayPrediction } from './flightLookup.js';
+import { analyzeItinerary } from './itinerary.js';
+import { buildRouteBoard } from './routeBoard.js';
+import { findFlightCandidates, TIME_WINDOWS } from './flightFinder.js';
+import { MAX_BATCH_SIZE } from './batch.js';
+import { ALERT_TYPES, CABINS } from './alerts.js';
+import { DEFAULT_INTERVAL_MINUTES } from './watchlist.js';
+import { capacityRow, sendExport } from './export.js';
+import { publicMessage } from './errors.js';
+import { parseFlightDesignator, formatFlightCode } from '../../shared/flightDesignator.mjs';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (name) => ({ type: 'array', items: ref(name) });
+const nullableArrayOf = (name) => ({ type: ['array', 'null'], items: ref(name) });
+const nullableRef = (name) => ({ oneOf: [ref(name), { type: 'null' }] });
+
+// Successful responses all look like { success: true, query, ... }
+const ok = (properties) => ({
+  type: 'object',
+  properties: { success: { const: true }, ...properties },
+  required: ['success', ...Object.keys(properties)]
+});
+const query = { type: 'object', description: 'The request parameters after normalization' };
+const suggestionSource = { type: 'string', enum: ['local', 'amadeus'], description: 'Whether Amadeus was asked, or stored reference data was enough' };
+
+export const ROUTE_NOT_FOUND = {
+  success: false,
+  error: 'Could not determine flight route',
+  message: 'Flight schedule does not contain route information'
+};
+
+export const TIMINGS_NOT_FOUND = {
+  success: false,
+  error: 'Could not determine flight timings',
+  message: 'Flight schedule does not contain the timings and aircraft needed for a delay prediction'
+};
+
+export const V1_ROUTES = [
+  {
+    method: 'get',
+    path: '/flight-capacity',
+    operationId: 'getFlightCapacity',
+    tag: 'Capacity',
+    label: 'Flight capacity',
+    summary: 'Seats, fullness and fares for one flight',
+    description: 'origin and destination default to the scheduled route. seatmap=true also counts seats from the seatmap where the carrier publishes one. format=csv or xlsx downloads the capacity as a sheet.',
+    query: { required: ['carrier', 'number', 'date'], optional: ['suffix', 'origin', 'destination', 'seatmap', 'format'] },
+    example: '/v1/flight-capacity?carrier=LH&number=400&date=2025-11-10&seatmap=true',
+    response: ok({
+      query,
+      flight: nullableRef('Flight'),
+      airline: nullableRef('Airline'),
+      aircraft: nullableRef('Aircraft'),
+      capacity: ref('Capacity'),
+      connections: ref('Connections'),
+      seatMaps: nullableArrayOf('SeatMap'),
+      legs: nullableArrayOf('LegCapacity'),
+      bottleneck: nullableRef('Bottleneck'),
+      cache: { type: 'object', additionalProperties: ref('CacheStatus') }
+    }),
+    exports: true,
+    notFound: 'The route was not given and the flight is not in the schedule',
+    failure: 'Failed to fetch flight capacity'
+  },
+  {
+    method: 'get',
+    path: '/flight-capacity/history',
+    operationId: 'getCapacityHistory',
+    tag: 'Capacity',
+    label: 'Capacity history',
+    summary: 'Every capacity snapshot recorded for a flight',
+    query: { required: ['carrier', 'number', 'date'], optional: ['suffix'] },
+    example: '/v1/flight-capacity/history?carrier=LH&number=400&date=2025-11-10',
+    response: ok({ query, snapshots: arrayOf('Snapshot') }),
+    failure: 'Failed to fetch capacity history'
+  },
+  {
+    method: 'post',
+    path: '/flight-capacity/batch',
+    operationId: 'getBatchCapacity',
+    tag: 'Capacity',
+    label: 'Batch capacity',
+    summary: `Capacity of up to ${MAX_BATCH_SIZE} flights in one request`,
+    description: 'Each flight succeeds or fails on its own. Failed flights stay in the results, and in csv/xlsx exports, with their error.',
+    query: { optional: ['format'] },
+    body: {
+      type: 'object',
+      properties: {
+        flights: {
+          type: 'array',
+          maxItems: MAX_BATCH_SIZE,
+          items: {
+            type: 'object',
+            properties: { flightCode: { type: 'string' }, date: { type: 'string', format: 'date' }, origin: { type: 'string' }, destination: { type: 'string' } },
+            required: ['flightCode', 'date']
+          }
+        }
+      },
+      required: ['flights']
+    },
+    example: { flights: [{ flightCode: 'LH400', date: '2025-11-10' }, { flightCode: 'MH126', date: '2025-11-10', origin: 'PER', destination: 'KUL' }] },
+    response: ok({ count: { type: 'integer' }, succeeded: { type: 'integer' }, failed: { type: 'integer' }, results: arrayOf('BatchResult') }),
+    exports: true,
+    failure: 'Failed to run batch capacity lookup'
+  },
+  {
+    method: 'get',
+    path: '/flight-capacity/itinerary',
+    operationId: 'getItineraryCapacity',
+    tag: 'Capacity',
+    label: 'Itinerary capacity',
+    summary: 'Per-leg capacity and the bottleneck leg of a route such as PER-SIN-LHR',
+    query: { required: ['route', 'flights', 'date'], optional: ['dates'] },
+    example: '/v1/flight-capacity/itinerary?route=PER-SIN-LHR&flights=SQ216,SQ322&date=2025-11-10',
+    response: ok({ query, ...SCHEMAS.Itinerary.properties }),
+    failure: 'Failed to fetch itinerary capacity'
+  },
+  {
+    method: 'get',
+    path: '/route-board',
+    operationId: 'getRouteBoard',
+    tag: 'Capacity',
+    label: 'Route board',
+    summary: 'Every nonstop flight on a route with its seats, fullness and cheapest fare',
+    description: 'Built from one search, which Amadeus caps at 250 offers, so on very busy routes a flight with only expensive fares left can be missing.',
+    query: { required: ['origin', 'destination', 'date'], optional: ['sort', 'format'] },
+    example: '/v1/route-board?origin=PER&destination=KUL&date=2025-12-15&sort=emptiest',
+    response: ok({ query, count: { type: 'integer' }, flights: arrayOf('RouteBoardFlight'), cache: ref('CacheStatus') }),
+    exports: true,
+    failure: 'Failed to fetch route board'
+  },
+  {
+    method: 'get',
+    path: '/flights',
+    operationId: 'searchFlights',
+    tag: 'Flights',
+    label: 'Flight search',
+    summary: 'Flight offers on a route',
+    query: { required: ['origin', 'destination', 'date'], optional: ['adults'] },
+    example: '/v1/flights?origin=PER&destination=KUL&date=2025-12-15',
+    response: ok({ query, count: { type: 'integer' }, offers: arrayOf('FlightOffer') }),
+    failure: 'Failed to fetch flight data'
+  },
+  {
+    method: 'get',
+    path: '/flight-numbers',
+    operationId: 'findFlightNumbers',
+    tag: 'Flights',
+    label: 'Flight number search',
+    summary: 'Candidate flights on a route, for when the flight code is unknown',
+    description: 'Flights between origin and destination on date, optionally narrowed to a carrier (codeshares included) and a local departure time window. Pass a candidate\'s flightCode to /flight-capacity for the full capacity view.',
+    query: { required: ['origin', 'destination', 'date'], optional: ['carrier', 'timeOfDay', 'after', 'before'] },
+    example: '/v1/flight-numbers?origin=PER&destination=SYD&date=2025-12-15&carrier=QF&timeOfDay=morning',
+    response: ok({ query, count: { type: 'integer' }, flights: arrayOf('FlightCandidate'), cache: ref('CacheStatus') }),
+    failure: 'Failed to search flight numbers'
+  },
+  {
+    method: 'get',
+    path: '/flight-status',
+    operationId: 'getFlightStatus',
+    tag: 'Flights',
+    label: 'Flight status',
+    summary: 'Scheduled route, times and aircraft of a flight',
+    query: { required: ['carrier', 'number', 'date'], optional: ['suffix'] },
+    example: '/v1/flight-status?carrier=MH&number=124&date=2025-10-31',
+    response: ok({ query, flight: ref('Flight') }),
+    notFound: 'The flight is not in the schedule on that date',
+    failure: 'Failed to fetch flight status'
+  },
+  {
+    method: 'get',
+    path: '/fare-trend',
+    operationId: 'getFareTrend',
+    tag: 'Flights',
+    label: 'Fare trend',
+    summary: 'Cheapest fare per day (and per cabin) around the travel date',
+    description: 'days widens the window into a fare calendar; carrier and number narrow it to one airline or flight.',
+    query: { required: ['origin', 'destination', 'date'], optional: ['carrier', 'number', 'days'] },
+    example: '/v1/fare-trend?origin=FRA&destination=JFK&date=2025-11-10&carrier=LH&number=400&days=30',
+    response: ok({ query, fareTrend: arrayOf('FareTrendDay') }),
+    failure: 'Failed to fetch fare trend'
+  },
+  {
+    method: 'get',
+    path: '/delay-prediction',
+    operationId: 'getDelayPrediction',
+    tag: 'Flights',
+    label: 'Delay prediction',
+    summary: 'Chance of a flight being delayed',
+    query: { required: ['carrier', 'number', 'date'], optional: ['suffix'] },
+    example: '/v1/delay-prediction?carrier=LH&number=400&date=2025-11-10',
+    response: ok({ query, delayPrediction: ref('DelayPrediction') }),
+    notFound: 'The schedule does not have the timings and aircraft a prediction needs',
+    failure: 'Failed to fetch delay prediction'
+  },
+  {
+    method: 'get',
+    path: '/locations',
+    operationId: 'suggestLocations',
+    tag: 'Reference data',
+    label: 'Location suggestions',
+    summary: 'Airports and cities matching what has been typed, for autocomplete',
+    description: 'Matches the start of an IATA code, or of a word in the airport or city name. Answered from stored reference data where possible; source is amadeus when the Amadeus locations API had to be asked.',
+    query: { required: ['q'], optional: ['type', 'limit'] },
+    example: '/v1/locations?q=kuala&type=AIRPORT&limit=5',
+    response: ok({ query, count: { type: 'integer' }, source: suggestionSource, locations: arrayOf('Location'), cache: ref('CacheStatus') }),
+    failure: 'Failed to suggest locations'
+  },
+  {
+    method: 'get',
+    path: '/airlines',
+    operationId: 'suggestAirlines',
+    tag: 'Reference data',
+    label: 'Airline suggestions',
+    summary: 'Airlines matching what has been typed, for autocomplete',
+    description: 'Matches the IATA or ICAO code, or a word in the airline name. Airlines not in the stored reference data are looked up in Amadeus by code.',
+    query: { required: ['q'], optional: ['limit'] },
+    example: '/v1/airlines?q=qantas',
+    response: ok({ query, count: { type: 'integer' }, source: suggestionSource, airlines: arrayOf('AirlineReference'), cache: ref('CacheStatus') }),
+    failure: 'Failed to suggest airlines'
+  },
+  {
+    method: 'get',
+    path: '/usage',
+    operationId: 'getUsage',
+    tag: 'Account',
+    label: 'Usage',
+    summary: 'Usage and limits for the calling API key',
+    response: ok({ authEnabled: { type: 'boolean' }, usage: ref('Usage') }),
+    failure: 'Failed to fetch usage'
+  },
+  {
+    method: 'get',
+    path: '/watchlist',
+    operationId: 'listWatchlist',
+    tag: 'Watchlist',
+    label: 'Watchlist',
+    summary: 'Flights re-checked automatically by the poller',
+    response: ok({ count: { type: 'integer' }, flights: arrayOf('WatchlistFlight') }),
+    failure: 'Failed to fetch watchlist'
+  },
+  {
+    method: 'post',
+    path: '/watchlist',
+    operationId: 'addToWatchlist',
+    tag: 'Watchlist',
+    label: 'Watchlist add',
+    summary: 'Watch a flight',
+    description: 'Adding a flight that is already watched returns it with 200 instead of 201.',
+    body: { required: ['flightCode', 'date'], optional: ['intervalMinutes', 'origin', 'destination'] },
+    example: { flightCode: 'LH400', date: '2025-11-10', intervalMinutes: DEFAULT_INTERVAL_MINUTES },
+    status: [201, 200],
+    response: ok({ created: { type: 'boolean' }, flight: ref('WatchlistFlight') }),
+    failure: 'Failed to add flight to watchlist'
+  },
+  {
+    method: 'put',
+    path: '/watchlist/:id',
+    operationId: 'updateWatchlistFlight',
+    tag: 'Watchlist',
+    label: 'Watchlist update',
+    summary: 'Change how often a watched flight is checked',
+    body: { required: ['intervalMinutes'] },
+    example: { intervalMinutes: 30 },
+    response: ok({ flight: ref('WatchlistFlight') }),
+    notFound: 'No watched flight with this ID',
+    failure: 'Failed to update watchlist flight'
+  },
+  {
+    method: 'delete',
+    path: '/watchlist/:id',
+    operationId: 'removeFromWatchlist',
+    tag: 'Watchlist',
+    label: 'Watchlist remove',
+    summary: 'Stop watching a flight',
+    response: ok({ id: { type: 'string' } }),
+    notFound: 'No watched flight with this ID',
+    failure: 'Failed to remove watchlist flight'
+  },
+  {
+    method: 'get',
+    path: '/alerts',
+    operationId: 'listAlerts',
+    tag: 'Alerts',
+    label: 'Alerts',
+    summary: 'Capacity alert rules',
+    response: ok({ count: { type: 'integer' }, rules: arrayOf('AlertRule') }),
+    failure: 'Failed to fetch alert rules'
+  },
+  {
+    method: 'post',
+    path: '/alerts',
+    operationId: 'addAlert',
+    tag: 'Alerts',
+    label: 'Alert add',
+    summary: 'Add an alert rule',
+    description: 'Matches are POSTed as signed JSON to webhookUrl, or to ALERT_WEBHOOK_URL when the rule has none. ' +
+      'webhookUrl must be on a host listed in ALERT_WEBHOOK_HOSTS and may not be a loopback, private or link-local address.',
+    body: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ALERT_TYPES },
+        threshold: { type: 'number', description: 'Percent full, seats left or percent fare change, depending on type' },
+        cabin: { type: 'string', enum: CABINS, description: 'Required for cabin_seats_below' },
+        flightCode: { type: 'string' },
+        date: { type: 'string', format: 'date' },
+        route: { type: 'string', pattern: '^[A-Z]{3}-[A-Z]{3}$' },
+        webhookUrl: { type: 'string', format: 'uri' }
+      },
+      required: ['type', 'threshold']
+    },
+    example: { type: 'fullness_above', threshold: 90, flightCode: 'LH400', date: '2025-11-10' },
+    status: 201,
+    response: ok({ rule: ref('AlertRule') }),
+    failure: 'Failed to add alert rule'
+  },
+  {
+    method: 'delete',
+    path: '/alerts/:id',
+    operationId: 'removeAlert',
+    tag: 'Alerts',
+    label: 'Alert remove',
+    summary: 'Remove an alert rule',
+    response: ok({ id: { type: 'string' } }),
+    notFound: 'No alert rule with this ID',
+    failure: 'Failed to remove alert rule'
+  },
+  {
+    method: 'post',
+    path: '/alerts/test',
+    operationId: 'testAlertWebhook',
+    tag: 'Alerts',
+    label: 'Alert test',
+    summary: 'Send a signed test payload to a webhook receiver',
+    description: 'Defaults to ALERT_WEBHOOK_URL. A failed delivery is a 502 naming the receiver\'s HTTP status.',
+    body: { type: 'object', properties: { webhookUrl: { type: 'string', format: 'uri' } } },
+    response: ok({ delivery: { type: 'object' } }),
+    failureStatus: 502,
+    failure: 'Failed to deliver test webhook'
+  }
+];
+
+const V1_BY_ID = Object.fromEntries(V1_ROUTES.map(route => [route.operationId, route]));
+
+// Bodies listed as PARAMS names are validated like query strings; bodies given as a JSON
+// schema have rules across fields, so their handler checks them
+const isParamBody = (body) => Boolean(body) && !body.type;
+
+export const createV1Router = ({ amadeus, aircraftConfigs, referenceData, snapshots, watchlist, alerts, notifier, batch, apiKeys, authEnabled }) => {
+  // Returns the 400 body for a webhook URL the server won't POST to, or null when it's allowed
+  const checkWebhookUrl = async (webhookUrl) => {
+    const { problem } = await notifier.checkUrl(String(webhookUrl));
+    if (!problem) return null;
+    return {
+      error: 'Invalid webhook URL',
+      expected: 'ALERT_WEBHOOK_URL, or an http:// or https:// URL on a host in ALERT_WEBHOOK_HOSTS',
+      received: webhookUrl,
+      message: problem
+    };
+  };
+
+  const handlers = {
+    getFlightCapacity: async (req, res, { query: q }) => {
+      const result = await lookupFlightCapacity({ amadeus, aircraftConfigs, snapshots, alerts }, q);
+      if (!result) {
+        return res.status(404).json(ROUTE_NOT_FOUND);
+      }
+
+      if (q.format !== 'json') {
+        const row = capacityRow({ flightCode: result.flightCode, date: q.date, route: result.route, aircraftCode: result.aircraftCode, capacity: result.capacity });
+        return sendExport(res, q.format, [row], `capacity-${result.flightCode}-${q.date}`);
+      }
+
+      res.json({
+        success: true,
+        query: { carrier: q.carrier, number: q.number, suffix: q.suffix || null, flightCode: result.flightCode, route: result.route, date: q.date },
+        flight: toFlight(result.scheduleData, q.date),
+        airline: toAirline(result.airlineInfo),
+        aircraft: toAircraft(result.aircraftModel),
+        capacity: result.capacity,
+        connections: result.connections,
+        seatMaps: result.seatmapData ? toSeatMaps(result.seatmapData) : null,
+        legs: result.legs,
+        bottleneck: result.bottleneck,
+        cache: result.cache
+      });
+    },
+
+    getCapacityHistory: async (req, res, { query: q }) => {
+      const history = await snapshots.list(q);
+      res.json({
+        success: true,
+        query: { carrier: q.carrier, number: q.number, suffix: q.suffix || null, flightCode: formatFlightCode(q), date: q.date },
+        snapshots: history
+      });
+    },
+
+    getBatchCapacity: async (req, res, { query: q }) => {
+      const { flights } = req.body || {};
+
+      if (!Array.isArray(flights) || flights.length === 0) {
+        return res.status(400).json({
+          error: 'Missing required parameters',
+          required: ['flights'],
+          example: V1_BY_ID.getBatchCapacity.example
+        });
+      }
+
+      if (flights.length > MAX_BATCH_SIZE) {
+        return res.status(400).json({
+          error: 'Too many flights',
+          expected: `At most ${MAX_BATCH_SIZE} flights per batch`,
+          received: flights.length
+        });
+      }
+
+      console.log(`Batch capacity lookup for ${flights.length} flights`);
+
+      const result = await batch.run(flights);
+
+      // Failed items stay in the export with their error, so the sheet lines up with the request
+      if (q.format !== 'json') {
+        const rows = result.results.map(item => capacityRow(item));
+        return sendExport(res, q.format, rows, `capacity-batch-${new Date().toISOString().split('T')[0]}`);
+      }
+
+      res.json({ success: true, ...result });
+    },
+
+    getItineraryCapacity: async (req, res, { query: q }) => {
+      const airports = q.route.split('-');
+      const flights = q.flights.split(',');
+      const legCount = airports.length - 1;
+
+      if (flights.length !== 1 && flights.length !== legCount) {
+        return res.status(400).json({
+          error: 'Invalid flights',
+          expected: `One flight code for a multi-stop flight, or ${legCount} comma-separated flight codes (one per leg)`,
+          received: req.query.flights
+        });
+      }
+
+      const legDates = q.dates ? q.dates.split(',') : [];
+      if (legDates.length > legCount) {
+        return res.status(400).json({
+          error: 'Invalid date format',
+          expected: `At most ${legCount} per-leg dates`,
+          received: { date: q.date, dates: q.dates }
+        });
+      }
+
+      console.log(`Getting itinerary capacity: ${q.route} via ${q.flights} on ${q.date}`);
+
+      const itinerary = await analyzeItinerary({
+        amadeus,
+        aircraftConfigs,
+        airports,
+        flights: flights.map(parseFlightDesignator),
+        date: q.date,
+        dates: legDates
+      });
+
+      res.json({
+        success: true,
+        query: { route: q.route, flights, date: q.date },
+        ...itinerary
+      });
+    },
+
+    getRouteBoard: async (req, res, { query: q }) => {
+      const route = `${q.origin}-${q.destination}`;
+      console.log(`Building route board: ${q.origin} → ${q.destination} on ${q.date}`);
+
+      const availabilityData = await amadeus.getFlightAvailability({
+        origin: q.origin,
+        destination: q.destination,
+        departureDate: q.date
+      });
+
+      const flights = buildRouteBoard({
+        offers: availabilityData?.data || [],
+        origin: q.origin,
+        destination: q.destination,
+        aircraftConfigs,
+        sort: q.sort
+      });
+
+      if (q.format !== 'json') {
+        const rows = flights.map(flight => capacityRow({
+          flightCode: flight.flightCode,
+          date: q.date,
+          route,
+          aircraftCode: flight.aircraftCode,
+          capacity: flight.capacity
+        }));
+        return sendExport(res, q.format, rows, `route-board-${route}-${q.date}`);
+      }
+
+      res.json({
+        success: true,
+        query: { origin: q.origin, destination: q.destination, route, date: q.date, sort: q.sort },
+        count: flights.length,
+        flights,
+        cache: availabilityData.cache
+      });
+    },
+
+    searchFlights: async (req, res, { query: q }) => {
+      console.log(`Searching flights: ${q.origin} → ${q.destination} on ${q.date}`);
+
+      const flightData = await amadeus.searchFlightOffers({
+        origin: q.origin,
+        destination: q.destination,
+        departureDate: q.date,
+        adults: q.adults
+      });
+      const offers = (flightData.data || []).map(toFlightOffer);
+
+      res.json({ success: true, query: q, count: offers.length, offers });
+    },
+
+    findFlightNumbers: async (req, res, { query: q }) => {
+      const route = `${q.origin}-${q.destination}`;
+      // An explicit after/before overrides that end of the timeOfDay window
+      const window = {
+        ...TIME_WINDOWS[q.timeOfDay],
+        ...(q.after && { after: q.after }),
+        ...(q.before && { before: q.before })
+      };
+      console.log(`Finding flight numbers: ${q.origin} → ${q.destination} on ${q.date}${q.carrier ? ` (${q.carrier})` : ''}`);
+
+      const flightData = await amadeus.searchFlightOffers({
+        origin: q.origin,
+        destination: q.destination,
+        departureDate: q.date,
+        max: 250
+      });
+
+      const flights = findFlightCandidates({
+        offers: flightData.data || [],
+        origin: q.origin,
+        destination: q.destination,
+        aircraftConfigs,
+        carrier: q.carrier,
+        ...window
+      });
+
+      res.json({
+        success: true,
+        query: {
+          origin: q.origin,
+          destination: q.destination,
+          route,
+          date: q.date,
+          carrier: q.carrier || null,
+          after: window.after || null,
+          before: window.before || null
+        },
+        count: flights.length,
+        flights,
+        cache: flightData.cache
+      });
+    },
+
+    suggestLocations: async (req, res, { query: q }) => {
+      const { suggestions, source, cache } = await referenceData.suggestLocations(q.q, { limit: q.limit, type: q.type });
+      res.json({ success: true, query: q, count: suggestions.length, source, locations: suggestions, cache });
+    },
+
+    suggestAirlines: async (req, res, { query: q }) => {
+      const { suggestions, source, cache } = await referenceData.suggestAirlines(q.q, { limit: q.limit });
+      res.json({ success: true, query: q, count: suggestions.length, source, airlines: suggestions, cache });
+    },
+
+    getFlightStatus: async (req, res, { query: q }) => {
+      const flightCode = formatFlightCode(q);
+      console.log(`Getting flight status: ${flightCode} on ${q.date}`);
+
+      const scheduleData = await amadeus.getFlightStatus({
+        carrierCode: q.carrier,
+        flightNumber: q.number,
+        scheduledDepartureDate: q.date,
+        operationalSuffix: q.suffix
+      });
+
+      const flight = toFlight(scheduleData, q.date);
+      if (!flight) {
+        return res.status(404).json({
+          success: false,
+          error: 'Flight not found',
+          message: `${flightCode} is not scheduled on ${q.date}`
+        });
+      }
+
+      res.json({ success: true, query: { carrier: q.carrier, number: q.number, suffix: q.suffix || null, flightCode, date: q.date }, flight });
+    },
+
+    getFareTrend: async (req, res, { query: q }) => {
+      if (q.number && !q.carrier) {
+        return res.status(400).json({
+          error: 'Missing required parameters',
+          required: ['carrier'],
+          example: V1_BY_ID.getFareTrend.example
+        });
+      }
+
+      const fareTrend = await amadeus.getFareTrend({
+        origin: q.origin,
+        destination: q.destination,
+        departureDate: q.date,
+        carrierCode: q.carrier,
+        flightNumber: q.number,
+        days: q.days
+      });
+
+      res.json({
+        success: true,
+        query: {
+          origin: q.origin,
+          destination: q.destination,
+          route: `${q.origin}-${q.destination}`,
+          carrier: q.carrier || null,
+          number: q.number || null,
+          date: q.date,
+          days: q.days
+        },
+        fareTrend
+      });
+    },
+
+    getDelayPrediction: async (req, res, { query: q }) => {
+      const result = await lookupDelayPrediction({ amadeus }, q);
+      if (!result) {
+        return res.status(404).json(TIMINGS_NOT_FOUND);
+      }
+
+      res.json({
+        success: true,
+        query: { carrier: q.carrier, number: q.number, suffix: q.suffix || null, flightCode: formatFlightCode(q), route: result.route, date: q.date },
+        delayPrediction: toDelayPrediction(result.delayPrediction)
+      });
+    },
+
+    getUsage: async (req, res) => {
+      res.json({
+        success: true,
+        authEnabled,
+        usage: req.apiClient ? apiKeys.usageFor(req.apiClient) : null
+      });
+    },
+
+    listWatchlist: async (req, res) => {
+      const flights = await watchlist.list();
+      res.json({ success: true, count: flights.length, flights });
+    },
+
+    addToWatchlist: async (req, res, { body }) => {
+      const { carrier, number, suffix } = parseFlightDesignator(body.flightCode);
+      const { flight, created } = await watchlist.add({
+        carrier,
+        number,
+        suffix,
+        date: body.date,
+        origin: body.origin,
+        destination: body.destination,
+        intervalMinutes: body.intervalMinutes
+      });
+
+      console.log(`Watchlist: ${created ? 'added' : 'already watching'} ${flight.flightCode} on ${body.date}`);
+
+      res.status(created ? 201 : 200).json({ success: true, created, flight });
+    },
+
+    updateWatchlistFlight: async (req, res, { body }) => {
+      const flight = await watchlist.update(req.params.id, { intervalMinutes: body.intervalMinutes });
+      if (!flight) {
+        return res.status(404).json({ success: false, error: 'Watchlist flight not found', id: req.params.id });
+      }
+
+      res.json({ success: true, flight });
+    },
+
+    removeFromWatchlist: async (req, res) => {
+      const removed = await watchlist.remove(req.params.id);
+      if (!removed) {
+        return res.status(404).json({ success: false, error: 'Watchlist flight not found', id: req.params.id });
+      }
+
+      res.json({ success: true, id: req.params.id });
+    },
+
+    listAlerts: async (req, res) => {
+      const rules = await alerts.list();
+      res.json({ success: true, count: rules.length, rules });
+    },
+
+    addAlert: async (req, res) => {
+      const { type, threshold, cabin, flightCode, date, route, webhookUrl } = req.body || {};
+
+      if (!type || threshold === undefined || (!flightCode && !route)) {
+        return res.status(400).json({
+          error: 'Missing required parameters',
+          required: ['type', 'threshold', 'flightCode or route'],
+          example: V1_BY_ID.addAlert.example
+        });
+      }
+
+      if (!ALERT_TYPES.includes(type)) {
+        return res.status(400).json({ error: 'Invalid alert type', expected: ALERT_TYPES, received: type });
+      }
+
+      const value = Number(threshold);
+      const thresholdValid = type === 'fullness_above'
+        ? value > 0 && value <= 100
+        : type === 'cabin_seats_below'
+          ? Number.isInteger(value) && value > 0
+          : value > 0;
+      if (!thresholdValid) {
+        return res.status(400).json({
+          error: 'Invalid threshold',
+          expected: {
+            fullness_above: 'Percentage between 1 and 100',
+            cabin_seats_below: 'Whole number of seats, at least 1',
+            price_change: 'Percentage greater than 0'
+          }[type],
+          received: threshold
+        });
+      }
+
+      if (type === 'cabin_seats_below' && !CABINS.includes(cabin)) {
+        return res.status(400).json({ error: 'Invalid cabin', expected: CABINS, received: cabin });
+      }
+
+      // flightCode and date follow the shared parameter rules; route here is a single origin-destination pair
+      const { values, error } = validateParams({ flightCode, date }, { optional: ['flightCode', 'date'] });
+      if (error) {
+        return res.status(400).json(error);
+      }
+
+      if (route && !/^[A-Z]{3}-[A-Z]{3}$/i.test(route)) {
+        return res.status(400).json({
+          error: 'Invalid route',
+          expected: 'Origin and destination IATA codes (e.g., PER-KUL)',
+          received: route
+        });
+      }
+
+      if (!webhookUrl && !notifier.url) {
+        return res.status(400).json({
+          error: 'No webhook configured',
+          expected: 'webhookUrl in the request body, or ALERT_WEBHOOK_URL on the server'
+        });
+      }
+
+      if (webhookUrl) {
+        const invalid = await checkWebhookUrl(webhookUrl);
+        if (invalid) return res.status(400).json(invalid);
+      }
+
+      if (!notifier.secret) {
+        return res.status(503).json({
+          error: 'Webhook signing not configured',
+          message: 'Set ALERT_WEBHOOK_SECRET on the server - alerts are only delivered signed'
+        });
+      }
+
+      const rule = await alerts.add({
+        type,
+        threshold: value,
+        cabin: type === 'cabin_seats_below' ? cabin : null,
+        flightCode: values.flightCode,
+        date: values.date,
+        route: route?.toUpperCase(),
+        webhookUrl
+      });
+
+      console.log(`Alert rule added: ${type} ${value} for ${values.flightCode || rule.route}`);
+
+      res.status(201).json({ success: true, rule });
+    },
+
+    removeAlert: async (req, res) => {
+      const removed = await alerts.remove(req.params.id);
+      if (!removed) {
+        return res.status(404).json({ success: false, error: 'Alert rule not found', id: req.params.id });
+      }
+
+      res.json({ success: true, id: req.params.id });
+    },
+
+    testAlertWebhook: async (req, res) => {
+      const { webhookUrl } = req.body || {};
+
+      if (webhookUrl) {
+        const invalid = await checkWebhookUrl(webhookUrl);
+        if (invalid) return res.status(400).json(invalid);
+      }
+
+      try {
+        const delivery = await notifier.send({
+          event: 'capacity.alert.test',
+          message: 'Test alert from FlightCapacity',
+          observedAt: new Date().toISOString()
+        }, webhookUrl || undefined);
+
+        res.json({ success: true, delivery });
+      } catch (error) {
+        console.error(`Alert test error [${req.id}]:`, error);
+        res.status(502).json({
+          success: false,
+          error: 'Failed to deliver test webhook',
+          // The receiver's status only - its body is in our logs
+          message: publicMessage(error),
+          requestId: req.id
+        });
+      }
+    }
+  };
+
+  const router = express.Router();
+
+  V1_ROUTES.forEach(route => {
+    const handler = handlers[route.operationId];
+    if (!handler) {
+      throw new Error(`No handler for ${route.operationId}`);
+    }
+
+    router[route.method](route.path, async (req, res) => {
+      try {
+        const query = validateParams(req.query, route.query || {}, route.example);
+        if (query.error) {
+          return res.status(400).json(query.error);
+        }
+
+        const body = isParamBody(route.body) ? validateParams(req.body, route.body, route.example) : { values: req.body };
+        if (body.error) {
+          return res.status(400).json(body.error);
+        }
+
+        await handler(req, res, { query: query.values, body: body.values });
+      } catch (error) {
+        console.error(`${route.label} error [${req.id}]:`, error);
+        res.status(500).json({
+          success: false,
+          error: route.failure,
+          message: publicMessage(error),
+          requestId: req.id
+        });
+      }
+    });
+  });
+
+  return router;
+};
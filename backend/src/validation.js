@@ -0,0 +1,269 @@
+// Request parameters shared by every route
+// Each parameter is defined once: the JSON schema it must match, how it's normalized, the 400
+// body when it doesn't match, and how it's described in the OpenAPI document (see openapi.js).
+// Routes list which parameters they take and validateParams does the rest. Flight codes go through
+// the designator parser shared with the frontend, whose messages say exactly what was wrong.
+
+import { ROUTE_BOARD_SORTS } from './routeBoard.js';
+import { EXPORT_FORMATS } from './export.js';
+import { MAX_FARE_TREND_DAYS } from './amadeus.js';
+import { DEFAULT_INTERVAL_MINUTES, MIN_INTERVAL_MINUTES } from './watchlist.js';
+import { TIME_WINDOWS } from './flightFinder.js';
+import { DEFAULT_SUGGESTIONS, MAX_SUGGESTIONS } from './referenceData.js';
+import { LOCATION_TYPES } from './types.js';
+import { parseAirlineCode, parseFlightNumber, parseFlightDesignator } from '../../shared/flightDesignator.mjs';
+
+const upper = (value) => String(value).trim().toUpperCase();
+
+// Parsers return { value } or { problem }, the parser's explanation of what was wrong
+const designator = (value) => {
+  const parsed = parseFlightDesignator(value);
+  return parsed.error ? { problem: parsed.error } : { value: parsed.flightCode };
+};
+
+const MAX_KEYWORD_LENGTH = 40;
+
+const FLIGHT_CODE_PATTERN = '[A-Z0-9]{2,3}\\d{1,4}[A-Z]?';
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+
+// YYYY-MM-DD that is also a real day: 2025-13-45 has the shape but Date.UTC rolls it over
+const calendarDate = (value) => {
+  const text = String(value);
+  if (!new RegExp(DATE_PATTERN).test(text)) return {};
+  const [year, month, day] = text.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return { problem: `"${text}" is not a calendar date` };
+  }
+  return { value: text };
+};
+
+// HH:MM local time; a window's end may be 24:00
+const time = (description, { endOfDay = false } = {}) => ({
+  schema: { type: 'string', pattern: endOfDay ? '^(([01]\\d|2[0-3]):[0-5]\\d|24:00)$' : '^([01]\\d|2[0-3]):[0-5]\\d$', example: '06:00' },
+  normalize: (value) => String(value).trim().padStart(5, '0'),
+  description,
+  error: 'Invalid time',
+  expected: `HH:MM, 24-hour local time (e.g., 06:30)${endOfDay ? ', or 24:00' : ''}`
+});
+
+const airport = (description) => ({
+  schema: { type: 'string', pattern: '^[A-Z]{3}$' },
+  normalize: upper,
+  description,
+  error: 'Invalid airport code',
+  expected: '3-letter IATA code (e.g., PER, KUL)'
+});
+
+export const PARAMS = {
+  carrier: {
+    schema: { type: 'string', pattern: '^([A-Z0-9]{2}|[A-Z]{3})$', example: 'LH' },
+    parse: (value) => {
+      const parsed = parseAirlineCode(value);
+      return parsed.error ? { problem: parsed.error } : { value: parsed.carrier };
+    },
+    description: 'IATA airline code, or an ICAO code we map to it (DLH -> LH)',
+    error: 'Invalid carrier code',
+    expected: '2-character IATA airline code (e.g., MH, U2, 3K) or 3-letter ICAO code (e.g., QFA)'
+  },
+  number: {
+    schema: { type: 'string', pattern: '^\\d{1,4}$', example: '400' },
+    parse: (value) => {
+      const parsed = parseFlightNumber(value);
+      if (parsed.error) return { problem: parsed.error };
+      if (parsed.suffix) return { problem: `Flight number "${String(value).trim()}" has an operational suffix - pass it separately as suffix=${parsed.suffix}` };
+      return { value: parsed.number };
+    },
+    description: 'Flight number without the airline code (leading zeros are ignored)',
+    error: 'Invalid flight number',
+    expected: '1-4 digits (e.g., 124, 0007)'
+  },
+  suffix: {
+    schema: { type: 'string', pattern: '^[A-Z]$', example: 'A' },
+    normalize: upper,
+    description: 'Operational suffix, for flights the airline splits under one number (BA123A)',
+    error: 'Invalid suffix',
+    expected: 'A single letter (e.g., A)'
+  },
+  flightCode: {
+    schema: { type: 'string', pattern: `^${FLIGHT_CODE_PATTERN}$`, example: 'LH400' },
+    parse: designator,
+    description: 'Airline code, flight number and optional suffix - IATA or ICAO, spaces and hyphens are ignored (LH400, QFA 7, BA123A)',
+    error: 'Invalid flight code',
+    expected: 'Airline code followed by 1-4 digits and an optional suffix letter (e.g., LH400, U21234, QFA7, BA123A)'
+  },
+  date: {
+    schema: { type: 'string', format: 'date', pattern: DATE_PATTERN, example: '2025-11-10' },
+    parse: calendarDate,
+    description: 'Local departure date',
+    error: 'Invalid date format',
+    expected: 'YYYY-MM-DD'
+  },
+  origin: airport('Origin airport (IATA)'),
+  destination: airport('Destination airport (IATA)'),
+  route: {
+    schema: { type: 'string', pattern: '^[A-Z]{3}(-[A-Z]{3})+$', example: 'PER-SIN-LHR' },
+    normalize: upper,
+    description: 'Airports in order, separated by hyphens',
+    error: 'Invalid route',
+    expected: '3-letter IATA airport codes separated by hyphens (e.g., PER-SIN-LHR)'
+  },
+  flights: {
+    schema: { type: 'string', pattern: `^${FLIGHT_CODE_PATTERN}(,${FLIGHT_CODE_PATTERN})*$`, example: 'SQ216,SQ322' },
+    parse: (value) => {
+      const codes = [];
+      for (const [i, code] of String(value).split(',').entries()) {
+        const parsed = designator(code);
+        if (parsed.problem) return { problem: `Flight ${i + 1}: ${parsed.problem}` };
+        codes.push(parsed.value);
+      }
+      return { value: codes.join(',') };
+    },
+    description: 'One flight code for a multi-stop flight, or one per leg, comma separated',
+    error: 'Invalid flights',
+    expected: 'Comma-separated flight codes (e.g., SQ216,SQ322)'
+  },
+  dates: {
+    schema: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}(,\\d{4}-\\d{2}-\\d{2})*$', example: '2025-11-10,2025-11-11' },
+    parse: (value) => {
+      const dates = [];
+      for (const [i, date] of String(value).split(',').entries()) {
+        const parsed = calendarDate(date);
+        if (parsed.value === undefined) return parsed.problem ? { problem: `Date ${i + 1}: ${parsed.problem}` } : {};
+        dates.push(parsed.value);
+      }
+      return { value: dates.join(',') };
+    },
+    description: 'Departure date of each leg, when they differ from date',
+    error: 'Invalid date format',
+    expected: 'YYYY-MM-DD, with optional per-leg dates as a comma-separated list'
+  },
+  sort: {
+    schema: { type: 'string', enum: ROUTE_BOARD_SORTS, default: 'departure' },
+    description: 'Order of the flights',
+    error: 'Invalid sort',
+    expected: ROUTE_BOARD_SORTS
+  },
+  format: {
+    schema: { type: 'string', enum: EXPORT_FORMATS, default: 'json' },
+    description: 'json, or csv / xlsx to download the result as a file',
+    error: 'Invalid format',
+    expected: EXPORT_FORMATS
+  },
+  days: {
+    schema: { type: 'integer', minimum: 1, maximum: MAX_FARE_TREND_DAYS, default: 7 },
+    description: 'Number of days in the fare window, centred on date',
+    error: 'Invalid days',
+    expected: `Whole number of days between 1 and ${MAX_FARE_TREND_DAYS}`
+  },
+  adults: {
+    schema: { type: 'integer', minimum: 1, maximum: 9, default: 1 },
+    description: 'Number of adult travellers',
+    error: 'Invalid adults',
+    expected: 'Whole number of travellers between 1 and 9'
+  },
+  seatmap: {
+    schema: { type: 'boolean', default: false },
+    description: 'Also count seats one by one from the seatmap, where the carrier publishes one',
+    error: 'Invalid seatmap',
+    expected: 'true or false'
+  },
+  after: time('Earliest local departure time'),
+  before: time('Local departure time the window ends at (exclusive) - earlier than after for a window past midnight', { endOfDay: true }),
+  timeOfDay: {
+    schema: { type: 'string', enum: Object.keys(TIME_WINDOWS) },
+    description: Object.entries(TIME_WINDOWS).map(([name, w]) => `${name} ${w.after}-${w.before}`).join(', ') + ' - after and before override it',
+    error: 'Invalid timeOfDay',
+    expected: Object.keys(TIME_WINDOWS)
+  },
+  intervalMinutes: {
+    schema: { type: 'integer', minimum: MIN_INTERVAL_MINUTES, default: DEFAULT_INTERVAL_MINUTES },
+    description: 'How often the poller re-checks the flight',
+    error: 'Invalid poll interval',
+    expected: `Whole number of minutes, at least ${MIN_INTERVAL_MINUTES}`
+  },
+  q: {
+    schema: { type: 'string', minLength: 1, maxLength: MAX_KEYWORD_LENGTH, example: 'perth' },
+    parse: (value) => {
+      const text = String(value).trim().replace(/\s+/g, ' ');
+      if (!text) return { problem: 'Search text is empty' };
+      if (text.length > MAX_KEYWORD_LENGTH) return { problem: `Search text is ${text.length} characters - at most ${MAX_KEYWORD_LENGTH} are allowed` };
+      if (/[^\p{L}\d .'\/()-]/u.test(text)) return { problem: `Search text "${text}" may only contain letters, digits, spaces and . ' / ( ) -` };
+      return { value: text };
+    },
+    description: 'What the user has typed so far - the start of a code, name or city',
+    error: 'Invalid search text',
+    expected: `1-${MAX_KEYWORD_LENGTH} letters, digits or spaces (e.g., per, kuala, QFA)`
+  },
+  type: {
+    schema: { type: 'string', enum: LOCATION_TYPES },
+    normalize: upper,
+    description: 'Only airports, or only cities (which cover all of their airports)',
+    error: 'Invalid location type',
+    expected: LOCATION_TYPES
+  },
+  limit: {
+    schema: { type: 'integer', minimum: 1, maximum: MAX_SUGGESTIONS, default: DEFAULT_SUGGESTIONS },
+    description: 'Most suggestions to return',
+    error: 'Invalid limit',
+    expected: `Whole number between 1 and ${MAX_SUGGESTIONS}`
+  }
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Returns { value } when it matches the schema, otherwise {} or { problem } from the param's parser
+const parseValue = (param, raw) => {
+  const { schema } = param;
+
+  if (schema.type === 'integer') {
+    const value = Number(raw);
+    if (!Number.isInteger(value)) return {};
+    if (schema.minimum !== undefined && value < schema.minimum) return {};
+    if (schema.maximum !== undefined && value > schema.maximum) return {};
+    return { value };
+  }
+
+  if (schema.type === 'boolean') {
+    if (raw === true || raw === 'true') return { value: true };
+    if (raw === false || raw === 'false') return { value: false };
+    return {};
+  }
+
+  if (typeof raw !== 'string' && typeof raw !== 'number') return {};
+  if (param.parse) return param.parse(raw);
+  const value = param.normalize ? param.normalize(raw) : String(raw);
+  if (schema.enum && !schema.enum.includes(value)) return {};
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) return {};
+  return { value };
+};
+
+// Check a query string or JSON body against the parameters a route takes.
+// spec: { required: [names], optional: [names] }; example is shown when something is missing.
+// Returns { values } with normalized values and defaults filled in, or { error } with the 400 body.
+export const validateParams = (source = {}, { required = [], optional = [] }, example) => {
+  const input = source || {};
+  const missing = required.filter(name => isMissing(input[name]));
+  if (missing.length > 0) {
+    return { error: { error: 'Missing required parameters', required, example } };
+  }
+
+  const values = {};
+  for (const name of [...required, ...optional]) {
+    const param = PARAMS[name];
+    const raw = input[name];
+
+    if (isMissing(raw)) {
+      values[name] = param.schema.default;
+      continue;
+    }
+
+    const { value, problem } = parseValue(param, raw);
+    if (value === undefined) {
+      return { error: { error: param.error, expected: param.expected, received: raw, ...(problem && { message: problem }) } };
+    }
+    values[name] = value;
+  }
+
+  return { values };
+};
@@ -0,0 +1,108 @@
+// Watchlist of flights that are re-checked automatically by the poller
+// Each entry keeps the latest capacity result so the team doesn't have to re-type flights
+
+import crypto from 'crypto';
+import JsonStore from './store.js';
+import { formatFlightCode } from '../../shared/flightDesignator.mjs';
+
+export const DEFAULT_INTERVAL_MINUTES = 60;
+export const MIN_INTERVAL_MINUTES = 5;
+
+class Watchlist {
+  constructor(store = new JsonStore('watchlist', { flights: [] })) {
+    this.store = store;
+  }
+
+  async list() {
+    const data = await this.store.load();
+    return data.flights;
+  }
+
+  async get(id) {
+    const flights = await this.list();
+    return flights.find(flight => flight.id === id) || null;
+  }
+
+  async add({ carrier, number, suffix = null, date, origin, destination, intervalMinutes = DEFAULT_INTERVAL_MINUTES }) {
+    const data = await this.store.load();
+    const flightCode = formatFlightCode({ carrier, number, suffix });
+
+    const existing = data.flights.find(flight => flight.flightCode === flightCode && flight.date === date);
+    if (existing) {
+      return { flight: existing, created: false };
+    }
+
+    const flight = {
+      id: crypto.randomUUID(),
+      carrier,
+      number,
+      suffix,
+      flightCode,
+      date,
+      origin: origin || null,
+      destination: destination || null,
+      departureTime: null,
+      aircraftCode: null,
+      intervalMinutes,
+      status: 'active',
+      createdAt: new Date().toISOString(),
+      lastCheckedAt: null,
+      lastError: null,
+      latest: null
+    };
+
+    data.flights.push(flight);
+    await this.store.save();
+    return { flight, created: true };
+  }
+
+  async update(id, changes) {
+    const data = await this.store.load();
+    const flight = data.flights.find(f => f.id === id);
+    if (!flight) {
+      return null;
+    }
+
+    Object.assign(flight, changes);
+    await this.store.save();
+    return flight;
+  }
+
+  async remove(id) {
+    const data = await this.store.load();
+    const index = data.flights.findIndex(flight => flight.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    data.flights.splice(index, 1);
+    await this.store.save();
+    return true;
+  }
+
+  // Active flights whose poll interval has elapsed, least recently checked first
+  async due(now = Date.now()) {
+    const flights = await this.list();
+    return flights
+      .filter(flight => flight.status === 'active')
+      .filter(flight => {
+        if (!flight.lastCheckedAt) return true;
+        return now - new Date(flight.lastCheckedAt).getTime() >= flight.intervalMinutes * 60 * 1000;
+      })
+      .sort((a, b) => new Date(a.lastCheckedAt || 0) - new Date(b.lastCheckedAt || 0));
+  }
+}
+
+// A flight has departed once its scheduled departure is behind us.
+// Without a departure time we fall back to the end of the departure date.
+export const hasDeparted = (flight, now = Date.now()) => {
+  if (flight.departureTime) {
+    const departure = new Date(flight.departureTime).getTime();
+    if (!Number.isNaN(departure)) {
+      return departure <= now;
+    }
+  }
+  return new Date(`${flight.date}T23:59:59Z`).getTime() < now;
+};
+
+export default Watchlist;
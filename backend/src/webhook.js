@@ -0,0 +1,181 @@
+// Signed webhook delivery
+// Signature: HMAC-SHA256 over `${timestamp}.${body}` using ALERT_WEBHOOK_SECRET,
+// sent as `X-FlightCapacity-Signature: sha256=<hex>` with `X-FlightCapacity-Timestamp`
+//
+// Anyone with an API key can add a rule with its own webhookUrl, so those URLs are limited to
+// hosts in ALERT_WEBHOOK_HOSTS that don't resolve to loopback, private or link-local addresses
+// (checked again when connecting, so DNS can't be switched after the rule is added).
+// ALERT_WEBHOOK_URL is the operator's own and may point anywhere, a local receiver included.
+
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import fetch from 'node-fetch';
+import { PublicError } from './errors.js';
+
+export const SIGNATURE_HEADER = 'X-FlightCapacity-Signature';
+export const TIMESTAMP_HEADER = 'X-FlightCapacity-Timestamp';
+
+export const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+export const verifySignature = (secret, timestamp, body, signature) => {
+  if (!signature || !timestamp) return false;
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+export const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address it carries
+  const ip = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1] || address;
+  return BLOCKED_ADDRESSES.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+};
+
+// Resolves like dns.lookup but refuses private addresses, for connections to rule URLs
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isPrivateAddress)) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EPRIVATEADDRESS' }));
+    }
+    callback(null, address, family);
+  });
+};
+
+const PUBLIC_AGENTS = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup })
+};
+
+// IPv6 hosts may be listed with or without brackets
+const bareHost = (host) => host.trim().toLowerCase().replace(/^\[|\]$/g, '');
+
+const parseHosts = (value = '') => value.split(',').map(bareHost).filter(Boolean);
+
+class WebhookNotifier {
+  // allowPrivateAddresses is only honoured in test mode, so tests can use a receiver on localhost
+  constructor({
+    url = process.env.ALERT_WEBHOOK_URL,
+    secret = process.env.ALERT_WEBHOOK_SECRET,
+    allowedHosts = process.env.ALERT_WEBHOOK_HOSTS,
+    allowPrivateAddresses = process.env.ALERT_WEBHOOK_ALLOW_PRIVATE === 'true',
+    env = process.env.NODE_ENV || 'test',
+    timeoutMs = 5000
+  } = {}) {
+    this.url = url;
+    this.secret = secret;
+    this.allowedHosts = new Set(parseHosts(allowedHosts));
+    this.allowPrivateAddresses = allowPrivateAddresses && env === 'test';
+    this.timeoutMs = timeoutMs;
+
+    if (this.url && !this.secret) {
+      console.error('❌ ALERT_WEBHOOK_SECRET is not set - alerts will not be delivered until it is (webhooks are always signed)');
+    }
+  }
+
+  // Returns { problem } when a caller-supplied webhook URL may not be used, otherwise {}
+  async checkUrl(value) {
+    if (this.url && value === this.url) return {};
+
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      return { problem: 'Not a valid URL' };
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return { problem: 'Only http:// and https:// URLs are allowed' };
+    }
+
+    const host = bareHost(url.hostname);
+    if (!this.allowedHosts.has(host)) {
+      return { problem: `${host} is not an allowed webhook host` };
+    }
+    if (this.allowPrivateAddresses) return {};
+
+    const addresses = net.isIP(host)
+      ? [host]
+      : (await dns.promises.lookup(host, { all: true }).catch(() => [])).map(entry => entry.address);
+    if (addresses.length === 0) {
+      return { problem: `${host} does not resolve` };
+    }
+    if (addresses.some(isPrivateAddress)) {
+      return { problem: `${host} is a loopback, private or link-local address` };
+    }
+    return {};
+  }
+
+  async send(payload, url = this.url) {
+    if (!url) {
+      throw new PublicError('No webhook URL configured (set ALERT_WEBHOOK_URL or a per-rule webhookUrl)');
+    }
+    if (!this.secret) {
+      throw new PublicError('ALERT_WEBHOOK_SECRET is not set - webhooks are only sent signed');
+    }
+
+    // Rule URLs are checked on every delivery, not just when the rule was added
+    const ownUrl = url === this.url;
+    if (!ownUrl) {
+      const { problem } = await this.checkUrl(url);
+      if (problem) {
+        throw new PublicError(`Webhook URL rejected: ${problem}`);
+      }
+    }
+
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      [TIMESTAMP_HEADER]: timestamp,
+      [SIGNATURE_HEADER]: signPayload(this.secret, timestamp, body)
+    };
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        // Redirects would get round the host checks, so they count as a failed delivery
+        redirect: 'manual',
+        agent: ownUrl || this.allowPrivateAddresses ? undefined : (parsed) => PUBLIC_AGENTS[parsed.protocol],
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        // The receiver's body stays in our logs - the caller only learns the status code
+        const text = await response.text().catch(() => '');
+        console.error(`Webhook receiver responded ${response.status}:`, text.slice(0, 1000));
+        throw Object.assign(new PublicError(`Webhook delivery failed: receiver responded with HTTP ${response.status}`), { status: response.status });
+      }
+
+      return { status: response.status };
+    } catch (error) {
+      if (error.expose) throw error;
+      console.error('Error delivering webhook:', error.message);
+      throw new PublicError('Webhook delivery failed: the receiver could not be reached');
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+export default WebhookNotifier;
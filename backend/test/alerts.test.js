@@ -0,0 +1,160 @@
+import { test, describe, before, after, beforeEach, mock as nodeMock } from 'node:test';
+import assert from 'node:assert/strict';
+import AlertManager from '../src/alerts.js';
+
+// In-memory stand-in for JsonStore
+const memoryStore = (data = { rules: [], state: {} }) => ({
+  data,
+  async load() { return this.data; },
+  async save() {}
+});
+
+// Records deliveries instead of POSTing them; fail makes the next send throw
+const fakeNotifier = () => ({
+  sent: [],
+  fail: false,
+  async send(payload, url) {
+    if (this.fail) throw new Error('Webhook delivery failed: receiver responded with HTTP 503');
+    this.sent.push({ payload, url });
+    return { status: 204 };
+  }
+});
+
+const flight = { flightCode: 'LH400', date: '2025-11-10', route: 'FRA-JFK' };
+
+const capacity = (overrides = {}) => ({
+  loadFactor: null,
+  seatmapLoadFactor: null,
+  capped: false,
+  minPrice: null,
+  cabins: {},
+  ...overrides
+});
+
+before(() => {
+  nodeMock.method(console, 'log', () => {});
+  nodeMock.method(console, 'warn', () => {});
+});
+
+after(() => {
+  nodeMock.restoreAll();
+});
+
+describe('AlertManager.evaluate', () => {
+  let notifier;
+  let alerts;
+
+  beforeEach(() => {
+    notifier = fakeNotifier();
+    alerts = new AlertManager({ notifier, store: memoryStore() });
+  });
+
+  test('fires when fullness crosses the threshold, once while it stays above', async () => {
+    await alerts.add({ type: 'fullness_above', threshold: 90, flightCode: 'LH400', webhookUrl: 'https://hooks.example.com/a' });
+
+    assert.deepEqual(await alerts.evaluate({ flight, capacity: capacity({ loadFactor: 85 }) }), []);
+
+    const fired = await alerts.evaluate({ flight, capacity: capacity({ loadFactor: 92 }) });
+    assert.equal(fired.length, 1);
+    assert.equal(fired[0].value, 92);
+    assert.match(fired[0].message, /LH400 on 2025-11-10 is 92% full \(threshold 90%\)/);
+    assert.equal(notifier.sent[0].url, 'https://hooks.example.com/a');
+
+    assert.deepEqual(await alerts.evaluate({ flight, capacity: capacity({ loadFactor: 95 }) }), []);
+    assert.equal(notifier.sent.length, 1);
+  });
+
+  test('re-arms once the condition clears', async () => {
+    await alerts.add({ type: 'cabin_seats_below', threshold: 3, cabin: 'BUSINESS', flightCode: 'LH400' });
+    const business = (seatsAvailable, capped = false) => capacity({ cabins: { BUSINESS: { seatsAvailable, capped } } });
+
+    assert.equal((await alerts.evaluate({ flight, capacity: business(2) })).length, 1);
+    assert.equal((await alerts.evaluate({ flight, capacity: business(1) })).length, 0);
+    assert.equal((await alerts.evaluate({ flight, capacity: business(5) })).length, 0);
+    assert.equal((await alerts.evaluate({ flight, capacity: business(2) })).length, 1);
+    assert.equal(notifier.sent.length, 2);
+    // Delivered to ALERT_WEBHOOK_URL when the rule has no URL of its own
+    assert.equal(notifier.sent[0].url, undefined);
+  });
+
+  test('does not treat a capped load factor or a capped cabin as a match', async () => {
+    await alerts.add({ type: 'fullness_above', threshold: 90, flightCode: 'LH400' });
+    await alerts.add({ type: 'cabin_seats_below', threshold: 10, cabin: 'ECONOMY', flightCode: 'LH400' });
+
+    const fired = await alerts.evaluate({
+      flight,
+      capacity: capacity({ loadFactor: 97, capped: true, cabins: { ECONOMY: { seatsAvailable: 9, capped: true } } })
+    });
+
+    assert.deepEqual(fired, []);
+
+    // A seatmap count is exact, so it still fires despite the cap
+    const counted = await alerts.evaluate({ flight, capacity: capacity({ loadFactor: 97, seatmapLoadFactor: 93, capped: true }) });
+    assert.equal(counted.length, 1);
+  });
+
+  test('only applies rules scoped to the observed flight, date and route', async () => {
+    await alerts.add({ type: 'fullness_above', threshold: 50, flightCode: 'LH401' });
+    await alerts.add({ type: 'fullness_above', threshold: 50, flightCode: 'LH400', date: '2025-12-01' });
+    await alerts.add({ type: 'fullness_above', threshold: 50, route: 'PER-KUL' });
+    const onRoute = await alerts.add({ type: 'fullness_above', threshold: 50, route: 'FRA-JFK' });
+
+    const fired = await alerts.evaluate({ flight, capacity: capacity({ loadFactor: 80 }) });
+
+    assert.deepEqual(fired.map(payload => payload.rule.id), [onRoute.id]);
+  });
+
+  test('sets the price baseline on the first observation and moves it when the alert fires', async () => {
+    await alerts.add({ type: 'price_change', threshold: 10, flightCode: 'LH400' });
+    const priced = (minPrice) => capacity({ minPrice });
+
+    assert.deepEqual(await alerts.evaluate({ flight, capacity: priced(500) }), []);
+    assert.deepEqual(await alerts.evaluate({ flight, capacity: priced(540) }), []);
+
+    const fired = await alerts.evaluate({ flight, capacity: priced(560) });
+    assert.equal(fired.length, 1);
+    assert.equal(fired[0].change, 12);
+
+    // Measured from 560 now, so a drop to 510 (-8.9%) is not enough
+    assert.deepEqual(await alerts.evaluate({ flight, capacity: priced(510) }), []);
+    const dropped = await alerts.evaluate({ flight, capacity: priced(500) });
+    assert.equal(dropped[0].change, -10.7);
+  });
+
+  test('keeps the rule armed when delivery fails, so the next observation retries', async () => {
+    await alerts.add({ type: 'fullness_above', threshold: 90, flightCode: 'LH400' });
+
+    notifier.fail = true;
+    assert.deepEqual(await alerts.evaluate({ flight, capacity: capacity({ loadFactor: 92 }) }), []);
+
+    notifier.fail = false;
+    assert.equal((await alerts.evaluate({ flight, capacity: capacity({ loadFactor: 92 }) })).length, 1);
+  });
+
+  test('sends once when two observations of the flight are evaluated at the same time', async () => {
+    await alerts.add({ type: 'fullness_above', threshold: 90, flightCode: 'LH400' });
+    const send = notifier.send.bind(notifier);
+    // Delivery takes a while, so the second evaluation runs while the first is still sending
+    notifier.send = async (...args) => {
+      await new Promise(resolve => setImmediate(resolve));
+      return send(...args);
+    };
+
+    const results = await Promise.all([
+      alerts.evaluate({ flight, capacity: capacity({ loadFactor: 92 }) }),
+      alerts.evaluate({ flight, capacity: capacity({ loadFactor: 93 }) })
+    ]);
+
+    assert.equal(notifier.sent.length, 1);
+    assert.deepEqual(results.map(fired => fired.length), [1, 0]);
+  });
+
+  test('drops a removed rule and its state', async () => {
+    const rule = await alerts.add({ type: 'fullness_above', threshold: 90, flightCode: 'LH400' });
+    await alerts.evaluate({ flight, capacity: capacity({ loadFactor: 92 }) });
+
+    assert.equal(await alerts.remove(rule.id), true);
+    assert.deepEqual(alerts.store.data.state, {});
+    assert.equal(await alerts.remove(rule.id), false);
+  });
+});
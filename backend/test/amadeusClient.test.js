@@ -0,0 +1,330 @@
+import { test, describe, before, after, beforeEach, mock as nodeMock } from 'node:test';
+import assert from 'node:assert/strict';
+import MockAmadeusServer, { TOKEN_TTL_SECONDS } from '../mock/server.js';
+import AmadeusClient from '../src/amadeus.js';
+import { UpstreamError } from '../src/errors.js';
+
+const server = new MockAmadeusServer();
+let baseUrl;
+
+const client = () => new AmadeusClient({
+  clientId: 'mock-client',
+  clientSecret: 'mock-secret',
+  baseUrl,
+  env: 'test',
+  allowCustomBaseUrl: true,
+  requestsPerSecond: 100,
+  maxRetries: 0
+});
+
+// Fare trend windows never start in the past, so tests ask about dates ahead of today
+const daysFromNow = (days) => new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+
+const callsTo = (path) => server.calls.filter(call => call.path === path);
+
+const rejectsWithUpstream = (promise, { operation, status }) => assert.rejects(promise, (error) => {
+  assert.ok(error instanceof UpstreamError);
+  assert.equal(error.message, `${operation} failed: ${status}`);
+  assert.equal(error.status, status);
+  return true;
+});
+
+before(async () => {
+  nodeMock.method(console, 'log', () => {});
+  nodeMock.method(console, 'warn', () => {});
+  nodeMock.method(console, 'error', () => {});
+  baseUrl = await server.start(0);
+});
+
+after(async () => {
+  nodeMock.restoreAll();
+  await server.stop();
+});
+
+beforeEach(() => server.reset());
+
+describe('getAccessToken', () => {
+  test('sends client credentials and reuses the token until 5 minutes before it expires', async (t) => {
+    let now = Date.parse('2025-11-10T10:00:00Z');
+    t.mock.method(Date, 'now', () => now);
+    const amadeus = client();
+
+    const first = await amadeus.getAccessToken();
+    const [tokenCall] = callsTo('/v1/security/oauth2/token');
+    assert.equal(tokenCall.method, 'POST');
+    assert.deepEqual(Object.fromEntries(new URLSearchParams(tokenCall.body)), {
+      grant_type: 'client_credentials',
+      client_id: 'mock-client',
+      client_secret: 'mock-secret'
+    });
+
+    const refreshAt = now + (TOKEN_TTL_SECONDS - 300) * 1000;
+
+    now = refreshAt - 1;
+    assert.equal(await amadeus.getAccessToken(), first);
+    assert.equal(callsTo('/v1/security/oauth2/token').length, 1);
+
+    now = refreshAt;
+    const second = await amadeus.getAccessToken();
+    assert.notEqual(second, first);
+    assert.equal(callsTo('/v1/security/oauth2/token').length, 2);
+  });
+
+  test('keeps the raw error body for logs but not in the message', async () => {
+    server.respondWith('/v1/security/oauth2/token', { status: 401, body: { error: 'invalid_client', error_description: 'Client credentials are invalid' } });
+
+    await assert.rejects(client().getAccessToken(), (error) => {
+      assert.ok(error instanceof UpstreamError);
+      assert.equal(error.message, 'Token request failed: 401');
+      assert.match(error.details, /invalid_client/);
+      return true;
+    });
+  });
+
+  test('is fetched once and shared by the calls that need it', async () => {
+    const amadeus = client();
+
+    await amadeus.getAirlineInfo({ airlineCode: 'LH' });
+    await amadeus.getAircraftModel({ aircraftCode: '744' });
+
+    assert.equal(callsTo('/v1/security/oauth2/token').length, 1);
+    const referenceCall = callsTo('/v1/reference-data/airlines')[0];
+    assert.deepEqual(referenceCall.query, { airlineCodes: 'LH' });
+  });
+
+  test('is fetched once when cold calls arrive together', async () => {
+    const amadeus = client();
+
+    const tokens = await Promise.all([
+      amadeus.getAccessToken(),
+      amadeus.getAirlineInfo({ airlineCode: 'LH' }).then(() => amadeus.accessToken),
+      amadeus.getAircraftModel({ aircraftCode: '744' }).then(() => amadeus.accessToken)
+    ]);
+
+    assert.equal(callsTo('/v1/security/oauth2/token').length, 1);
+    assert.equal(new Set(tokens).size, 1);
+  });
+
+  test('is requested again after a failed token call', async () => {
+    const amadeus = client();
+    server.respondWith('/v1/security/oauth2/token', { status: 401 });
+
+    await Promise.all([
+      rejectsWithUpstream(amadeus.getAccessToken(), { operation: 'Token request', status: 401 }),
+      rejectsWithUpstream(amadeus.getAccessToken(), { operation: 'Token request', status: 401 })
+    ]);
+    assert.equal(callsTo('/v1/security/oauth2/token').length, 1);
+
+    server.reset();
+    assert.ok(await amadeus.getAccessToken());
+    assert.equal(callsTo('/v1/security/oauth2/token').length, 1);
+  });
+});
+
+describe('searchFlightOffers', () => {
+  test('asks for the first 10 USD offers for the travellers given', async () => {
+    const date = daysFromNow(30);
+    const result = await client().searchFlightOffers({ origin: 'PER', destination: 'KUL', departureDate: date, adults: 2 });
+
+    assert.ok(result.data.length > 0);
+    assert.deepEqual(callsTo('/v2/shopping/flight-offers')[0].query, {
+      originLocationCode: 'PER',
+      destinationLocationCode: 'KUL',
+      departureDate: date,
+      adults: '2',
+      max: '10',
+      currencyCode: 'USD'
+    });
+  });
+
+  test('surfaces the upstream error body', async () => {
+    server.respondWith('/v2/shopping/flight-offers', { status: 400 });
+
+    await rejectsWithUpstream(
+      client().searchFlightOffers({ origin: 'PER', destination: 'KUL', departureDate: daysFromNow(30) }),
+      { operation: 'Flight search', status: 400 }
+    );
+  });
+});
+
+describe('getFlightAvailability', () => {
+  const date = daysFromNow(30);
+
+  test('returns every offer on the route when no flight is given', async () => {
+    const result = await client().getFlightAvailability({ origin: 'FRA', destination: 'JFK', departureDate: date });
+
+    const flights = new Set(result.data.map(offer => offer.itineraries[0].segments.map(s => `${s.carrierCode}${s.number}`).join('+')));
+    assert.deepEqual([...flights].sort(), ['LH400', 'LH402', 'UA8839']);
+    assert.equal(callsTo('/v2/shopping/flight-offers')[0].query.max, '250');
+  });
+
+  test('keeps only offers flown on the requested flight', async () => {
+    const result = await client().getFlightAvailability({ origin: 'FRA', destination: 'JFK', departureDate: date, carrierCode: 'LH', flightNumber: '400' });
+
+    assert.ok(result.data.length > 0);
+    assert.ok(result.data.every(offer => offer.itineraries[0].segments.some(s => s.carrierCode === 'LH' && s.number === '400')));
+  });
+
+  test('keeps connecting offers that include the flight on any segment', async () => {
+    const result = await client().getFlightAvailability({ origin: 'PER', destination: 'LHR', departureDate: date, carrierCode: 'SQ', flightNumber: '322' });
+
+    assert.ok(result.data.length > 0);
+    assert.ok(result.data.every(offer => offer.itineraries[0].segments.length === 2));
+  });
+
+  test('matches the marketing carrier, so a codeshare is only found under its own code', async () => {
+    const amadeus = client();
+
+    const codeshare = await amadeus.getFlightAvailability({ origin: 'FRA', destination: 'JFK', departureDate: date, carrierCode: 'UA', flightNumber: '8839' });
+    assert.equal(codeshare.data.length, 1);
+
+    const missing = await amadeus.getFlightAvailability({ origin: 'FRA', destination: 'JFK', departureDate: date, carrierCode: 'LH', flightNumber: '999' });
+    assert.deepEqual(missing.data, []);
+  });
+
+  test('filters the cached route search instead of calling Amadeus again', async () => {
+    const amadeus = client();
+
+    await amadeus.getFlightAvailability({ origin: 'FRA', destination: 'JFK', departureDate: date, carrierCode: 'LH', flightNumber: '400' });
+    const second = await amadeus.getFlightAvailability({ origin: 'FRA', destination: 'JFK', departureDate: date, carrierCode: 'LH', flightNumber: '402' });
+
+    assert.equal(callsTo('/v2/shopping/flight-offers').length, 1);
+    assert.equal(second.cache.status, 'hit');
+    assert.ok(second.data.every(offer => offer.itineraries[0].segments[0].number === '402'));
+  });
+
+  test('does not cache failures', async () => {
+    const amadeus = client();
+    server.respondWith('/v2/shopping/flight-offers', { status: 500 });
+
+    await rejectsWithUpstream(
+      amadeus.getFlightAvailability({ origin: 'FRA', destination: 'JFK', departureDate: date }),
+      { operation: 'Flight availability request', status: 500 }
+    );
+
+    const retried = await amadeus.getFlightAvailability({ origin: 'FRA', destination: 'JFK', departureDate: date });
+    assert.ok(retried.data.length > 0);
+  });
+});
+
+describe('reference data', () => {
+  test('getAirlineInfo and getAircraftModel look codes up', async () => {
+    const amadeus = client();
+
+    assert.equal((await amadeus.getAirlineInfo({ airlineCode: 'SQ' })).data[0].businessName, 'SINGAPORE AIRLINES');
+    assert.equal((await amadeus.getAircraftModel({ aircraftCode: '388' })).data[0].name, 'Airbus A380-800');
+  });
+
+  test('errors name the lookup that failed and keep the Amadeus body', async () => {
+    const amadeus = client();
+    server.respondWith('/v1/reference-data/airlines', { status: 404 });
+    server.respondWith('/v1/reference-data/aircraft', { status: 500 });
+
+    await assert.rejects(amadeus.getAirlineInfo({ airlineCode: 'ZZ' }), (error) => {
+      assert.equal(error.message, 'Airline info request failed: 404');
+      assert.equal(error.details.errors[0].status, 404);
+      return true;
+    });
+    await rejectsWithUpstream(amadeus.getAircraftModel({ aircraftCode: 'ZZZ' }), { operation: 'Aircraft model request', status: 500 });
+  });
+
+  test('errors keep the status when the body is not JSON', async () => {
+    const amadeus = client();
+    server.respondWith('/v1/reference-data/airlines', { status: 502, body: '<html><body>502 Bad Gateway</body></html>', headers: { 'Content-Type': 'text/html' } });
+    server.respondWith('/v1/reference-data/aircraft', { status: 429, body: 'Too Many Requests', headers: { 'Content-Type': 'text/plain' } });
+
+    await assert.rejects(amadeus.getAirlineInfo({ airlineCode: 'LH' }), (error) => {
+      assert.equal(error.message, 'Airline info request failed: 502');
+      assert.match(error.details, /Bad Gateway/);
+      return true;
+    });
+    await rejectsWithUpstream(amadeus.getAircraftModel({ aircraftCode: '744' }), { operation: 'Aircraft model request', status: 429 });
+  });
+});
+
+describe('getSeatmap', () => {
+  test('posts the flight offers and returns a seat map per segment', async () => {
+    const amadeus = client();
+    const offers = await amadeus.getFlightAvailability({ origin: 'FRA', destination: 'JFK', departureDate: daysFromNow(30), carrierCode: 'LH', flightNumber: '400' });
+
+    const seatmap = await amadeus.getSeatmap({ flightOffers: [offers.data[0]] });
+
+    const [call] = callsTo('/v1/shopping/seatmaps');
+    assert.equal(call.method, 'POST');
+    assert.deepEqual(JSON.parse(call.body).data, [offers.data[0]]);
+    assert.equal(seatmap.data.length, 1);
+    assert.ok(seatmap.data[0].decks.length > 0);
+  });
+
+  test('rejects when Amadeus refuses the offers', async () => {
+    await rejectsWithUpstream(client().getSeatmap({ flightOffers: [] }), { operation: 'Seatmap request', status: 400 });
+  });
+});
+
+describe('getDelayPrediction', () => {
+  test('passes every flight detail through as query parameters', async () => {
+    const params = {
+      originLocationCode: 'FRA',
+      destinationLocationCode: 'JFK',
+      departureDate: '2025-11-10',
+      departureTime: '10:00:00',
+      arrivalDate: '2025-11-10',
+      arrivalTime: '12:50:00',
+      aircraftCode: '744',
+      carrierCode: 'LH',
+      flightNumber: '400',
+      duration: 'PT8H50M'
+    };
+
+    const prediction = await client().getDelayPrediction(params);
+
+    assert.deepEqual(callsTo('/v1/travel/predictions/flight-delay')[0].query, params);
+    assert.equal(prediction.data.length, 4);
+  });
+
+  test('surfaces the upstream error', async () => {
+    server.respondWith('/v1/travel/predictions/flight-delay', { status: 400 });
+
+    await rejectsWithUpstream(client().getDelayPrediction({}), { operation: 'Delay prediction request', status: 400 });
+  });
+});
+
+describe('getFareTrend', () => {
+  test('returns the cheapest fare for each day in the window', async () => {
+    const date = daysFromNow(30);
+    const trend = await client().getFareTrend({ origin: 'PER', destination: 'KUL', departureDate: date, carrierCode: 'MH', days: 3 });
+
+    assert.deepEqual(trend.map(day => day.date), [daysFromNow(29), date, daysFromNow(31)]);
+    assert.ok(trend.every(day => day.price === 312.4 && day.currency === 'USD'));
+    assert.equal(trend[1].cabins.BUSINESS.price, 1105);
+  });
+
+  test('leaves a day empty when its search fails rather than failing the trend', async () => {
+    server.respondWith('/v2/shopping/flight-offers', { status: 500 });
+
+    const trend = await client().getFareTrend({ origin: 'PER', destination: 'KUL', departureDate: daysFromNow(30), days: 3 });
+
+    assert.equal(trend.filter(day => day.price === null).length, 1);
+    assert.equal(trend.filter(day => day.price !== null).length, 2);
+  });
+});
+
+describe('getFlightStatus', () => {
+  test('returns the dated flight for the requested date', async () => {
+    const date = daysFromNow(30);
+    const status = await client().getFlightStatus({ carrierCode: 'MH', flightNumber: '126', scheduledDepartureDate: date });
+
+    assert.equal(status.data[0].scheduledDepartureDate, date);
+    assert.deepEqual(status.data[0].flightPoints.map(point => point.iataCode), ['PER', 'KUL']);
+  });
+
+  test('surfaces the upstream error body', async () => {
+    server.respondWith('/v2/schedule/flights', { status: 404, body: { errors: [{ status: 404, title: 'NOT FOUND' }] } });
+
+    await assert.rejects(client().getFlightStatus({ carrierCode: 'MH', flightNumber: '126', scheduledDepartureDate: daysFromNow(30) }), (error) => {
+      assert.equal(error.message, 'Flight status request failed: 404');
+      assert.deepEqual(error.details, { errors: [{ status: 404, title: 'NOT FOUND' }] });
+      return true;
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import ApiKeyRegistry, { parseEnvKeys, hashKey, maskKey } from '../src/apiKeys.js';
+
+// In-memory stand-in for JsonStore
+const memoryStore = (data = { keys: [] }) => ({
+  data,
+  async load() { return this.data; },
+  async save() {}
+});
+
+describe('parseEnvKeys', () => {
+  test('reads names, keys and optional per-key limits', () => {
+    const keys = parseEnvKeys('frontend:abc123, ops:def456:120:5000', { requestsPerMinute: 60, dailyQuota: 1000 });
+
+    assert.deepEqual(keys.map(k => [k.name, k.requestsPerMinute, k.dailyQuota]), [
+      ['frontend', 60, 1000],
+      ['ops', 120, 5000]
+    ]);
+    assert.equal(keys[0].keyHash, hashKey('abc123'));
+  });
+
+  test('rejects an entry without a key', () => {
+    assert.throws(() => parseEnvKeys('frontend'), /Invalid API_KEYS entry/);
+  });
+});
+
+describe('ApiKeyRegistry', () => {
+  test('authenticates env keys and created keys, and never stores the plain key', async () => {
+    const store = memoryStore();
+    const registry = new ApiKeyRegistry({ store, envKeys: 'frontend:abc123' });
+
+    const { key, entry } = await registry.create({ name: 'cron' });
+
+    assert.equal((await registry.authenticate('abc123')).name, 'frontend');
+    assert.equal((await registry.authenticate(key)).name, 'cron');
+    assert.equal(await registry.authenticate('wrong'), null);
+    assert.equal(await registry.authenticate(undefined), null);
+    assert.ok(!JSON.stringify(store.data).includes(key));
+    assert.equal(entry.keyHash, hashKey(key));
+  });
+
+  test('ignores disabled stored keys', async () => {
+    const store = memoryStore({ keys: [{ name: 'old', keyHash: hashKey('old-key'), disabled: true }] });
+    const registry = new ApiKeyRegistry({ store, envKeys: '' });
+
+    assert.equal(await registry.authenticate('old-key'), null);
+  });
+
+  test('rate limits per minute and lets requests through again in the next window', async () => {
+    const registry = new ApiKeyRegistry({ store: memoryStore(), envKeys: 'ops:k:2:100' });
+    const client = await registry.authenticate('k');
+    const start = Date.parse('2025-11-10T10:00:00Z');
+
+    assert.equal(registry.consume(client, start).remaining, 1);
+    assert.equal(registry.consume(client, start + 1000).remaining, 0);
+
+    const limited = registry.consume(client, start + 2000);
+    assert.equal(limited.allowed, false);
+    assert.equal(limited.reason, 'rate_limit');
+    assert.equal(limited.retryAfterSeconds, 58);
+
+    assert.equal(registry.consume(client, start + 60 * 1000).allowed, true);
+  });
+
+  test('stops a key at its daily quota until the next UTC day', async () => {
+    const registry = new ApiKeyRegistry({ store: memoryStore(), envKeys: 'ops:k:100:2' });
+    const client = await registry.authenticate('k');
+    const start = Date.parse('2025-11-10T23:59:00Z');
+
+    registry.consume(client, start);
+    registry.consume(client, start);
+    const limited = registry.consume(client, start);
+
+    assert.equal(limited.allowed, false);
+    assert.equal(limited.reason, 'quota');
+    assert.equal(limited.retryAfterSeconds, 60);
+    assert.equal(registry.usageFor(client, start).quotaRemaining, 0);
+
+    assert.equal(registry.consume(client, Date.parse('2025-11-11T00:00:00Z')).allowed, true);
+  });
+});
+
+test('maskKey keeps only the ends of a key', () => {
+  assert.equal(maskKey('fc_abcdefghijkl'), 'fc_a…kl');
+  assert.equal(maskKey('short'), '…');
+});
@@ -0,0 +1,160 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import BatchLookup, { mapWithConcurrency, parseBatchItem } from '../src/batch.js';
+import AircraftConfigRegistry from '../src/aircraftConfig.js';
+import { UpstreamError } from '../src/errors.js';
+
+const loadFixture = (name) => JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+const lh400 = loadFixture('flight-offers-lh400.json');
+const aircraftConfigs = new AircraftConfigRegistry();
+
+const schedule = (origin, destination, aircraftType) => ({
+  data: [{
+    flightPoints: [
+      { iataCode: origin, departure: { timings: [{ qualifier: 'STD', value: '2025-11-10T10:00+01:00' }] } },
+      { iataCode: destination, arrival: { timings: [{ qualifier: 'STA', value: '2025-11-10T12:30-05:00' }] } }
+    ],
+    legs: [{ boardPointIataCode: origin, offPointIataCode: destination, aircraftEquipment: { aircraftType } }]
+  }]
+});
+
+// Stand-in for AmadeusClient that counts calls per method
+const fakeAmadeus = ({ failFlights = [] } = {}) => {
+  const calls = { getFlightStatus: 0, getFlightAvailability: 0, getAirlineInfo: 0, getAircraftModel: 0 };
+
+  return {
+    calls,
+    async getFlightStatus({ carrierCode, flightNumber }) {
+      calls.getFlightStatus += 1;
+      if (failFlights.includes(`${carrierCode}${flightNumber}`)) {
+        throw new UpstreamError('Flight status request', 404, { errors: [{ detail: 'No flight found' }] });
+      }
+      return schedule('FRA', 'JFK', '744');
+    },
+    async getFlightAvailability() {
+      calls.getFlightAvailability += 1;
+      return lh400;
+    },
+    async getAirlineInfo() {
+      calls.getAirlineInfo += 1;
+      return { data: [{ businessName: 'LUFTHANSA' }] };
+    },
+    async getAircraftModel() {
+      calls.getAircraftModel += 1;
+      throw new UpstreamError('Aircraft model request', 500);
+    }
+  };
+};
+
+describe('mapWithConcurrency', () => {
+  test('never runs more than the limit at once and keeps input order', async () => {
+    let active = 0;
+    let peak = 0;
+
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      active -= 1;
+      return index;
+    });
+
+    assert.equal(peak, 2);
+    assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  });
+});
+
+describe('parseBatchItem', () => {
+  test('normalizes flight codes written with separators', () => {
+    assert.deepEqual(parseBatchItem({ flightCode: 'lh 400', date: '2025-11-10', origin: 'fra' }), {
+      carrier: 'LH',
+      number: '400',
+      suffix: null,
+      flightCode: 'LH400',
+      date: '2025-11-10',
+      origin: 'FRA',
+      destination: undefined
+    });
+  });
+
+  test('accepts ICAO codes and operational suffixes', () => {
+    assert.equal(parseBatchItem({ flightCode: 'QFA 009', date: '2025-11-10' }).flightCode, 'QF9');
+    assert.equal(parseBatchItem({ flightCode: 'ba123a', date: '2025-11-10' }).suffix, 'A');
+  });
+
+  test('reports what is wrong with an item instead of throwing', () => {
+    assert.match(parseBatchItem({ flightCode: 'LH400' }).error, /Missing/);
+    assert.equal(
+      parseBatchItem({ flightCode: 'LUFTHANSA', date: '2025-11-10' }).error,
+      'Invalid flight code - "LUFTHANSA" is not an airline code - use the 2-character IATA code (e.g., LH, U2, 3K) or the 3-letter ICAO code (e.g., DLH)'
+    );
+    assert.match(parseBatchItem({ flightCode: 'LH400', date: '10/11/2025' }).error, /Invalid date/);
+    assert.match(parseBatchItem(null).error, /Missing/);
+    assert.equal(parseBatchItem({ flightCode: 'LH400', date: '2025-13-45' }).error, 'Invalid date format - "2025-13-45" is not a calendar date');
+    assert.equal(parseBatchItem({ flightCode: 'LH400', date: '2025-11-10', origin: ['PER'] }).error, 'Invalid airport code - expected 3-letter IATA code (e.g., PER, KUL)');
+    assert.equal(parseBatchItem({ flightCode: { carrier: 'LH' }, date: '2025-11-10' }).error, 'Invalid flight code - expected Airline code followed by 1-4 digits and an optional suffix letter (e.g., LH400, U21234, QFA7, BA123A)');
+  });
+});
+
+describe('BatchLookup', () => {
+  test('a bad item fails on its own and the rest of the batch still succeeds', async () => {
+    const amadeus = fakeAmadeus({ failFlights: ['LH999'] });
+    const batch = new BatchLookup({ amadeus, aircraftConfigs });
+
+    const result = await batch.run([
+      { flightCode: 'LH400', date: '2025-11-10' },
+      { flightCode: 'LH999', date: '2025-11-10' },
+      { flightCode: 'not a flight', date: '2025-11-10' }
+    ]);
+
+    assert.equal(result.count, 3);
+    assert.equal(result.succeeded, 1);
+    assert.equal(result.failed, 2);
+
+    const [ok, upstream, invalid] = result.results;
+    assert.equal(ok.success, true);
+    assert.equal(ok.route, 'FRA-JFK');
+    assert.equal(ok.airline, 'LUFTHANSA');
+    assert.equal(ok.aircraft, null);
+    assert.equal(ok.capacity.hasAvailability, true);
+
+    assert.equal(upstream.success, false);
+    assert.equal(upstream.flightCode, 'LH999');
+    assert.equal(upstream.error, 'Flight status request failed: 404');
+
+    assert.equal(invalid.success, false);
+    assert.equal(invalid.index, 2);
+    assert.match(invalid.error, /Invalid flight code/);
+  });
+
+  test('an item that is not plain JSON text fails on its own', async () => {
+    const batch = new BatchLookup({ amadeus: fakeAmadeus(), aircraftConfigs });
+
+    const result = await batch.run([
+      { flightCode: 'LH400', date: '2025-11-10', origin: ['PER'] },
+      { flightCode: 'LH400', date: '2025-11-10' }
+    ]);
+
+    assert.deepEqual(result.results.map(item => item.success), [false, true]);
+    assert.equal(result.results[0].error, 'Invalid airport code - expected 3-letter IATA code (e.g., PER, KUL)');
+    assert.equal(result.results[0].flightCode, 'LH400');
+  });
+
+  test('shares schedule and reference lookups across the batch', async () => {
+    const amadeus = fakeAmadeus();
+    const batch = new BatchLookup({ amadeus, aircraftConfigs, concurrency: 3 });
+
+    await batch.run([
+      { flightCode: 'LH400', date: '2025-11-10' },
+      { flightCode: 'LH400', date: '2025-11-10' },
+      { flightCode: 'LH402', date: '2025-11-10' }
+    ]);
+
+    assert.equal(amadeus.calls.getFlightStatus, 2);
+    assert.equal(amadeus.calls.getAirlineInfo, 1);
+    assert.equal(amadeus.calls.getAircraftModel, 1);
+    assert.equal(amadeus.calls.getFlightAvailability, 3);
+  });
+});
@@ -0,0 +1,155 @@
+import { test, describe, before, after, beforeEach, mock as nodeMock } from 'node:test';
+import assert from 'node:assert/strict';
+import ResponseCache, { MemoryCacheStore, FileCacheStore } from '../src/cache.js';
+
+// In-memory stand-in for JsonStore
+const memoryStore = (data = {}) => ({
+  data,
+  async load() { return this.data; },
+  async save() {}
+});
+
+// Fetcher that counts calls and resolves when told to, so requests can overlap
+const deferredFetcher = () => {
+  const fetcher = () => {
+    fetcher.calls += 1;
+    return new Promise((resolve, reject) => Object.assign(fetcher, { resolve, reject }));
+  };
+  fetcher.calls = 0;
+  return fetcher;
+};
+
+describe('ResponseCache', () => {
+  let cache;
+
+  before(() => {
+    nodeMock.timers.enable({ apis: ['Date'], now: Date.parse('2025-11-01T12:00:00Z') });
+  });
+
+  after(() => {
+    nodeMock.timers.reset();
+  });
+
+  beforeEach(() => {
+    cache = new ResponseCache({ ttls: { schedule: 60, uncached: 0 } });
+  });
+
+  test('serves hits until the TTL expires', async () => {
+    let calls = 0;
+    const fetcher = async () => ({ call: ++calls });
+
+    assert.deepEqual(await cache.wrap('schedule', { flight: 'LH400' }, fetcher), {
+      data: { call: 1 },
+      meta: { status: 'miss', ageSeconds: 0, ttlSeconds: 60 }
+    });
+
+    nodeMock.timers.tick(59 * 1000);
+    assert.deepEqual(await cache.wrap('schedule', { flight: 'LH400' }, fetcher), {
+      data: { call: 1 },
+      meta: { status: 'hit', ageSeconds: 59, ttlSeconds: 60 }
+    });
+
+    nodeMock.timers.tick(1000);
+    const expired = await cache.wrap('schedule', { flight: 'LH400' }, fetcher);
+    assert.equal(expired.meta.status, 'miss');
+    assert.deepEqual(expired.data, { call: 2 });
+
+    // Other parameters are another entry
+    assert.equal((await cache.wrap('schedule', { flight: 'LH401' }, fetcher)).meta.status, 'miss');
+    assert.deepEqual(await cache.status(), { store: 'MemoryCacheStore', entries: 2, inFlight: 0, hits: 1, misses: 3, shared: 0 });
+  });
+
+  test('never stores namespaces without a TTL', async () => {
+    let calls = 0;
+    const fetcher = async () => ++calls;
+
+    await cache.wrap('uncached', {}, fetcher);
+    assert.equal((await cache.wrap('uncached', {}, fetcher)).meta.status, 'miss');
+    assert.equal(calls, 2);
+    assert.equal(await cache.store.size(), 0);
+  });
+
+  test('shares one upstream call between identical in-flight requests', async () => {
+    const fetcher = deferredFetcher();
+
+    const first = cache.wrap('schedule', { flight: 'LH400' }, fetcher);
+    const second = cache.wrap('schedule', { flight: 'LH400' }, fetcher);
+    await new Promise(resolve => setImmediate(resolve));
+    fetcher.resolve({ seats: 9 });
+
+    const results = await Promise.all([first, second]);
+    assert.equal(fetcher.calls, 1);
+    assert.deepEqual(results.map(result => result.meta.status), ['miss', 'shared']);
+    assert.deepEqual(results[1].data, { seats: 9 });
+  });
+
+  test('does not cache errors, for the caller or those sharing its request', async () => {
+    const fetcher = deferredFetcher();
+
+    const first = cache.wrap('schedule', { flight: 'LH400' }, fetcher);
+    const second = cache.wrap('schedule', { flight: 'LH400' }, fetcher);
+    await new Promise(resolve => setImmediate(resolve));
+    fetcher.reject(new Error('Schedule request failed: 500'));
+
+    await assert.rejects(first, /500/);
+    await assert.rejects(second, /500/);
+    assert.equal(cache.inFlight.size, 0);
+
+    const retried = await cache.wrap('schedule', { flight: 'LH400' }, async () => ({ seats: 4 }));
+    assert.equal(retried.meta.status, 'miss');
+    assert.deepEqual(retried.data, { seats: 4 });
+  });
+
+  test('hands every caller its own copy of the data', async () => {
+    const fetcher = deferredFetcher();
+    const first = cache.wrap('schedule', { flight: 'LH400' }, fetcher);
+    const second = cache.wrap('schedule', { flight: 'LH400' }, fetcher);
+    await new Promise(resolve => setImmediate(resolve));
+    fetcher.resolve({ data: [{ seats: 9 }] });
+
+    const [missed, shared] = await Promise.all([first, second]);
+    missed.data.data[0].seats = 0;
+    shared.data.data.push({ seats: 1 });
+
+    const hit = await cache.wrap('schedule', { flight: 'LH400' }, fetcher);
+    assert.deepEqual(hit.data, { data: [{ seats: 9 }] });
+    hit.data.data.length = 0;
+    assert.deepEqual((await cache.wrap('schedule', { flight: 'LH400' }, fetcher)).data, { data: [{ seats: 9 }] });
+  });
+});
+
+describe('MemoryCacheStore', () => {
+  test('evicts the least recently written entry beyond its limit', async () => {
+    const store = new MemoryCacheStore(2);
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.set('a', 3);
+    await store.set('c', 4);
+
+    assert.equal(await store.get('b'), undefined);
+    assert.equal(await store.get('a'), 3);
+    assert.equal(await store.size(), 2);
+  });
+});
+
+describe('FileCacheStore', () => {
+  test('purges expired entries whenever it writes', async () => {
+    const now = Date.now();
+    const backing = memoryStore({
+      expired: { data: 1, storedAt: now - 120000, expiresAt: now - 1 },
+      live: { data: 2, storedAt: now, expiresAt: now + 60000 }
+    });
+    const store = new FileCacheStore(backing);
+
+    // Reads leave expired entries for ResponseCache to skip
+    assert.equal((await store.get('expired')).data, 1);
+
+    await store.set('fresh', { data: 3, storedAt: now, expiresAt: now + 60000 });
+
+    assert.deepEqual(Object.keys(backing.data).sort(), ['fresh', 'live']);
+    assert.equal(await store.size(), 2);
+
+    await store.delete('live');
+    assert.deepEqual(Object.keys(backing.data), ['fresh']);
+  });
+});
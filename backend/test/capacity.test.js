@@ -0,0 +1,235 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { buildCapacity, summarizeAvailability, splitOffers, findBottleneck, buildSeatmapOccupancy } from '../src/capacity.js';
+import AircraftConfigRegistry from '../src/aircraftConfig.js';
+
+const loadFixture = (name) => JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+// The mock server's recorded seatmap, so there's one copy to keep up to date
+const loadSeatmap = (flight) => JSON.parse(fs.readFileSync(new URL(`../mock/fixtures/seatmaps/${flight}.json`, import.meta.url), 'utf8'));
+
+const lh400 = loadFixture('flight-offers-lh400.json');
+const aircraftConfigs = new AircraftConfigRegistry();
+
+describe('summarizeAvailability', () => {
+  test('takes the max bookable seats per cabin rather than summing fare classes', () => {
+    const summary = summarizeAvailability(lh400.data);
+
+    assert.equal(summary.cabins.ECONOMY.seats, 9);
+    assert.equal(summary.cabins.ECONOMY.offers, 2);
+    assert.equal(summary.cabins.BUSINESS.seats, 2);
+    assert.equal(summary.totalSeatsAvailable, 9 + 7 + 2 + 1);
+    assert.equal(summary.numberOfBookableSeats, 9);
+  });
+
+  test('tracks the cheapest fare overall and per cabin', () => {
+    const summary = summarizeAvailability(lh400.data);
+
+    assert.equal(summary.minPrice, 612.4);
+    assert.equal(summary.currency, 'USD');
+    assert.equal(summary.cabins.ECONOMY.minPrice, 612.4);
+    assert.equal(summary.cabins.FIRST.minPrice, 9210);
+  });
+
+  test('handles no offers', () => {
+    const summary = summarizeAvailability([]);
+
+    assert.deepEqual(summary.cabins, {});
+    assert.equal(summary.totalSeatsAvailable, 0);
+    assert.equal(summary.minPrice, null);
+  });
+});
+
+describe('buildCapacity', () => {
+  test('computes per-cabin and overall load factor against a carrier configuration', () => {
+    const aircraftConfig = aircraftConfigs.lookup({ carrierCode: 'LH', aircraftCode: '744' });
+    const capacity = buildCapacity({ offers: lh400.data, aircraftConfig });
+
+    assert.equal(capacity.hasAvailability, true);
+    assert.equal(capacity.seatCapacity, 371);
+    assert.equal(capacity.seatsAvailable, 19);
+    assert.equal(capacity.loadFactor, 94.9);
+
+    assert.deepEqual(capacity.cabins.ECONOMY, {
+      seatsAvailable: 9,
+      capped: true,
+      capacity: 264,
+      loadFactor: 96.6,
+      minPrice: 612.4,
+      offers: 2
+    });
+    assert.equal(capacity.cabins.PREMIUM_ECONOMY.loadFactor, 78.1);
+    assert.equal(capacity.cabins.BUSINESS.loadFactor, 97);
+    assert.equal(capacity.cabins.FIRST.loadFactor, 87.5);
+
+    assert.deepEqual(capacity.cabinTotals, { capacity: 371, seatsAvailable: 19, loadFactor: 94.9 });
+    assert.equal(capacity.aircraftConfig.match, 'carrier');
+  });
+
+  test('reports medium confidence for a generic type default', () => {
+    const aircraftConfig = aircraftConfigs.lookup({ carrierCode: 'XX', aircraftCode: '744' });
+    const capacity = buildCapacity({ offers: lh400.data, aircraftConfig });
+
+    assert.equal(capacity.aircraftConfig.match, 'generic');
+    assert.equal(capacity.confidence, 'medium');
+  });
+
+  test('leaves cabins missing from the configuration out of the totals', () => {
+    const aircraftConfig = aircraftConfigs.lookup({ carrierCode: 'XX', aircraftCode: '320' });
+    const capacity = buildCapacity({ offers: lh400.data, aircraftConfig });
+
+    assert.equal(capacity.cabins.FIRST.capacity, null);
+    assert.equal(capacity.cabins.FIRST.loadFactor, null);
+    assert.equal(capacity.cabins.PREMIUM_ECONOMY.capacity, null);
+    assert.deepEqual(capacity.cabinTotals, {
+      capacity: 12 + 150,
+      seatsAvailable: 2 + 9,
+      loadFactor: 93.2
+    });
+  });
+
+  test('has no load factor when the aircraft is unknown', () => {
+    const aircraftConfig = aircraftConfigs.lookup({ carrierCode: 'LH', aircraftCode: 'ZZZ' });
+    const capacity = buildCapacity({ offers: lh400.data, aircraftConfig });
+
+    assert.equal(aircraftConfig, null);
+    assert.equal(capacity.seatCapacity, null);
+    assert.equal(capacity.loadFactor, null);
+    assert.equal(capacity.cabinTotals, null);
+    assert.equal(capacity.cabins.ECONOMY.seatsAvailable, 9);
+    assert.equal(capacity.confidence, 'low');
+  });
+
+  test('reports low confidence when the carrier shares no availability', () => {
+    const aircraftConfig = aircraftConfigs.lookup({ carrierCode: 'LH', aircraftCode: '744' });
+    const capacity = buildCapacity({ offers: [], aircraftConfig });
+
+    assert.equal(capacity.hasAvailability, false);
+    assert.equal(capacity.seatsAvailable, 0);
+    assert.equal(capacity.loadFactor, null);
+    assert.deepEqual(capacity.cabins, {});
+    assert.equal(capacity.confidence, 'low');
+  });
+});
+
+describe('bookable seat cap', () => {
+  const aircraftConfig = aircraftConfigs.lookup({ carrierCode: 'LH', aircraftCode: '744' });
+  const withSeats = (seats) => lh400.data.map(offer => ({ ...offer, numberOfBookableSeats: Math.min(offer.numberOfBookableSeats, seats) }));
+
+  test('flags cabins at the cap and reports fullness as an upper bound', () => {
+    const capacity = buildCapacity({ offers: lh400.data, aircraftConfig });
+
+    assert.equal(capacity.cabins.ECONOMY.capped, true);
+    assert.equal(capacity.cabins.BUSINESS.capped, false);
+    assert.equal(capacity.capped, true);
+    assert.equal(capacity.basis, 'lower_bound');
+    assert.equal(capacity.confidence, 'medium');
+  });
+
+  test('has low confidence when every cabin is at the cap', () => {
+    const capped = lh400.data.map(offer => ({ ...offer, numberOfBookableSeats: 9 }));
+    const capacity = buildCapacity({ offers: capped, aircraftConfig });
+
+    assert.equal(capacity.basis, 'lower_bound');
+    assert.equal(capacity.confidence, 'low');
+  });
+
+  test('trusts uncapped counts against a carrier configuration', () => {
+    const capacity = buildCapacity({ offers: withSeats(8), aircraftConfig });
+
+    assert.equal(capacity.capped, false);
+    assert.equal(capacity.basis, 'bookable_seats');
+    assert.equal(capacity.confidence, 'high');
+  });
+
+  test('prefers a seatmap count over capped offers', () => {
+    const seatmap = buildSeatmapOccupancy(loadSeatmap('LH400'));
+    const capacity = buildCapacity({ offers: lh400.data, aircraftConfig, seatmap });
+
+    assert.equal(capacity.basis, 'seatmap');
+    assert.equal(capacity.confidence, 'high');
+  });
+});
+
+describe('splitOffers', () => {
+  const segment = (carrierCode, number) => ({ carrierCode, number });
+  const offer = (id, ...segments) => ({ id, itineraries: [{ segments }] });
+
+  test('separates nonstop offers from connections and drops unrelated offers', () => {
+    const offers = [
+      offer('nonstop', segment('QF', '1')),
+      offer('multi-stop', segment('QF', '1'), segment('QF', '1')),
+      offer('connection', segment('QF', '1'), segment('BA', '12')),
+      offer('other', segment('BA', '16'))
+    ];
+
+    const { direct, connecting } = splitOffers(offers, { carrierCode: 'QF', flightNumber: '1' });
+
+    assert.deepEqual(direct.map(o => o.id), ['nonstop', 'multi-stop']);
+    assert.deepEqual(connecting.map(o => o.id), ['connection']);
+  });
+});
+
+describe('findBottleneck', () => {
+  const leg = (capacity) => ({ capacity });
+
+  test('picks the fullest leg when every leg has a load factor', () => {
+    const bottleneck = findBottleneck([
+      leg({ hasAvailability: true, loadFactor: 80, seatsAvailable: 40 }),
+      leg({ hasAvailability: true, loadFactor: 97.5, seatsAvailable: 5 })
+    ]);
+
+    assert.deepEqual(bottleneck, { index: 1, basis: 'loadFactor', loadFactor: 97.5, seatsAvailable: 5 });
+  });
+
+  test('falls back to seats available when a load factor is unknown', () => {
+    const bottleneck = findBottleneck([
+      leg({ hasAvailability: true, loadFactor: null, seatsAvailable: 4 }),
+      leg({ hasAvailability: true, loadFactor: 90, seatsAvailable: 12 }),
+      leg(null)
+    ]);
+
+    assert.equal(bottleneck.index, 0);
+    assert.equal(bottleneck.basis, 'seatsAvailable');
+  });
+
+  test('returns null when no leg has availability', () => {
+    assert.equal(findBottleneck([leg({ hasAvailability: false }), leg(null)]), null);
+  });
+});
+
+describe('buildSeatmapOccupancy', () => {
+  const seatmap = loadSeatmap('LH400');
+
+  test('counts seat statuses per cabin and deck', () => {
+    const occupancy = buildSeatmapOccupancy(seatmap);
+    const [segment] = occupancy.segments;
+
+    assert.equal(occupancy.status, 'ok');
+    assert.deepEqual(segment.cabins.BUSINESS, { total: 8, available: 5, occupied: 2, blocked: 1, loadFactor: 37.5 });
+    assert.deepEqual(segment.cabins.ECONOMY, { total: 30, available: 10, occupied: 19, blocked: 1, loadFactor: 66.7 });
+    assert.equal(segment.decks.length, 1);
+    assert.equal(segment.decks[0].deckType, 'MAIN');
+    assert.equal(segment.decks[0].total, 38);
+  });
+
+  test('counts blocked seats as unavailable in the load factor', () => {
+    const occupancy = buildSeatmapOccupancy(seatmap);
+
+    assert.equal(occupancy.seatCount, 38);
+    assert.equal(occupancy.seatsAvailable, 15);
+    assert.equal(occupancy.loadFactor, 60.5);
+  });
+
+  test('is unavailable when no seatmap comes back', () => {
+    assert.equal(buildSeatmapOccupancy({ data: [] }).status, 'unavailable');
+  });
+
+  test('is reported next to the estimate by buildCapacity', () => {
+    const aircraftConfig = aircraftConfigs.lookup({ carrierCode: 'LH', aircraftCode: '744' });
+    const capacity = buildCapacity({ offers: lh400.data, aircraftConfig, seatmap: buildSeatmapOccupancy(seatmap) });
+
+    assert.equal(capacity.loadFactor, 94.9);
+    assert.equal(capacity.seatmapLoadFactor, 60.5);
+  });
+});
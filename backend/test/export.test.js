@@ -0,0 +1,88 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import zlib from 'zlib';
+import { EXPORT_HEADERS, capacityRow, toCsv, toXlsx } from '../src/export.js';
+import { buildCapacity } from '../src/capacity.js';
+import AircraftConfigRegistry from '../src/aircraftConfig.js';
+
+const loadFixture = (name) => JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+const lh400 = loadFixture('flight-offers-lh400.json');
+const aircraftConfigs = new AircraftConfigRegistry();
+
+const capacity = buildCapacity({
+  offers: lh400.data,
+  aircraftConfig: aircraftConfigs.lookup({ carrierCode: 'LH', aircraftCode: '744' })
+});
+
+// Reads one file back out of a zip by walking the local headers
+const unzipEntry = (buffer, path) => {
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    if (name === path) {
+      return zlib.inflateRawSync(buffer.subarray(start, start + size)).toString('utf8');
+    }
+    offset = start + size;
+  }
+  return null;
+};
+
+describe('capacityRow', () => {
+  test('lines up with the headers, one column per cabin', () => {
+    const row = capacityRow({ flightCode: 'LH400', date: '2025-11-10', route: 'FRA-JFK', aircraftCode: '744', capacity });
+    const byHeader = Object.fromEntries(EXPORT_HEADERS.map((header, i) => [header, row[i]]));
+
+    assert.equal(row.length, EXPORT_HEADERS.length);
+    assert.equal(byHeader['Flight'], 'LH400');
+    assert.equal(byHeader['Aircraft'], capacity.aircraftConfig.name);
+    assert.equal(byHeader['Economy seats'], 9);
+    assert.equal(byHeader['Business seats'], 2);
+    assert.equal(byHeader['At booking cap'], 'yes');
+    assert.equal(byHeader['Min fare'], 612.4);
+    assert.equal(byHeader['Estimated capacity'], capacity.seatCapacity);
+    assert.equal(byHeader['Fill %'], Math.round(capacity.loadFactor * 10) / 10);
+    assert.equal(byHeader['Error'], null);
+  });
+
+  test('keeps failed lookups as a row with the error', () => {
+    const row = capacityRow({ flightCode: 'LH999', date: '2025-11-10', error: 'Flight not found' });
+
+    assert.equal(row[0], 'LH999');
+    assert.equal(row[row.length - 1], 'Flight not found');
+    assert.equal(row[EXPORT_HEADERS.indexOf('Seats available')], null);
+  });
+});
+
+describe('toCsv', () => {
+  test('quotes commas and quotes and leaves empty cells blank', () => {
+    const csv = toCsv([['LH400', 'Boeing 747-400, "Jumbo"', null, 9]], ['Flight', 'Aircraft', 'Route', 'Seats']);
+
+    assert.equal(csv, 'Flight,Aircraft,Route,Seats\r\nLH400,"Boeing 747-400, ""Jumbo""",,9\r\n');
+  });
+
+  test('stops text being read as a spreadsheet formula', () => {
+    const csv = toCsv([['=HYPERLINK("http://example.com")']], ['Error']);
+
+    assert.equal(csv.split('\r\n')[1], `"'=HYPERLINK(""http://example.com"")"`);
+  });
+});
+
+describe('toXlsx', () => {
+  test('writes a zipped workbook with the rows in the first sheet', () => {
+    const row = capacityRow({ flightCode: 'LH400', date: '2025-11-10', route: 'FRA-JFK', capacity });
+    const xlsx = toXlsx([row]);
+
+    assert.equal(xlsx.readUInt32LE(0), 0x04034b50);
+    assert.ok(unzipEntry(xlsx, '[Content_Types].xml').includes('spreadsheetml.sheet.main+xml'));
+
+    const sheet = unzipEntry(xlsx, 'xl/worksheets/sheet1.xml');
+    assert.ok(sheet.includes('<c r="A1" t="inlineStr"><is><t>Flight</t></is></c>'));
+    assert.ok(sheet.includes('<c r="A2" t="inlineStr"><is><t>LH400</t></is></c>'));
+    assert.ok(sheet.includes('<c r="H2"><v>9</v></c>'));
+  });
+});
@@ -0,0 +1,48 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFlightDesignator, parseAirlineCode, parseFlightNumber, formatFlightCode } from '../../shared/flightDesignator.mjs';
+
+describe('parseFlightDesignator', () => {
+  test('accepts IATA codes with a digit in them', () => {
+    assert.deepEqual(parseFlightDesignator('U2 1234'), { carrier: 'U2', number: '1234', suffix: null, flightCode: 'U21234' });
+    assert.equal(parseFlightDesignator('3K1').flightCode, '3K1');
+    assert.equal(parseFlightDesignator('9w-339').flightCode, '9W339');
+  });
+
+  test('maps ICAO airline codes to IATA and drops leading zeros', () => {
+    assert.deepEqual(parseFlightDesignator('QFA007'), { carrier: 'QF', number: '7', suffix: null, flightCode: 'QF7', icao: 'QFA' });
+    assert.equal(parseFlightDesignator('dlh 0400').flightCode, 'LH400');
+  });
+
+  test('keeps an operational suffix', () => {
+    assert.deepEqual(parseFlightDesignator('BA123A'), { carrier: 'BA', number: '123', suffix: 'A', flightCode: 'BA123A' });
+    assert.equal(parseFlightDesignator('BAW 123 a').flightCode, 'BA123A');
+  });
+
+  test('says what is wrong', () => {
+    const cases = [
+      ['', 'Flight code is empty'],
+      ['LH/400', 'Flight code "LH/400" contains "/" - only letters and digits are allowed'],
+      ['400', 'Flight code "400" has no airline code - start with it (e.g., LH400)'],
+      ['LH', 'Flight code "LH" has no flight number - add 1-4 digits after the airline code (e.g., LH400)'],
+      ['LUFT400', '"LUFT" is not an airline code - use the 2-character IATA code (e.g., LH, U2, 3K) or the 3-letter ICAO code (e.g., DLH)'],
+      ['XQZ12', 'Unknown ICAO airline code "XQZ" - use the airline\'s 2-character IATA code instead'],
+      ['12345', 'Flight code "12345" has no airline code - start with it (e.g., LH400)'],
+      ['LH12345', 'Flight number 12345 has 5 digits - at most 4 are allowed'],
+      ['LH0', 'Flight number cannot be 0'],
+      ['BA123AB', 'Unexpected "AB" after flight number 123 - only a single suffix letter may follow (e.g., BA123A)']
+    ];
+
+    cases.forEach(([input, error]) => assert.deepEqual(parseFlightDesignator(input), { error }, input));
+  });
+});
+
+describe('airline codes and flight numbers', () => {
+  test('parse on their own', () => {
+    assert.deepEqual(parseAirlineCode('mas'), { carrier: 'MH', icao: 'MAS' });
+    assert.deepEqual(parseAirlineCode('12'), { error: '"12" is not an airline code - IATA codes have at least one letter' });
+    assert.deepEqual(parseFlightNumber('0042'), { number: '42', suffix: null });
+    assert.deepEqual(parseFlightNumber('A1'), { error: 'Flight number "A1" must start with a digit' });
+    assert.equal(formatFlightCode({ carrier: 'BA', number: '123', suffix: 'A' }), 'BA123A');
+  });
+});
@@ -0,0 +1,48 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { findFlightCandidates, TIME_WINDOWS } from '../src/flightFinder.js';
+import AircraftConfigRegistry from '../src/aircraftConfig.js';
+
+// The recorded searches the mock Amadeus server serves
+const loadOffers = (route) => JSON.parse(fs.readFileSync(new URL(`../mock/fixtures/flight-offers/${route}.json`, import.meta.url), 'utf8')).data;
+
+const aircraftConfigs = new AircraftConfigRegistry();
+const perKul = { offers: loadOffers('PER-KUL'), origin: 'PER', destination: 'KUL', aircraftConfigs };
+const fraJfk = { offers: loadOffers('FRA-JFK'), origin: 'FRA', destination: 'JFK', aircraftConfigs };
+
+const codes = (candidates) => candidates.map(candidate => candidate.flightCode);
+
+describe('findFlightCandidates', () => {
+  test('lists every flight on the route by departure time', () => {
+    const candidates = findFlightCandidates(perKul);
+
+    assert.deepEqual(codes(candidates), ['MH126', 'D7237', 'MH124']);
+    assert.equal(candidates[0].departureTime, '2025-11-10T00:05:00');
+    assert.equal(candidates[0].origin, 'PER');
+    assert.equal(typeof candidates[0].seatsAvailable, 'number');
+    assert.ok(!('capacity' in candidates[0]));
+  });
+
+  test('narrows to a carrier', () => {
+    assert.deepEqual(codes(findFlightCandidates({ ...perKul, carrier: 'MH' })), ['MH126', 'MH124']);
+    assert.deepEqual(codes(findFlightCandidates({ ...perKul, carrier: 'QF' })), []);
+  });
+
+  test('finds the operating flight for a codeshare carrier', () => {
+    const [candidate] = findFlightCandidates({ ...fraJfk, carrier: 'UA' });
+
+    assert.equal(candidate.flightCode, 'LH400');
+    assert.deepEqual(candidate.codeshares, ['UA8839']);
+  });
+
+  test('keeps flights departing inside the time window', () => {
+    assert.deepEqual(codes(findFlightCandidates({ ...perKul, ...TIME_WINDOWS.morning })), ['D7237']);
+    assert.deepEqual(codes(findFlightCandidates({ ...perKul, after: '09:10', before: '12:45' })), ['D7237']);
+    assert.deepEqual(codes(findFlightCandidates({ ...perKul, carrier: 'MH', ...TIME_WINDOWS.afternoon })), ['MH124']);
+  });
+
+  test('treats a window ending before it starts as running past midnight', () => {
+    assert.deepEqual(codes(findFlightCandidates({ ...perKul, after: '12:00', before: '01:00' })), ['MH126', 'MH124']);
+  });
+});
@@ -0,0 +1,105 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import MockAmadeusServer from '../mock/server.js';
+import AmadeusClient from '../src/amadeus.js';
+import { UpstreamError } from '../src/errors.js';
+
+const mock = new MockAmadeusServer();
+let baseUrl;
+
+const client = (options = {}) => new AmadeusClient({
+  clientId: 'mock-client',
+  clientSecret: 'mock-secret',
+  baseUrl,
+  env: 'test',
+  allowCustomBaseUrl: true,
+  requestsPerSecond: 100,
+  maxRetries: 0,
+  ...options
+});
+
+before(async () => {
+  baseUrl = await mock.start(0);
+});
+
+after(() => mock.stop());
+
+describe('AmadeusClient base URL check', () => {
+  test('accepts a custom host only in test mode with the flag set', () => {
+    assert.doesNotThrow(() => client());
+    assert.throws(() => client({ allowCustomBaseUrl: false }), /AMADEUS_BASE_URL is missing or invalid/);
+    assert.throws(() => client({ env: 'production' }), /AMADEUS_BASE_URL is missing or invalid/);
+    assert.doesNotThrow(() => client({ env: 'production', baseUrl: 'https://api.amadeus.com' }));
+  });
+});
+
+describe('MockAmadeusServer', () => {
+  test('serves every endpoint the client uses, shifted to the requested date', async () => {
+    mock.reset();
+    const amadeus = client();
+    const date = '2026-03-02';
+
+    const availability = await amadeus.getFlightAvailability({
+      origin: 'FRA', destination: 'JFK', departureDate: date, carrierCode: 'LH', flightNumber: '400'
+    });
+    assert.ok(availability.data.length > 0);
+    assert.ok(availability.data.every(offer => offer.itineraries[0].segments[0].number === '400'));
+    assert.equal(availability.data[0].itineraries[0].segments[0].departure.at.slice(0, 10), date);
+
+    const schedule = await amadeus.getFlightStatus({ carrierCode: 'LH', flightNumber: '400', scheduledDepartureDate: date });
+    assert.equal(schedule.data[0].legs[0].aircraftEquipment.aircraftType, '744');
+
+    const airline = await amadeus.getAirlineInfo({ airlineCode: 'LH' });
+    assert.equal(airline.data[0].businessName, 'LUFTHANSA');
+
+    const aircraft = await amadeus.getAircraftModel({ aircraftCode: '744' });
+    assert.equal(aircraft.data[0].name, 'Boeing 747-400');
+
+    const seatmap = await amadeus.getSeatmap({ flightOffers: [availability.data[0]] });
+    assert.equal(seatmap.data[0].number, '400');
+
+    const delay = await amadeus.getDelayPrediction({
+      originLocationCode: 'FRA', destinationLocationCode: 'JFK', departureDate: date, departureTime: '10:00:00',
+      arrivalDate: date, arrivalTime: '12:50:00', aircraftCode: '744', carrierCode: 'LH', flightNumber: '400', duration: 'PT8H50M'
+    });
+    assert.ok(delay.data[0].probability);
+
+    // One token covers the whole session
+    assert.equal(mock.calls.filter(call => call.path === '/v1/security/oauth2/token').length, 1);
+  });
+
+  test('returns empty results for routes and flights without a recording', async () => {
+    const amadeus = client();
+
+    const offers = await amadeus.getFlightAvailability({ origin: 'AKL', destination: 'SYD', departureDate: '2026-03-02' });
+    assert.deepEqual(offers.data, []);
+
+    const schedule = await amadeus.getFlightStatus({ carrierCode: 'NZ', flightNumber: '101', scheduledDepartureDate: '2026-03-02' });
+    assert.deepEqual(schedule.data, []);
+  });
+
+  test('rejects calls without a token it issued', async () => {
+    const response = await fetch(`${baseUrl}/v1/reference-data/airlines?airlineCodes=LH`, {
+      headers: { Authorization: 'Bearer forged' }
+    });
+
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).errors[0].title, 'Invalid access token');
+  });
+
+  test('injected failures reach the client as upstream errors with the Amadeus body', async () => {
+    const amadeus = client();
+    mock.respondWith('/v1/reference-data/airlines', { status: 400 });
+
+    await assert.rejects(amadeus.getAirlineInfo({ airlineCode: 'ZZ' }), (error) => {
+      assert.ok(error instanceof UpstreamError);
+      assert.equal(error.status, 400);
+      assert.equal(error.details.errors[0].title, 'MOCK FAILURE');
+      return true;
+    });
+
+    // The override only applies once
+    const airline = await amadeus.getAirlineInfo({ airlineCode: 'LH' });
+    assert.equal(airline.data[0].iataCode, 'LH');
+  });
+});
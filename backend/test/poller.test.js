@@ -0,0 +1,138 @@
+import { test, describe, before, after, beforeEach, mock as nodeMock } from 'node:test';
+import assert from 'node:assert/strict';
+import WatchlistPoller from '../src/poller.js';
+import Watchlist from '../src/watchlist.js';
+import { UpstreamError } from '../src/errors.js';
+
+// In-memory stand-in for JsonStore
+const memoryStore = (data = { flights: [] }) => ({
+  data,
+  async load() { return this.data; },
+  async save() {}
+});
+
+// Stand-in for AmadeusClient; rateLimited makes availability calls fail with a 429
+const fakeAmadeus = () => ({
+  calls: [],
+  rateLimited: false,
+  async getFlightStatus({ carrierCode, flightNumber }) {
+    this.calls.push(['getFlightStatus', `${carrierCode}${flightNumber}`]);
+    return {
+      data: [{
+        flightPoints: [
+          { iataCode: 'FRA', departure: { timings: [{ qualifier: 'STD', value: '2025-11-10T10:05+01:00' }] } },
+          { iataCode: 'JFK', arrival: { timings: [{ qualifier: 'STA', value: '2025-11-10T12:55-05:00' }] } }
+        ],
+        legs: [{ aircraftEquipment: { aircraftType: '74H' } }]
+      }]
+    };
+  },
+  async getFlightAvailability({ carrierCode, flightNumber }) {
+    this.calls.push(['getFlightAvailability', `${carrierCode}${flightNumber}`]);
+    if (this.rateLimited) throw new UpstreamError('Flight availability request', 429, { errors: [{ title: 'Too many requests' }] });
+    return { data: [] };
+  }
+});
+
+before(() => {
+  nodeMock.method(console, 'log', () => {});
+  nodeMock.method(console, 'warn', () => {});
+  nodeMock.method(console, 'error', () => {});
+});
+
+after(() => {
+  nodeMock.restoreAll();
+});
+
+describe('WatchlistPoller', () => {
+  let clock;
+  let amadeus;
+  let watchlist;
+  let poller;
+
+  const addFlight = async (number, date = '2025-11-10') => (
+    (await watchlist.add({ carrier: 'LH', number, date, intervalMinutes: 30 })).flight
+  );
+
+  beforeEach(() => {
+    clock = Date.parse('2025-11-01T12:00:00Z');
+    amadeus = fakeAmadeus();
+    watchlist = new Watchlist(memoryStore());
+    poller = new WatchlistPoller({
+      amadeus,
+      watchlist,
+      snapshots: { record: async () => null },
+      alerts: null,
+      aircraftConfigs: { lookup: () => null },
+      requestGapMs: 0,
+      maxPerTick: 2,
+      rateLimitBackoffSeconds: 300,
+      now: () => clock
+    });
+  });
+
+  test('resolves the route once, then polls again only when the interval has elapsed', async () => {
+    const flight = await addFlight('400');
+
+    await poller.tick();
+    const polled = await watchlist.get(flight.id);
+    assert.equal(polled.origin, 'FRA');
+    assert.equal(polled.destination, 'JFK');
+    assert.equal(polled.aircraftCode, '74H');
+    assert.equal(polled.lastCheckedAt, '2025-11-01T12:00:00.000Z');
+    assert.equal(polled.latest.route, 'FRA-JFK');
+    assert.equal(polled.lastError, null);
+
+    clock += 29 * 60 * 1000;
+    await poller.tick();
+    assert.equal(amadeus.calls.length, 2);
+
+    clock += 60 * 1000;
+    await poller.tick();
+    assert.deepEqual(amadeus.calls.map(([call]) => call), ['getFlightStatus', 'getFlightAvailability', 'getFlightAvailability']);
+  });
+
+  test('polls at most maxPerTick flights, leaving the rest for the next tick', async () => {
+    await addFlight('400');
+    await addFlight('401');
+    await addFlight('402');
+
+    await poller.tick();
+    assert.equal((await watchlist.due(clock)).length, 1);
+
+    await poller.tick();
+    assert.equal((await watchlist.due(clock)).length, 0);
+  });
+
+  test('stops polling departed flights', async () => {
+    const flight = await addFlight('400', '2025-10-31');
+
+    await poller.tick();
+
+    assert.equal((await watchlist.get(flight.id)).status, 'departed');
+    assert.deepEqual(amadeus.calls, []);
+  });
+
+  test('pauses every flight for the backoff after a 429, then resumes', async () => {
+    const first = await addFlight('400');
+    await addFlight('401');
+    amadeus.rateLimited = true;
+
+    await poller.tick();
+
+    // The second flight isn't tried while rate limited
+    assert.deepEqual(amadeus.calls.filter(([call]) => call === 'getFlightAvailability'), [['getFlightAvailability', 'LH400']]);
+    assert.equal((await watchlist.get(first.id)).lastError, 'Flight availability request failed: 429');
+    assert.equal(poller.status().pausedUntil, '2025-11-01T12:05:00.000Z');
+
+    amadeus.rateLimited = false;
+    clock += 299 * 1000;
+    await poller.tick();
+    assert.equal(amadeus.calls.length, 2);
+
+    clock += 1000;
+    await poller.tick();
+    assert.equal(poller.status().pausedUntil, null);
+    assert.deepEqual(amadeus.calls.slice(2).map(([, flightCode]) => flightCode), ['LH401', 'LH401']);
+  });
+});
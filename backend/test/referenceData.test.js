@@ -0,0 +1,130 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import ReferenceData from '../src/referenceData.js';
+import { UpstreamError } from '../src/errors.js';
+
+// In-memory stand-in for JsonStore
+const memoryStore = (data = { locations: {}, airlines: {} }) => ({
+  data,
+  saves: 0,
+  async load() { return this.data; },
+  async save() { this.saves += 1; }
+});
+
+const cache = { status: 'miss', ageSeconds: 0, ttlSeconds: 86400 };
+
+// Stand-in for AmadeusClient answering from a couple of recorded entries
+const fakeAmadeus = ({ fail = false } = {}) => {
+  const calls = [];
+  return {
+    calls,
+    async searchLocations({ keyword }) {
+      calls.push(['searchLocations', keyword]);
+      if (fail) throw new UpstreamError('Location search request', 500);
+      const data = [{
+        subType: 'AIRPORT',
+        name: 'BROOME INTL',
+        iataCode: 'BME',
+        address: { cityName: 'BROOME', cityCode: 'BME', countryCode: 'AU' }
+      }].filter(location => location.name.startsWith(keyword.toUpperCase()));
+      return { data, cache };
+    },
+    async getAirlineInfo({ airlineCode }) {
+      calls.push(['getAirlineInfo', airlineCode]);
+      const data = [{ iataCode: 'TR', icaoCode: 'TGW', businessName: 'SCOOT' }].filter(airline => airline.iataCode === airlineCode);
+      return { data, cache };
+    }
+  };
+};
+
+describe('ReferenceData', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = memoryStore();
+    await new ReferenceData({ store }).seed();
+  });
+
+  test('seeds airports, cities and airlines from the bundled dataset', async () => {
+    const size = await new ReferenceData({ store }).size();
+
+    assert.ok(size.locations > 100);
+    assert.ok(size.airlines > 50);
+    assert.equal(store.data.locations['AIRPORT:PER'].name, 'Perth Airport');
+    assert.equal(store.data.locations['CITY:LON'].type, 'CITY');
+  });
+
+  test('ranks exact codes, then cities before their airports, ignoring case and accents', async () => {
+    const referenceData = new ReferenceData({ store });
+    const codes = async (keyword) => (await referenceData.suggestLocations(keyword)).suggestions.map(l => `${l.type}:${l.code}`);
+
+    assert.deepEqual((await codes('kul')).slice(0, 3), ['CITY:KUL', 'AIRPORT:KUL', 'AIRPORT:SZB']);
+    assert.deepEqual((await codes('london')).slice(0, 2), ['CITY:LON', 'AIRPORT:LGW']);
+    assert.deepEqual(await codes('zurich'), ['AIRPORT:ZRH']);
+  });
+
+  test('answers from the store without Amadeus when it has enough matches', async () => {
+    const amadeus = fakeAmadeus();
+    const referenceData = new ReferenceData({ store, amadeus });
+
+    const result = await referenceData.suggestLocations('new york', { limit: 3 });
+
+    assert.equal(result.source, 'local');
+    assert.equal(result.suggestions[0].code, 'NYC');
+    assert.equal(result.suggestions.length, 3);
+    assert.deepEqual(amadeus.calls, []);
+  });
+
+  test('asks Amadeus for places the store lacks and remembers them', async () => {
+    const amadeus = fakeAmadeus();
+    const referenceData = new ReferenceData({ store, amadeus });
+
+    const result = await referenceData.suggestLocations('broome');
+
+    assert.equal(result.source, 'amadeus');
+    assert.deepEqual(result.cache, cache);
+    assert.deepEqual(result.suggestions, [{ code: 'BME', type: 'AIRPORT', name: 'Broome Intl', cityName: 'Broome', cityCode: 'BME', countryCode: 'AU' }]);
+    assert.equal(store.data.locations['AIRPORT:BME'].name, 'Broome Intl');
+
+    // Known from now on, even without Amadeus
+    const offline = await new ReferenceData({ store }).suggestLocations('broo');
+    assert.deepEqual(offline.suggestions.map(l => l.code), ['BME']);
+  });
+
+  test('falls back to stored matches when Amadeus fails', async () => {
+    const referenceData = new ReferenceData({ store, amadeus: fakeAmadeus({ fail: true }) });
+    const savesBefore = store.saves;
+
+    const result = await referenceData.suggestLocations('perth');
+
+    assert.equal(result.source, 'local');
+    assert.deepEqual(result.suggestions.map(l => l.code), ['PER']);
+    assert.equal(store.saves, savesBefore);
+  });
+
+  test('suggests airlines by name, IATA code or ICAO code', async () => {
+    const referenceData = new ReferenceData({ store, amadeus: fakeAmadeus() });
+    const codes = async (keyword) => (await referenceData.suggestAirlines(keyword)).suggestions.map(a => a.code);
+
+    assert.deepEqual(await codes('qantas'), ['QF']);
+    assert.deepEqual(await codes('qfa'), ['QF']);
+    assert.deepEqual((await codes('virgin')).sort(), ['VA', 'VS']);
+    assert.deepEqual(await codes('u2'), ['U2']);
+  });
+
+  test('looks unknown airline codes up in Amadeus', async () => {
+    const amadeus = fakeAmadeus();
+    const referenceData = new ReferenceData({ store, amadeus });
+    delete store.data.airlines.TR;
+
+    const result = await referenceData.suggestAirlines('tr');
+
+    assert.equal(result.source, 'amadeus');
+    assert.deepEqual(result.suggestions[0], { code: 'TR', icao: 'TGW', name: 'Scoot' });
+    assert.deepEqual(amadeus.calls, [['getAirlineInfo', 'TR']]);
+
+    // A name can't be looked up by code, so Amadeus isn't asked for it
+    await referenceData.suggestAirlines('scoo');
+    assert.equal(amadeus.calls.length, 1);
+  });
+});
@@ -0,0 +1,155 @@
+import { test, describe, before, after, beforeEach, afterEach, mock as nodeMock } from 'node:test';
+import assert from 'node:assert/strict';
+import RequestQueue from '../src/requestQueue.js';
+
+// Minimal node-fetch Response for the queue to look at
+const response = (status, headers = {}) => ({
+  status,
+  ok: status < 400,
+  headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+  text: async () => ''
+});
+
+// fetchImpl answering from a script of responses (or errors to throw), recording when each call was made
+const scriptedFetch = (...script) => {
+  const fetchImpl = async (url, options = {}) => {
+    fetchImpl.calls.push({ url, method: options.method || 'GET', at: Date.now() });
+    const next = script.shift() ?? response(200);
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  fetchImpl.calls = [];
+  return fetchImpl;
+};
+
+// Moves the fake clock forward in small steps, letting the queue's promises settle at each one
+const advance = async (ms, step = 10) => {
+  for (let elapsed = 0; elapsed < ms; elapsed += step) {
+    nodeMock.timers.tick(step);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+before(() => {
+  nodeMock.method(console, 'warn', () => {});
+  // No jitter: every backoff is half its exponential delay
+  nodeMock.method(Math, 'random', () => 0);
+});
+
+after(() => {
+  nodeMock.restoreAll();
+});
+
+describe('RequestQueue', () => {
+  beforeEach(() => {
+    nodeMock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  });
+
+  afterEach(() => {
+    nodeMock.timers.reset();
+  });
+
+  test('spaces requests to the configured rate', async () => {
+    const fetchImpl = scriptedFetch();
+    const queue = new RequestQueue({ requestsPerSecond: 10, fetchImpl });
+
+    const requests = [1, 2, 3].map(n => queue.fetch(`https://api/${n}`));
+    await advance(300);
+    await Promise.all(requests);
+
+    const gaps = fetchImpl.calls.slice(1).map((call, i) => call.at - fetchImpl.calls[i].at);
+    assert.deepEqual(gaps, [100, 100]);
+  });
+
+  test('holds every queued request until Retry-After has passed', async () => {
+    const fetchImpl = scriptedFetch(response(429, { 'retry-after': '2' }));
+    const queue = new RequestQueue({ requestsPerSecond: 10, fetchImpl });
+
+    const limited = queue.fetch('https://api/limited');
+    const queued = queue.fetch('https://api/queued');
+    await advance(150);
+
+    // The second request's slot was already scheduled for 100ms, before the 429 arrived
+    assert.equal(fetchImpl.calls.length, 1);
+    assert.ok(queue.status().pausedUntil);
+
+    await advance(2200);
+    const [retried, released] = await Promise.all([limited, queued]);
+
+    assert.equal(retried.status, 200);
+    assert.equal(released.status, 200);
+    assert.ok(fetchImpl.calls.slice(1).every(call => call.at >= 2000), JSON.stringify(fetchImpl.calls));
+    assert.equal(queue.status().rateLimited, 1);
+  });
+
+  test('caps a Retry-After pause at maxDelayMs', async () => {
+    const fetchImpl = scriptedFetch(response(429, { 'retry-after': '86400' }));
+    const queue = new RequestQueue({ requestsPerSecond: 10, maxDelayMs: 5000, fetchImpl });
+
+    const request = queue.fetch('https://api/limited');
+    await advance(5100);
+
+    assert.equal((await request).status, 200);
+    const gap = fetchImpl.calls[1].at - fetchImpl.calls[0].at;
+    assert.ok(gap >= 5000 && gap <= 5010, `gap: ${gap}`);
+    assert.equal(queue.status().pausedUntil, null);
+  });
+
+  test('retries GETs on 5xx with exponential backoff', async () => {
+    const fetchImpl = scriptedFetch(response(503), response(502), response(500));
+    const queue = new RequestQueue({ requestsPerSecond: 1000, baseDelayMs: 100, maxRetries: 3, fetchImpl });
+
+    const request = queue.fetch('https://api/flaky');
+    await advance(500, 1);
+
+    assert.equal((await request).status, 200);
+    const gaps = fetchImpl.calls.slice(1).map((call, i) => call.at - fetchImpl.calls[i].at);
+    // 100, 200 and 400ms halved by the (zero) jitter, plus a slot of at most a couple of ms
+    gaps.forEach((gap, i) => assert.ok(gap >= 50 * 2 ** i && gap <= 50 * 2 ** i + 3, `gap ${i}: ${gap}`));
+    assert.equal(queue.status().retries, 3);
+  });
+
+  test('gives up after maxRetries and returns the last response', async () => {
+    const fetchImpl = scriptedFetch(response(503), response(503));
+    const queue = new RequestQueue({ requestsPerSecond: 1000, baseDelayMs: 10, maxRetries: 1, fetchImpl });
+
+    const request = queue.fetch('https://api/down');
+    await advance(100, 1);
+
+    assert.equal((await request).status, 503);
+    assert.equal(fetchImpl.calls.length, 2);
+    assert.equal(queue.status().failures, 1);
+  });
+
+  test('retries GETs after network errors, but never an aborted request', async () => {
+    const fetchImpl = scriptedFetch(new Error('socket hang up'), Object.assign(new Error('aborted'), { name: 'AbortError' }));
+    const queue = new RequestQueue({ requestsPerSecond: 1000, baseDelayMs: 10, fetchImpl });
+
+    const request = queue.fetch('https://api/slow');
+    const rejected = assert.rejects(request, { name: 'AbortError' });
+    await advance(100, 1);
+    await rejected;
+
+    assert.equal(fetchImpl.calls.length, 2);
+    assert.equal(queue.status().lastRetryReason, 'socket hang up');
+  });
+
+  test('does not retry other methods on 5xx or network errors, only on 429', async () => {
+    const fetchImpl = scriptedFetch(response(500), new Error('socket hang up'), response(429), response(201));
+    const queue = new RequestQueue({ requestsPerSecond: 1000, baseDelayMs: 10, fetchImpl });
+
+    const failed = queue.fetch('https://api/token', { method: 'POST' });
+    await advance(10, 1);
+    assert.equal((await failed).status, 500);
+
+    const broken = assert.rejects(queue.fetch('https://api/token', { method: 'POST' }), /socket hang up/);
+    await advance(10, 1);
+    await broken;
+
+    const limited = queue.fetch('https://api/token', { method: 'POST' });
+    await advance(100, 1);
+    assert.equal((await limited).status, 201);
+
+    assert.deepEqual(fetchImpl.calls.map(call => call.method), ['POST', 'POST', 'POST', 'POST']);
+  });
+});
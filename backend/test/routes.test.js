@@ -0,0 +1,530 @@
+import { test, describe, before, after, beforeEach, mock as nodeMock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import MockAmadeusServer from '../mock/server.js';
+import { MemoryCacheStore } from '../src/cache.js';
+
+// The whole app against the bundled mock Amadeus server, with storage in a temp dir
+const amadeusMock = new MockAmadeusServer();
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flightcapacity-test-'));
+const API_KEY = 'routes-test-key';
+let server;
+let apiUrl;
+
+// Fare trends never start in the past, so requests are for dates ahead of today
+const daysFromNow = (days) => new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+
+const request = async (pathname, { method = 'GET', body, headers = {} } = {}) => {
+  const response = await fetch(`${apiUrl}${pathname}`, {
+    method,
+    headers: {
+      'X-API-Key': API_KEY,
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...headers
+    },
+    body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  const type = response.headers.get('content-type') || '';
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: type.includes('json') ? await response.json() : await response.text()
+  };
+};
+
+// 500s carry a safe message and the request ID, never the upstream body
+const assertUpstreamFailure = (response, error, message) => {
+  assert.equal(response.status, 500);
+  assert.equal(response.body.success, false);
+  assert.equal(response.body.error, error);
+  assert.equal(response.body.message, message);
+  assert.equal(response.body.requestId, response.headers.get('x-request-id'));
+  assert.ok(!JSON.stringify(response.body).includes('MOCK FAILURE'));
+};
+
+before(async () => {
+  nodeMock.method(console, 'log', () => {});
+  nodeMock.method(console, 'warn', () => {});
+  nodeMock.method(console, 'error', () => {});
+
+  const baseUrl = await amadeusMock.start(0);
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    AMADEUS_API_KEY: 'mock-client',
+    AMADEUS_API_SECRET: 'mock-secret',
+    AMADEUS_BASE_URL: baseUrl,
+    AMADEUS_ALLOW_CUSTOM_BASE_URL: 'true',
+    AMADEUS_REQUESTS_PER_SECOND: '100',
+    AMADEUS_MAX_RETRIES: '0',
+    STORAGE_DIR: storageDir,
+    API_AUTH: 'on',
+    API_KEYS: `routes:${API_KEY}:10000:100000`,
+    ALERT_WEBHOOK_URL: '',
+    ALERT_WEBHOOK_SECRET: 'routes-secret',
+    ALERT_WEBHOOK_HOSTS: 'localhost',
+    // The test receiver listens on localhost
+    ALERT_WEBHOOK_ALLOW_PRIVATE: 'true',
+    CACHE_STORE: 'memory'
+  });
+
+  const { default: app } = await import('../src/index.js');
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  apiUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await amadeusMock.stop();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+  nodeMock.restoreAll();
+});
+
+beforeEach(() => amadeusMock.overrides.clear());
+
+describe('app', () => {
+  test('GET /health needs no key and reports auth', async () => {
+    const { status, body } = await request('/health', { headers: { 'X-API-Key': '' } });
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'ok');
+    assert.deepEqual(body.auth, { enabled: true, keys: 1 });
+  });
+
+  test('GET /health reports a failing cache store as degraded', async () => {
+    const size = nodeMock.method(MemoryCacheStore.prototype, 'size', async () => { throw new Error('EACCES: cache.json'); });
+
+    try {
+      const { status, body } = await request('/health');
+
+      assert.equal(status, 200);
+      assert.equal(body.status, 'degraded');
+      assert.deepEqual(body.cache, { error: 'Cache store unavailable' });
+    } finally {
+      size.mock.restore();
+    }
+  });
+
+  test('/api rejects missing and unknown keys', async () => {
+    const missing = await request('/api/watchlist', { headers: { 'X-API-Key': '' } });
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.error, 'Missing API key');
+
+    const wrong = await request('/api/watchlist', { headers: { 'X-API-Key': 'nope' } });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.error, 'Invalid API key');
+  });
+
+  test('GET /api/usage reports the calling key', async () => {
+    const { status, body, headers } = await request('/api/usage');
+
+    assert.equal(status, 200);
+    assert.equal(body.usage.name, 'routes');
+    assert.ok(headers.get('ratelimit-remaining'));
+  });
+
+  test('unknown endpoints list the ones that exist', async () => {
+    const { status, body } = await request('/api/nope');
+
+    assert.equal(status, 404);
+    assert.ok(body.availableEndpoints.includes('GET /health'));
+  });
+
+  test('malformed JSON bodies get a 400', async () => {
+    const { status, body } = await request('/api/watchlist', { method: 'POST', body: '{"flightCode":' });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid JSON body');
+  });
+});
+
+describe('GET /api/flights', () => {
+  test('returns offers for the route', async () => {
+    const { status, body } = await request(`/api/flights?origin=per&destination=kul&date=${daysFromNow(30)}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.query.origin, 'PER');
+    assert.ok(body.data.data.length > 0);
+  });
+
+  test('validates the query', async () => {
+    assert.equal((await request('/api/flights?origin=PER')).body.error, 'Missing required parameters');
+    assert.equal((await request('/api/flights?origin=PER&destination=KUL&date=15-12-2025')).body.error, 'Invalid date format');
+    assert.equal((await request('/api/flights?origin=PERTH&destination=KUL&date=2025-12-15')).body.error, 'Invalid airport code');
+  });
+
+  test('hides upstream failures', async () => {
+    amadeusMock.respondWith('/v2/shopping/flight-offers', { status: 500 });
+
+    assertUpstreamFailure(
+      await request(`/api/flights?origin=PER&destination=KUL&date=${daysFromNow(31)}`),
+      'Failed to fetch flight data',
+      'Flight search failed: 500'
+    );
+  });
+});
+
+describe('GET /api/route-board', () => {
+  test('lists nonstop flights sorted as asked', async () => {
+    const { status, body } = await request(`/api/route-board?origin=PER&destination=KUL&date=${daysFromNow(30)}&sort=cheapest`);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.flights.map(flight => flight.flightCode), ['D7237', 'MH126', 'MH124']);
+  });
+
+  test('exports CSV', async () => {
+    const { status, body, headers } = await request(`/api/route-board?origin=PER&destination=KUL&date=${daysFromNow(30)}&format=csv`);
+
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /text\/csv/);
+    assert.match(body, /MH126/);
+  });
+
+  test('validates the query', async () => {
+    const date = daysFromNow(30);
+    assert.equal((await request('/api/route-board?origin=PER&destination=KUL')).body.error, 'Missing required parameters');
+    assert.equal((await request('/api/route-board?origin=PER&destination=KUL&date=tomorrow')).body.error, 'Invalid date format');
+    assert.equal((await request(`/api/route-board?origin=P&destination=KUL&date=${date}`)).body.error, 'Invalid airport code');
+    assert.equal((await request(`/api/route-board?origin=PER&destination=KUL&date=${date}&sort=busiest`)).body.error, 'Invalid sort');
+    assert.equal((await request(`/api/route-board?origin=PER&destination=KUL&date=${date}&format=pdf`)).body.error, 'Invalid format');
+  });
+
+  test('hides upstream failures', async () => {
+    amadeusMock.respondWith('/v2/shopping/flight-offers', { status: 503 });
+
+    assertUpstreamFailure(
+      await request(`/api/route-board?origin=PER&destination=KUL&date=${daysFromNow(32)}`),
+      'Failed to fetch route board',
+      'Flight availability request failed: 503'
+    );
+  });
+});
+
+describe('GET /api/flight-capacity', () => {
+  test('works out the route from the schedule and measures capacity', async () => {
+    const date = daysFromNow(30);
+    const { status, body } = await request(`/api/flight-capacity?carrier=lh&number=400&date=${date}&seatmap=true`);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.query, { carrier: 'LH', number: '400', flightCode: 'LH400', route: 'FRA-JFK', date });
+    assert.equal(body.airline.data[0].businessName, 'LUFTHANSA');
+    assert.equal(body.aircraft.data[0].name, 'Boeing 747-400');
+    assert.equal(body.capacity.hasAvailability, true);
+    assert.ok(body.seatmaps.data.length > 0);
+  });
+
+  test('records a snapshot for the capacity history', async () => {
+    const date = daysFromNow(30);
+    await request(`/api/flight-capacity?carrier=MH&number=126&date=${date}`);
+
+    const { status, body } = await request(`/api/flight-capacity/history?carrier=MH&number=126&date=${date}`);
+    assert.equal(status, 200);
+    assert.ok(body.snapshots.length >= 1);
+  });
+
+  test('validates carrier, number, date, airports and format like /api/flight-status', async () => {
+    const date = daysFromNow(30);
+    const cases = [
+      ['carrier=LH&number=400', 'Missing required parameters'],
+      ['carrier=LH&number=400&date=10-11-2025', 'Invalid date format'],
+      [`carrier=LUFT&number=400&date=${date}`, 'Invalid carrier code'],
+      [`carrier=LH&number=40000&date=${date}`, 'Invalid flight number'],
+      [`carrier=LH&number=400&date=${date}&origin=FRANKFURT&destination=JFK`, 'Invalid airport code'],
+      [`carrier=LH&number=400&date=${date}&format=pdf`, 'Invalid format']
+    ];
+
+    for (const [query, error] of cases) {
+      const response = await request(`/api/flight-capacity?${query}`);
+      assert.equal(response.status, 400, query);
+      assert.equal(response.body.error, error, query);
+    }
+  });
+
+  test('is a 404 when the schedule has no such flight', async () => {
+    const { status, body } = await request(`/api/flight-capacity?carrier=NZ&number=101&date=${daysFromNow(30)}`);
+
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Could not determine flight route');
+  });
+
+  test('hides upstream failures', async () => {
+    amadeusMock.respondWith('/v2/schedule/flights', { status: 500, body: { errors: [{ title: 'MOCK FAILURE', detail: 'internal host db-3' }] } });
+
+    assertUpstreamFailure(
+      await request(`/api/flight-capacity?carrier=LH&number=400&date=${daysFromNow(33)}`),
+      'Failed to fetch flight capacity',
+      'Flight status request failed: 500'
+    );
+  });
+});
+
+describe('GET /api/flight-capacity/history', () => {
+  test('validates the query', async () => {
+    assert.equal((await request('/api/flight-capacity/history?carrier=LH')).body.error, 'Missing required parameters');
+    assert.equal((await request('/api/flight-capacity/history?carrier=LH&number=abc&date=2025-11-10')).body.error, 'Invalid flight number');
+  });
+
+  test('looks up a suffixed flight under its full flight code', async () => {
+    const { status, body } = await request('/api/flight-capacity/history?carrier=BA&number=123&suffix=A&date=2025-11-10');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.query, { carrier: 'BA', number: '123', suffix: 'A', flightCode: 'BA123A', date: '2025-11-10' });
+    assert.deepEqual(body.snapshots, []);
+  });
+});
+
+describe('POST /api/flight-capacity/batch', () => {
+  test('returns a result or an error per flight', async () => {
+    const date = daysFromNow(30);
+    const { status, body } = await request('/api/flight-capacity/batch', {
+      method: 'POST',
+      body: { flights: [{ flightCode: 'LH400', date }, { flightCode: 'MH 124', date }, { flightCode: 'nope', date }] }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.succeeded, 2);
+    assert.equal(body.failed, 1);
+    assert.equal(body.results[1].route, 'PER-KUL');
+  });
+
+  test('validates the batch', async () => {
+    const empty = await request('/api/flight-capacity/batch', { method: 'POST', body: { flights: [] } });
+    assert.equal(empty.body.error, 'Missing required parameters');
+
+    const tooMany = await request('/api/flight-capacity/batch', {
+      method: 'POST',
+      body: { flights: Array.from({ length: 51 }, () => ({ flightCode: 'LH400', date: '2025-11-10' })) }
+    });
+    assert.equal(tooMany.body.error, 'Too many flights');
+
+    const format = await request('/api/flight-capacity/batch?format=pdf', { method: 'POST', body: { flights: [{ flightCode: 'LH400', date: '2025-11-10' }] } });
+    assert.equal(format.body.error, 'Invalid format');
+  });
+
+  test('reports upstream failures on the item, not the batch', async () => {
+    amadeusMock.respondWith('/v2/schedule/flights', { status: 500 });
+
+    const { status, body } = await request('/api/flight-capacity/batch', {
+      method: 'POST',
+      body: { flights: [{ flightCode: 'LH400', date: daysFromNow(34) }] }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.results[0].success, false);
+    assert.equal(body.results[0].error, 'Flight status request failed: 500');
+  });
+});
+
+describe('GET /api/flight-capacity/itinerary', () => {
+  test('finds the bottleneck across one flight per leg', async () => {
+    const { status, body } = await request(`/api/flight-capacity/itinerary?route=PER-SIN-LHR&flights=SQ216,SQ322&date=${daysFromNow(30)}`);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.legs.map(leg => leg.flightCode), ['SQ216', 'SQ322']);
+    assert.ok(body.bottleneck);
+  });
+
+  test('validates the query', async () => {
+    const date = daysFromNow(30);
+    assert.equal((await request('/api/flight-capacity/itinerary?route=PER-SIN-LHR')).body.error, 'Missing required parameters');
+    assert.equal((await request(`/api/flight-capacity/itinerary?route=PER&flights=SQ216&date=${date}`)).body.error, 'Invalid route');
+    assert.equal((await request(`/api/flight-capacity/itinerary?route=PER-SIN-LHR&flights=SQ216,SQ322,SQ1&date=${date}`)).body.error, 'Invalid flights');
+    assert.equal((await request('/api/flight-capacity/itinerary?route=PER-SIN-LHR&flights=SQ216,SQ322&date=soon')).body.error, 'Invalid date format');
+  });
+
+  test('reports upstream failures on the leg, not the itinerary', async () => {
+    amadeusMock.respondWith('/v2/shopping/flight-offers', { status: 500, times: Infinity });
+
+    const { status, body } = await request(`/api/flight-capacity/itinerary?route=PER-SIN-LHR&flights=SQ216,SQ322&date=${daysFromNow(35)}`);
+    assert.equal(status, 200);
+    assert.ok(body.legs.every(leg => leg.capacity === null && leg.error === 'Flight availability request failed: 500'));
+  });
+});
+
+describe('GET /api/fare-trend', () => {
+  test('returns one entry per day in the window', async () => {
+    const { status, body } = await request(`/api/fare-trend?origin=PER&destination=KUL&date=${daysFromNow(30)}&carrier=MH&number=126&days=3`);
+
+    assert.equal(status, 200);
+    assert.equal(body.fareTrend.length, 3);
+    assert.ok(body.fareTrend.every(day => day.price === 312.4));
+  });
+
+  test('validates the query', async () => {
+    const date = daysFromNow(30);
+    assert.equal((await request('/api/fare-trend?origin=PER&destination=KUL')).body.error, 'Missing required parameters');
+    assert.equal((await request(`/api/fare-trend?origin=PER&destination=KUL&date=${date}&days=90`)).body.error, 'Invalid days');
+    assert.deepEqual((await request(`/api/fare-trend?origin=PER&destination=KUL&date=${date}&number=126`)).body.required, ['carrier']);
+    assert.equal((await request('/api/fare-trend?origin=PER&destination=KUL&date=12/15/2025')).body.error, 'Invalid date format');
+    assert.equal((await request(`/api/fare-trend?origin=PE&destination=KUL&date=${date}`)).body.error, 'Invalid airport code');
+  });
+
+  test('leaves days empty when their searches fail', async () => {
+    amadeusMock.respondWith('/v2/shopping/flight-offers', { status: 500, times: Infinity });
+
+    const { status, body } = await request(`/api/fare-trend?origin=PER&destination=SIN&date=${daysFromNow(40)}&days=2`);
+    assert.equal(status, 200);
+    assert.ok(body.fareTrend.every(day => day.price === null));
+  });
+});
+
+describe('GET /api/delay-prediction', () => {
+  test('predicts from the scheduled timings', async () => {
+    const date = daysFromNow(30);
+    const { status, body } = await request(`/api/delay-prediction?carrier=LH&number=400&date=${date}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.delayPrediction.data.length, 4);
+    const call = amadeusMock.calls.findLast(c => c.path === '/v1/travel/predictions/flight-delay');
+    assert.equal(call.query.departureTime, '10:00:00');
+    assert.equal(call.query.departureDate, date);
+  });
+
+  test('validates the query', async () => {
+    assert.equal((await request('/api/delay-prediction?carrier=LH&number=400')).body.error, 'Missing required parameters');
+    assert.equal((await request('/api/delay-prediction?carrier=L&number=400&date=2025-11-10')).body.error, 'Invalid carrier code');
+  });
+
+  test('is a 404 without a schedule to predict from', async () => {
+    const { status } = await request(`/api/delay-prediction?carrier=NZ&number=101&date=${daysFromNow(30)}`);
+    assert.equal(status, 404);
+  });
+
+  test('hides upstream failures', async () => {
+    amadeusMock.respondWith('/v1/travel/predictions/flight-delay', { status: 500 });
+
+    assertUpstreamFailure(
+      await request(`/api/delay-prediction?carrier=LH&number=402&date=${daysFromNow(30)}`),
+      'Failed to fetch delay prediction',
+      'Delay prediction request failed: 500'
+    );
+  });
+});
+
+describe('GET /api/flight-status', () => {
+  test('returns the schedule', async () => {
+    const { status, body } = await request(`/api/flight-status?carrier=sq&number=322&date=${daysFromNow(30)}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.query.flightCode, 'SQ322');
+    assert.equal(body.data.data[0].legs[0].aircraftEquipment.aircraftType, '388');
+  });
+
+  test('validates the query', async () => {
+    assert.equal((await request('/api/flight-status?carrier=SQ')).body.error, 'Missing required parameters');
+    assert.equal((await request('/api/flight-status?carrier=SQ&number=322&date=2025-1-1')).body.error, 'Invalid date format');
+    assert.equal((await request('/api/flight-status?carrier=SQA&number=322&date=2025-11-10')).body.error, 'Invalid carrier code');
+    assert.equal((await request('/api/flight-status?carrier=SQ&number=32A&date=2025-11-10')).body.error, 'Invalid flight number');
+  });
+
+  test('hides upstream failures', async () => {
+    amadeusMock.respondWith('/v2/schedule/flights', { status: 500 });
+
+    assertUpstreamFailure(
+      await request(`/api/flight-status?carrier=SQ&number=322&date=${daysFromNow(36)}`),
+      'Failed to fetch flight status',
+      'Flight status request failed: 500'
+    );
+  });
+});
+
+describe('watchlist', () => {
+  test('adds, updates, lists and removes a flight', async () => {
+    const date = daysFromNow(30);
+
+    const added = await request('/api/watchlist', { method: 'POST', body: { flightCode: 'LH 400', date, intervalMinutes: 30 } });
+    assert.equal(added.status, 201);
+    const { id } = added.body.flight;
+
+    const again = await request('/api/watchlist', { method: 'POST', body: { flightCode: 'LH400', date } });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.created, false);
+
+    const updated = await request(`/api/watchlist/${id}`, { method: 'PUT', body: { intervalMinutes: 15 } });
+    assert.equal(updated.body.flight.intervalMinutes, 15);
+
+    const listed = await request('/api/watchlist');
+    assert.ok(listed.body.flights.some(flight => flight.id === id));
+
+    assert.equal((await request(`/api/watchlist/${id}`, { method: 'DELETE' })).status, 200);
+    assert.equal((await request(`/api/watchlist/${id}`, { method: 'DELETE' })).status, 404);
+    assert.equal((await request(`/api/watchlist/${id}`, { method: 'PUT', body: { intervalMinutes: 15 } })).status, 404);
+  });
+
+  test('validates new and updated flights', async () => {
+    const post = (body) => request('/api/watchlist', { method: 'POST', body });
+
+    assert.equal((await post({ flightCode: 'LH400' })).body.error, 'Missing required parameters');
+    assert.equal((await post({ flightCode: 'LUFTHANSA', date: '2025-11-10' })).body.error, 'Invalid flight code');
+    assert.equal((await post({ flightCode: 'LH400', date: 'tomorrow' })).body.error, 'Invalid date format');
+    assert.equal((await post({ flightCode: 'LH400', date: '2025-11-10', intervalMinutes: 1 })).body.error, 'Invalid poll interval');
+    assert.equal((await post({ flightCode: 'LH400', date: '2025-11-10', origin: 'FRANKFURT' })).body.error, 'Invalid airport code');
+
+    const put = await request('/api/watchlist/anything', { method: 'PUT', body: { intervalMinutes: 'often' } });
+    assert.equal(put.body.error, 'Invalid poll interval');
+  });
+});
+
+describe('alerts', () => {
+  test('adds, lists and removes a rule', async () => {
+    const added = await request('/api/alerts', {
+      method: 'POST',
+      body: { type: 'fullness_above', threshold: 90, flightCode: 'LH400', date: daysFromNow(30), webhookUrl: 'http://localhost:1/hook' }
+    });
+    assert.equal(added.status, 201);
+    const { id } = added.body.rule;
+
+    assert.ok((await request('/api/alerts')).body.rules.some(rule => rule.id === id));
+    assert.equal((await request(`/api/alerts/${id}`, { method: 'DELETE' })).status, 200);
+    assert.equal((await request(`/api/alerts/${id}`, { method: 'DELETE' })).status, 404);
+  });
+
+  test('validates rules', async () => {
+    const post = (body) => request('/api/alerts', { method: 'POST', body: { webhookUrl: 'http://localhost:1/hook', ...body } });
+
+    assert.equal((await post({ type: 'fullness_above' })).body.error, 'Missing required parameters');
+    assert.equal((await post({ type: 'sold_out', threshold: 1, flightCode: 'LH400' })).body.error, 'Invalid alert type');
+    assert.equal((await post({ type: 'fullness_above', threshold: 150, flightCode: 'LH400' })).body.error, 'Invalid threshold');
+    assert.equal((await post({ type: 'cabin_seats_below', threshold: 2, cabin: 'LOUNGE', flightCode: 'LH400' })).body.error, 'Invalid cabin');
+    assert.equal((await post({ type: 'fullness_above', threshold: 90, flightCode: 'LUFTHANSA' })).body.error, 'Invalid flight code');
+    assert.equal((await post({ type: 'fullness_above', threshold: 90, flightCode: 'LH400', date: 'soon' })).body.error, 'Invalid date format');
+    assert.equal((await post({ type: 'fullness_above', threshold: 90, route: 'PERKUL' })).body.error, 'Invalid route');
+    assert.equal((await post({ type: 'fullness_above', threshold: 90, route: 'PER-KUL', webhookUrl: 'ftp://x' })).body.error, 'Invalid webhook URL');
+    assert.equal((await post({ type: 'fullness_above', threshold: 90, route: 'PER-KUL', webhookUrl: 'http://example.com/hook' })).body.error, 'Invalid webhook URL');
+    assert.equal((await post({ type: 'fullness_above', threshold: 90, route: 'PER-KUL', webhookUrl: '' })).body.error, 'No webhook configured');
+  });
+
+  test('POST /api/alerts/test delivers to the receiver and reports its failures', async () => {
+    let status = 204;
+    const received = [];
+    const receiver = http.createServer((req, res) => {
+      received.push(req.headers['content-type']);
+      res.writeHead(status);
+      res.end(status === 204 ? undefined : 'receiver is down');
+    });
+    await new Promise(resolve => receiver.listen(0, resolve));
+    const webhookUrl = `http://localhost:${receiver.address().port}/hook`;
+
+    try {
+      const delivered = await request('/api/alerts/test', { method: 'POST', body: { webhookUrl } });
+      assert.equal(delivered.status, 200);
+      assert.deepEqual(delivered.body.delivery, { status: 204 });
+      assert.deepEqual(received, ['application/json']);
+
+      status = 503;
+      const failed = await request('/api/alerts/test', { method: 'POST', body: { webhookUrl } });
+      assert.equal(failed.status, 502);
+      assert.match(failed.body.message, /HTTP 503/);
+      assert.doesNotMatch(failed.body.message, /receiver is down/);
+
+      const elsewhere = await request('/api/alerts/test', { method: 'POST', body: { webhookUrl: 'http://169.254.169.254/latest' } });
+      assert.equal(elsewhere.status, 400);
+      assert.equal(elsewhere.body.error, 'Invalid webhook URL');
+    } finally {
+      await new Promise(resolve => receiver.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,42 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAllowedOrigins, isOriginAllowed, DEFAULT_CORS_ORIGINS } from '../src/security.js';
+import { UpstreamError, PublicError, publicMessage, describeError } from '../src/errors.js';
+
+describe('CORS allowlist', () => {
+  test('parses comma separated origins and drops trailing slashes', () => {
+    assert.deepEqual(parseAllowedOrigins(' https://a.example.com/, https://b.example.com '), [
+      'https://a.example.com',
+      'https://b.example.com'
+    ]);
+    assert.deepEqual(parseAllowedOrigins(undefined), DEFAULT_CORS_ORIGINS);
+  });
+
+  test('matches exact origins and one subdomain label per wildcard', () => {
+    const allowed = ['https://flightcapacity.vercel.app', 'https://flightcapacity-*.vercel.app'];
+
+    assert.equal(isOriginAllowed('https://flightcapacity.vercel.app', allowed), true);
+    assert.equal(isOriginAllowed('https://flightcapacity-git-main.vercel.app', allowed), true);
+    assert.equal(isOriginAllowed('https://evil.vercel.app', allowed), false);
+    assert.equal(isOriginAllowed('https://flightcapacity-x.vercel.app.evil.com', allowed), false);
+    assert.equal(isOriginAllowed('http://flightcapacity.vercel.app', allowed), false);
+  });
+
+  test('* on its own allows any origin', () => {
+    assert.equal(isOriginAllowed('https://anything.example', ['*']), true);
+  });
+});
+
+describe('client-safe errors', () => {
+  test('upstream errors show the operation and status but keep the body for logs', () => {
+    const error = new UpstreamError('Flight status request', 400, { errors: [{ detail: 'internal detail' }] });
+
+    assert.equal(publicMessage(error), 'Flight status request failed: 400');
+    assert.match(describeError(error), /internal detail/);
+  });
+
+  test('only our own public errors are passed through', () => {
+    assert.equal(publicMessage(new PublicError('Could not determine flight route')), 'Could not determine flight route');
+    assert.doesNotMatch(publicMessage(new Error('connect ECONNREFUSED 10.0.0.5:443')), /ECONNREFUSED/);
+  });
+});
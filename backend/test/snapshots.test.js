@@ -0,0 +1,100 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import SnapshotStore, { MAX_SNAPSHOTS_PER_FLIGHT } from '../src/snapshots.js';
+
+// In-memory stand-in for JsonStore
+const memoryStore = (data = {}) => ({
+  data,
+  saves: 0,
+  async load() { return this.data; },
+  async save() { this.saves += 1; }
+});
+
+// The parts of buildCapacity's result a snapshot keeps
+const capacity = (overrides = {}) => ({
+  hasAvailability: true,
+  loadFactor: 82.5,
+  capped: false,
+  cabins: {
+    ECONOMY: { seatsAvailable: 9, minPrice: 420 },
+    BUSINESS: { seatsAvailable: 2, minPrice: 3100 }
+  },
+  numberOfBookableSeats: 11,
+  seatsAvailable: 11,
+  minPrice: 420,
+  currency: 'EUR',
+  ...overrides
+});
+
+const flight = { carrier: 'LH', number: '400', date: '2025-11-10', route: 'FRA-JFK', aircraftCode: '74H' };
+
+describe('SnapshotStore', () => {
+  let store;
+  let snapshots;
+
+  beforeEach(() => {
+    store = memoryStore();
+    snapshots = new SnapshotStore(store);
+  });
+
+  test('appends the headline numbers of each observation', async () => {
+    const first = await snapshots.record({ ...flight, capacity: capacity() });
+    await snapshots.record({ ...flight, capacity: capacity({ loadFactor: 90, capped: undefined }) });
+
+    assert.deepEqual(Object.keys(store.data), ['LH-400-2025-11-10']);
+    assert.equal(store.saves, 2);
+    const { takenAt, ...headline } = first;
+    assert.ok(!Number.isNaN(Date.parse(takenAt)));
+    assert.deepEqual(headline, {
+      route: 'FRA-JFK',
+      aircraftCode: '74H',
+      loadFactor: 82.5,
+      capped: false,
+      cabins: { ECONOMY: { seats: 9, minPrice: 420 }, BUSINESS: { seats: 2, minPrice: 3100 } },
+      numberOfBookableSeats: 11,
+      totalSeatsAvailable: 11,
+      minPrice: 420,
+      currency: 'EUR'
+    });
+
+    const history = await snapshots.list(flight);
+    assert.deepEqual(history.map(s => [s.loadFactor, s.capped]), [[82.5, false], [90, false]]);
+  });
+
+  test('skips flights without availability', async () => {
+    assert.equal(await snapshots.record({ ...flight, capacity: capacity({ hasAvailability: false }) }), null);
+    assert.equal(await snapshots.record({ ...flight, capacity: null }), null);
+    assert.deepEqual(store.data, {});
+    assert.equal(store.saves, 0);
+  });
+
+  test(`keeps the latest ${MAX_SNAPSHOTS_PER_FLIGHT} snapshots per flight`, async () => {
+    for (let i = 0; i < MAX_SNAPSHOTS_PER_FLIGHT + 5; i++) {
+      await snapshots.record({ ...flight, capacity: capacity({ numberOfBookableSeats: i }) });
+    }
+
+    const history = await snapshots.list(flight);
+    assert.equal(history.length, MAX_SNAPSHOTS_PER_FLIGHT);
+    assert.equal(history[0].numberOfBookableSeats, 5);
+    assert.equal(history.at(-1).numberOfBookableSeats, MAX_SNAPSHOTS_PER_FLIGHT + 4);
+  });
+
+  test('looks history up by carrier, number and date', async () => {
+    await snapshots.record({ ...flight, carrier: 'lh', capacity: capacity() });
+    await snapshots.record({ ...flight, date: '2025-11-11', capacity: capacity({ loadFactor: 40 }) });
+
+    assert.equal((await snapshots.list(flight)).length, 1);
+    assert.equal((await snapshots.list({ ...flight, carrier: 'lh' })).length, 1);
+    assert.equal((await snapshots.list({ ...flight, date: '2025-11-11' }))[0].loadFactor, 40);
+    assert.deepEqual(await snapshots.list({ ...flight, number: '401' }), []);
+  });
+
+  test('keeps a suffixed flight apart from the unsuffixed one', async () => {
+    await snapshots.record({ ...flight, capacity: capacity() });
+    await snapshots.record({ ...flight, suffix: 'A', capacity: capacity({ loadFactor: 30 }) });
+
+    assert.deepEqual(Object.keys(store.data), ['LH-400-2025-11-10', 'LH-400A-2025-11-10']);
+    assert.equal((await snapshots.list({ ...flight, suffix: 'a' }))[0].loadFactor, 30);
+    assert.equal((await snapshots.list({ ...flight, suffix: null }))[0].loadFactor, 82.5);
+  });
+});
@@ -0,0 +1,85 @@
+import { test, describe, before, after, mock as nodeMock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import JsonStore from '../src/store.js';
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flightcapacity-store-test-'));
+let previousStorageDir;
+
+before(() => {
+  previousStorageDir = process.env.STORAGE_DIR;
+  process.env.STORAGE_DIR = storageDir;
+});
+
+after(() => {
+  nodeMock.restoreAll();
+  if (previousStorageDir === undefined) delete process.env.STORAGE_DIR;
+  else process.env.STORAGE_DIR = previousStorageDir;
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+describe('JsonStore', () => {
+  test('starts from a copy of the default data and persists saves', async () => {
+    const defaults = { rules: [] };
+    const store = new JsonStore('saved', defaults);
+
+    (await store.load()).rules.push('a');
+    await store.save();
+
+    assert.deepEqual(defaults, { rules: [] });
+    assert.deepEqual(await new JsonStore('saved').load(), { rules: ['a'] });
+  });
+
+  test('reads the file once for concurrent first loads', async () => {
+    fs.writeFileSync(path.join(storageDir, 'concurrent.json'), JSON.stringify({ keys: [1] }));
+    const readFile = nodeMock.method(fsp, 'readFile');
+
+    try {
+      const store = new JsonStore('concurrent');
+      const [first, second] = await Promise.all([store.load(), store.load()]);
+
+      assert.equal(first, second);
+      assert.equal(readFile.mock.callCount(), 1);
+    } finally {
+      readFile.mock.restore();
+    }
+  });
+
+  test('keeps its first read unless asked to reload on change', async () => {
+    const store = new JsonStore('cached', { keys: [] });
+    await store.load();
+
+    fs.writeFileSync(path.join(storageDir, 'cached.json'), JSON.stringify({ keys: ['other'] }));
+
+    assert.deepEqual(await store.load(), { keys: [] });
+  });
+
+  test('re-reads the file after another process writes it, but not after its own saves', async () => {
+    const store = new JsonStore('reloaded', { keys: [] }, { reloadOnChange: true });
+    const data = await store.load();
+    data.keys.push('own');
+    await store.save();
+    assert.equal(await store.load(), data);
+
+    // What `npm run apikey:create` does from its own process
+    const other = new JsonStore('reloaded', { keys: [] });
+    (await other.load()).keys.push('created');
+    await other.save();
+
+    assert.deepEqual((await store.load()).keys, ['own', 'created']);
+  });
+
+  test('tries again after a failed read', async () => {
+    fs.writeFileSync(path.join(storageDir, 'broken.json'), '{ not json');
+    nodeMock.method(console, 'error', () => {});
+    const store = new JsonStore('broken');
+
+    await assert.rejects(store.load(), SyntaxError);
+
+    fs.writeFileSync(path.join(storageDir, 'broken.json'), '{"fixed":true}');
+    assert.deepEqual(await store.load(), { fixed: true });
+  });
+});
@@ -0,0 +1,348 @@
+import { test, describe, before, after, mock as nodeMock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import MockAmadeusServer from '../mock/server.js';
+import { V1_ROUTES } from '../src/v1.js';
+import { validateSchema } from '../src/types.js';
+
+// /v1 against the bundled mock Amadeus server: every response is checked against the schema
+// published for it in the OpenAPI document
+const amadeusMock = new MockAmadeusServer();
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flightcapacity-v1-test-'));
+const API_KEY = 'v1-test-key';
+let server;
+let apiUrl;
+
+const daysFromNow = (days) => new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+
+const request = async (pathname, { method = 'GET', body, headers = {} } = {}) => {
+  const response = await fetch(`${apiUrl}${pathname}`, {
+    method,
+    headers: {
+      'X-API-Key': API_KEY,
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...headers
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+const assertMatchesSchema = (operationId, body) => {
+  const route = V1_ROUTES.find(r => r.operationId === operationId);
+  assert.deepEqual(validateSchema(route.response, body), [], `${operationId} response does not match its schema`);
+};
+
+before(async () => {
+  nodeMock.method(console, 'log', () => {});
+  nodeMock.method(console, 'warn', () => {});
+  nodeMock.method(console, 'error', () => {});
+
+  const baseUrl = await amadeusMock.start(0);
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    AMADEUS_API_KEY: 'mock-client',
+    AMADEUS_API_SECRET: 'mock-secret',
+    AMADEUS_BASE_URL: baseUrl,
+    AMADEUS_ALLOW_CUSTOM_BASE_URL: 'true',
+    AMADEUS_REQUESTS_PER_SECOND: '100',
+    AMADEUS_MAX_RETRIES: '0',
+    STORAGE_DIR: storageDir,
+    API_AUTH: 'on',
+    API_KEYS: `v1:${API_KEY}:10000:100000`,
+    ALERT_WEBHOOK_URL: 'http://localhost:9/unused',
+    ALERT_WEBHOOK_SECRET: 'v1-secret',
+    CACHE_STORE: 'memory'
+  });
+
+  const { default: app } = await import('../src/index.js');
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  apiUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await amadeusMock.stop();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+  nodeMock.restoreAll();
+});
+
+describe('OpenAPI document', () => {
+  test('is served without a key and describes every /v1 route', async () => {
+    const { status, body } = await request('/v1/openapi.json', { headers: { 'X-API-Key': '' } });
+
+    assert.equal(status, 200);
+    assert.equal(body.openapi, '3.1.0');
+    V1_ROUTES.forEach(route => {
+      const operation = body.paths[route.path.replace(/:(\w+)/g, '{$1}')]?.[route.method];
+      assert.equal(operation?.operationId, route.operationId);
+    });
+    assert.equal(new Set(V1_ROUTES.map(route => route.operationId)).size, V1_ROUTES.length);
+  });
+
+  test('documents the shared query parameters and every referenced schema exists', async () => {
+    const { body } = await request('/v1/openapi.json');
+
+    const carrier = body.paths['/flight-capacity'].get.parameters.find(p => p.name === 'carrier');
+    assert.equal(carrier.required, true);
+    assert.equal(carrier.schema.pattern, '^([A-Z0-9]{2}|[A-Z]{3})$');
+    assert.ok(body.paths['/flight-status'].get.parameters.some(p => p.name === 'suffix'));
+
+    const refs = JSON.stringify(body).match(/"#\/components\/[^"]+"/g);
+    refs.forEach(refPath => {
+      const [, , section, name] = JSON.parse(refPath).split('/');
+      assert.ok(body.components[section][name], `${refPath} is not defined`);
+    });
+  });
+});
+
+describe('/v1 routes', () => {
+  test('need an API key like /api', async () => {
+    const { status, body } = await request('/v1/watchlist', { headers: { 'X-API-Key': '' } });
+
+    assert.equal(status, 401);
+    assert.equal(body.error, 'Missing API key');
+  });
+
+  test('unknown endpoints list the /v1 routes from the route table', async () => {
+    const { status, body } = await request('/v1/nope');
+
+    assert.equal(status, 404);
+    assert.equal(body.documentation, '/v1/openapi.json');
+    assert.equal(body.availableEndpoints.length, V1_ROUTES.length + 2);
+    assert.ok(body.availableEndpoints.includes('DELETE /v1/watchlist/:id'));
+  });
+
+  test('/api still answers but is marked as deprecated', async () => {
+    const legacy = await request('/api/usage');
+    assert.equal(legacy.status, 200);
+    assert.equal(legacy.headers.get('deprecation'), 'true');
+
+    const current = await request('/v1/usage');
+    assert.equal(current.headers.get('deprecation'), null);
+    assertMatchesSchema('getUsage', current.body);
+  });
+});
+
+describe('GET /v1/flight-capacity', () => {
+  test('maps the schedule, reference data and seatmap to our own types', async () => {
+    const date = daysFromNow(30);
+    const { status, body } = await request(`/v1/flight-capacity?carrier=lh&number=400&date=${date}&seatmap=true`);
+
+    assert.equal(status, 200);
+    assertMatchesSchema('getFlightCapacity', body);
+    assert.equal(body.query.flightCode, 'LH400');
+    assert.deepEqual(body.flight.departure, { airport: 'FRA', scheduledTime: `${date}T10:00+01:00` });
+    assert.equal(body.flight.aircraftCode, '744');
+    assert.deepEqual(body.airline, { code: 'LH', name: 'LUFTHANSA' });
+    assert.deepEqual(body.aircraft, { code: '744', name: 'Boeing 747-400' });
+
+    const seat = body.seatMaps[0].decks[0].seats.find(s => s.number === '1A');
+    assert.equal(seat.status, 'OCCUPIED');
+    assert.ok(seat.characteristics.includes('Window seat'));
+
+    // No Amadeus payloads
+    ['schedule', 'availability', 'seatmaps'].forEach(key => assert.ok(!(key in body), key));
+  });
+
+  test('takes ICAO carrier codes and passes operational suffixes to the schedule', async () => {
+    const date = daysFromNow(30);
+    const { status, body } = await request(`/v1/flight-capacity?carrier=DLH&number=0400&date=${date}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.query.flightCode, 'LH400');
+
+    await request(`/v1/flight-status?carrier=LH&number=400&suffix=a&date=${date}`);
+    const scheduleCall = amadeusMock.calls.filter(call => call.path === '/v2/schedule/flights').pop();
+    assert.equal(scheduleCall.query.operationalSuffix, 'A');
+  });
+
+  test('explains exactly what is wrong with a flight code', async () => {
+    const { status, body } = await request('/v1/watchlist', { method: 'POST', body: { flightCode: 'LH12345', date: daysFromNow(30) } });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid flight code');
+    assert.equal(body.message, 'Flight number 12345 has 5 digits - at most 4 are allowed');
+  });
+
+  test('is a 404 when the schedule has no such flight', async () => {
+    const { status, body } = await request(`/v1/flight-capacity?carrier=NZ&number=101&date=${daysFromNow(30)}`);
+
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Could not determine flight route');
+  });
+
+  test('rejects parameters that do not match their schema', async () => {
+    const date = daysFromNow(30);
+    const cases = [
+      ['carrier=LH&number=400', 'Missing required parameters'],
+      [`carrier=LH&number=400&date=${date}&seatmap=maybe`, 'Invalid seatmap'],
+      [`carrier=LH&number=400&date=${date}&origin=FRANKFURT`, 'Invalid airport code'],
+      [`carrier=LH&number=400&date=${date}&format=pdf`, 'Invalid format']
+    ];
+
+    for (const [query, error] of cases) {
+      const { status, body } = await request(`/v1/flight-capacity?${query}`);
+      assert.equal(status, 400, query);
+      assert.equal(body.error, error, query);
+    }
+  });
+});
+
+describe('GET /v1/flight-status and /v1/delay-prediction', () => {
+  test('return the dated flight', async () => {
+    const date = daysFromNow(30);
+    const { status, body } = await request(`/v1/flight-status?carrier=SQ&number=322&date=${date}`);
+
+    assert.equal(status, 200);
+    assertMatchesSchema('getFlightStatus', body);
+    assert.equal(body.flight.origin, 'SIN');
+    assert.equal(body.flight.destination, 'LHR');
+    assert.equal(body.flight.legs.length, 1);
+  });
+
+  test('flight status is a 404 for a flight that is not scheduled', async () => {
+    const { status, body } = await request(`/v1/flight-status?carrier=NZ&number=101&date=${daysFromNow(30)}`);
+
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Flight not found');
+  });
+
+  test('delay prediction reports the chance of a delay, not of being on time', async () => {
+    const { status, body } = await request(`/v1/delay-prediction?carrier=LH&number=400&date=${daysFromNow(30)}`);
+
+    assert.equal(status, 200);
+    assertMatchesSchema('getDelayPrediction', body);
+    assert.equal(body.delayPrediction.mostLikely, 'LESS_THAN_30_MINUTES');
+    assert.equal(body.delayPrediction.delayProbability, 0.3157);
+    assert.equal(body.delayPrediction.outcomes.length, 4);
+  });
+});
+
+describe('GET /v1/flight-numbers', () => {
+  test('finds candidate flights by route, carrier and time of day', async () => {
+    const date = daysFromNow(32);
+    const { status, body } = await request(`/v1/flight-numbers?origin=PER&destination=KUL&date=${date}&carrier=mas&timeOfDay=afternoon`);
+
+    assert.equal(status, 200);
+    assertMatchesSchema('findFlightNumbers', body);
+    assert.deepEqual(body.query, { origin: 'PER', destination: 'KUL', route: 'PER-KUL', date, carrier: 'MH', after: '12:00', before: '17:00' });
+    assert.deepEqual(body.flights.map(flight => flight.flightCode), ['MH124']);
+    assert.equal(body.flights[0].departureTime, `${date}T12:45:00`);
+
+    // Every flight on the route, not just the first page of offers
+    const search = amadeusMock.calls.filter(call => call.path === '/v2/shopping/flight-offers').pop();
+    assert.equal(search.query.max, '250');
+  });
+
+  test('lets after and before override the time of day', async () => {
+    const { body } = await request(`/v1/flight-numbers?origin=PER&destination=KUL&date=${daysFromNow(32)}&timeOfDay=morning&after=9:00`);
+
+    assert.equal(body.query.after, '09:00');
+    assert.equal(body.query.before, '12:00');
+    assert.deepEqual(body.flights.map(flight => flight.flightCode), ['D7237']);
+  });
+
+  test('rejects a malformed time window', async () => {
+    const date = daysFromNow(32);
+
+    assert.equal((await request(`/v1/flight-numbers?origin=PER&destination=KUL&date=${date}&after=25:00`)).body.error, 'Invalid time');
+    assert.equal((await request(`/v1/flight-numbers?origin=PER&destination=KUL&date=${date}&timeOfDay=brunch`)).body.error, 'Invalid timeOfDay');
+  });
+});
+
+describe('GET /v1/locations and /v1/airlines', () => {
+  test('suggest airports and cities from Amadeus and remember them', async () => {
+    const { status, body } = await request('/v1/locations?q=perth');
+
+    assert.equal(status, 200);
+    assertMatchesSchema('suggestLocations', body);
+    assert.equal(body.source, 'amadeus');
+    assert.deepEqual(body.locations.map(location => `${location.type}:${location.code}`), ['CITY:PER', 'AIRPORT:PER']);
+    assert.equal(body.locations[1].name, 'Perth Intl');
+
+    const search = amadeusMock.calls.filter(call => call.path === '/v1/reference-data/locations').pop();
+    assert.equal(search.query.keyword, 'perth');
+    assert.equal(search.query.subType, 'AIRPORT,CITY');
+
+    // Enough stored matches now, so Amadeus isn't asked again
+    const searches = amadeusMock.calls.length;
+    const stored = await request('/v1/locations?q=PER&limit=2');
+    assert.equal(stored.body.source, 'local');
+    assert.equal(stored.body.count, 2);
+    assert.equal(amadeusMock.calls.length, searches);
+  });
+
+  test('leave out cities when only airports are wanted', async () => {
+    const { body } = await request('/v1/locations?q=london&type=airport');
+
+    assert.deepEqual(body.query, { q: 'london', type: 'AIRPORT', limit: 8 });
+    assert.deepEqual(body.locations.map(location => location.code).sort(), ['LGW', 'LHR']);
+
+    const search = amadeusMock.calls.filter(call => call.path === '/v1/reference-data/locations').pop();
+    assert.equal(search.query.subType, 'AIRPORT');
+  });
+
+  test('suggest airlines by code, then by name once known', async () => {
+    const byCode = await request('/v1/airlines?q=qfa');
+
+    assertMatchesSchema('suggestAirlines', byCode.body);
+    assert.equal(byCode.body.source, 'amadeus');
+    assert.deepEqual(byCode.body.airlines.map(airline => airline.code), ['QF']);
+
+    const byName = await request('/v1/airlines?q=qant');
+    assert.equal(byName.body.source, 'local');
+    assert.deepEqual(byName.body.airlines.map(airline => airline.icao), ['QFA']);
+  });
+
+  test('reject search text that could not be a place or airline', async () => {
+    const { status, body } = await request('/v1/locations?q=%3Cscript%3E');
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid search text');
+    assert.equal((await request('/v1/airlines')).body.error, 'Missing required parameters');
+    assert.equal((await request('/v1/airlines?q=lh&limit=50')).body.error, 'Invalid limit');
+  });
+});
+
+describe('other /v1 routes', () => {
+  test('match their response schemas', async () => {
+    const date = daysFromNow(31);
+    const responses = {
+      searchFlights: await request(`/v1/flights?origin=PER&destination=KUL&date=${date}&adults=2`),
+      getRouteBoard: await request(`/v1/route-board?origin=PER&destination=KUL&date=${date}&sort=cheapest`),
+      getFareTrend: await request(`/v1/fare-trend?origin=PER&destination=KUL&date=${date}&carrier=MH&days=3`),
+      getItineraryCapacity: await request(`/v1/flight-capacity/itinerary?route=PER-SIN-LHR&flights=SQ216,SQ322&date=${date}`),
+      getBatchCapacity: await request('/v1/flight-capacity/batch', { method: 'POST', body: { flights: [{ flightCode: 'MH126', date }, { flightCode: 'nope', date }] } }),
+      getCapacityHistory: await request(`/v1/flight-capacity/history?carrier=MH&number=126&date=${date}`),
+      addToWatchlist: await request('/v1/watchlist', { method: 'POST', body: { flightCode: 'mh-126', date, intervalMinutes: 30 } }),
+      listWatchlist: await request('/v1/watchlist'),
+      addAlert: await request('/v1/alerts', { method: 'POST', body: { type: 'cabin_seats_below', threshold: 2, cabin: 'BUSINESS', route: 'PER-KUL' } }),
+      listAlerts: await request('/v1/alerts')
+    };
+
+    Object.entries(responses).forEach(([operationId, { status, body }]) => {
+      assert.ok(status === 200 || status === 201, `${operationId} returned ${status}`);
+      assertMatchesSchema(operationId, body);
+    });
+
+    const [offer] = responses.searchFlights.body.offers;
+    assert.equal(offer.segments[0].origin, 'PER');
+    assert.equal(typeof offer.price, 'number');
+    assert.equal(responses.getCapacityHistory.body.snapshots.length, 1);
+    assert.equal(responses.addToWatchlist.body.flight.flightCode, 'MH126');
+  });
+
+  test('share parameter rules with the single-flight routes', async () => {
+    const date = daysFromNow(31);
+
+    assert.equal((await request(`/v1/flights?origin=PER&destination=KUL&date=${date}&adults=10`)).body.error, 'Invalid adults');
+    assert.equal((await request(`/v1/route-board?origin=PER&destination=KUL&date=${date}&sort=busiest`)).body.error, 'Invalid sort');
+    assert.equal((await request(`/v1/fare-trend?origin=PER&destination=KUL&date=${date}&days=0`)).body.error, 'Invalid days');
+    assert.equal((await request(`/v1/fare-trend?origin=PER&destination=KUL&date=${date}&number=126`)).body.error, 'Missing required parameters');
+    assert.equal((await request(`/v1/watchlist/anything`, { method: 'PUT', body: {} })).body.error, 'Missing required parameters');
+  });
+});
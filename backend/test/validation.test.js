@@ -0,0 +1,90 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateParams } from '../src/validation.js';
+import { validateSchema, toFlight, toDelayPrediction } from '../src/types.js';
+
+describe('validateParams', () => {
+  test('normalizes values and fills in defaults', () => {
+    const { values, error } = validateParams(
+      { carrier: 'lh', number: '400', date: '2025-11-10', origin: 'fra' },
+      { required: ['carrier', 'number', 'date'], optional: ['origin', 'seatmap', 'format', 'days'] }
+    );
+
+    assert.equal(error, undefined);
+    assert.deepEqual(values, { carrier: 'LH', number: '400', date: '2025-11-10', origin: 'FRA', seatmap: false, format: 'json', days: 7 });
+  });
+
+  test('lists every required parameter when one is missing', () => {
+    const { error } = validateParams({ carrier: 'LH' }, { required: ['carrier', 'number', 'date'] }, '/v1/flight-status?carrier=LH&number=400&date=2025-11-10');
+
+    assert.deepEqual(error, {
+      error: 'Missing required parameters',
+      required: ['carrier', 'number', 'date'],
+      example: '/v1/flight-status?carrier=LH&number=400&date=2025-11-10'
+    });
+  });
+
+  test('reports the first invalid parameter with what was expected', () => {
+    const { error } = validateParams({ flights: 'SQ 216,BA', days: '5' }, { required: ['flights'], optional: ['days'] });
+
+    assert.equal(error.error, 'Invalid flights');
+    assert.equal(error.received, 'SQ 216,BA');
+  });
+
+  test('rejects dates that have the shape but are not calendar days', () => {
+    assert.deepEqual(validateParams({ date: '2025-13-45' }, { required: ['date'] }).error, {
+      error: 'Invalid date format',
+      expected: 'YYYY-MM-DD',
+      received: '2025-13-45',
+      message: '"2025-13-45" is not a calendar date'
+    });
+    assert.equal(validateParams({ date: '2025-02-29' }, { required: ['date'] }).error.message, '"2025-02-29" is not a calendar date');
+    assert.equal(validateParams({ date: '2028-02-29' }, { required: ['date'] }).values.date, '2028-02-29');
+    assert.equal(validateParams({ dates: '2025-11-10,2025-11-31' }, { required: ['dates'] }).error.message, 'Date 2: "2025-11-31" is not a calendar date');
+    assert.equal(validateParams({ dates: '2025-11-10,2025-11-11' }, { required: ['dates'] }).values.dates, '2025-11-10,2025-11-11');
+  });
+
+  test('accepts numbers and booleans from JSON bodies', () => {
+    assert.equal(validateParams({ intervalMinutes: 15 }, { required: ['intervalMinutes'] }).values.intervalMinutes, 15);
+    assert.equal(validateParams({ intervalMinutes: 1 }, { required: ['intervalMinutes'] }).error.error, 'Invalid poll interval');
+    assert.equal(validateParams({ seatmap: true }, { optional: ['seatmap'] }).values.seatmap, true);
+    assert.equal(validateParams({ carrier: ['LH', 'MH'] }, { optional: ['carrier'] }).error.error, 'Invalid carrier code');
+  });
+});
+
+describe('types', () => {
+  test('validateSchema follows refs and reports the path of each problem', () => {
+    const flight = toFlight({
+      data: [{
+        scheduledDepartureDate: '2025-11-10',
+        flightDesignator: { carrierCode: 'MH', flightNumber: 126 },
+        flightPoints: [
+          { iataCode: 'PER', departure: { timings: [{ value: '2025-11-10T00:05+08:00' }] } },
+          { iataCode: 'KUL', arrival: { timings: [{ value: '2025-11-10T05:35+08:00' }] } }
+        ],
+        legs: [{ boardPointIataCode: 'PER', offPointIataCode: 'KUL', aircraftEquipment: { aircraftType: '333' }, scheduledLegDuration: 'PT5H30M' }]
+      }]
+    }, '2025-11-10');
+
+    assert.deepEqual(validateSchema({ $ref: '#/components/schemas/Flight' }, flight), []);
+    assert.equal(flight.duration, 'PT5H30M');
+
+    assert.deepEqual(
+      validateSchema({ $ref: '#/components/schemas/Flight' }, { ...flight, origin: 'Perth', legs: [{}] }).slice(0, 2),
+      ['$.origin: "Perth" does not match ^[A-Z]{3}$', '$.legs[0].origin: missing']
+    );
+  });
+
+  test('toFlight is null when the flight is not scheduled', () => {
+    assert.equal(toFlight({ data: [] }, '2025-11-10'), null);
+    assert.equal(toFlight(null, '2025-11-10'), null);
+  });
+
+  test('toDelayPrediction has no delay probability without the on-time bucket', () => {
+    assert.deepEqual(toDelayPrediction({ data: [{ result: 'OVER_4_HOURS', probability: '0.1' }] }), {
+      outcomes: [{ result: 'OVER_4_HOURS', probability: 0.1 }],
+      mostLikely: 'OVER_4_HOURS',
+      delayProbability: null
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Watchlist, { hasDeparted, DEFAULT_INTERVAL_MINUTES } from '../src/watchlist.js';
+
+// In-memory stand-in for JsonStore
+const memoryStore = (data = { flights: [] }) => ({
+  data,
+  async load() { return this.data; },
+  async save() {}
+});
+
+const NOW = Date.parse('2025-11-01T12:00:00Z');
+const minutesAgo = (minutes) => new Date(NOW - minutes * 60 * 1000).toISOString();
+
+describe('Watchlist', () => {
+  let watchlist;
+
+  beforeEach(() => {
+    watchlist = new Watchlist(memoryStore());
+  });
+
+  test('adds a flight once per flight code and date', async () => {
+    const first = await watchlist.add({ carrier: 'LH', number: '400', suffix: 'A', date: '2025-11-10' });
+    const again = await watchlist.add({ carrier: 'LH', number: '400', suffix: 'A', date: '2025-11-10' });
+    const otherDay = await watchlist.add({ carrier: 'LH', number: '400', suffix: 'A', date: '2025-11-11' });
+
+    assert.equal(first.created, true);
+    assert.equal(first.flight.flightCode, 'LH400A');
+    assert.equal(first.flight.intervalMinutes, DEFAULT_INTERVAL_MINUTES);
+    assert.equal(again.created, false);
+    assert.equal(again.flight.id, first.flight.id);
+    assert.equal(otherDay.created, true);
+  });
+
+  test('lists active flights whose interval has elapsed, least recently checked first', async () => {
+    const add = async (number, changes) => {
+      const { flight } = await watchlist.add({ carrier: 'QF', number, date: '2025-11-10', intervalMinutes: 30 });
+      await watchlist.update(flight.id, changes);
+      return flight.flightCode;
+    };
+
+    const never = await add('1', { lastCheckedAt: null });
+    const stale = await add('2', { lastCheckedAt: minutesAgo(45) });
+    const justDue = await add('3', { lastCheckedAt: minutesAgo(30) });
+    await add('4', { lastCheckedAt: minutesAgo(29) });
+    await add('5', { lastCheckedAt: null, status: 'departed' });
+
+    const due = await watchlist.due(NOW);
+
+    assert.deepEqual(due.map(flight => flight.flightCode), [never, stale, justDue]);
+  });
+
+  test('updates and removes entries by ID', async () => {
+    const { flight } = await watchlist.add({ carrier: 'LH', number: '400', date: '2025-11-10' });
+
+    assert.equal((await watchlist.update(flight.id, { intervalMinutes: 15 })).intervalMinutes, 15);
+    assert.equal(await watchlist.update('missing', {}), null);
+    assert.equal(await watchlist.remove(flight.id), true);
+    assert.equal(await watchlist.get(flight.id), null);
+    assert.equal(await watchlist.remove(flight.id), false);
+  });
+});
+
+describe('hasDeparted', () => {
+  test('compares the scheduled departure time with now', () => {
+    assert.equal(hasDeparted({ date: '2025-11-01', departureTime: '2025-11-01T11:59:00Z' }, NOW), true);
+    assert.equal(hasDeparted({ date: '2025-11-01', departureTime: '2025-11-01T12:00:00Z' }, NOW), true);
+    assert.equal(hasDeparted({ date: '2025-11-01', departureTime: '2025-11-01T13:00:00Z' }, NOW), false);
+  });
+
+  test('falls back to the end of the departure date without a usable time', () => {
+    assert.equal(hasDeparted({ date: '2025-11-01', departureTime: null }, NOW), false);
+    assert.equal(hasDeparted({ date: '2025-11-01', departureTime: 'soon' }, NOW), false);
+    assert.equal(hasDeparted({ date: '2025-10-31', departureTime: null }, NOW), true);
+  });
+});
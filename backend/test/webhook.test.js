@@ -0,0 +1,135 @@
+import { test, describe, before, after, mock as nodeMock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import WebhookNotifier, { signPayload, verifySignature, isPrivateAddress, SIGNATURE_HEADER, TIMESTAMP_HEADER } from '../src/webhook.js';
+
+before(() => {
+  nodeMock.method(console, 'error', () => {});
+});
+
+after(() => {
+  nodeMock.restoreAll();
+});
+
+describe('signing', () => {
+  test('signs `${timestamp}.${body}` with HMAC-SHA256', () => {
+    const signature = signPayload('secret', '1700000000', '{"a":1}');
+
+    assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+    assert.equal(signature, signPayload('secret', '1700000000', '{"a":1}'));
+    assert.ok(verifySignature('secret', '1700000000', '{"a":1}', signature));
+  });
+
+  test('rejects a changed body, timestamp or secret, and a missing signature', () => {
+    const signature = signPayload('secret', '1700000000', '{"a":1}');
+
+    assert.equal(verifySignature('secret', '1700000000', '{"a":2}', signature), false);
+    assert.equal(verifySignature('secret', '1700000001', '{"a":1}', signature), false);
+    assert.equal(verifySignature('other', '1700000000', '{"a":1}', signature), false);
+    assert.equal(verifySignature('secret', '1700000000', '{"a":1}', undefined), false);
+    assert.equal(verifySignature('secret', '1700000000', '{"a":1}', 'sha256=abc'), false);
+  });
+});
+
+describe('isPrivateAddress', () => {
+  test('covers loopback, private, link-local and mapped addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1']
+      .forEach(address => assert.ok(isPrivateAddress(address), address));
+    ['8.8.8.8', '93.184.216.34', '2606:4700::1111', '::ffff:8.8.8.8']
+      .forEach(address => assert.equal(isPrivateAddress(address), false, address));
+  });
+});
+
+describe('WebhookNotifier', () => {
+  const notifier = (options = {}) => new WebhookNotifier({
+    url: 'http://localhost:4000/webhook',
+    secret: 'secret',
+    allowedHosts: 'hooks.example.com, 93.184.216.34',
+    allowPrivateAddresses: false,
+    ...options
+  });
+
+  test('only accepts the configured URL or public addresses on allowed hosts', async () => {
+    const checked = notifier();
+
+    assert.deepEqual(await checked.checkUrl('http://localhost:4000/webhook'), {});
+    assert.deepEqual(await checked.checkUrl('https://93.184.216.34/hook'), {});
+    assert.match((await checked.checkUrl('https://evil.example.net/hook')).problem, /not an allowed webhook host/);
+    assert.match((await checked.checkUrl('ftp://hooks.example.com/hook')).problem, /Only http/);
+    assert.match((await checked.checkUrl('not a url')).problem, /Not a valid URL/);
+  });
+
+  test('refuses loopback, private and link-local addresses even on allowed hosts', async () => {
+    const checked = notifier({ allowedHosts: 'localhost,127.0.0.1,169.254.169.254,[::1],10.0.0.5' });
+
+    for (const url of ['http://localhost:8080/', 'http://127.0.0.1/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://10.0.0.5/']) {
+      assert.match((await checked.checkUrl(url)).problem, /loopback, private or link-local/, url);
+    }
+  });
+
+  test('only allows private addresses in test mode', () => {
+    assert.equal(notifier({ allowPrivateAddresses: true, env: 'production' }).allowPrivateAddresses, false);
+    assert.equal(notifier({ allowPrivateAddresses: true, env: 'test' }).allowPrivateAddresses, true);
+  });
+
+  test('refuses to deliver without a secret', async () => {
+    await assert.rejects(notifier({ secret: undefined }).send({ event: 'test' }), /ALERT_WEBHOOK_SECRET is not set/);
+  });
+
+  test('rejects a disallowed rule URL at delivery time', async () => {
+    await assert.rejects(notifier().send({ event: 'test' }, 'http://127.0.0.1:9/hook'), /Webhook URL rejected/);
+  });
+
+  describe('delivery', () => {
+    let receiver;
+    let status = 204;
+    const received = [];
+
+    before(async () => {
+      receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body });
+          res.writeHead(status);
+          res.end(status === 204 ? undefined : 'stack trace from the receiver');
+        });
+      });
+      await new Promise(resolve => receiver.listen(0, resolve));
+    });
+
+    after(async () => {
+      await new Promise(resolve => receiver.close(resolve));
+    });
+
+    test('sends a signed payload the receiver can verify', async () => {
+      const url = `http://localhost:${receiver.address().port}/webhook`;
+
+      assert.deepEqual(await notifier({ url }).send({ event: 'capacity.alert' }), { status: 204 });
+
+      const { headers, body } = received.at(-1);
+      assert.deepEqual(JSON.parse(body), { event: 'capacity.alert' });
+      assert.ok(verifySignature('secret', headers[TIMESTAMP_HEADER.toLowerCase()], body, headers[SIGNATURE_HEADER.toLowerCase()]));
+    });
+
+    test('reports a failed delivery by status only', async () => {
+      const url = `http://localhost:${receiver.address().port}/webhook`;
+      status = 500;
+
+      try {
+        const error = await notifier({ url }).send({ event: 'capacity.alert' }).catch(err => err);
+        assert.equal(error.message, 'Webhook delivery failed: receiver responded with HTTP 500');
+        assert.equal(error.status, 500);
+        assert.equal(error.expose, true);
+      } finally {
+        status = 204;
+      }
+    });
+
+    test('hides network errors behind a generic message', async () => {
+      const error = await notifier({ url: 'http://localhost:9/webhook' }).send({ event: 'capacity.alert' }).catch(err => err);
+
+      assert.equal(error.message, 'Webhook delivery failed: the receiver could not be reached');
+    });
+  });
+});
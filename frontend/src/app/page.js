@@ -2,6 +2,12 @@
 // Updated: 2025-10-31 - Improved UX for carriers without availability data
 
 import { useState, useEffect } from 'react';
+import { getCapacityColor } from '../lib/capacity';
+import DownloadButtons from '../components/DownloadButtons';
+import Combobox from '../components/Combobox';
+import { apiHeaders, queryString } from '../lib/api';
+import { suggestAirports, suggestAirlines } from '../lib/suggestions';
+import { parseFlightDesignator, parseAirlineCode } from '../../../shared/flightDesignator.mjs';
 
 // Static seat reference data for economy legroom by airline and aircraft model
 // Based on SeatGuru-style reference data
@@ -186,19 +192,550 @@ const getDefaultDate = () => {
   return futureDate.toISOString().split('T')[0];
 };
 
+// Fullness (%) of a snapshot - older snapshots without a stored load factor
+// are measured against the current seat configuration
+const getSnapshotFullness = (snapshot, seatCapacity) => {
+  if (snapshot.loadFactor !== undefined && snapshot.loadFactor !== null) return snapshot.loadFactor;
+  if (!seatCapacity || !snapshot.totalSeatsAvailable) return null;
+  return Math.max(0, Math.min(100, (seatCapacity - snapshot.totalSeatsAvailable) / seatCapacity * 100));
+};
+
+// Per-leg capacity table for multi-stop flights and itineraries, with the bottleneck leg flagged
+const LegBreakdown = ({ legs, bottleneck }) => (
+  <div style={{
+    background: '#ffffff',
+    borderRadius: '10px',
+    border: '2px solid #e5e7eb',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+    overflow: 'hidden'
+  }}>
+    <div style={{
+      display: 'grid',
+      gridTemplateColumns: '2fr 1.5fr 1.2fr 3fr',
+      gap: '1rem',
+      padding: '0.75rem 1rem',
+      background: '#f9fafb',
+      borderBottom: '1px solid #e5e7eb',
+      fontSize: '0.75rem',
+      fontWeight: '600',
+      color: '#6b7280',
+      textTransform: 'uppercase',
+      letterSpacing: '0.05em'
+    }}>
+      <div>Leg</div>
+      <div>Aircraft</div>
+      <div style={{ textAlign: 'center' }}>Seats Available</div>
+      <div>Fill Level</div>
+    </div>
+    {legs.map((leg, idx) => {
+      const capacity = leg.capacity;
+      const isBottleneck = bottleneck?.index === idx;
+
+      return (
+        <div key={idx} style={{
+          display: 'grid',
+          gridTemplateColumns: '2fr 1.5fr 1.2fr 3fr',
+          gap: '1rem',
+          padding: '1rem',
+          borderBottom: '1px solid #f3f4f6',
+          alignItems: 'center',
+          background: isBottleneck ? '#fef2f2' : '#ffffff'
+        }}>
+          <div>
+            <div style={{ fontWeight: '600', color: '#111827' }}>
+              {leg.route.replace('-', ' → ')}
+              {isBottleneck && (
+                <span style={{ marginLeft: '0.5rem', fontSize: '0.65rem', fontWeight: '600', color: '#dc2626', textTransform: 'uppercase' }}>
+                  Bottleneck
+                </span>
+              )}
+            </div>
+            <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>{leg.flightCode} · {leg.date}</div>
+          </div>
+          <div style={{ fontSize: '0.875rem', color: '#374151' }}>
+            {capacity?.aircraftConfig?.name || leg.aircraftCode || '—'}
+          </div>
+          <div style={{ textAlign: 'center', fontSize: '1.25rem', fontWeight: 'bold', color: '#2563eb' }}>
+            {capacity?.hasAvailability ? `${capacity.seatsAvailable}${capacity.capped ? '+' : ''}` : '—'}
+          </div>
+          <div>
+            {!capacity ? (
+              <div style={{ fontSize: '0.875rem', color: '#9ca3af' }}>Leg could not be checked</div>
+            ) : !capacity.hasAvailability ? (
+              <div style={{ fontSize: '0.875rem', color: '#9ca3af' }}>No seat availability shared</div>
+            ) : capacity.loadFactor === null ? (
+              <div style={{ fontSize: '0.875rem', color: '#9ca3af' }}>No seat configuration on file</div>
+            ) : (
+              <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+                <div style={{ flex: 1, height: '20px', background: '#e5e7eb', borderRadius: '4px', overflow: 'hidden' }}>
+                  <div style={{
+                    width: `${capacity.loadFactor}%`,
+                    height: '100%',
+                    background: getCapacityColor(capacity.loadFactor),
+                    transition: 'width 0.5s ease'
+                  }} />
+                </div>
+                <div style={{ fontSize: '0.875rem', fontWeight: '600', color: '#374151', minWidth: '45px' }}>
+                  {capacity.capped ? '≤ ' : ''}{capacity.loadFactor.toFixed(0)}%
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      );
+    })}
+  </div>
+);
+
+const SEAT_STYLES = {
+  AVAILABLE: { background: '#d1fae5', border: '#10b981', color: '#065f46', label: 'Available' },
+  OCCUPIED: { background: '#e5e7eb', border: '#9ca3af', color: '#6b7280', label: 'Occupied' },
+  BLOCKED: { background: '#4b5563', border: '#374151', color: '#f9fafb', label: 'Blocked' }
+};
+
+// Short labels for the Amadeus facility codes we're likely to see
+const FACILITY_LABELS = { LA: 'WC', G: 'G', CL: 'CL', BA: 'BAR', ST: 'ST', SO: 'SO', CO: 'CO' };
+
+// Deck-by-deck seat grid from the API's SeatMap type: seats and facilities are placed by
+// their x (row) / y (column) coordinates, with wings and exit rows marked at the sides
+const SeatmapViewer = ({ seatMaps }) => {
+  const [segmentIndex, setSegmentIndex] = useState(0);
+  const [activeSeat, setActiveSeat] = useState(null);
+
+  const segment = seatMaps[Math.min(segmentIndex, seatMaps.length - 1)];
+  const cell = 26;
+
+  const describeSeat = (seat) => {
+    const status = SEAT_STYLES[seat.status]?.label || seat.status || 'Unknown';
+    const price = seat.price ? `${seat.price.currency === 'USD' ? '$' : `${seat.price.currency} `}${seat.price.amount.toFixed(2)}` : null;
+    return [
+      `${seat.number} · ${(seat.cabin || '').replace('_', ' ')} · ${status}`,
+      seat.characteristics.join(', '),
+      price ? `Seat fee: ${price}` : null
+    ].filter(Boolean).join('\n');
+  };
+
+  return (
+    <div>
+      {seatMaps.length > 1 && (
+        <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem' }}>
+          {seatMaps.map((seg, idx) => (
+            <button
+              key={idx}
+              type="button"
+              onClick={() => { setSegmentIndex(idx); setActiveSeat(null); }}
+              style={{
+                padding: '0.3rem 0.75rem',
+                borderRadius: '9999px',
+                border: '1px solid #ddd',
+                background: idx === segmentIndex ? '#2563eb' : '#ffffff',
+                color: idx === segmentIndex ? '#ffffff' : '#374151',
+                fontSize: '0.8rem',
+                cursor: 'pointer'
+              }}
+            >
+              {seg.route.replace('-', ' → ')}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '2rem', flexWrap: 'wrap', justifyContent: 'center', overflowX: 'auto' }}>
+        {(segment?.decks || []).map((deck, deckIndex) => {
+          const { seats, width, length } = deck;
+          const exitRows = new Set(deck.exitRows);
+          const isWing = (x) => deck.wings !== null && x >= deck.wings.start && x <= deck.wings.end;
+
+          // Row number for each x position, and which rows are completely free
+          const rows = {};
+          seats.forEach(seat => {
+            const row = rows[seat.x] || (rows[seat.x] = { number: seat.number.replace(/\D/g, ''), seats: 0, available: 0 });
+            row.seats += 1;
+            if (seat.status === 'AVAILABLE') row.available += 1;
+          });
+
+          return (
+            <div key={deckIndex}>
+              <div style={{ fontSize: '0.8rem', fontWeight: '600', color: '#374151', textAlign: 'center', marginBottom: '0.5rem' }}>
+                {deck.type === 'UPPER' ? 'Upper deck' : 'Main deck'}
+              </div>
+              <div style={{
+                display: 'grid',
+                gridTemplateColumns: `28px 6px repeat(${width}, ${cell}px) 6px 28px`,
+                gridTemplateRows: `repeat(${length}, ${cell}px)`,
+                gap: '3px',
+                padding: '0.75rem 0.5rem',
+                background: '#f9fafb',
+                borderRadius: '40px 40px 10px 10px',
+                border: '2px solid #e5e7eb'
+              }}>
+                {Array.from({ length }, (_, x) => (
+                  <div key={`side-${x}`} style={{ display: 'contents' }}>
+                    <div style={{
+                      gridRow: x + 1,
+                      gridColumn: 1,
+                      fontSize: '0.65rem',
+                      color: rows[x] && rows[x].available === rows[x].seats ? '#10b981' : '#9ca3af',
+                      fontWeight: rows[x] && rows[x].available === rows[x].seats ? '700' : 'normal',
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'flex-end'
+                    }}>
+                      {rows[x]?.number || ''}
+                    </div>
+                    <div style={{ gridRow: x + 1, gridColumn: 2, background: isWing(x) ? '#93c5fd' : exitRows.has(x) ? '#f59e0b' : 'transparent', borderRadius: '2px' }} />
+                    <div style={{ gridRow: x + 1, gridColumn: width + 3, background: isWing(x) ? '#93c5fd' : exitRows.has(x) ? '#f59e0b' : 'transparent', borderRadius: '2px' }} />
+                    <div style={{ gridRow: x + 1, gridColumn: width + 4, fontSize: '0.65rem', color: '#f59e0b', display: 'flex', alignItems: 'center' }}>
+                      {exitRows.has(x) ? 'EXIT' : ''}
+                    </div>
+                  </div>
+                ))}
+
+                {deck.facilities.map((facility, idx) => (
+                  <div
+                    key={`facility-${idx}`}
+                    title={facility.name}
+                    style={{
+                      gridRow: facility.x + 1,
+                      gridColumn: facility.y + 3,
+                      fontSize: '0.55rem',
+                      fontWeight: '600',
+                      color: '#6b7280',
+                      background: '#ffffff',
+                      border: '1px dashed #d1d5db',
+                      borderRadius: '4px',
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'center'
+                    }}
+                  >
+                    {FACILITY_LABELS[facility.code] || facility.code}
+                  </div>
+                ))}
+
+                {seats.map(seat => {
+                  const style = SEAT_STYLES[seat.status] || SEAT_STYLES.BLOCKED;
+                  const isActive = activeSeat?.number === seat.number;
+
+                  return (
+                    <button
+                      key={seat.number}
+                      type="button"
+                      title={describeSeat(seat)}
+                      onMouseEnter={() => setActiveSeat(seat)}
+                      onFocus={() => setActiveSeat(seat)}
+                      style={{
+                        gridRow: seat.x + 1,
+                        gridColumn: seat.y + 3,
+                        background: style.background,
+                        border: `${isActive ? 2 : 1}px solid ${isActive ? '#2563eb' : style.border}`,
+                        color: style.color,
+                        borderRadius: '5px 5px 3px 3px',
+                        fontSize: '0.55rem',
+                        padding: 0,
+                        cursor: 'default'
+                      }}
+                    >
+                      {seat.number.replace(/^\d+/, '')}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={{ minHeight: '2.5rem', marginTop: '0.75rem', fontSize: '0.8rem', color: '#374151', textAlign: 'center', whiteSpace: 'pre-line' }}>
+        {activeSeat ? describeSeat(activeSeat) : 'Hover over a seat for its details'}
+      </div>
+
+      <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', justifyContent: 'center', fontSize: '0.7rem', color: '#6b7280', marginTop: '0.5rem' }}>
+        {Object.entries(SEAT_STYLES).map(([status, style]) => (
+          <span key={status} style={{ display: 'flex', alignItems: 'center', gap: '0.3rem' }}>
+            <span style={{ width: '12px', height: '12px', background: style.background, border: `1px solid ${style.border}`, borderRadius: '3px' }} />
+            {style.label}
+          </span>
+        ))}
+        <span style={{ display: 'flex', alignItems: 'center', gap: '0.3rem' }}>
+          <span style={{ width: '6px', height: '12px', background: '#93c5fd', borderRadius: '2px' }} /> Wing
+        </span>
+        <span style={{ display: 'flex', alignItems: 'center', gap: '0.3rem' }}>
+          <span style={{ width: '6px', height: '12px', background: '#f59e0b', borderRadius: '2px' }} /> Exit row
+        </span>
+        <span style={{ color: '#10b981', fontWeight: '700' }}>12</span> Row completely free
+      </div>
+    </div>
+  );
+};
+
+// Grey placeholder shown while a lazily loaded panel is fetching
+const PanelSkeleton = ({ title, height = 100 }) => (
+  <div style={{ marginBottom: '1.5rem' }}>
+    <h3 style={{ fontSize: '1.1rem', marginBottom: '1rem', color: '#374151', fontWeight: '600' }}>{title}</h3>
+    <div style={{
+      padding: '1.25rem',
+      background: '#ffffff',
+      borderRadius: '10px',
+      border: '2px solid #e5e7eb'
+    }}>
+      <div className="skeleton" style={{ height: '0.875rem', width: '40%', marginBottom: '0.75rem' }} />
+      <div className="skeleton" style={{ height: `${height}px`, width: '100%' }} />
+    </div>
+  </div>
+);
+
+// Heatmap colour from green (cheapest in the window) to red (most expensive)
+const getFareHeatColor = (price, minPrice, maxPrice) => {
+  const ratio = maxPrice > minPrice ? (price - minPrice) / (maxPrice - minPrice) : 0;
+  return `hsl(${Math.round(140 - ratio * 140)}, 70%, 85%)`;
+};
+
+// Month-by-month calendar of the cheapest fare per day; cabin 'ALL' uses the cheapest of any cabin
+const FareCalendar = ({ days, cabin, selectedDate, onPickDate }) => {
+  const dayFare = (day) => {
+    const fare = cabin === 'ALL' ? day : day.cabins?.[cabin];
+    return { price: fare?.price ?? null, seats: fare?.seatsAvailable ?? null };
+  };
+
+  const byDate = {};
+  days.forEach(day => { byDate[day.date] = day; });
+
+  const bookable = days
+    .map(day => ({ date: day.date, ...dayFare(day) }))
+    .filter(day => day.price !== null && day.seats > 0);
+  const prices = bookable.map(day => day.price);
+  const minPrice = prices.length > 0 ? Math.min(...prices) : 0;
+  const maxPrice = prices.length > 0 ? Math.max(...prices) : 0;
+  const cheapest = bookable.find(day => day.price === minPrice);
+  const selected = byDate[selectedDate] ? dayFare(byDate[selectedDate]) : null;
+
+  // One grid per month in the window, Monday first
+  const months = [];
+  days.forEach(day => {
+    const key = day.date.slice(0, 7);
+    if (!months.includes(key)) months.push(key);
+  });
+
+  const formatDay = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem', fontSize: '0.875rem', color: '#6b7280', marginBottom: '1rem' }}>
+        <div>
+          Cheapest day with seats: {cheapest ? (
+            <strong style={{ color: '#10b981' }}>{formatDay(cheapest.date)} · ${cheapest.price.toFixed(0)}</strong>
+          ) : <strong>none in this window</strong>}
+        </div>
+        {selected?.price != null && cheapest && (
+          <div>
+            Your date: <strong style={{ color: selected.price > cheapest.price ? '#dc2626' : '#10b981' }}>
+              ${selected.price.toFixed(0)}{selected.price > cheapest.price ? ` (+$${(selected.price - cheapest.price).toFixed(0)})` : ''}
+            </strong>
+          </div>
+        )}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: '1.25rem' }}>
+        {months.map(month => {
+          const [year, monthIndex] = month.split('-').map(Number);
+          const daysInMonth = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+          const leadingBlanks = (new Date(Date.UTC(year, monthIndex - 1, 1)).getUTCDay() + 6) % 7;
+          const title = new Date(Date.UTC(year, monthIndex - 1, 1)).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+          return (
+            <div key={month}>
+              <div style={{ fontSize: '0.875rem', fontWeight: '600', color: '#374151', marginBottom: '0.5rem' }}>{title}</div>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)', gap: '3px' }}>
+                {['M', 'T', 'W', 'T', 'F', 'S', 'S'].map((label, idx) => (
+                  <div key={idx} style={{ fontSize: '0.65rem', color: '#9ca3af', textAlign: 'center' }}>{label}</div>
+                ))}
+                {Array.from({ length: leadingBlanks }, (_, idx) => <div key={`blank-${idx}`} />)}
+                {Array.from({ length: daysInMonth }, (_, idx) => {
+                  const date = `${month}-${String(idx + 1).padStart(2, '0')}`;
+                  const day = byDate[date];
+                  const { price, seats } = day ? dayFare(day) : { price: null, seats: null };
+                  const hasFare = price !== null && seats > 0;
+                  const isSelected = date === selectedDate;
+                  const isCheapest = cheapest?.date === date;
+
+                  return (
+                    <button
+                      key={date}
+                      type="button"
+                      disabled={!day}
+                      onClick={() => onPickDate(date)}
+                      title={day ? [
+                        formatDay(date),
+                        hasFare ? `From $${price.toFixed(2)} · ${seats} seats` : 'No fares with seats',
+                        ...Object.entries(day.cabins || {}).map(([name, fare]) =>
+                          `${name.replace('_', ' ')}: ${fare.price !== null ? `$${fare.price.toFixed(0)}` : 'N/A'} (${fare.seatsAvailable} seats)`)
+                      ].join('\n') : undefined}
+                      style={{
+                        padding: '0.3rem 0.1rem',
+                        border: isSelected ? '2px solid #2563eb' : '1px solid #e5e7eb',
+                        borderRadius: '6px',
+                        background: !day ? '#ffffff' : hasFare ? getFareHeatColor(price, minPrice, maxPrice) : '#f3f4f6',
+                        opacity: day ? 1 : 0.35,
+                        cursor: day ? 'pointer' : 'default',
+                        textAlign: 'center',
+                        lineHeight: 1.2
+                      }}
+                    >
+                      <div style={{ fontSize: '0.65rem', color: '#6b7280' }}>{idx + 1}{isCheapest ? ' ★' : ''}</div>
+                      <div style={{ fontSize: '0.7rem', fontWeight: '600', color: '#1f2937' }}>
+                        {!day ? '' : hasFare ? `$${price.toFixed(0)}` : '—'}
+                      </div>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.65rem', color: '#6b7280', marginTop: '0.75rem' }}>
+        <span>★ cheapest day with seats · — no fares with seats</span>
+        <span>Click a day to use it as the search date</span>
+      </div>
+    </div>
+  );
+};
+
+// Line chart of fullness and cheapest fare across every recorded snapshot
+const CapacityHistoryChart = ({ snapshots, seatCapacity }) => {
+  const width = 600;
+  const height = 160;
+  const padding = 24;
+
+  const points = snapshots.map(snapshot => ({
+    time: new Date(snapshot.takenAt).getTime(),
+    fullness: getSnapshotFullness(snapshot, seatCapacity),
+    price: snapshot.minPrice
+  }));
+
+  const firstTime = points[0].time;
+  const timeSpan = points[points.length - 1].time - firstTime;
+  const prices = points.filter(p => p.price !== null).map(p => p.price);
+  const minPrice = prices.length > 0 ? Math.min(...prices) : 0;
+  const maxPrice = prices.length > 0 ? Math.max(...prices) : 0;
+  const priceSpan = maxPrice - minPrice || 1;
+
+  // Spread points by time taken; fall back to even spacing if all share a timestamp
+  const xFor = (point, idx) => {
+    const ratio = timeSpan > 0 ? (point.time - firstTime) / timeSpan : idx / Math.max(1, points.length - 1);
+    return padding + ratio * (width - padding * 2);
+  };
+  const yForFullness = (pct) => height - padding - (pct / 100) * (height - padding * 2);
+  const yForPrice = (price) => height - padding - ((price - minPrice) / priceSpan) * (height - padding * 2);
+
+  const fullnessLine = points
+    .map((p, idx) => (p.fullness !== null ? `${xFor(p, idx)},${yForFullness(p.fullness)}` : null))
+    .filter(Boolean)
+    .join(' ');
+  const fullnessPoints = points.filter(p => p.fullness !== null);
+  const priceLine = points
+    .map((p, idx) => (p.price !== null ? `${xFor(p, idx)},${yForPrice(p.price)}` : null))
+    .filter(Boolean)
+    .join(' ');
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const formatStamp = (time) => new Date(time).toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false });
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.875rem', color: '#6b7280', marginBottom: '0.75rem' }}>
+        {fullnessPoints.length > 0 ? (
+          <div>
+            Fullness: <strong style={{ color: '#667eea' }}>
+              {fullnessPoints[0].fullness.toFixed(0)}% → {fullnessPoints[fullnessPoints.length - 1].fullness.toFixed(0)}%
+            </strong>
+          </div>
+        ) : (
+          <div>Fullness: unknown aircraft configuration</div>
+        )}
+        {prices.length > 0 && (
+          <div>
+            Cheapest fare: <strong style={{ color: '#10b981' }}>
+              {first.price !== null ? `$${first.price.toFixed(0)}` : 'N/A'} → {last.price !== null ? `$${last.price.toFixed(0)}` : 'N/A'}
+            </strong>
+          </div>
+        )}
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} style={{ width: '100%', height: 'auto' }}>
+        {[0, 50, 100].map(pct => (
+          <g key={pct}>
+            <line x1={padding} x2={width - padding} y1={yForFullness(pct)} y2={yForFullness(pct)} stroke="#f3f4f6" />
+            <text x={2} y={yForFullness(pct) + 4} fontSize="10" fill="#9ca3af">{pct}%</text>
+          </g>
+        ))}
+        {priceLine && (
+          <polyline points={priceLine} fill="none" stroke="#10b981" strokeWidth="2" strokeDasharray="6 4" />
+        )}
+        {fullnessLine && (
+          <polyline points={fullnessLine} fill="none" stroke="#667eea" strokeWidth="2.5" />
+        )}
+        {points.map((p, idx) => p.fullness !== null && (
+          <circle key={idx} cx={xFor(p, idx)} cy={yForFullness(p.fullness)} r="3.5" fill="#667eea">
+            <title>{`${formatStamp(p.time)} - ${p.fullness.toFixed(0)}% full${p.price !== null ? `, from $${p.price.toFixed(2)}` : ''}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.65rem', color: '#6b7280' }}>
+        <span>{formatStamp(first.time)}</span>
+        <span>{snapshots.length} snapshots</span>
+        <span>{formatStamp(last.time)}</span>
+      </div>
+    </div>
+  );
+};
+
+// Airline names help with the flight code until its number is being typed
+const suggestFlightAirline = (text) => (/\d/.test(text) ? Promise.resolve([]) : suggestAirlines(text));
+
+// Same windows as TIME_WINDOWS in backend/src/flightFinder.js
+const TIME_OF_DAY_OPTIONS = [
+  ['', 'Any time'],
+  ['night', 'Night (00-05)'],
+  ['morning', 'Morning (05-12)'],
+  ['afternoon', 'Afternoon (12-17)'],
+  ['evening', 'Evening (17-24)']
+];
+
 export default function Home() {
   const [formData, setFormData] = useState({
     flightCode: '',
     date: getDefaultDate(),
   });
   const [results, setResults] = useState(null);
+  const [mode, setMode] = useState('flight');
+  const [itineraryForm, setItineraryForm] = useState({ route: '', flights: '' });
+  const [itinerary, setItinerary] = useState(null);
+  const [finderForm, setFinderForm] = useState({ origin: '', destination: '', carrier: '', timeOfDay: '' });
+  const [candidates, setCandidates] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [fareTrend, setFareTrend] = useState({ loading: false, data: null });
+  const [fareOptions, setFareOptions] = useState({ days: 30, flightOnly: true, cabin: 'ALL' });
+  const [delayPrediction, setDelayPrediction] = useState({ loading: false, data: null });
 
   // Verify environment variable is loaded
   useEffect(() => {
     const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
     console.log('✅ Connected to:', apiUrl);
+
+    // Links from the route board prefill the search (/?flight=LH400&date=2025-11-10)
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('flight')) {
+      setFormData(prev => ({
+        ...prev,
+        flightCode: params.get('flight').replace(/[\s-_]/g, '').toUpperCase(),
+        date: params.get('date') || prev.date
+      }));
+    }
   }, []);
 
   const handleFlightCodeChange = (e) => {
@@ -219,49 +756,140 @@ export default function Home() {
     }));
   };
 
+  // Same designator rules as the backend (IATA or ICAO airline, leading zeros, suffix letter)
   const parseFlightCode = (code) => {
-    // Clean the code: remove spaces, hyphens, underscores
-    const cleanCode = code.replace(/[\s-_]/g, '').toUpperCase();
-    
-    // Match pattern: 2 letters followed by 1-4 digits
-    const match = cleanCode.match(/^([A-Z]{2})(\d{1,4})$/);
-    if (!match) {
-      throw new Error(
-        `Invalid flight code format: "${code}". ` +
-        'Expected format: XX123 (e.g., LH400, BA1, UA 123)'
-      );
+    const parsed = parseFlightDesignator(code);
+    if (parsed.error) {
+      throw new Error(`${parsed.error}. Expected format: airline code and flight number (e.g., LH400, U2 1234, QFA7, BA123A)`);
+    }
+    return parsed;
+  };
+
+  // Load every snapshot recorded for this flight (including the lookup that just ran)
+  const loadHistory = async (apiUrl, { carrier, number, suffix }, date) => {
+    try {
+      const response = await fetch(`${apiUrl}/v1/flight-capacity/history?${queryString({ carrier, number, suffix, date })}`, { headers: apiHeaders() });
+      const data = await response.json();
+      setHistory(response.ok ? data.snapshots || [] : []);
+    } catch (err) {
+      console.warn('Capacity history not available:', err.message);
+      setHistory([]);
+    }
+  };
+
+  // Fare trend and delay prediction are slow upstream calls, so they load after the card renders
+  const loadFareTrend = async (apiUrl, query, options = fareOptions) => {
+    const [origin, destination] = query.route.split('-');
+    const params = queryString({
+      origin,
+      destination,
+      date: query.date,
+      carrier: query.carrier,
+      number: options.flightOnly ? query.number : null,
+      days: options.days
+    });
+    setFareTrend({ loading: true, data: null });
+    try {
+      const response = await fetch(`${apiUrl}/v1/fare-trend?${params}`, { headers: apiHeaders() });
+      const data = await response.json();
+      setFareTrend({ loading: false, data: response.ok ? data.fareTrend : null });
+    } catch (err) {
+      console.warn('Fare trend not available:', err.message);
+      setFareTrend({ loading: false, data: null });
+    }
+  };
+
+  const loadDelayPrediction = async (apiUrl, { carrier, number, suffix }, date) => {
+    setDelayPrediction({ loading: true, data: null });
+    try {
+      const response = await fetch(`${apiUrl}/v1/delay-prediction?${queryString({ carrier, number, suffix, date })}`, { headers: apiHeaders() });
+      const data = await response.json();
+      setDelayPrediction({ loading: false, data: response.ok ? data.delayPrediction : null });
+    } catch (err) {
+      console.warn('Delay prediction not available:', err.message);
+      setDelayPrediction({ loading: false, data: null });
     }
-    return {
-      carrier: match[1],
-      number: match[2]
-    };
   };
 
-  const handleSubmit = async (e) => {
+  // Window and flight filter need a refetch; the cabin is just a different view of the same data
+  const handleFareOptionChange = (changes) => {
+    const options = { ...fareOptions, ...changes };
+    setFareOptions(options);
+    if (results && ('days' in changes || 'flightOnly' in changes)) {
+      loadFareTrend(process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001', results.query, options);
+    }
+  };
+
+  // Itinerary mode - per-leg capacity for a route like PER-SIN-LHR on one or more flights
+  const handleItinerarySubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError(null);
     setResults(null);
+    setItinerary(null);
+    setCandidates(null);
+
+    try {
+      const route = itineraryForm.route.replace(/[\s,>]+/g, '-').replace(/-+/g, '-').toUpperCase();
+      const flights = itineraryForm.flights.split(/[,\s]+/).filter(Boolean).map((code, i) => {
+        const parsed = parseFlightDesignator(code);
+        if (parsed.error) {
+          throw new Error(`Flight ${i + 1}: ${parsed.error}`);
+        }
+        return parsed.flightCode;
+      }).join(',');
+
+      const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
+      const response = await fetch(`${apiUrl}/v1/flight-capacity/itinerary?${queryString({ route, flights, date: formData.date })}`, { headers: apiHeaders() });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.expected ? `${data.error}: ${data.message || data.expected}` : data.error || data.message || `HTTP ${response.status}: Failed to fetch itinerary capacity`);
+      }
+
+      setItinerary(data);
+    } catch (err) {
+      console.error('Itinerary capacity error:', err);
+      setError(err.name === 'TypeError'
+        ? `Connection Failed: Unable to reach ${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}. Check if the backend is running.`
+        : err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Capacity view for one flight - from the form, or a candidate picked in finder mode
+  const lookupFlight = async (flightCode, date) => {
+    setLoading(true);
+    setError(null);
+    setResults(null);
+    setItinerary(null);
+    setCandidates(null);
+    setHistory([]);
+    setFareTrend({ loading: false, data: null });
+    setDelayPrediction({ loading: false, data: null });
 
     try {
       // Parse flight code
-      const { carrier, number } = parseFlightCode(formData.flightCode);
+      const designator = parseFlightCode(flightCode);
+      const { carrier, number, suffix } = designator;
 
       const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
-      const url = `${apiUrl}/api/flight-capacity?carrier=${carrier}&number=${number}&date=${formData.date}`;
+      const url = `${apiUrl}/v1/flight-capacity?${queryString({ carrier, number, suffix, date, seatmap: true })}`;
 
       console.log('\n=== API REQUEST DEBUG ===');
       console.log('🔍 Full URL:', url);
       console.log('📡 API Base URL:', apiUrl);
       console.log('📝 Environment Variable:', process.env.NEXT_PUBLIC_API_URL ? 'SET' : 'NOT SET (using fallback)');
-      console.log('✈️ Flight:', `${carrier}${number}`);
-      console.log('📅 Date:', formData.date);
+      console.log('✈️ Flight:', designator.flightCode);
+      console.log('📅 Date:', date);
       console.log('========================\n');
 
       const response = await fetch(url, {
         method: 'GET',
         headers: {
           'Content-Type': 'application/json',
+          ...apiHeaders()
         },
       });
 
@@ -286,6 +914,7 @@ export default function Home() {
 
       if (!response.ok) {
         throw new Error(
+          (data.expected && `${data.error}: ${data.message || data.expected}`) ||
           data.error || 
           data.message || 
           `HTTP ${response.status}: Failed to fetch flight status`
@@ -293,17 +922,22 @@ export default function Home() {
       }
 
       // Debug logging for new features
-      console.log('🔍 Delay Prediction:', data.delayPrediction ? 'Available' : 'Not available');
-      console.log('🔍 Fare Trend:', data.fareTrend ? `${data.fareTrend.length} days` : 'Not available');
       console.log('🔍 Aircraft Model:', data.aircraft ? 'Available' : 'Not available');
       
       setResults(data);
+      loadHistory(apiUrl, designator, date);
+
+      // The extra panels are only shown for flights with availability data
+      if (data.capacity?.hasAvailability) {
+        loadDelayPrediction(apiUrl, designator, date);
+        loadFareTrend(apiUrl, data.query);
+      }
     } catch (err) {
       // Enhanced error logging
       console.error('\n=== ERROR DEBUG ===');
       console.error('❌ Error Type:', err.name);
       console.error('❌ Error Message:', err.message);
-      console.error('📡 Attempted URL:', `${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/api/flight-status`);
+      console.error('📡 Attempted URL:', `${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/v1/flight-capacity`);
       console.error('🔍 Full Error Object:', err);
       if (err.stack) {
         console.error('📄 Stack Trace:', err.stack);
@@ -327,6 +961,62 @@ export default function Home() {
     }
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    lookupFlight(formData.flightCode, formData.date);
+  };
+
+  // Finder mode - candidate flights by route, carrier and time of day when the number isn't known
+  const handleFinderSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    setResults(null);
+    setItinerary(null);
+    setCandidates(null);
+
+    try {
+      const params = new URLSearchParams({
+        origin: finderForm.origin.trim().toUpperCase(),
+        destination: finderForm.destination.trim().toUpperCase(),
+        date: formData.date
+      });
+      if (finderForm.carrier.trim()) {
+        const airline = parseAirlineCode(finderForm.carrier);
+        if (airline.error) {
+          throw new Error(airline.error);
+        }
+        params.set('carrier', airline.carrier);
+      }
+      if (finderForm.timeOfDay) {
+        params.set('timeOfDay', finderForm.timeOfDay);
+      }
+
+      const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
+      const response = await fetch(`${apiUrl}/v1/flight-numbers?${params}`, { headers: apiHeaders() });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.expected ? `${data.error}: ${data.message || data.expected}` : data.error || data.message || `HTTP ${response.status}: Failed to search flights`);
+      }
+
+      setCandidates(data);
+    } catch (err) {
+      console.error('Flight number search error:', err);
+      setError(err.name === 'TypeError'
+        ? `Connection Failed: Unable to reach ${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}. Check if the backend is running.`
+        : err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const pickCandidate = (candidate) => {
+    setMode('flight');
+    setFormData(prev => ({ ...prev, flightCode: candidate.flightCode }));
+    lookupFlight(candidate.flightCode, formData.date);
+  };
+
   const today = new Date().toISOString().split('T')[0];
 
   // Helper to format time
@@ -368,27 +1058,140 @@ export default function Home() {
       <header className="header">
         <h1>✈️ FlightCapacity</h1>
         <p>Check real-time flight status and schedule information</p>
+        <a href="/route-board" style={{ display: 'inline-block', marginTop: '0.75rem', color: '#2563eb', fontSize: '0.95rem' }}>
+          Compare every flight on a route →
+        </a>
       </header>
 
-      <form onSubmit={handleSubmit} className="search-form">
+      <form onSubmit={{ itinerary: handleItinerarySubmit, find: handleFinderSubmit }[mode] || handleSubmit} className="search-form">
+        <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem' }}>
+          {[['flight', 'Single flight'], ['find', 'Find by route'], ['itinerary', 'Itinerary']].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setMode(value)}
+              style={{
+                padding: '0.4rem 0.9rem',
+                borderRadius: '9999px',
+                border: '1px solid #ddd',
+                background: mode === value ? '#2563eb' : '#ffffff',
+                color: mode === value ? '#ffffff' : '#374151',
+                fontSize: '0.85rem',
+                cursor: 'pointer'
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
         <div className="form-grid">
+          {mode === 'itinerary' ? (
+            <>
+              <div className="form-group">
+                <label htmlFor="route">Route</label>
+                <input
+                  type="text"
+                  id="route"
+                  name="route"
+                  value={itineraryForm.route}
+                  onChange={(e) => setItineraryForm(prev => ({ ...prev, route: e.target.value.toUpperCase() }))}
+                  placeholder="PER-SIN-LHR"
+                  required
+                />
+                <small style={{ color: '#666', fontSize: '0.85rem', marginTop: '0.25rem' }}>
+                  Airports in order, including stops
+                </small>
+              </div>
+              <div className="form-group">
+                <label htmlFor="flights">Flights</label>
+                <input
+                  type="text"
+                  id="flights"
+                  name="flights"
+                  value={itineraryForm.flights}
+                  onChange={(e) => setItineraryForm(prev => ({ ...prev, flights: e.target.value.toUpperCase() }))}
+                  placeholder="QF1 or SQ224, SQ322"
+                  required
+                />
+                <small style={{ color: '#666', fontSize: '0.85rem', marginTop: '0.25rem' }}>
+                  One multi-stop flight, or one flight per leg
+                </small>
+              </div>
+            </>
+          ) : mode === 'find' ? (
+            <>
+              <div className="form-group">
+                <label htmlFor="finderOrigin">From</label>
+                <Combobox
+                  id="finderOrigin"
+                  name="origin"
+                  value={finderForm.origin}
+                  onChange={(e) => setFinderForm(prev => ({ ...prev, origin: e.target.value }))}
+                  onSelect={(airport) => setFinderForm(prev => ({ ...prev, origin: airport.value }))}
+                  suggest={suggestAirports}
+                  placeholder="PER or Perth"
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="finderDestination">To</label>
+                <Combobox
+                  id="finderDestination"
+                  name="destination"
+                  value={finderForm.destination}
+                  onChange={(e) => setFinderForm(prev => ({ ...prev, destination: e.target.value }))}
+                  onSelect={(airport) => setFinderForm(prev => ({ ...prev, destination: airport.value }))}
+                  suggest={suggestAirports}
+                  placeholder="SYD or Sydney"
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="finderCarrier">Airline (optional)</label>
+                <Combobox
+                  id="finderCarrier"
+                  name="carrier"
+                  value={finderForm.carrier}
+                  onChange={(e) => setFinderForm(prev => ({ ...prev, carrier: e.target.value }))}
+                  onSelect={(airline) => setFinderForm(prev => ({ ...prev, carrier: airline.value }))}
+                  suggest={suggestAirlines}
+                  placeholder="QF, QFA or Qantas"
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="finderTimeOfDay">Departs</label>
+                <select
+                  id="finderTimeOfDay"
+                  name="timeOfDay"
+                  value={finderForm.timeOfDay}
+                  onChange={(e) => setFinderForm(prev => ({ ...prev, timeOfDay: e.target.value }))}
+                >
+                  {TIME_OF_DAY_OPTIONS.map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            </>
+          ) : (
           <div className="form-group">
             <label htmlFor="flightCode">Flight Code</label>
-            <input
-              type="text"
+            <Combobox
               id="flightCode"
               name="flightCode"
               value={formData.flightCode}
               onChange={handleFlightCodeChange}
-              placeholder="LH400 or LH 400"
+              onSelect={(airline) => setFormData(prev => ({ ...prev, flightCode: airline.value }))}
+              suggest={suggestFlightAirline}
+              placeholder="LH400, U2 1234 or QFA7"
               title="Enter flight code (e.g., LH400, BA 1, UA-123)"
-              maxLength="10"
+              maxLength="20"
               required
             />
             <small style={{ color: '#666', fontSize: '0.85rem', marginTop: '0.25rem' }}>
-              Accepts: LH400, LH 400, LH-400, etc.
+              Accepts: LH400, LH 400, LH-400, etc. Type an airline name to find its code.
             </small>
           </div>
+          )}
 
           <div className="form-group">
             <label htmlFor="date">Departure Date</label>
@@ -409,7 +1212,7 @@ export default function Home() {
           className="search-button"
           disabled={loading}
         >
-          {loading ? 'Searching...' : 'Search Flight'}
+          {loading ? 'Searching...' : { itinerary: 'Check Itinerary', find: 'Find Flights' }[mode] || 'Search Flight'}
         </button>
       </form>
 
@@ -425,74 +1228,159 @@ export default function Home() {
         </div>
       )}
 
-      {results && !loading && results.schedule?.data && results.schedule.data.length > 0 && (
+      {candidates && !loading && (
         <div className="results-section">
-          {results.schedule.data.map((flight, scheduleIndex) => {
-            const departure = flight.flightPoints?.find(fp => fp.departure);
-            const arrival = flight.flightPoints?.find(fp => fp.arrival);
-            const aircraftType = flight.legs?.[0]?.aircraftEquipment?.aircraftType;
-            
-            // Calculate capacity metrics from availability data
-            const availabilityOffers = results.availability?.data || [];
-            const hasAvailabilityData = availabilityOffers && availabilityOffers.length > 0;
-            
-            // Group by cabin class
-            const cabinData = {};
-            let totalSeatsAvailable = 0;
-            
-            availabilityOffers.forEach(offer => {
-              const seats = offer.numberOfBookableSeats || 0;
-              
-              offer.travelerPricings?.forEach(pricing => {
-                pricing.fareDetailsBySegment?.forEach(segment => {
-                  const cabin = segment.cabin || 'UNKNOWN';
-                  if (!cabinData[cabin]) {
-                    cabinData[cabin] = {
-                      seats: 0,
-                      minPrice: Infinity,
-                      offers: 0
-                    };
-                  }
-                  // Use the maximum seats available for this cabin (not sum)
-                  // Multiple offers represent different fare classes for the same inventory
-                  cabinData[cabin].seats = Math.max(cabinData[cabin].seats, seats);
-                  cabinData[cabin].offers += 1;
-                  const price = parseFloat(offer.price?.total || 0);
-                  if (price < cabinData[cabin].minPrice) {
-                    cabinData[cabin].minPrice = price;
-                  }
-                });
-              });
-            });
-            
-            // Calculate total seats from cabin maximums
-            totalSeatsAvailable = Object.values(cabinData).reduce((sum, cabin) => sum + cabin.seats, 0);
-            
-            // Estimate total capacity (rough estimate based on aircraft type)
-            const aircraftCapacity = {
-              '346': 340,  // A340-600
-              '333': 300,  // A330-300
-              '332': 250,  // A330-200
-              '77W': 350,  // 777-300ER
-              '772': 300,  // 777-200ER
-              '789': 290,  // 787-9
-              '788': 240,  // 787-8
-            };
-            
-            const estimatedCapacity = aircraftCapacity[aircraftType] || 300;
-            const capacityPercentage = totalSeatsAvailable > 0 
-              ? Math.max(0, Math.min(100, ((estimatedCapacity - totalSeatsAvailable) / estimatedCapacity * 100)))
-              : 0;
+          <div className="flight-card">
+            <div style={{ marginBottom: '1rem' }}>
+              <h2 style={{ margin: 0, fontSize: '1.5rem' }}>{candidates.query.route.replace('-', ' → ')}</h2>
+              <p style={{ margin: '0.25rem 0 0 0', color: '#6b7280' }}>
+                {[
+                  candidates.query.date,
+                  candidates.query.carrier,
+                  candidates.query.after || candidates.query.before
+                    ? `departing ${candidates.query.after || '00:00'}-${candidates.query.before || '24:00'}`
+                    : null
+                ].filter(Boolean).join(' • ')}
+              </p>
+            </div>
+
+            {candidates.flights.length === 0 ? (
+              <div style={{ padding: '1.25rem', background: '#f9fafb', borderRadius: '10px', border: '2px dashed #e5e7eb', textAlign: 'center', color: '#6b7280', fontSize: '0.875rem' }}>
+                No flights match - try another time of day or leave the airline empty
+              </div>
+            ) : (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                <div style={{ fontSize: '0.8rem', color: '#6b7280' }}>Pick a flight to see its capacity</div>
+                {candidates.flights.map(flight => (
+                  <button
+                    key={flight.flightCode}
+                    type="button"
+                    onClick={() => pickCandidate(flight)}
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '1rem',
+                      padding: '0.75rem 1rem',
+                      background: '#ffffff',
+                      border: '1px solid #e5e7eb',
+                      borderRadius: '8px',
+                      cursor: 'pointer',
+                      textAlign: 'left'
+                    }}
+                  >
+                    <div style={{ minWidth: '6rem' }}>
+                      <div style={{ fontWeight: '700', fontSize: '1rem', color: '#111827' }}>{flight.flightCode}</div>
+                      {flight.codeshares.length > 0 && (
+                        <div style={{ fontSize: '0.7rem', color: '#9ca3af' }}>also {flight.codeshares.join(', ')}</div>
+                      )}
+                    </div>
+                    <div style={{ flex: 1, fontSize: '0.9rem', color: '#374151' }}>
+                      {flight.departureTime.slice(11, 16)} → {flight.arrivalTime ? flight.arrivalTime.slice(11, 16) : '—'}
+                      <span style={{ color: '#9ca3af', fontSize: '0.8rem' }}>
+                        {flight.stops > 0 ? ` · ${flight.stops} stop${flight.stops === 1 ? '' : 's'}` : ' · nonstop'}
+                        {flight.aircraftCode ? ` · ${flight.aircraftCode}` : ''}
+                      </span>
+                    </div>
+                    <div style={{ textAlign: 'right', fontSize: '0.8rem' }}>
+                      {flight.loadFactor !== null && (
+                        <div style={{ fontWeight: '600', color: getCapacityColor(flight.loadFactor) }}>{flight.loadFactor.toFixed(0)}% full</div>
+                      )}
+                      <div style={{ color: '#6b7280' }}>
+                        {flight.seatsAvailable} seats{flight.minPrice !== null ? ` · from $${flight.minPrice.toFixed(0)}` : ''}
+                      </div>
+                    </div>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {itinerary && !loading && (
+        <div className="results-section">
+          <div className="flight-card">
+            <div style={{ marginBottom: '1.5rem' }}>
+              <h2 style={{ margin: 0, fontSize: '1.75rem' }}>{itinerary.route.replace(/-/g, ' → ')}</h2>
+              <p style={{ margin: '0.25rem 0 0 0', color: '#6b7280' }}>
+                {itinerary.query.flights.join(' + ')} • {itinerary.query.date}
+              </p>
+            </div>
+
+            {(() => {
+              const leg = itinerary.bottleneck ? itinerary.legs[itinerary.bottleneck.index] : null;
+              return (
+                <div style={{
+                  background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                  padding: '1.5rem',
+                  borderRadius: '12px',
+                  color: 'white',
+                  marginBottom: '1.5rem',
+                  textAlign: 'center'
+                }}>
+                  <div style={{ fontSize: '0.95rem', opacity: 0.9 }}>Bottleneck leg</div>
+                  <div style={{ fontSize: '2rem', fontWeight: 'bold', margin: '0.25rem 0' }}>
+                    {leg ? `${leg.route.replace('-', ' → ')} (${leg.flightCode})` : '—'}
+                  </div>
+                  <div style={{ fontSize: '0.95rem', opacity: 0.8 }}>
+                    {!leg
+                      ? 'No leg shares seat availability'
+                      : itinerary.bottleneck.basis === 'loadFactor'
+                        ? `${leg.capacity.capped ? 'At most ' : ''}${itinerary.bottleneck.loadFactor.toFixed(0)}% full · ${leg.capacity.capped ? 'at least ' : ''}${itinerary.bottleneck.seatsAvailable} seats available`
+                        : `Fewest seats available (${itinerary.bottleneck.seatsAvailable})`}
+                  </div>
+                  {itinerary.through && (
+                    <div style={{ fontSize: '0.75rem', opacity: 0.7, marginTop: '0.5rem' }}>
+                      {itinerary.through.offers > 0
+                        ? `${itinerary.through.numberOfBookableSeats} seats bookable end to end, from $${itinerary.through.minPrice?.toFixed(0)}`
+                        : 'No end-to-end fares found on these flights'}
+                    </div>
+                  )}
+                </div>
+              );
+            })()}
+
+            <div style={{ marginBottom: '1.5rem' }}>
+              <h3 style={{ fontSize: '1.1rem', marginBottom: '1rem', color: '#374151', fontWeight: '600' }}>Leg Breakdown</h3>
+              <LegBreakdown legs={itinerary.legs} bottleneck={itinerary.bottleneck} />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {results && !loading && results.flight && (
+        <div className="results-section">
+          {[results.flight].map((flight, scheduleIndex) => {
+            const { departure, arrival } = flight;
+            const aircraftType = flight.aircraftCode;
             
-            const getCapacityColor = (pct) => {
-              if (pct >= 90) return '#dc2626'; // Red - nearly full
-              if (pct >= 70) return '#f59e0b'; // Orange - filling up
-              if (pct >= 40) return '#10b981'; // Green - good availability
-              return '#3b82f6'; // Blue - lots of space
-            };
+            // Capacity metrics are computed by the backend capacity engine
+            const capacity = results.capacity || {};
+            const hasAvailabilityData = Boolean(capacity.hasAvailability);
+            const cabinData = capacity.cabins || {};
+            const totalSeatsAvailable = capacity.seatsAvailable || 0;
+            const aircraftConfig = capacity.aircraftConfig;
+            const seatCapacity = capacity.seatCapacity ?? null;
+            // A seatmap count replaces the offer-based estimate; a capped estimate is only an upper bound
+            const fromSeatmap = capacity.basis === 'seatmap';
+            const isUpperBound = capacity.basis === 'lower_bound';
+            const capacityPercentage = fromSeatmap ? capacity.seatmapLoadFactor : capacity.loadFactor ?? null;
+            const [routeOrigin, routeDestination] = results.query.route.split('-');
+            const exportUrl = `${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/v1/flight-capacity?${queryString({
+              carrier: results.query.carrier,
+              number: results.query.number,
+              suffix: results.query.suffix,
+              date: results.query.date,
+              origin: routeOrigin,
+              destination: routeDestination,
+              seatmap: true
+            })}`;
+            const configLabel = aircraftConfig
+              ? (aircraftConfig.match === 'carrier' ? `${results.query.carrier} seat configuration` : 'Typical configuration for this aircraft type')
+              : null;
             
             // Get airline and aircraft info from API response
-            const airlineName = results.airline?.data?.[0]?.businessName || results.airline?.data?.[0]?.commonName || results.query.carrier;
+            const airlineName = results.airline?.name || results.query.carrier;
             const airlineLogo = `https://content.airhex.com/content/logos/airlines_${results.query.carrier}_200_200_s.png`;
             
             // Aircraft name lookup - try API first, then fallback to static lookup
@@ -528,7 +1416,7 @@ export default function Home() {
               'CRK': 'Bombardier CRJ-1000'
             };
             
-            const aircraftName = results.aircraft?.data?.[0]?.name || aircraftLookup[aircraftType] || aircraftType;
+            const aircraftName = results.aircraft?.name || aircraftConfig?.name || aircraftLookup[aircraftType] || aircraftType;
             
             return (
               <div key={scheduleIndex} className="flight-card">
@@ -551,6 +1439,9 @@ export default function Home() {
                       </p>
                     )}
                   </div>
+                  <div style={{ marginLeft: 'auto' }}>
+                    <DownloadButtons href={exportUrl} />
+                  </div>
                 </div>
 
                 {/* CAPACITY OVERVIEW - Only show when availability data exists */}
@@ -564,31 +1455,69 @@ export default function Home() {
                     textAlign: 'center'
                   }}>
                   <div style={{ fontSize: '3rem', fontWeight: 'bold', marginBottom: '0.5rem' }}>
-                    {capacityPercentage.toFixed(0)}%
+                    {capacityPercentage !== null ? `${isUpperBound ? '≤ ' : ''}${capacityPercentage.toFixed(0)}%` : '—'}
                   </div>
                   <div style={{ fontSize: '1.25rem', opacity: 0.9 }}>
-                    Flight Capacity
+                    {fromSeatmap ? 'Flight Capacity (seatmap count)' : isUpperBound ? 'Flight Capacity (at most)' : 'Flight Capacity'}
                   </div>
                   <div style={{ fontSize: '0.95rem', opacity: 0.8, marginTop: '0.5rem' }}>
-                    {totalSeatsAvailable} seats available
+                    {fromSeatmap
+                      ? `${capacity.seatmap.seatsAvailable} of ${capacity.seatmap.seatCount} seats free`
+                      : `${isUpperBound ? 'At least ' : ''}${totalSeatsAvailable} seats available${seatCapacity ? ` of ${seatCapacity}` : ''}`}
+                  </div>
+                  <div style={{ fontSize: '0.75rem', opacity: 0.7, marginTop: '0.25rem' }}>
+                    {fromSeatmap
+                      ? 'Every seat on the seatmap counted as available, occupied or blocked'
+                      : configLabel || `No seat configuration on file for aircraft ${aircraftType || 'type'}`}
                   </div>
+                  {isUpperBound && (
+                    <div style={{ fontSize: '0.8rem', marginTop: '0.75rem', padding: '0.5rem 0.75rem', background: 'rgba(255,255,255,0.15)', borderRadius: '8px', display: 'inline-block', maxWidth: '34rem', lineHeight: 1.4 }}>
+                      Airlines never show more than 9 bookable seats per fare, so cabins marked 9+ could have many more free seats.
+                      This is the fullest the flight can be, not an estimate.
+                    </div>
+                  )}
+                  {fromSeatmap && capacity.loadFactor !== null && (
+                    <div style={{ fontSize: '0.8rem', marginTop: '0.75rem', opacity: 0.8 }}>
+                      Offer-based estimate: {capacity.capped ? '≤ ' : ''}{capacity.loadFactor.toFixed(0)}%
+                    </div>
+                  )}
+                  {capacity.confidence && (
+                    <div
+                      title={capacity.confidenceReason}
+                      style={{
+                        display: 'inline-block',
+                        fontSize: '0.7rem',
+                        fontWeight: '600',
+                        textTransform: 'uppercase',
+                        letterSpacing: '0.05em',
+                        padding: '0.125rem 0.5rem',
+                        borderRadius: '9999px',
+                        background: 'rgba(255,255,255,0.2)',
+                        marginTop: '0.5rem'
+                      }}
+                    >
+                      {capacity.confidence} confidence
+                    </div>
+                  )}
                   
                   {/* Visual capacity bar */}
-                  <div style={{
-                    width: '100%',
-                    height: '12px',
-                    background: 'rgba(255,255,255,0.2)',
-                    borderRadius: '6px',
-                    marginTop: '1rem',
-                    overflow: 'hidden'
-                  }}>
+                  {capacityPercentage !== null && (
                     <div style={{
-                      width: `${capacityPercentage}%`,
-                      height: '100%',
-                      background: getCapacityColor(capacityPercentage),
-                      transition: 'width 0.5s ease'
-                    }} />
+                      width: '100%',
+                      height: '12px',
+                      background: 'rgba(255,255,255,0.2)',
+                      borderRadius: '6px',
+                      marginTop: '1rem',
+                      overflow: 'hidden'
+                    }}>
+                      <div style={{
+                        width: `${capacityPercentage}%`,
+                        height: '100%',
+                        background: getCapacityColor(capacityPercentage),
+                        transition: 'width 0.5s ease'
+                      }} />
                     </div>
+                  )}
                   </div>
                 ) : (
                   // Show message when no availability data
@@ -654,24 +1583,16 @@ export default function Home() {
                     
                     {/* Table Rows */}
                     {(() => {
-                      const cabinCapacityEstimate = {
-                        'ECONOMY': estimatedCapacity * 0.7,
-                        'PREMIUM_ECONOMY': estimatedCapacity * 0.15,
-                        'BUSINESS': estimatedCapacity * 0.12,
-                        'FIRST': estimatedCapacity * 0.03
-                      };
-                      
-                      let totalCapacity = 0;
-                      let totalAvailable = 0;
+                      // Totals only cover cabins with a known seat count
+                      const totals = capacity.cabinTotals;
+                      // Exact per-cabin counts from the seatmap, when the carrier publishes one
+                      const seatmapCabins = capacity.seatmap?.status === 'ok' ? capacity.seatmap.cabins : null;
                       
                       return (
                         <>
                           {Object.entries(cabinData).map(([cabin, data]) => {
-                            const cabinTotal = Math.round(cabinCapacityEstimate[cabin] || estimatedCapacity * 0.5);
-                            const cabinFillPct = Math.max(0, Math.min(100, ((cabinTotal - data.seats) / cabinTotal * 100)));
-                            
-                            totalCapacity += cabinTotal;
-                            totalAvailable += data.seats;
+                            const cabinTotal = data.capacity;
+                            const cabinFillPct = data.loadFactor;
                             
                             return (
                               <div key={cabin} style={{
@@ -685,78 +1606,91 @@ export default function Home() {
                                 <div style={{ fontWeight: '600', color: '#111827' }}>
                                   {cabin.replace('_', ' ')}
                                 </div>
-                                <div style={{ textAlign: 'center', fontSize: '1.25rem', fontWeight: 'bold', color: '#2563eb' }}>
-                                  {data.seats}
+                                <div style={{ textAlign: 'center', fontSize: '1.25rem', fontWeight: 'bold', color: '#2563eb' }} title={data.capped ? 'At the 9-seat booking cap - at least this many free' : undefined}>
+                                  {data.seatsAvailable}{data.capped ? '+' : ''}
+                                  {seatmapCabins?.[cabin] && (
+                                    <div style={{ fontSize: '0.7rem', fontWeight: 'normal', color: '#6b7280' }}>
+                                      seatmap: {seatmapCabins[cabin].available} of {seatmapCabins[cabin].total} free
+                                    </div>
+                                  )}
                                 </div>
                                 <div style={{ textAlign: 'center', color: '#6b7280' }}>
-                                  {cabinTotal}
+                                  {cabinTotal ?? '—'}
                                 </div>
                                 <div>
-                                  <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
-                                    <div style={{
-                                      flex: 1,
-                                      height: '20px',
-                                      background: '#e5e7eb',
-                                      borderRadius: '4px',
-                                      overflow: 'hidden',
-                                      position: 'relative'
-                                    }}>
-                                      <div style={{
-                                        width: `${cabinFillPct}%`,
-                                        height: '100%',
-                                        background: getCapacityColor(cabinFillPct),
-                                        transition: 'width 0.5s ease'
-                                      }} />
+                                  {cabinFillPct === null ? (
+                                    <div style={{ fontSize: '0.875rem', color: '#9ca3af' }}>
+                                      Cabin not in seat configuration
                                     </div>
-                                    <div style={{ fontSize: '0.875rem', fontWeight: '600', color: '#374151', minWidth: '45px' }}>
-                                      {cabinFillPct.toFixed(0)}%
+                                  ) : (
+                                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+                                      <div style={{
+                                        flex: 1,
+                                        height: '20px',
+                                        background: '#e5e7eb',
+                                        borderRadius: '4px',
+                                        overflow: 'hidden',
+                                        position: 'relative'
+                                      }}>
+                                        <div style={{
+                                          width: `${cabinFillPct}%`,
+                                          height: '100%',
+                                          background: getCapacityColor(cabinFillPct),
+                                          transition: 'width 0.5s ease'
+                                        }} />
+                                      </div>
+                                      <div style={{ fontSize: '0.875rem', fontWeight: '600', color: '#374151', minWidth: '45px' }}>
+                                        {data.capped ? '≤ ' : ''}{cabinFillPct.toFixed(0)}%
+                                      </div>
                                     </div>
-                                  </div>
+                                  )}
                                 </div>
                               </div>
                             );
                           })}
                           
                           {/* Total Summary Row */}
-                          <div style={{
-                            display: 'grid',
-                            gridTemplateColumns: '2fr 1.5fr 1.5fr 3fr',
-                            gap: '1rem',
-                            padding: '1rem',
-                            background: '#f9fafb',
-                            fontWeight: '600',
-                            color: '#111827',
-                            alignItems: 'center'
-                          }}>
-                            <div>TOTAL</div>
-                            <div style={{ textAlign: 'center', fontSize: '1.25rem', color: '#2563eb' }}>
-                              {totalAvailable}
-                            </div>
-                            <div style={{ textAlign: 'center' }}>
-                              {totalCapacity}
-                            </div>
-                            <div>
-                              <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
-                                <div style={{
-                                  flex: 1,
-                                  height: '20px',
-                                  background: '#e5e7eb',
-                                  borderRadius: '4px',
-                                  overflow: 'hidden'
-                                }}>
+                          {totals && (
+                            <div style={{
+                              display: 'grid',
+                              gridTemplateColumns: '2fr 1.5fr 1.5fr 3fr',
+                              gap: '1rem',
+                              padding: '1rem',
+                              background: '#f9fafb',
+                              fontWeight: '600',
+                              color: '#111827',
+                              alignItems: 'center'
+                            }}>
+                              <div>TOTAL</div>
+                              <div style={{ textAlign: 'center', fontSize: '1.25rem', color: '#2563eb' }}>
+                                {totals.seatsAvailable}{capacity.capped ? '+' : ''}
+                              </div>
+                              <div style={{ textAlign: 'center' }}>
+                                {totals.capacity}
+                              </div>
+                              <div>
+                                <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
                                   <div style={{
-                                    width: `${((totalCapacity - totalAvailable) / totalCapacity * 100)}%`,
-                                    height: '100%',
-                                    background: getCapacityColor((totalCapacity - totalAvailable) / totalCapacity * 100),
-                                    transition: 'width 0.5s ease'
-                                  }} />
-                                </div>
-                                <div style={{ fontSize: '0.875rem', minWidth: '45px' }}>
-                                  {((totalCapacity - totalAvailable) / totalCapacity * 100).toFixed(0)}%
+                                    flex: 1,
+                                    height: '20px',
+                                    background: '#e5e7eb',
+                                    borderRadius: '4px',
+                                    overflow: 'hidden'
+                                  }}>
+                                    <div style={{
+                                      width: `${totals.loadFactor}%`,
+                                      height: '100%',
+                                      background: getCapacityColor(totals.loadFactor),
+                                      transition: 'width 0.5s ease'
+                                    }} />
+                                  </div>
+                                  <div style={{ fontSize: '0.875rem', minWidth: '45px' }}>
+                                    {capacity.capped ? '≤ ' : ''}{totals.loadFactor.toFixed(0)}%
+                                  </div>
                                 </div>
                               </div>
                             </div>
-                          </div>
+                          )}
                         </>
                       );
                     })()}
@@ -764,10 +1698,47 @@ export default function Home() {
                   </div>
                 )}
 
+                {/* SEATMAP - Only when the carrier publishes one */}
+                {results.seatMaps?.length > 0 && (
+                  <div style={{ marginBottom: '1.5rem' }}>
+                    <h3 style={{ fontSize: '1.1rem', marginBottom: '1rem', color: '#374151', fontWeight: '600' }}>Seatmap</h3>
+                    <div style={{
+                      padding: '1.25rem',
+                      background: '#ffffff',
+                      borderRadius: '10px',
+                      border: '2px solid #e5e7eb',
+                      boxShadow: '0 1px 3px rgba(0,0,0,0.1)'
+                    }}>
+                      <SeatmapViewer key={`${results.query.flightCode}-${results.query.date}`} seatMaps={results.seatMaps} />
+                    </div>
+                  </div>
+                )}
+
+                {/* CONNECTIONS - offers using this flight as one leg aren't counted above */}
+                {results.connections?.offers > 0 && (
+                  <div style={{ marginBottom: '1.5rem', fontSize: '0.8rem', color: '#6b7280' }}>
+                    🔗 Also sold in {results.connections.offers} connecting itinerar{results.connections.offers === 1 ? 'y' : 'ies'}
+                    {results.connections.minPrice !== null ? ` from $${results.connections.minPrice.toFixed(0)}` : ''}
+                    {' '}- not counted in the breakdown above, as their seats are limited by the other flights
+                  </div>
+                )}
+
+                {/* LEG BREAKDOWN - Multi-stop flights only */}
+                {results.legs?.length > 1 && (
+                  <div style={{ marginBottom: '1.5rem' }}>
+                    <h3 style={{ fontSize: '1.1rem', marginBottom: '1rem', color: '#374151', fontWeight: '600' }}>Leg Breakdown</h3>
+                    <LegBreakdown legs={results.legs} bottleneck={results.bottleneck} />
+                  </div>
+                )}
+
                 {/* DELAY PREDICTION - Only show when availability data exists */}
                 {hasAvailabilityData && (() => {
+                  if (delayPrediction.loading) {
+                    return <PanelSkeleton title="On-Time Performance" height={80} />;
+                  }
+
                   // Check if delay prediction data is available
-                  if (!results.delayPrediction || !results.delayPrediction.data || results.delayPrediction.data.length === 0) {
+                  if (delayPrediction.data?.delayProbability == null) {
                     // Show placeholder when API doesn't return data
                     return (
                       <div style={{ marginBottom: '1.5rem' }}>
@@ -792,8 +1763,7 @@ export default function Home() {
                   }
                   
                   // Show actual prediction if available
-                  const prediction = results.delayPrediction.data[0];
-                  const delayProbability = prediction.probability || 0;
+                  const { delayProbability } = delayPrediction.data;
                   const delayPercentage = (delayProbability * 100).toFixed(0);
                   
                   const getRiskLevel = (prob) => {
@@ -858,63 +1828,69 @@ export default function Home() {
                   );
                 })()}
 
-                {/* 7-DAY FARE TREND - Only show when availability data exists */}
-                {hasAvailabilityData && (() => {
-                  if (!results.fareTrend || results.fareTrend.length === 0) {
-                    // Show placeholder when fare trend is not available
-                    return (
-                      <div style={{ marginBottom: '1.5rem' }}>
-                        <h3 style={{ fontSize: '1.1rem', marginBottom: '1rem', color: '#374151', fontWeight: '600' }}>7-Day Fare Trend</h3>
-                        <div style={{
-                          padding: '1.25rem',
-                          background: '#f9fafb',
-                          borderRadius: '10px',
-                          border: '2px dashed #e5e7eb',
-                          textAlign: 'center',
-                          color: '#6b7280'
-                        }}>
-                          <div style={{ fontSize: '0.875rem' }}>
-                            📊 Fare trend data not available
-                          </div>
-                          <div style={{ fontSize: '0.75rem', marginTop: '0.5rem', opacity: 0.8 }}>
-                            Historical pricing data may take time to load
-                          </div>
-                        </div>
+                {/* FARE CALENDAR - Only show when availability data exists */}
+                {hasAvailabilityData && (
+                  <div style={{ marginBottom: '1.5rem' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '0.75rem', marginBottom: '1rem' }}>
+                      <h3 style={{ fontSize: '1.1rem', color: '#374151', fontWeight: '600' }}>Fare Calendar</h3>
+                      <div style={{ display: 'flex', gap: '0.5rem', fontSize: '0.8rem' }}>
+                        <select
+                          value={fareOptions.days}
+                          onChange={(e) => handleFareOptionChange({ days: Number(e.target.value) })}
+                          style={{ padding: '0.25rem', borderRadius: '4px', border: '1px solid #ddd' }}
+                        >
+                          <option value={14}>2 weeks</option>
+                          <option value={30}>30 days</option>
+                          <option value={60}>60 days</option>
+                        </select>
+                        <select
+                          value={fareOptions.flightOnly ? 'flight' : 'carrier'}
+                          onChange={(e) => handleFareOptionChange({ flightOnly: e.target.value === 'flight' })}
+                          style={{ padding: '0.25rem', borderRadius: '4px', border: '1px solid #ddd' }}
+                        >
+                          <option value="flight">{results.query.flightCode} only</option>
+                          <option value="carrier">All {results.query.carrier} flights</option>
+                        </select>
+                        <select
+                          value={fareOptions.cabin}
+                          onChange={(e) => handleFareOptionChange({ cabin: e.target.value })}
+                          style={{ padding: '0.25rem', borderRadius: '4px', border: '1px solid #ddd' }}
+                        >
+                          <option value="ALL">Any cabin</option>
+                          <option value="ECONOMY">Economy</option>
+                          <option value="PREMIUM_ECONOMY">Premium Economy</option>
+                          <option value="BUSINESS">Business</option>
+                          <option value="FIRST">First</option>
+                        </select>
                       </div>
-                    );
-                  }
-                  
-                  const fareTrendData = results.fareTrend;
-                  const validPrices = fareTrendData.filter(d => d.price !== null).map(d => d.price);
-                  
-                  if (validPrices.length === 0) {
-                    return (
-                      <div style={{ marginBottom: '1.5rem' }}>
-                        <h3 style={{ fontSize: '1.1rem', marginBottom: '1rem', color: '#374151', fontWeight: '600' }}>7-Day Fare Trend</h3>
-                        <div style={{
-                          padding: '1.25rem',
-                          background: '#f9fafb',
-                          borderRadius: '10px',
-                          border: '2px dashed #e5e7eb',
-                          textAlign: 'center',
-                          color: '#6b7280'
-                        }}>
-                          <div style={{ fontSize: '0.875rem' }}>
-                            📊 No valid pricing data for the selected dates
-                          </div>
+                    </div>
+                    {fareTrend.loading ? (
+                      <div style={{
+                        padding: '1.25rem',
+                        background: '#ffffff',
+                        borderRadius: '10px',
+                        border: '2px solid #e5e7eb'
+                      }}>
+                        <div className="skeleton" style={{ height: '0.875rem', width: '40%', marginBottom: '0.75rem' }} />
+                        <div className="skeleton" style={{ height: '220px', width: '100%' }} />
+                      </div>
+                    ) : !fareTrend.data || fareTrend.data.every(day => day.price === null) ? (
+                      <div style={{
+                        padding: '1.25rem',
+                        background: '#f9fafb',
+                        borderRadius: '10px',
+                        border: '2px dashed #e5e7eb',
+                        textAlign: 'center',
+                        color: '#6b7280'
+                      }}>
+                        <div style={{ fontSize: '0.875rem' }}>
+                          📊 Fare calendar not available
+                        </div>
+                        <div style={{ fontSize: '0.75rem', marginTop: '0.5rem', opacity: 0.8 }}>
+                          No fares were returned for the surrounding dates
                         </div>
                       </div>
-                    );
-                  }
-                  
-                  const avgPrice = validPrices.reduce((a, b) => a + b, 0) / validPrices.length;
-                  const currentPrice = cabinData.ECONOMY?.minPrice || 0;
-                  const priceChange = avgPrice > 0 ? ((currentPrice - avgPrice) / avgPrice * 100) : 0;
-                  const maxPrice = Math.max(...validPrices);
-                  
-                  return (
-                    <div style={{ marginBottom: '1.5rem' }}>
-                      <h3 style={{ fontSize: '1.1rem', marginBottom: '1rem', color: '#374151', fontWeight: '600' }}>7-Day Fare Trend</h3>
+                    ) : (
                       <div style={{
                         padding: '1.25rem',
                         background: '#ffffff',
@@ -922,63 +1898,63 @@ export default function Home() {
                         border: '2px solid #e5e7eb',
                         boxShadow: '0 1px 3px rgba(0,0,0,0.1)'
                       }}>
-                        {/* Price change indicator */}
-                        <div style={{ marginBottom: '1rem', textAlign: 'center' }}>
-                          <div style={{ fontSize: '0.875rem', color: '#6b7280', marginBottom: '0.5rem' }}>
-                            Current vs 7-day average
-                          </div>
-                          <div style={{
-                            fontSize: '1.5rem',
-                            fontWeight: 'bold',
-                            color: priceChange > 0 ? '#dc2626' : '#10b981'
-                          }}>
-                            {priceChange > 0 ? '+' : ''}{priceChange.toFixed(1)}%
-                          </div>
-                          <div style={{ fontSize: '0.75rem', color: '#6b7280', marginTop: '0.25rem' }}>
-                            {priceChange > 0 ? 'Above' : 'Below'} average (${avgPrice.toFixed(2)})
-                          </div>
+                        <FareCalendar
+                          days={fareTrend.data}
+                          cabin={fareOptions.cabin}
+                          selectedDate={results.query.date}
+                          onPickDate={(date) => {
+                            setFormData(prev => ({ ...prev, date }));
+                            window.scrollTo({ top: 0, behavior: 'smooth' });
+                          }}
+                        />
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* CAPACITY HISTORY - Only show when availability data exists */}
+                {hasAvailabilityData && (
+                  <div style={{ marginBottom: '1.5rem' }}>
+                    <h3 style={{ fontSize: '1.1rem', marginBottom: '1rem', color: '#374151', fontWeight: '600' }}>Capacity History</h3>
+                    {history.length < 2 ? (
+                      <div style={{
+                        padding: '1.25rem',
+                        background: '#f9fafb',
+                        borderRadius: '10px',
+                        border: '2px dashed #e5e7eb',
+                        textAlign: 'center',
+                        color: '#6b7280'
+                      }}>
+                        <div style={{ fontSize: '0.875rem' }}>
+                          📈 {history.length === 1 ? 'First snapshot recorded for this flight' : 'No snapshots recorded yet'}
                         </div>
-                        
-                        {/* Simple bar chart */}
-                        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'flex-end', height: '100px' }}>
-                          {fareTrendData.map((item, idx) => {
-                            const barHeight = item.price ? (item.price / maxPrice * 100) : 0;
-                            const isToday = item.date === results.query.date;
-                            
-                            return (
-                              <div key={idx} style={{ flex: 1, display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '0.5rem' }}>
-                                <div style={{ fontSize: '0.65rem', color: '#6b7280', textAlign: 'center' }}>
-                                  {item.price ? `$${item.price.toFixed(0)}` : 'N/A'}
-                                </div>
-                                <div style={{
-                                  width: '100%',
-                                  height: `${barHeight}%`,
-                                  background: isToday ? '#2563eb' : '#93c5fd',
-                                  borderRadius: '4px 4px 0 0',
-                                  minHeight: item.price ? '10px' : '0',
-                                  transition: 'height 0.3s ease'
-                                }} />
-                                <div style={{ fontSize: '0.65rem', color: isToday ? '#2563eb' : '#6b7280', fontWeight: isToday ? 'bold' : 'normal' }}>
-                                  {new Date(item.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
-                                </div>
-                              </div>
-                            );
-                          })}
+                        <div style={{ fontSize: '0.75rem', marginTop: '0.5rem', opacity: 0.8 }}>
+                          The timeline builds up each time this flight is checked
                         </div>
                       </div>
-                    </div>
-                  );
-                })()}
+                    ) : (
+                      <div style={{
+                        padding: '1.25rem',
+                        background: '#ffffff',
+                        borderRadius: '10px',
+                        border: '2px solid #e5e7eb',
+                        boxShadow: '0 1px 3px rgba(0,0,0,0.1)'
+                      }}>
+                        <CapacityHistoryChart snapshots={history} seatCapacity={seatCapacity} />
+                      </div>
+                    )}
+                  </div>
+                )}
 
                 {/* FLIGHT ROUTE */}
                 <div className="flight-route">
                   <div className="route-point">
-                    <div className="airport-code">{departure?.iataCode || 'N/A'}</div>
+                    <div className="airport-code">{departure.airport || 'N/A'}</div>
                     <div className="time-info">
                       <div className="time-label">Departure</div>
-                      <div className="time-value">{formatTime(departure?.departure?.timings?.[0]?.value)}</div>
-                      {departure?.departure?.timings?.[0]?.value && (
-                        <div className="date-value">{formatDate(departure.departure.timings[0].value)}</div>
+                      <div className="time-value">{formatTime(departure.scheduledTime)}</div>
+                      {departure.scheduledTime && (
+                        <div className="date-value">{formatDate(departure.scheduledTime)}</div>
                       )}
                     </div>
                   </div>
@@ -989,12 +1965,12 @@ export default function Home() {
                   </div>
 
                   <div className="route-point">
-                    <div className="airport-code">{arrival?.iataCode || 'N/A'}</div>
+                    <div className="airport-code">{arrival.airport || 'N/A'}</div>
                     <div className="time-info">
                       <div className="time-label">Arrival</div>
-                      <div className="time-value">{formatTime(arrival?.arrival?.timings?.[0]?.value)}</div>
-                      {arrival?.arrival?.timings?.[0]?.value && (
-                        <div className="date-value">{formatDate(arrival.arrival.timings[0].value)}</div>
+                      <div className="time-value">{formatTime(arrival.scheduledTime)}</div>
+                      {arrival.scheduledTime && (
+                        <div className="date-value">{formatDate(arrival.scheduledTime)}</div>
                       )}
                     </div>
                   </div>
@@ -1002,16 +1978,18 @@ export default function Home() {
 
                 {/* FLIGHT DETAILS */}
                 <div className="flight-details">
-                  {flight.legs?.[0]?.scheduledLegDuration && (
+                  {flight.duration && (
                     <div className="detail-item">
                       <span className="detail-label">Duration:</span>
-                      <span className="detail-value">{formatDuration(flight.legs[0].scheduledLegDuration)}</span>
+                      <span className="detail-value">{formatDuration(flight.duration)}</span>
                     </div>
                   )}
-                  {estimatedCapacity && (
+                  {seatCapacity && (
                     <div className="detail-item">
-                      <span className="detail-label">Est. Capacity:</span>
-                      <span className="detail-value">{estimatedCapacity} seats</span>
+                      <span className="detail-label">Seat Capacity:</span>
+                      <span className="detail-value">
+                        {seatCapacity} seats ({aircraftConfig.match === 'carrier' ? 'exact carrier match' : 'generic type default'})
+                      </span>
                     </div>
                   )}                  {(() => {
                     console.log('🪑 Legroom lookup:', { airlineName, aircraftName });
@@ -1072,7 +2050,7 @@ export default function Home() {
         </div>
       )}
 
-      {results && !loading && (!results.schedule?.data || results.schedule.data.length === 0) && (
+      {results && !loading && !results.flight && (
         <div className="no-results">
           No flight information found for {results.query.flightCode} on {results.query.date}
         </div>
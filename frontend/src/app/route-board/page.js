@@ -0,0 +1,314 @@
+'use client';
+
+import { useState } from 'react';
+import { getCapacityColor } from '../../lib/capacity';
+import DownloadButtons from '../../components/DownloadButtons';
+import Combobox from '../../components/Combobox';
+import { apiHeaders, queryString } from '../../lib/api';
+import { suggestAirports } from '../../lib/suggestions';
+
+const CABIN_COLUMNS = [
+  ['FIRST', 'F'],
+  ['BUSINESS', 'J'],
+  ['PREMIUM_ECONOMY', 'W'],
+  ['ECONOMY', 'Y']
+];
+
+const SORT_OPTIONS = [
+  ['departure', 'Departure'],
+  ['emptiest', 'Emptiest'],
+  ['cheapest', 'Cheapest']
+];
+
+const GRID_COLUMNS = '1.6fr 0.9fr 1.6fr repeat(4, 0.6fr) 2fr 1fr';
+
+const getDefaultDate = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 10);
+  return date.toISOString().split('T')[0];
+};
+
+// Local departure time straight from the offer (2025-11-10T10:00:00) - no timezone shifting
+const formatLocalTime = (value) => (value ? value.slice(11, 16) : 'N/A');
+
+export default function RouteBoard() {
+  const [formData, setFormData] = useState({ origin: '', destination: '', date: getDefaultDate() });
+  const [sort, setSort] = useState('departure');
+  const [board, setBoard] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadBoard = async (query, sortBy) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
+      const response = await fetch(
+        `${apiUrl}/v1/route-board?${queryString({ origin: query.origin, destination: query.destination, date: query.date, sort: sortBy })}`,
+        { headers: apiHeaders() }
+      );
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.expected ? `${data.error}: ${data.expected}` : data.error || data.message || `HTTP ${response.status}: Failed to fetch route board`);
+      }
+
+      setBoard(data);
+    } catch (err) {
+      console.error('Route board error:', err);
+      setBoard(null);
+      setError(err.name === 'TypeError'
+        ? `Connection Failed: Unable to reach ${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}. Check if the backend is running.`
+        : err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    loadBoard({ ...formData, origin: formData.origin.trim().toUpperCase(), destination: formData.destination.trim().toUpperCase() }, sort);
+  };
+
+  // Re-sorting is done by the API; the search itself is cached so this is quick
+  const handleSortChange = (value) => {
+    setSort(value);
+    if (board) loadBoard(board.query, value);
+  };
+
+  // Codes or airport and city names - names are looked up as you type
+  const handleAirportChange = (field) => (e) => {
+    setFormData(prev => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const handleAirportSelect = (field) => (airport) => {
+    setFormData(prev => ({ ...prev, [field]: airport.value }));
+  };
+
+  const today = new Date().toISOString().split('T')[0];
+
+  return (
+    <div className="container">
+      <header className="header">
+        <h1>✈️ Route Board</h1>
+        <p>Every nonstop flight on a route, with seats left and cheapest fare</p>
+        <a href="/" style={{ display: 'inline-block', marginTop: '0.75rem', color: '#2563eb', fontSize: '0.95rem' }}>
+          ← Look up a single flight
+        </a>
+      </header>
+
+      <form onSubmit={handleSubmit} className="search-form">
+        <div className="form-grid">
+          <div className="form-group">
+            <label htmlFor="origin">From</label>
+            <Combobox
+              id="origin"
+              value={formData.origin}
+              onChange={handleAirportChange('origin')}
+              onSelect={handleAirportSelect('origin')}
+              suggest={suggestAirports}
+              placeholder="PER or Perth"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="destination">To</label>
+            <Combobox
+              id="destination"
+              value={formData.destination}
+              onChange={handleAirportChange('destination')}
+              onSelect={handleAirportSelect('destination')}
+              suggest={suggestAirports}
+              placeholder="KUL or Kuala Lumpur"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="date">Departure Date</label>
+            <input
+              type="date"
+              id="date"
+              value={formData.date}
+              onChange={(e) => setFormData(prev => ({ ...prev, date: e.target.value }))}
+              min={today}
+              required
+            />
+          </div>
+        </div>
+
+        <button type="submit" className="search-button" disabled={loading}>
+          {loading ? 'Searching...' : 'Show Flights'}
+        </button>
+      </form>
+
+      {loading && (
+        <div className="loading-message">
+          🔍 Checking every flight on this route...
+        </div>
+      )}
+
+      {error && (
+        <div className="error-message">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      {board && !loading && (
+        <div className="results-section">
+          <div className="flight-card">
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '1rem', marginBottom: '1.5rem' }}>
+              <div>
+                <h2 style={{ margin: 0, fontSize: '1.75rem' }}>{board.query.origin} → {board.query.destination}</h2>
+                <p style={{ margin: '0.25rem 0 0 0', color: '#6b7280' }}>
+                  {board.count} flight{board.count === 1 ? '' : 's'} • {board.query.date}
+                </p>
+              </div>
+              {board.count > 0 && (
+                <DownloadButtons
+                  href={`${process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'}/v1/route-board?${queryString({ origin: board.query.origin, destination: board.query.destination, date: board.query.date, sort })}`}
+                />
+              )}
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                {SORT_OPTIONS.map(([value, label]) => (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => handleSortChange(value)}
+                    style={{
+                      padding: '0.4rem 0.9rem',
+                      borderRadius: '9999px',
+                      border: '1px solid #ddd',
+                      background: sort === value ? '#2563eb' : '#ffffff',
+                      color: sort === value ? '#ffffff' : '#374151',
+                      fontSize: '0.85rem',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {board.count === 0 ? (
+              <div style={{
+                padding: '1.25rem',
+                background: '#f9fafb',
+                borderRadius: '10px',
+                border: '2px dashed #e5e7eb',
+                textAlign: 'center',
+                color: '#6b7280'
+              }}>
+                <div style={{ fontSize: '0.875rem' }}>
+                  No nonstop flights with availability found on this route
+                </div>
+              </div>
+            ) : (
+              <div style={{
+                background: '#ffffff',
+                borderRadius: '10px',
+                border: '2px solid #e5e7eb',
+                boxShadow: '0 1px 3px rgba(0,0,0,0.1)',
+                overflowX: 'auto'
+              }}>
+                <div style={{
+                  display: 'grid',
+                  gridTemplateColumns: GRID_COLUMNS,
+                  gap: '0.75rem',
+                  padding: '0.75rem 1rem',
+                  background: '#f9fafb',
+                  borderBottom: '1px solid #e5e7eb',
+                  fontSize: '0.75rem',
+                  fontWeight: '600',
+                  color: '#6b7280',
+                  textTransform: 'uppercase',
+                  letterSpacing: '0.05em',
+                  minWidth: '760px'
+                }}>
+                  <div>Flight</div>
+                  <div>Departs</div>
+                  <div>Aircraft</div>
+                  {CABIN_COLUMNS.map(([cabin, label]) => (
+                    <div key={cabin} style={{ textAlign: 'center' }} title={`${cabin.replace('_', ' ')} seats bookable`}>{label}</div>
+                  ))}
+                  <div>Fullness</div>
+                  <div style={{ textAlign: 'right' }}>From</div>
+                </div>
+
+                {board.flights.map(flight => {
+                  const { capacity } = flight;
+
+                  return (
+                    <a
+                      key={flight.flightCode}
+                      href={`/?${queryString({ flight: flight.flightCode, date: board.query.date })}`}
+                      style={{
+                        display: 'grid',
+                        gridTemplateColumns: GRID_COLUMNS,
+                        gap: '0.75rem',
+                        padding: '1rem',
+                        borderBottom: '1px solid #f3f4f6',
+                        alignItems: 'center',
+                        minWidth: '760px'
+                      }}
+                    >
+                      <div>
+                        <div style={{ fontWeight: '600', color: '#111827' }}>{flight.flightCode}</div>
+                        {flight.codeshares.length > 0 && (
+                          <div style={{ fontSize: '0.7rem', color: '#9ca3af' }}>also {flight.codeshares.join(', ')}</div>
+                        )}
+                        {flight.operatingCarrier !== flight.carrier && (
+                          <div style={{ fontSize: '0.7rem', color: '#9ca3af' }}>operated by {flight.operatingCarrier}</div>
+                        )}
+                      </div>
+                      <div style={{ color: '#374151' }}>
+                        {formatLocalTime(flight.departureTime)}
+                        {flight.stops > 0 && (
+                          <div style={{ fontSize: '0.7rem', color: '#9ca3af' }}>{flight.stops} stop{flight.stops === 1 ? '' : 's'}</div>
+                        )}
+                      </div>
+                      <div style={{ fontSize: '0.875rem', color: '#374151' }}>
+                        {capacity.aircraftConfig?.name || flight.aircraftCode || '—'}
+                      </div>
+                      {CABIN_COLUMNS.map(([cabin]) => (
+                        <div key={cabin} style={{ textAlign: 'center', fontWeight: '600', color: '#2563eb' }}>
+                          {capacity.cabins[cabin] ? `${capacity.cabins[cabin].seatsAvailable}${capacity.cabins[cabin].capped ? '+' : ''}` : '—'}
+                        </div>
+                      ))}
+                      <div>
+                        {capacity.loadFactor === null ? (
+                          <div style={{ fontSize: '0.8rem', color: '#9ca3af' }}>Unknown aircraft</div>
+                        ) : (
+                          <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                            <div style={{ flex: 1, height: '12px', background: '#e5e7eb', borderRadius: '4px', overflow: 'hidden' }}>
+                              <div style={{
+                                width: `${capacity.loadFactor}%`,
+                                height: '100%',
+                                background: getCapacityColor(capacity.loadFactor)
+                              }} />
+                            </div>
+                            <div style={{ fontSize: '0.8rem', fontWeight: '600', color: '#374151', minWidth: '36px' }}>
+                              {capacity.capped ? '≤ ' : ''}{capacity.loadFactor.toFixed(0)}%
+                            </div>
+                          </div>
+                        )}
+                      </div>
+                      <div style={{ textAlign: 'right', fontWeight: '600', color: '#10b981' }}>
+                        {capacity.minPrice !== null ? `$${capacity.minPrice.toFixed(0)}` : '—'}
+                      </div>
+                    </a>
+                  );
+                })}
+              </div>
+            )}
+
+            <div style={{ fontSize: '0.75rem', color: '#9ca3af', marginTop: '0.75rem' }}>
+              Airlines never show more than 9 bookable seats per fare: cabins marked 9+ could have many more free seats, and fullness marked ≤ is the most the flight can be. Click a flight for the full breakdown.
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
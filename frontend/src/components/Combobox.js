@@ -0,0 +1,141 @@
+'use client';
+
+// Text input that suggests values as you type (airports, airlines)
+// suggest(text) resolves to [{ value, label, detail }] and picking one calls onSelect with it.
+// onChange gets the input's change event as usual, so a code can still be typed without picking.
+
+import { useState, useEffect, useRef } from 'react';
+
+const DEBOUNCE_MS = 200;
+
+export default function Combobox({ id, value, onChange, onSelect, suggest, ...inputProps }) {
+  const [options, setOptions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+  // What the user last typed - picking an option doesn't search for it again
+  const [query, setQuery] = useState(null);
+  const listId = `${id}-suggestions`;
+
+  // Callers may pass a new function each render; only typing should trigger a search
+  const suggestRef = useRef(suggest);
+  suggestRef.current = suggest;
+
+  useEffect(() => {
+    if (query === null) return undefined;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const found = await suggestRef.current(query);
+        if (cancelled) return;
+        setOptions(found);
+        setActive(-1);
+        setOpen(found.length > 0);
+      } catch (err) {
+        // Suggestions are a convenience - the field still works without them
+        console.warn('Suggestions failed:', err.message);
+        if (!cancelled) setOpen(false);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const handleChange = (e) => {
+    onChange(e);
+    setQuery(e.target.value);
+  };
+
+  const pick = (option) => {
+    onSelect(option);
+    setQuery(null);
+    setOptions([]);
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActive(i => (i + 1) % options.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive(i => (i <= 0 ? options.length - 1 : i - 1));
+    } else if (e.key === 'Enter' && active >= 0) {
+      // Picks the highlighted option instead of submitting the form
+      e.preventDefault();
+      pick(options[active]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <input
+        type="text"
+        id={id}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setOpen(options.length > 0)}
+        onBlur={() => setOpen(false)}
+        autoComplete="off"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={open}
+        aria-controls={listId}
+        aria-activedescendant={open && active >= 0 ? `${listId}-${active}` : undefined}
+        style={{ width: '100%' }}
+        {...inputProps}
+      />
+      {open && (
+        <ul
+          id={listId}
+          role="listbox"
+          style={{
+            position: 'absolute',
+            top: '100%',
+            left: 0,
+            right: 0,
+            zIndex: 10,
+            margin: '0.25rem 0 0',
+            padding: '0.25rem 0',
+            listStyle: 'none',
+            background: '#ffffff',
+            border: '1px solid #ddd',
+            borderRadius: '4px',
+            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.1)',
+            maxHeight: '16rem',
+            overflowY: 'auto'
+          }}
+        >
+          {options.map((option, i) => (
+            <li
+              key={`${option.value}-${i}`}
+              id={`${listId}-${i}`}
+              role="option"
+              aria-selected={i === active}
+              // Keep focus in the input so blur doesn't close the list before the click lands
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => pick(option)}
+              onMouseEnter={() => setActive(i)}
+              style={{
+                padding: '0.5rem 0.75rem',
+                cursor: 'pointer',
+                background: i === active ? '#eff6ff' : 'transparent'
+              }}
+            >
+              <div style={{ fontSize: '0.9rem', color: '#111827' }}>{option.label}</div>
+              <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>{option.detail}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
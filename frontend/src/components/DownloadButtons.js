@@ -0,0 +1,79 @@
+'use client';
+
+// CSV / Excel downloads for a capacity result
+// href is the API url the results came from; the backend sends the file when format is set.
+// Fetched rather than linked so the API key header goes with the request.
+
+import { useState } from 'react';
+import { apiHeaders, queryString } from '../lib/api';
+
+const FORMATS = [
+  ['csv', 'CSV'],
+  ['xlsx', 'Excel']
+];
+
+const saveFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export default function DownloadButtons({ href }) {
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+  const separator = href.includes('?') ? '&' : '?';
+
+  const handleDownload = async (format) => {
+    setPending(format);
+    setError(null);
+
+    try {
+      const response = await fetch(`${href}${separator}${queryString({ format })}`, { headers: apiHeaders() });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+
+      const filename = response.headers.get('content-disposition')?.match(/filename="([^"]+)"/)?.[1] || `capacity.${format}`;
+      saveFile(await response.blob(), filename);
+    } catch (err) {
+      console.error('Download error:', err);
+      setError(`Download failed: ${err.message}`);
+    } finally {
+      setPending(null);
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: '0.25rem' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <span style={{ fontSize: '0.8rem', color: '#6b7280' }}>Download</span>
+        {FORMATS.map(([format, label]) => (
+          <button
+            key={format}
+            type="button"
+            onClick={() => handleDownload(format)}
+            disabled={pending !== null}
+            style={{
+              padding: '0.35rem 0.8rem',
+              borderRadius: '9999px',
+              border: '1px solid #ddd',
+              background: '#ffffff',
+              color: '#374151',
+              fontSize: '0.8rem',
+              cursor: pending !== null ? 'wait' : 'pointer'
+            }}
+          >
+            {pending === format ? '…' : `⬇ ${label}`}
+          </button>
+        ))}
+      </div>
+      {error && (
+        <div style={{ fontSize: '0.75rem', color: '#dc2626' }}>{error}</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+// Headers for backend API requests
+// NEXT_PUBLIC_API_KEY ends up in the browser bundle, so give the frontend its own key
+// with limits sized for interactive use rather than sharing a script's key
+
+export const apiHeaders = () => (
+  process.env.NEXT_PUBLIC_API_KEY ? { 'X-API-Key': process.env.NEXT_PUBLIC_API_KEY } : {}
+);
+
+// Encoded query string for an API URL; optional parameters left empty (no suffix) are dropped
+export const queryString = (params) => new URLSearchParams(
+  Object.entries(params).filter(([, value]) => value !== null && value !== undefined && value !== '')
+);
@@ -0,0 +1,8 @@
+// Shared capacity display helpers for the flight and route board pages
+
+export const getCapacityColor = (pct) => {
+  if (pct >= 90) return '#dc2626'; // Red - nearly full
+  if (pct >= 70) return '#f59e0b'; // Orange - filling up
+  if (pct >= 40) return '#10b981'; // Green - good availability
+  return '#3b82f6'; // Blue - lots of space
+};
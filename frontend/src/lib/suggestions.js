@@ -0,0 +1,51 @@
+// Airport and airline suggestions for the combobox inputs, from /v1/locations and /v1/airlines
+// Answers are kept for the page's lifetime, so backspacing over a query doesn't fetch it again
+
+import { apiHeaders } from './api';
+
+// A single letter matches too much to be useful
+const MIN_QUERY_LENGTH = 2;
+
+const answers = new Map();
+
+const fetchSuggestions = (path, key, text, params = {}) => {
+  const q = text.trim();
+  if (q.length < MIN_QUERY_LENGTH) return Promise.resolve([]);
+
+  const url = `${path}?${new URLSearchParams({ q, ...params })}`;
+  const cacheKey = url.toLowerCase();
+  if (!answers.has(cacheKey)) {
+    const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
+    const request = fetch(`${apiUrl}${url}`, { headers: apiHeaders() })
+      .then(response => {
+        // Text the API can't search for simply has no suggestions
+        if (response.status === 400) return {};
+        if (!response.ok) throw new Error(`HTTP ${response.status}: Failed to fetch suggestions`);
+        return response.json();
+      })
+      .then(data => data[key] || []);
+
+    // Failures aren't kept, so the next keystroke tries again
+    answers.set(cacheKey, request);
+    request.catch(() => answers.delete(cacheKey));
+  }
+
+  return answers.get(cacheKey);
+};
+
+// Airports only - the route board and flight search take airport codes, not city codes
+export const suggestAirports = async (text) => (
+  (await fetchSuggestions('/v1/locations', 'locations', text, { type: 'AIRPORT' })).map(airport => ({
+    value: airport.code,
+    label: airport.name,
+    detail: [airport.code, airport.cityName, airport.countryCode].filter(Boolean).join(' · ')
+  }))
+);
+
+export const suggestAirlines = async (text) => (
+  (await fetchSuggestions('/v1/airlines', 'airlines', text)).map(airline => ({
+    value: airline.code,
+    label: airline.name,
+    detail: [airline.code, airline.icao].filter(Boolean).join(' / ')
+  }))
+);
@@ -0,0 +1,127 @@
+// Flight designator parsing shared by the backend and the frontend
+// A designator is an airline code, a flight number and an optional operational suffix:
+// LH400, U2 1234, 3K1, QFA007 (ICAO), BA123A. Every parser returns either the parsed parts or
+// { error } with a message that says what was wrong, so the API and the form can show it as is.
+//
+// Plain ES module with no dependencies - the backend imports it directly and Next.js bundles it.
+
+// ICAO airline codes we map to IATA, since Amadeus only takes IATA carrier codes
+export const ICAO_AIRLINES = {
+  AAL: 'AA', AAR: 'OZ', ACA: 'AC', AFR: 'AF', AIC: 'AI', AMX: 'AM', ANA: 'NH', ANZ: 'NZ',
+  ASA: 'AS', AUA: 'OS', AVA: 'AV', AXM: 'AK', BAW: 'BA', CAL: 'CI', CCA: 'CA', CES: 'MU',
+  CPA: 'CX', CSN: 'CZ', DAL: 'DL', DLH: 'LH', EIN: 'EI', ELY: 'LY', ETD: 'EY', ETH: 'ET',
+  EVA: 'BR', EZY: 'U2', FIN: 'AY', GIA: 'GA', IBE: 'IB', IGO: '6E', JAL: 'JL', JBU: 'B6',
+  JST: 'JQ', KAL: 'KE', KLM: 'KL', KQA: 'KQ', LAN: 'LA', MAS: 'MH', MSR: 'MS', QFA: 'QF',
+  QTR: 'QR', RAM: 'AT', RYR: 'FR', SAA: 'SA', SAS: 'SK', SIA: 'SQ', SVA: 'SV', SWA: 'WN',
+  SWR: 'LX', TAP: 'TP', THA: 'TG', THY: 'TK', UAE: 'EK', UAL: 'UA', VIR: 'VS', VOZ: 'VA',
+  WZZ: 'W6'
+};
+
+// Two characters, at most one of them a digit (LH, U2, 3K)
+const IATA_AIRLINE = /^([A-Z]{2}|[A-Z]\d|\d[A-Z])$/;
+const MAX_NUMBER_DIGITS = 4;
+
+// Spaces, hyphens and underscores are ignored (LH 400, LH-400)
+const clean = (value) => String(value ?? '').replace(/[\s\-_]/g, '').toUpperCase();
+
+const AIRLINE_HINT = 'use the 2-character IATA code (e.g., LH, U2, 3K) or the 3-letter ICAO code (e.g., DLH)';
+
+// IATA or ICAO airline code -> { carrier (IATA), icao? } or { error }
+export const parseAirlineCode = (value) => {
+  const code = clean(value);
+
+  if (!code) {
+    return { error: 'Airline code is empty' };
+  }
+  if (IATA_AIRLINE.test(code)) {
+    return { carrier: code };
+  }
+  if (/^[A-Z]{3}$/.test(code)) {
+    return ICAO_AIRLINES[code]
+      ? { carrier: ICAO_AIRLINES[code], icao: code }
+      : { error: `Unknown ICAO airline code "${code}" - use the airline's 2-character IATA code instead` };
+  }
+  if (/^\d{2}$/.test(code)) {
+    return { error: `"${code}" is not an airline code - IATA codes have at least one letter` };
+  }
+  return { error: `"${code}" is not an airline code - ${AIRLINE_HINT}` };
+};
+
+// Flight number with optional leading zeros and operational suffix -> { number, suffix } or { error }
+export const parseFlightNumber = (value) => {
+  const raw = clean(value);
+
+  if (!raw) {
+    return { error: 'Flight number is empty' };
+  }
+
+  const [, digits, rest] = raw.match(/^(\d*)(.*)$/);
+  if (!digits) {
+    return { error: `Flight number "${raw}" must start with a digit` };
+  }
+  if (rest && !/^[A-Z]$/.test(rest)) {
+    return { error: `Unexpected "${rest}" after flight number ${digits} - only a single suffix letter may follow (e.g., BA123A)` };
+  }
+
+  const number = digits.replace(/^0+/, '');
+  if (!number) {
+    return { error: 'Flight number cannot be 0' };
+  }
+  if (number.length > MAX_NUMBER_DIGITS) {
+    return { error: `Flight number ${number} has ${number.length} digits - at most ${MAX_NUMBER_DIGITS} are allowed` };
+  }
+
+  return { number, suffix: rest || null };
+};
+
+// Airline and flight number as one IATA flight code (LH400, BA123A)
+export const formatFlightCode = ({ carrier, number, suffix = null }) => `${carrier}${number}${suffix || ''}`;
+
+// Full designator -> { carrier, number, suffix, flightCode, icao? } or { error }
+// flightCode is the normalized IATA form: QFA007 -> QF7
+export const parseFlightDesignator = (value) => {
+  const code = clean(value);
+
+  if (!code) {
+    return { error: 'Flight code is empty' };
+  }
+
+  const invalid = code.match(/[^A-Z0-9]/);
+  if (invalid) {
+    return { error: `Flight code "${code}" contains "${invalid[0]}" - only letters and digits are allowed` };
+  }
+  if (/^\d+$/.test(code)) {
+    return { error: `Flight code "${code}" has no airline code - start with it (e.g., LH400)` };
+  }
+
+  // The leading letters decide the airline code: three is ICAO (QFA7), two is IATA (LH400), one is
+  // a letter-digit IATA code (U21234), and a leading digit is a digit-letter one (3K1)
+  const letters = code.match(/^[A-Z]*/)[0].length;
+  if (letters > 3) {
+    return { error: `"${code.slice(0, letters)}" is not an airline code - ${AIRLINE_HINT}` };
+  }
+  const airlineLength = letters === 3 ? 3 : 2;
+
+  const airline = parseAirlineCode(code.slice(0, airlineLength));
+  if (airline.error) {
+    return airline;
+  }
+
+  const rest = code.slice(airlineLength);
+  if (!rest) {
+    return { error: `Flight code "${code}" has no flight number - add 1-${MAX_NUMBER_DIGITS} digits after the airline code (e.g., ${airline.carrier}400)` };
+  }
+
+  const flightNumber = parseFlightNumber(rest);
+  if (flightNumber.error) {
+    return flightNumber;
+  }
+
+  return {
+    carrier: airline.carrier,
+    number: flightNumber.number,
+    suffix: flightNumber.suffix,
+    flightCode: formatFlightCode({ carrier: airline.carrier, ...flightNumber }),
+    ...(airline.icao && { icao: airline.icao })
+  };
+};